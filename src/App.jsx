@@ -1,5 +1,50 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import { parseFileInWorker } from './utils/parseFileInWorker';
+import { MAPPABLE_FIELDS, HEALING_POLICIES, HEALING_RULES } from './utils/csvParser';
+import { OPEN_ENDED_MAX_COST, computeTierAnalysis } from './utils/pricingUtils';
+import { mergeDatasets } from './utils/mergeDatasets';
+import { aggregateByPartNumber, countPartsAndLines } from './utils/partAggregation';
+import {
+  EXCLUSION_FIELDS,
+  EXCLUSION_FIELD_LABELS,
+  applyExclusionRules,
+  createExclusionRule,
+  isValidExclusionRule,
+} from './utils/exclusionRules';
+import { QUALITY_FLAG_LABELS, checkDataQuality, excludeFlaggedParts } from './utils/dataQuality';
+import { getDateSpan, filterByDateRange, isDateRangeActive, lastDaysRange, describeDateRange } from './utils/dateRange';
+import { BUILT_IN_PROFILES, createCustomProfile, isValidProfile } from './utils/importProfiles';
+import { TEXT_FORMATS } from './utils/fixedWidth';
+import {
+  addMatrix,
+  deleteMatrix,
+  duplicateMatrix,
+  getActiveMatrix,
+  selectMatrix,
+  updateMatrix,
+} from './utils/matrixLibrary';
+import { diffMatrices, parseMatrixText, readMatrixFile } from './utils/matrixImport';
+import { loadMatrixLibrary, serializeMatrixLibrary } from './utils/matrixStorage';
+import {
+  BREAKPOINT_METHODS,
+  BREAKPOINT_METHOD_LABELS,
+  MAX_SUGGESTED_TIERS,
+  MIN_SUGGESTED_TIERS,
+  suggestMatrix,
+} from './utils/breakpoints';
+import { canRedo, canUndo, createEditHistory, forgetMatrix, jumpToEdit, recordEdit, redoEdit, undoEdit } from './utils/editHistory';
+import {
+  REJECT_REASON_LABELS,
+  SUMMARY_REASONS,
+  SUMMARY_REASON_LABELS,
+  DIAGNOSTIC_LABELS,
+  ROW_TYPES,
+  ROW_TYPE_LABELS,
+  countByReason,
+  countByRowType,
+  rejectedRowsToCSV,
+} from './utils/importDiagnostics';
 
 // Default matrix based on the screenshot provided
 const defaultMatrix = [
@@ -10,9 +55,50 @@ const defaultMatrix = [
   { id: 5, minCost: 30.01, maxCost: 50.00, multiplier: 2.86, grossProfit: 65 },
   { id: 6, minCost: 50.01, maxCost: 150.00, multiplier: 2.70, grossProfit: 63 },
   { id: 7, minCost: 150.01, maxCost: 250.00, multiplier: 2.50, grossProfit: 60 },
-  { id: 8, minCost: 250.01, maxCost: 999999, multiplier: 2.13, grossProfit: 53 },
+  { id: 8, minCost: 250.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2.13, grossProfit: 53 },
 ];
 
+// Rows rendered in the diagnostics and audit tables (the CSV download has all)
+const DIAGNOSTICS_DISPLAY_LIMIT = 100;
+
+// Labels for the import dialect controls on the upload step
+const DELIMITER_LABELS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+const DECIMAL_LABELS = { '.': '1,234.56', ',': '1.234,56' };
+const TEXT_FORMAT_LABELS = {
+  [TEXT_FORMATS.DELIMITED]: 'Delimited',
+  [TEXT_FORMATS.FIXED_WIDTH]: 'Fixed-width',
+};
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'windows-1252': 'Windows-1252',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+};
+
+// Labels for the self-healing policy control and audit table
+const HEALING_POLICY_LABELS = {
+  [HEALING_POLICIES.HEAL]: 'Heal outliers',
+  [HEALING_POLICIES.TRUST_CSV]: 'Trust CSV totals',
+  [HEALING_POLICIES.TRUST_CALCULATED]: 'Trust unit × qty',
+};
+const HEALING_RULE_LABELS = {
+  [HEALING_RULES.TOLERANCE_EXCEEDED]: 'Outside tolerance',
+  [HEALING_RULES.NO_UNIT_VALUE]: 'No unit value',
+  [HEALING_RULES.TRUST_CALCULATED]: 'Policy: unit × qty',
+};
+
+// Rows the tier analysis runs on, given the analysis options
+const selectAnalysisParts = (parts, options, matrix) => {
+  const matrixParts = applyExclusionRules(parts, options.exclusionRules).parts;
+  const checked = options.excludeFlagged
+    ? excludeFlaggedParts(matrixParts, checkDataQuality(matrixParts, matrix))
+    : matrixParts;
+  const inRange = filterByDateRange(checked, options.dateRange);
+  return options.aggregateByPart ? aggregateByPartNumber(inRange) : inRange;
+};
+
+const ALL_DATES = { from: null, to: null };
+
 const formatCurrency = (value) => {
   return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value);
 };
@@ -21,82 +107,84 @@ const formatPercent = (value) => {
   return `${value.toFixed(1)}%`;
 };
 
-// Helper to clean currency strings (e.g. "$1,200.50" -> 1200.50)
-const parseCurrency = (str) => {
-  if (!str) return 0;
-  // Remove everything that isn't a number, decimal point, or minus sign
-  const cleanStr = str.toString().replace(/[^0-9.-]+/g, "");
-  return parseFloat(cleanStr) || 0;
-};
-
-// Pure function: compute tier analysis from parts + matrix (no side effects)
-function computeTierAnalysis(parts, matrix) {
-  const assignedIndices = new Set();
-  const analysis = matrix.map(tier => {
-    const tierParts = parts.filter((p, idx) => {
-      if (assignedIndices.has(idx)) return false;
-      if (p.unitCost >= tier.minCost && p.unitCost <= tier.maxCost) {
-        assignedIndices.add(idx);
-        return true;
-      }
-      return false;
-    });
-    const totalCost = tierParts.reduce((sum, p) => sum + p.totalCost, 0);
-    const totalRetail = tierParts.reduce((sum, p) => sum + p.totalRetail, 0);
-    const totalQty = tierParts.reduce((sum, p) => sum + p.qty, 0);
-    const currentMargin = totalRetail > 0 ? ((totalRetail - totalCost) / totalRetail) * 100 : 0;
-    const currentProfit = totalRetail - totalCost;
-    return {
-      ...tier,
-      partCount: tierParts.length,
-      totalQty,
-      totalCost,
-      totalRetail,
-      currentMargin,
-      currentProfit,
-      revenueShare: 0,
-    };
-  });
-  const totalRevenue = analysis.reduce((sum, t) => sum + t.totalRetail, 0);
-  analysis.forEach(tier => {
-    tier.revenueShare = totalRevenue > 0 ? (tier.totalRetail / totalRevenue) * 100 : 0;
-  });
-  return analysis;
-}
-
 export default function PriceMatrixOptimizer() {
   const IS_TRIAL_MODE = false;
 
   const [step, setStep] = useState(1);
   
-  // Initialize matrix from localStorage or use default
-  const [matrix, setMatrix] = useState(() => {
-    try {
-      const savedMatrix = localStorage.getItem('priceMatrix');
-      if (savedMatrix) {
-        const parsed = JSON.parse(savedMatrix);
-        // Validate it's an array with expected structure
-        if (Array.isArray(parsed) && parsed.length > 0 && parsed.every(t =>
-            typeof t.minCost === 'number' && typeof t.maxCost === 'number' &&
-            typeof t.multiplier === 'number' && t.multiplier > 0
-        )) {
-          return parsed;
-        }
-      }
-    } catch {
-      // ignore JSON parse errors - fall back to defaultMatrix
-    }
-    return defaultMatrix;
-  });
+  // Named matrices from localStorage, migrated from older formats (a matrix
+  // saved before the library existed becomes "Default"), or a library holding
+  // defaultMatrix. Saved data that fails validation keeps what can be loaded
+  // and leaves a report (storageReport) instead of being silently replaced.
+  const [initialLoad] = useState(() =>
+    loadMatrixLibrary(localStorage.getItem('matrixLibrary'), localStorage.getItem('priceMatrix'), defaultMatrix),
+  );
+  const [matrixLibrary, setMatrixLibrary] = useState(initialLoad.library);
+  const [storageReport, setStorageReport] = useState(initialLoad.report);
+  // Every analysis and optimization runs on the selected matrix
+  const activeMatrix = getActiveMatrix(matrixLibrary);
+  const matrix = activeMatrix.tiers;
+  // Tier edits go to the selected matrix (value or updater, like a state setter)
+  const setMatrix = (update) => {
+    setMatrixLibrary(prev => {
+      const current = getActiveMatrix(prev);
+      const tiers = typeof update === 'function' ? update(current.tiers) : update;
+      return updateMatrix(prev, current.id, { tiers });
+    });
+  };
   const [partsData, setPartsData] = useState([]);
   const [tierAnalysis, setTierAnalysis] = useState([]);
   const [targetIncrease, setTargetIncrease] = useState(5);
   const [targetType, setTargetType] = useState('percent');
   const [recommendations, setRecommendations] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [fileName, setFileName] = useState('');
+  const [fileName, setFileName] = useState(''); // file the import settings and diagnostics describe
+  // Uploaded files merged into partsData:
+  // { id, name, status: 'pending' | 'ready' | 'error', error, result, duplicateCount }
+  const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [activeFileId, setActiveFileId] = useState(null);
   const [error, setError] = useState('');
   const [skippedCount, setSkippedCount] = useState(0);
+  const [rejectedRows, setRejectedRows] = useState([]); // { line, raw, reason, detail } per skipped row
+  const [summaryRows, setSummaryRows] = useState([]); // totals / subtotals and page breaks excluded, same shape
+  const [diagnosticsFilter, setDiagnosticsFilter] = useState('all'); // reason / row type code
+  const [healingSummary, setHealingSummary] = useState(null); // { rows, costChange, revenueChange }
+  const [parseProgress, setParseProgress] = useState(null); // { loaded, total } while parsing
+  // Encoding / delimiter / decimal overrides ('auto' = detect), explicit column mapping
+  // (null = auto-detect), import profile ('auto' | 'none' | profile id),
+  // self-healing policy and tolerance (%), Excel worksheet (null = first),
+  // path of the records array in a JSON file ('' = find it), delimited vs
+  // fixed-width text ('auto' = detect), and what the last parse actually used
+  const [importSettings, setImportSettings] = useState({
+    encoding: 'auto',
+    delimiter: 'auto',
+    decimalSeparator: 'auto',
+    mapping: null,
+    profile: 'auto',
+    healingPolicy: HEALING_POLICIES.HEAL,
+    healingTolerance: 50,
+    sheet: null,
+    recordsPath: '',
+    textFormat: TEXT_FORMATS.AUTO,
+  });
+  const [detectedDialect, setDetectedDialect] = useState(null);
+  const [detectedEncoding, setDetectedEncoding] = useState(null); // text encoding of the last CSV
+  const [workbookInfo, setWorkbookInfo] = useState(null); // { sheetNames, sheet } for .xlsx uploads
+  const [jsonInfo, setJsonInfo] = useState(null); // { format, recordsPath, recordCount } for JSON uploads
+  const [fixedWidthInfo, setFixedWidthInfo] = useState(null); // { columns } for fixed-width text reports
+  const [columnInfo, setColumnInfo] = useState(null); // { headers, mapping, ambiguous, sampleRows }
+  const [detectedProfile, setDetectedProfile] = useState(null); // { id, name } of the profile used
+
+  // User-saved import profiles, persisted alongside the matrix
+  const [customProfiles, setCustomProfiles] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem('importProfiles'));
+      if (Array.isArray(saved)) return saved.filter(isValidProfile);
+    } catch {
+      // ignore JSON parse errors - start with no custom profiles
+    }
+    return [];
+  });
 
   // NEW: State for manual tier overrides (Request #2)
   const [lockedTiers, setLockedTiers] = useState({}); // { tierId: customMultiplier }
@@ -109,31 +197,130 @@ export default function PriceMatrixOptimizer() {
 
   // Bug 16: Ref to track partsData without causing re-render loops
   const partsDataRef = useRef([]);
+  // Latest matrix, read when a background parse finishes
+  const matrixRef = useRef(matrix);
+
+  // How parts are prepared for the tier analysis (exclusionRules: lines priced
+  // outside the matrix, saved with the settings; excludeFlagged: drop rows the
+  // quality checks flag; dateRange: invoice dates to keep; aggregateByPart: roll
+  // lines up per part number); mirrored in a ref for background parses
+  const [analysisOptions, setAnalysisOptions] = useState(() => {
+    let exclusionRules = [];
+    try {
+      const saved = JSON.parse(localStorage.getItem('exclusionRules'));
+      if (Array.isArray(saved)) exclusionRules = saved.filter(isValidExclusionRule);
+    } catch {
+      // ignore JSON parse errors - start with no exclusion rules
+    }
+    return { exclusionRules, excludeFlagged: false, dateRange: ALL_DATES, aggregateByPart: false };
+  });
+  const analysisOptionsRef = useRef(analysisOptions);
+  // New exclusion rule being entered on the upload step
+  const [ruleDraft, setRuleDraft] = useState({ field: EXCLUSION_FIELDS.CATEGORY, value: '' });
+
+
+  // Active background parse job ({ promise, cancel }) so it can be cancelled
+  const parseJobRef = useRef(null);
+  // Files are parsed one at a time; each parse is chained onto the previous one
+  const parseQueueRef = useRef(Promise.resolve());
+  // Latest uploaded-file list (read by queued parses) and the File behind each id
+  const uploadedFilesRef = useRef([]);
+  const fileByIdRef = useRef(new Map());
+  const nextFileIdRef = useRef(1);
 
   const [copied, setCopied] = useState(false);
 
-  // Save matrix to localStorage whenever it changes
+  // Matrix import on the setup step: pasted text, and the parsed tiers
+  // ({ source, result }) previewed against the current matrix before replacing it
+  const [showMatrixImport, setShowMatrixImport] = useState(false);
+  const [matrixPaste, setMatrixPaste] = useState('');
+  const [matrixImport, setMatrixImport] = useState(null);
+  // Breakpoint suggestions from the uploaded sales ({ method, tierCount })
+  const [showSuggest, setShowSuggest] = useState(false);
+  const [suggestSettings, setSuggestSettings] = useState({ method: BREAKPOINT_METHODS.REVENUE, tierCount: 8 });
+
+  // Undo / redo: every matrix edit, result override and target change is
+  // recorded as a snapshot of the state below (see utils/editHistory)
+  const editSnapshot = React.useMemo(() => ({
+    matrixId: activeMatrix.id,
+    matrixName: activeMatrix.name,
+    tiers: matrix,
+    lockedTiers,
+    originalTargetProfit,
+    targetType,
+    targetIncrease,
+    recommendations,
+  }), [activeMatrix.id, activeMatrix.name, matrix, lockedTiers, originalTargetProfit, targetType, targetIncrease, recommendations]);
+  const [editHistory, setEditHistory] = useState(() => createEditHistory(editSnapshot));
+  const [recordedSnapshot, setRecordedSnapshot] = useState(editSnapshot);
+  const [showHistory, setShowHistory] = useState(false);
+  // Record each edit as it renders (restoring an entry matches it, so is not recorded)
+  if (recordedSnapshot !== editSnapshot) {
+    setRecordedSnapshot(editSnapshot);
+    setEditHistory(prev => recordEdit(prev, editSnapshot));
+  }
+
+  // Keep saved data that failed validation before the library below overwrites it
+  useEffect(() => {
+    if (!initialLoad.report) return;
+    try {
+      localStorage.setItem('matrixLibraryBackup', initialLoad.report.raw);
+    } catch {
+      // ignore localStorage write errors - the report still offers a download
+    }
+  }, [initialLoad]);
+
+  // Save the matrix library to localStorage whenever it changes
   useEffect(() => {
     try {
-      localStorage.setItem('priceMatrix', JSON.stringify(matrix));
+      localStorage.setItem('matrixLibrary', serializeMatrixLibrary(matrixLibrary));
+      localStorage.removeItem('priceMatrix'); // migrated into the library
     } catch {
       // ignore localStorage write errors (e.g. private browsing quota exceeded)
     }
-  }, [matrix]);
+  }, [matrixLibrary]);
+
+  // Save custom import profiles whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('importProfiles', JSON.stringify(customProfiles));
+    } catch {
+      // ignore localStorage write errors
+    }
+  }, [customProfiles]);
+
+  // Save exclusion rules whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('exclusionRules', JSON.stringify(analysisOptions.exclusionRules));
+    } catch {
+      // ignore localStorage write errors
+    }
+  }, [analysisOptions.exclusionRules]);
+
+  // Stop any in-flight parse and drop queued ones when the component unmounts
+  useEffect(() => () => {
+    uploadedFilesRef.current = [];
+    parseJobRef.current?.cancel();
+  }, []);
 
   // Bug 16: Keep partsData ref in sync
   useEffect(() => {
     partsDataRef.current = partsData;
   }, [partsData]);
 
+  useEffect(() => {
+    matrixRef.current = matrix;
+  }, [matrix]);
+
   // Add a new tier to the matrix
   const addTier = () => {
     if (matrix.length >= 10) return;
     const lastTier = matrix[matrix.length - 1];
     const newTier = {
       id: matrix.length + 1,
-      minCost: lastTier.maxCost === 999999 ? lastTier.minCost + 100 : lastTier.maxCost + 0.01,
-      maxCost: 999999,
+      minCost: lastTier.maxCost === OPEN_ENDED_MAX_COST ? lastTier.minCost + 100 : lastTier.maxCost + 0.01,
+      maxCost: OPEN_ENDED_MAX_COST,
       multiplier: 2.0,
       grossProfit: 50
     };
@@ -147,6 +334,90 @@ export default function PriceMatrixOptimizer() {
     setMatrix([...updatedMatrix, newTier]);
   };
 
+  // Recommendations and locked tiers belong to the matrix they were made for
+  const clearResults = () => {
+    setRecommendations(null);
+    setLockedTiers({});
+    setOriginalTargetProfit(null);
+  };
+
+  // Matrix library: switch, create, duplicate, rename and delete named matrices
+  const switchMatrix = (id) => {
+    if (id === matrixLibrary.activeId) return;
+    setMatrixLibrary(prev => selectMatrix(prev, id));
+    clearResults();
+  };
+
+  const createMatrix = () => {
+    const name = window.prompt('Matrix name', 'New matrix');
+    if (!name || !name.trim()) return;
+    setMatrixLibrary(prev => addMatrix(prev, name, defaultMatrix));
+    clearResults();
+  };
+
+  const duplicateActiveMatrix = () => {
+    const name = window.prompt('Name for the copy', `${activeMatrix.name} copy`);
+    if (!name || !name.trim()) return;
+    setMatrixLibrary(prev => duplicateMatrix(prev, prev.activeId, name));
+    clearResults();
+  };
+
+  const renameActiveMatrix = () => {
+    const name = window.prompt('Matrix name', activeMatrix.name);
+    if (!name || !name.trim()) return;
+    setMatrixLibrary(prev => updateMatrix(prev, prev.activeId, { name }));
+  };
+
+  const deleteActiveMatrix = () => {
+    if (matrixLibrary.matrices.length <= 1) return;
+    if (!window.confirm(`Delete the "${activeMatrix.name}" matrix? This cannot be undone.`)) return;
+    setMatrixLibrary(prev => deleteMatrix(prev, prev.activeId));
+    setEditHistory(prev => forgetMatrix(prev, activeMatrix.id));
+    clearResults();
+  };
+
+  // Matrix import: parse a file or pasted table for preview, then apply it
+  const handleMatrixFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // let the same file be chosen again
+    if (!file) return;
+    readMatrixFile(file)
+      .then(result => setMatrixImport({ source: file.name, result }))
+      .catch(() => setMatrixImport({
+        source: file.name,
+        result: { tiers: [], rowErrors: [], rangeIssues: [], error: 'Could not read the file.' },
+      }));
+  };
+
+  const previewPastedMatrix = () => {
+    if (!matrixPaste.trim()) return;
+    setMatrixImport({ source: 'Pasted table', result: parseMatrixText(matrixPaste) });
+  };
+
+  const closeMatrixImport = () => {
+    setShowMatrixImport(false);
+    setMatrixPaste('');
+    setMatrixImport(null);
+  };
+
+  const applyMatrixImport = (asNewMatrix) => {
+    const { source, result } = matrixImport;
+    if (asNewMatrix) {
+      const name = window.prompt('Matrix name', source.replace(/\.[^.]+$/, ''));
+      if (!name || !name.trim()) return;
+      setMatrixLibrary(prev => addMatrix(prev, name, result.tiers, { notes: `Imported from ${source}` }));
+    } else {
+      setMatrix(result.tiers);
+    }
+    clearResults();
+    closeMatrixImport();
+  };
+
+  // Author / notes of the selected matrix (committed on blur)
+  const updateMatrixDetails = (field, value) => {
+    setMatrixLibrary(prev => updateMatrix(prev, prev.activeId, { [field]: value.trim() }));
+  };
+
   // Remove a tier
   const removeTier = (id) => {
     if (matrix.length <= 2) return;
@@ -189,7 +460,7 @@ export default function PriceMatrixOptimizer() {
       const tierIndex = sorted.findIndex(t => t.id === id);
       if (tierIndex === -1 || tierIndex >= sorted.length - 1) return prev;
       const currentMax = sorted[tierIndex].maxCost;
-      if (currentMax === 999999) return prev;
+      if (currentMax === OPEN_ENDED_MAX_COST) return prev;
       const nextMin = parseFloat((currentMax + 0.01).toFixed(2));
       return sorted.map((tier, idx) => {
         if (idx === tierIndex + 1 && tier.minCost !== nextMin) {
@@ -206,7 +477,7 @@ export default function PriceMatrixOptimizer() {
     for (let i = 0; i < matrix.length - 1; i++) {
       const current = matrix[i];
       const next = matrix[i + 1];
-      if (current.maxCost === 999999) continue;
+      if (current.maxCost === OPEN_ENDED_MAX_COST) continue;
       const gap = next.minCost - current.maxCost;
       if (gap > 0.02) {
         issues.push({ type: 'gap', from: i + 1, to: i + 2, range: `$${current.maxCost.toFixed(2)} to $${next.minCost.toFixed(2)}` });
@@ -217,171 +488,355 @@ export default function PriceMatrixOptimizer() {
     return issues;
   }, [matrix]);
 
-  // Parse CSV file
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Tier-by-tier comparison of the previewed import with the current matrix
+  const matrixImportDiff = React.useMemo(
+    () => (matrixImport && !matrixImport.result.error ? diffMatrices(matrix, matrixImport.result.tiers) : []),
+    [matrixImport, matrix],
+  );
+
+  // Custom profiles first so a user's own layout wins over a built-in match
+  const allProfiles = [...customProfiles, ...BUILT_IN_PROFILES];
+
+  // Turn the upload-step settings into parser options
+  const buildParseOptions = (settings) => {
+    const { profile, healingPolicy, healingTolerance, ...rest } = settings;
+    const selected = profile === 'auto' || profile === 'none'
+      ? profile
+      : allProfiles.find(p => p.id === profile) || 'auto';
+    return {
+      ...rest,
+      profile: selected,
+      profiles: allProfiles,
+      healing: { policy: healingPolicy, tolerance: healingTolerance / 100 },
+    };
+  };
+
+  // Update the uploaded-file list and re-merge the parsed files into partsData
+  const updateUploadedFiles = (update) => {
+    const files = update(uploadedFilesRef.current);
+    const ready = files.filter(f => f.status === 'ready');
+    const merged = mergeDatasets(ready.map(f => ({ id: f.id, parts: f.result.parts })));
+    const next = files.map(f => ({ ...f, duplicateCount: merged.duplicateCounts[f.id] || 0 }));
+    // A date filter cannot apply once no file has invoice dates
+    if (isDateRangeActive(analysisOptionsRef.current.dateRange) && !getDateSpan(merged.parts)) {
+      analysisOptionsRef.current = { ...analysisOptionsRef.current, dateRange: ALL_DATES };
+      setAnalysisOptions(analysisOptionsRef.current);
+    }
+    uploadedFilesRef.current = next;
+    setUploadedFiles(next);
+    setPartsData(merged.parts);
+    if (merged.parts.length > 0) analyzeTiers(merged.parts);
+    else setTierAnalysis([]);
+  };
+
+  // Show one file's parse result in the import settings and diagnostics (null = none)
+  const showFileResult = (name, result) => {
+    setFileName(name);
+    setError(result?.error || '');
+    setDetectedDialect(result?.dialect || null);
+    setDetectedEncoding(result?.encoding || null);
+    setWorkbookInfo(result?.workbook || null);
+    setJsonInfo(result?.json || null);
+    setFixedWidthInfo(result?.fixedWidth || null);
+    setColumnInfo(result?.columns || null);
+    setDetectedProfile(result?.profile || null);
+    setRejectedRows(result?.rejectedRows || []);
+    setSummaryRows(result?.summaryRows || []);
+    setDiagnosticsFilter('all');
+    setHealingSummary(result?.healingSummary || null);
+    setSkippedCount(result && !result.error ? result.skippedCount : 0);
+  };
 
+  // Parse one uploaded file in a background worker (chunked, with progress + cancel)
+  const parseFile = (id, settings) => {
+    const entry = uploadedFilesRef.current.find(f => f.id === id);
+    if (!entry) return Promise.resolve(); // removed or cancelled while queued
+    const file = fileByIdRef.current.get(id);
+    setActiveFileId(id);
     setFileName(file.name);
     setError('');
+    setParseProgress({ loaded: 0, total: file.size });
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const text = e.target.result.replace(/^\uFEFF/, ''); // Strip BOM
-        const lines = text.split(/\r?\n/).filter(line => line.trim()); // Handle \r\n and \n
-
-        // --- HEADER SCANNER: Find the actual header row (may not be line 1) ---
-        let headerRowIndex = -1;
-        let headers = [];
-
-        for (let i = 0; i < Math.min(lines.length, 10); i++) {
-          const row = lines[i].toLowerCase();
-          // Look for keywords that indicate this is the header row
-          if (row.includes('cost') || row.includes('price') || row.includes('qty') || row.includes('total')) {
-            headerRowIndex = i;
-            headers = lines[i].split(',').map(h => h.trim().toLowerCase());
-            break;
-          }
-        }
+    const parseOptions = buildParseOptions(settings);
+    const job = parseFileInWorker(file, { onProgress: setParseProgress, parseOptions });
+    parseJobRef.current = job;
 
-        if (headerRowIndex === -1) {
-          setError('Could not find a valid header row (looking for "Cost", "Price", or "Qty"). Please check your CSV.');
-          return;
+    const setEntry = (fields) => updateUploadedFiles(files => files.map(f => (f.id === id ? { ...f, ...fields } : f)));
+
+    return job.promise
+      .then((result) => {
+        if (parseJobRef.current !== job) return; // cancelled, or the file was removed
+        showFileResult(file.name, result);
+        setEntry({ status: result.error ? 'error' : 'ready', error: result.error, result, settings });
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('CSV parsing error:', err);
+        const message = 'Error parsing CSV file. Please ensure it is properly formatted. Tip: Try re-exporting from your POS system.';
+        setError(message);
+        setEntry({ status: 'error', error: message, result: null, settings });
+      })
+      .finally(() => {
+        if (parseJobRef.current === job) {
+          parseJobRef.current = null;
+          setParseProgress(null);
         }
+      });
+  };
 
-        // Find relevant columns (improved to handle "Buy Price" variations)
-        const costIdx = headers.findIndex(h => h.includes('unit cost') || h.includes('buy price') || h === 'cost' || h === 'unitcost');
-        const retailIdx = headers.findIndex(h => h.includes('unit retail') || h.includes('sell price') || h === 'retail' || h === 'unitretail' || h === 'price');
-        const qtyIdx = headers.findIndex(h => h.includes('qty') || h === 'quantity' || h === 'sold');
-        const totalCostIdx = headers.findIndex(h => h.includes('total cost') || h.includes('ext cost'));
-        const totalRetailIdx = headers.findIndex(h => h.includes('total retail') || h.includes('ext price') || h.includes('ext revenue') || h.includes('amount') || h.includes('revenue'));
+  // Queue a parse behind any that are still running
+  const enqueueParse = (id, settings) => {
+    parseQueueRef.current = parseQueueRef.current.then(() => parseFile(id, settings));
+  };
 
-        if (costIdx === -1) {
-          setError('Could not find a "Unit Cost" or "Buy Price" column in the CSV. Please ensure your file has cost data.');
-          return;
-        }
+  const handleFileUpload = (event) => {
+    const files = [...event.target.files];
+    event.target.value = ''; // let the same file be added again after removing it
+    if (files.length === 0) return;
+    // A new file gets a fresh column auto-detection and starts on its first
+    // sheet / detected JSON records
+    const next = { ...importSettings, mapping: null, sheet: null, recordsPath: '' };
+    const entries = files.map((file) => {
+      const id = `file-${nextFileIdRef.current++}`;
+      fileByIdRef.current.set(id, file);
+      return { id, name: file.name, status: 'pending', error: null, result: null, settings: next };
+    });
+    updateUploadedFiles(prev => [...prev, ...entries]);
+    setImportSettings(next);
+    entries.forEach(entry => enqueueParse(entry.id, next));
+  };
 
-        const parts = [];
-        let skippedRows = 0;
-
-        // Start parsing from line AFTER the header row
-        for (let i = headerRowIndex + 1; i < lines.length; i++) {
-          // ROBUST CSV PARSER: Handles quoted fields, empty fields (,,), and special characters
-          const cleanRow = [];
-          let currentField = '';
-          let insideQuotes = false;
-          const line = lines[i];
-
-          for (let j = 0; j < line.length; j++) {
-            const char = line[j];
-            const nextChar = line[j + 1];
-
-            if (char === '"') {
-              // Handle escaped quotes ("")
-              if (insideQuotes && nextChar === '"') {
-                currentField += '"';
-                j++; // Skip next quote
-              } else {
-                insideQuotes = !insideQuotes;
-              }
-            } else if (char === ',' && !insideQuotes) {
-              // End of field
-              cleanRow.push(currentField.trim());
-              currentField = '';
-            } else {
-              currentField += char;
-            }
-          }
-
-          // Push the last field
-          cleanRow.push(currentField.trim());
-
-          // Skip completely empty rows
-          if (cleanRow.length === 0 || cleanRow.every(cell => !cell)) {
-            skippedRows++;
-            continue;
-          }
-
-          // Validate row has minimum required columns
-          const requiredColumns = Math.max(costIdx, retailIdx !== -1 ? retailIdx : 0, qtyIdx !== -1 ? qtyIdx : 0, totalCostIdx !== -1 ? totalCostIdx : 0, totalRetailIdx !== -1 ? totalRetailIdx : 0) + 1;
-
-          if (cleanRow.length < requiredColumns) {
-            skippedRows++;
-            continue;
-          }
-          
-          // Use parseCurrency to handle "$1,234.56" formatted values
-          const unitCost = parseCurrency(cleanRow[costIdx]);
-          const unitRetail = retailIdx !== -1 ? parseCurrency(cleanRow[retailIdx]) : 0;
-          const qty = qtyIdx !== -1 ? parseCurrency(cleanRow[qtyIdx]) : 1;
-
-          // SELF-HEALING LOGIC WITH VALIDATION: Check if parsed value is valid and reasonable
-          const csvTotalCost = totalCostIdx !== -1 ? parseCurrency(cleanRow[totalCostIdx]) : 0;
-          const calculatedTotalCost = unitCost * qty;
-
-          // Validate: If CSV total differs significantly from calculated (>50%), use calculated
-          let totalCost = calculatedTotalCost;
-          if (csvTotalCost > 0.01 && calculatedTotalCost > 0) {
-            const difference = Math.abs(csvTotalCost - calculatedTotalCost) / calculatedTotalCost;
-            if (difference < 0.5) {
-              // CSV total is close to calculated, trust it (allows for rounding/discounts)
-              totalCost = csvTotalCost;
-            }
-            // Otherwise use calculated value (CSV data is likely garbage)
-          }
-
-          const csvTotalRetail = totalRetailIdx !== -1 ? parseCurrency(cleanRow[totalRetailIdx]) : 0;
-          const calculatedTotalRetail = unitRetail * qty;
-
-          // Same validation for retail
-          let totalRetail = calculatedTotalRetail;
-          if (csvTotalRetail > 0.01 && calculatedTotalRetail > 0) {
-            const difference = Math.abs(csvTotalRetail - calculatedTotalRetail) / calculatedTotalRetail;
-            if (difference < 0.5) {
-              totalRetail = csvTotalRetail;
-            }
-          }
-
-          // Skip zero-cost items (warranties, supplies)
-          if (unitCost > 0) {
-            parts.push({ unitCost, unitRetail, qty, totalCost, totalRetail });
-          } else {
-            skippedRows++;
-          }
-        }
-        
-        if (parts.length === 0) {
-          setError('No valid parts data found. Please check your CSV format. Make sure you have a "Unit Cost" column with numeric values.');
-          return;
-        }
-        
-        // Update the skipped count state
-        setSkippedCount(skippedRows);
+  // Changing a delimiter / decimal / column override re-parses the current file;
+  // the line-total policy covers the whole merged dataset, so it re-parses
+  // every other file too (with the settings each was parsed with)
+  const updateImportSetting = (field, value) => {
+    const next = { ...importSettings, [field]: value };
+    // Column indices are meaningless once the delimiter, text format, profile,
+    // sheet or JSON records change
+    if (['delimiter', 'textFormat', 'profile', 'sheet', 'recordsPath'].includes(field)) next.mapping = null;
+    setImportSettings(next);
+    if (['healingPolicy', 'healingTolerance'].includes(field)) {
+      uploadedFilesRef.current
+        .filter(f => f.id !== activeFileId && f.settings)
+        .forEach(f => enqueueParse(f.id, { ...f.settings, [field]: value }));
+    }
+    if (activeFileId) enqueueParse(activeFileId, next);
+  };
 
-        setPartsData(parts);
-        analyzeTiers(parts);
-      } catch (err) {
-        console.error('CSV parsing error:', err);
-        setError('Error parsing CSV file. Please ensure it is properly formatted. Tip: Try re-exporting from your POS system.');
-      }
-    };
-    reader.readAsText(file);
+  // Remove files from the dataset; the settings and diagnostics move to the last file left
+  const removeUploadedFiles = (ids) => {
+    if (ids.includes(activeFileId) && parseJobRef.current) {
+      parseJobRef.current.cancel();
+      parseJobRef.current = null;
+      setParseProgress(null);
+    }
+    ids.forEach(id => fileByIdRef.current.delete(id));
+    updateUploadedFiles(files => files.filter(f => !ids.includes(f.id)));
+    if (ids.includes(activeFileId)) {
+      const fallback = uploadedFilesRef.current.filter(f => f.status !== 'pending').at(-1);
+      setActiveFileId(fallback?.id ?? null);
+      showFileResult(fallback?.name ?? '', fallback?.result ?? null);
+      if (fallback?.status === 'error' && !fallback.result) setError(fallback.error);
+    }
+  };
+
+  // Cancel the in-flight parse and drop every file not parsed yet
+  const cancelParse = () => {
+    removeUploadedFiles(uploadedFilesRef.current.filter(f => f.status === 'pending').map(f => f.id));
+  };
+
+  // Reassign one field of the column mapping (index -1 = not present)
+  const updateColumnMapping = (fieldKey, columnIndex) => {
+    updateImportSetting('mapping', { ...columnInfo.mapping, [fieldKey]: columnIndex });
+  };
+
+  // Save the confirmed column mapping as a reusable import profile
+  const saveImportProfile = () => {
+    const name = window.prompt('Profile name', fileName.replace(/\.[^.]+$/, ''));
+    if (!name || !name.trim()) return;
+    const profile = createCustomProfile({
+      name,
+      headers: columnInfo.headers,
+      mapping: columnInfo.mapping,
+      dialect: detectedDialect,
+      headerIndex: columnInfo.headerIndex,
+    });
+    setCustomProfiles(prev => [...prev, profile]);
+    setImportSettings(prev => ({ ...prev, profile: profile.id }));
+    setDetectedProfile({ id: profile.id, name: profile.name });
   };
 
-  // Analyze parts by tier — delegates to pure module-level computeTierAnalysis
+  // Delete the selected custom profile and fall back to auto-detection
+  const deleteImportProfile = (id) => {
+    setCustomProfiles(prev => prev.filter(p => p.id !== id));
+    updateImportSetting('profile', 'auto');
+  };
+
+  const readyFileCount = uploadedFiles.filter(f => f.status === 'ready').length;
+
+  // Parts of the file the diagnostics describe (partsData merges every file)
+  const activeParts = uploadedFiles.find(f => f.id === activeFileId)?.result?.parts;
+
+  // Diagnostics entries: rejected rows, excluded totals and accepted returns
+  // and core lines, in file order, with counts per code and the filtered entries
+  const diagnosticEntries = React.useMemo(() => {
+    const classified = (activeParts || [])
+      .filter(part => part.rowType && part.rowType !== ROW_TYPES.SALE)
+      .map(part => ({
+        line: part.line,
+        raw: '',
+        reason: part.rowType,
+        detail: `${[part.partNumber, part.description].filter(Boolean).join(' — ') || 'Line item'}: qty ${part.qty}, retail ${formatCurrency(part.totalRetail)}`,
+      }));
+    return [...rejectedRows, ...summaryRows, ...classified].sort((a, b) => a.line - b.line);
+  }, [rejectedRows, summaryRows, activeParts]);
+  const diagnosticCounts = React.useMemo(() => countByReason(diagnosticEntries), [diagnosticEntries]);
+  const rowTypeCounts = React.useMemo(() => countByRowType(activeParts || []), [activeParts]);
+  const pageBreakCount = diagnosticCounts[SUMMARY_REASONS.PAGE_BREAK] || 0;
+  const totalRowCount = summaryRows.length - pageBreakCount;
+  const visibleDiagnostics = React.useMemo(() => (
+    diagnosticsFilter === 'all' ? diagnosticEntries : diagnosticEntries.filter(row => row.reason === diagnosticsFilter)
+  ), [diagnosticEntries, diagnosticsFilter]);
+
+  // Reported totals the parser replaced, flattened for the audit table
+  const healingOverrides = React.useMemo(() => (
+    (activeParts || []).flatMap(part => (part.healing || []).map(override => ({ ...override, line: part.line })))
+  ), [activeParts]);
+
+  // Commit a new JSON records path once the input loses focus
+  const commitRecordsPath = (value) => {
+    const path = value.trim();
+    if (path === (jsonInfo?.recordsPath ?? '')) return;
+    updateImportSetting('recordsPath', path);
+  };
+
+  // Commit a new tolerance (%) once the input loses focus
+  const commitHealingTolerance = (value) => {
+    const tolerance = parseFloat(value);
+    if (isNaN(tolerance) || tolerance <= 0 || tolerance === importSettings.healingTolerance) return;
+    updateImportSetting('healingTolerance', tolerance);
+  };
+
+  // Download saved matrix data that failed validation, so it can be repaired
+  const downloadStorageBackup = () => {
+    const blob = new Blob([storageReport.raw], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'matrix-library-backup.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Download the diagnostics so the export can be fixed at the source
+  const downloadDiagnostics = () => {
+    const blob = new Blob([rejectedRowsToCSV(diagnosticEntries)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName.replace(/\.[^.]+$/, '') || 'import'}-import-diagnostics.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Analyze parts by tier — delegates to the pure computeTierAnalysis in pricingUtils
   // Bug 17: Dedup logic — each part assigned to the FIRST matching tier only
   const analyzeTiers = (parts) => {
-    setTierAnalysis(computeTierAnalysis(parts, matrix));
+    const currentMatrix = matrixRef.current;
+    setTierAnalysis(computeTierAnalysis(selectAnalysisParts(parts, analysisOptionsRef.current, currentMatrix), currentMatrix));
   };
 
   // Bug 16: Re-run tier analysis when matrix changes and parts data exists
   useEffect(() => {
     if (partsDataRef.current.length > 0) {
-      setTierAnalysis(computeTierAnalysis(partsDataRef.current, matrix));
+      setTierAnalysis(computeTierAnalysis(selectAnalysisParts(partsDataRef.current, analysisOptionsRef.current, matrix), matrix));
     }
   }, [matrix]);
 
+  // Change how parts are prepared for the analysis and re-run it
+  const updateAnalysisOption = (field, value) => {
+    const next = { ...analysisOptionsRef.current, [field]: value };
+    analysisOptionsRef.current = next;
+    setAnalysisOptions(next);
+    if (partsData.length > 0) analyzeTiers(partsData);
+  };
+
+  // Parts as the tier analysis sees them, and their distinct parts and sale lines
+  const analysisParts = React.useMemo(
+    () => selectAnalysisParts(partsData, analysisOptions, matrix),
+    [partsData, analysisOptions, matrix],
+  );
+  const partTotals = React.useMemo(() => countPartsAndLines(analysisParts), [analysisParts]);
+
+  // Suggested tiers for the analysed parts, with their tier analysis as a preview
+  const suggestion = React.useMemo(() => {
+    if (!showSuggest || analysisParts.length === 0) return null;
+    const tiers = suggestMatrix(analysisParts, matrix, suggestSettings);
+    return { tiers, analysis: computeTierAnalysis(analysisParts, tiers) };
+  }, [showSuggest, analysisParts, matrix, suggestSettings]);
+
+  // Breakpoint suggestions: open with the current tier count, then apply the preview
+  const toggleSuggest = () => {
+    if (!showSuggest) setSuggestSettings(prev => ({ ...prev, tierCount: Math.max(matrix.length, MIN_SUGGESTED_TIERS) }));
+    setShowSuggest(v => !v);
+  };
+
+  const applySuggestion = (asNewMatrix) => {
+    const label = BREAKPOINT_METHOD_LABELS[suggestSettings.method];
+    if (asNewMatrix) {
+      const name = window.prompt('Matrix name', `${label} (${suggestion.tiers.length} tiers)`);
+      if (!name || !name.trim()) return;
+      setMatrixLibrary(prev => addMatrix(prev, name, suggestion.tiers, { notes: `Breakpoints suggested from sales data (${label.toLowerCase()})` }));
+    } else {
+      setMatrix(suggestion.tiers);
+    }
+    clearResults();
+    setShowSuggest(false);
+  };
+
+  // Lines the exclusion rules remove, and what each rule took out
+  const exclusionSummary = React.useMemo(
+    () => applyExclusionRules(partsData, analysisOptions.exclusionRules),
+    [partsData, analysisOptions.exclusionRules],
+  );
+  const excludedRowCount = partsData.length - exclusionSummary.parts.length;
+  const excludedRevenue = exclusionSummary.removed.reduce((sum, r) => sum + r.revenue, 0);
+
+  // Suspicious rows (retail below cost, extreme multipliers, repeats, huge qty)
+  // among the lines the matrix prices
+  const qualityReport = React.useMemo(
+    () => checkDataQuality(exclusionSummary.parts, matrix),
+    [exclusionSummary, matrix],
+  );
+  const hasPartNumbers = React.useMemo(() => partsData.some(p => p.partNumber), [partsData]);
+
+  // Invoice dates in the data, and the rows the chosen range keeps
+  const dateSpan = React.useMemo(() => getDateSpan(partsData), [partsData]);
+  const rowsInDateRange = React.useMemo(
+    () => filterByDateRange(partsData, analysisOptions.dateRange).length,
+    [partsData, analysisOptions.dateRange],
+  );
+  const dateRangeLabel = describeDateRange(analysisOptions.dateRange, dateSpan);
+
+  // Add the drafted exclusion rule (ignored when empty or already present)
+  const addExclusionRule = () => {
+    const value = ruleDraft.value.trim();
+    if (!value) return;
+    const rules = analysisOptions.exclusionRules;
+    const exists = rules.some(r => r.field === ruleDraft.field && r.value.toLowerCase() === value.toLowerCase());
+    if (!exists) updateAnalysisOption('exclusionRules', [...rules, createExclusionRule(ruleDraft.field, value)]);
+    setRuleDraft(prev => ({ ...prev, value: '' }));
+  };
+
+  const removeExclusionRule = (id) => {
+    updateAnalysisOption('exclusionRules', analysisOptions.exclusionRules.filter(r => r.id !== id));
+  };
+
+  // Set one end of the date range ('' from a date input clears it)
+  const updateDateRange = (field, value) => {
+    updateAnalysisOption('dateRange', { ...analysisOptions.dateRange, [field]: value || null });
+  };
+
   // Calculate optimization recommendations - WITH TARGET ENFORCER
   // overrideLockedTiers: Optional parameter to bypass async state issues
   const calculateRecommendations = (overrideLockedTiers = null, overrideOriginalTarget = undefined) => {
@@ -683,6 +1138,40 @@ export default function PriceMatrixOptimizer() {
     setTimeout(() => { isResettingRef.current = false; }, 0);
   };
 
+  // Undo / redo: restore the state recorded in a history entry
+  const restoreEdit = (nextHistory) => {
+    if (nextHistory === editHistory) return;
+    const { state } = nextHistory.entries[nextHistory.index];
+    setEditHistory(nextHistory);
+    setMatrixLibrary(prev => selectMatrix(updateMatrix(prev, state.matrixId, { tiers: state.tiers }), state.matrixId));
+    setLockedTiers(state.lockedTiers);
+    setOriginalTargetProfit(state.originalTargetProfit);
+    setTargetType(state.targetType);
+    setTargetIncrease(state.targetIncrease);
+    setRecommendations(state.recommendations);
+    if (step === 4 && !state.recommendations) setStep(3);
+  };
+  const undo = () => restoreEdit(undoEdit(editHistory));
+  const redo = () => restoreEdit(redoEdit(editHistory));
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
   // Chart colors
   const COLORS = ['#0ea5e9', '#22c55e', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'];
 
@@ -698,7 +1187,7 @@ export default function PriceMatrixOptimizer() {
     const headers = ['Min Cost', 'Max Cost', 'Current Multiplier', 'New Multiplier', 'Current GP%', 'New GP%', 'Change'];
     const rows = recommendations.tiers.map(tier => [
       tier.minCost.toFixed(2),
-      tier.maxCost === 999999 ? 'Maximum' : tier.maxCost.toFixed(2),
+      tier.maxCost === OPEN_ENDED_MAX_COST ? 'Maximum' : tier.maxCost.toFixed(2),
       tier.multiplier.toFixed(2),
       tier.newMultiplier.toFixed(2),
       tier.grossProfit.toFixed(1),
@@ -708,7 +1197,9 @@ export default function PriceMatrixOptimizer() {
     
     const csvContent = [
       '# Price Matrix Optimization Report',
+      `# Matrix: ${activeMatrix.name}`,
       `# Generated: ${new Date().toLocaleDateString()}`,
+      `# Date Range: ${dateRangeLabel}`,
       `# Current Profit: ${formatCurrency(recommendations.currentProfit)}`,
       `# Projected Profit: ${formatCurrency(recommendations.projectedProfit)}`,
       `# Increase: ${formatPercent(recommendations.percentIncrease)}`,
@@ -740,9 +1231,12 @@ export default function PriceMatrixOptimizer() {
                     PRICE MATRIX OPTIMIZATION REPORT
 ════════════════════════════════════════════════════════════════
 
+Matrix: ${activeMatrix.name}
 Generated: ${new Date().toLocaleString()}
-Data Source: ${fileName || 'Uploaded CSV'}
-Parts Analyzed: ${partsData.length}
+Date Range: ${dateRangeLabel}
+Data Source: ${uploadedFiles.filter(f => f.status === 'ready').map(f => f.name).join(', ') || 'Uploaded CSV'}
+Parts Analyzed: ${partTotals.distinctPartCount} distinct (${partTotals.lineCount} sales lines)
+Excluded by Rules: ${excludedRowCount > 0 ? `${excludedRowCount} lines (${formatCurrency(excludedRevenue)} revenue)` : 'None'}
 
 ────────────────────────────────────────────────────────────────
                          FINANCIAL SUMMARY
@@ -759,11 +1253,11 @@ Parts Analyzed: ${partsData.length}
 ────────────────────────────────────────────────────────────────
 
 ${recommendations.tiers.map(tier => `
-  Cost Range: $${tier.minCost.toFixed(2)} - ${tier.maxCost === 999999 ? 'Maximum' : '$' + tier.maxCost.toFixed(2)}
+  Cost Range: $${tier.minCost.toFixed(2)} - ${tier.maxCost === OPEN_ENDED_MAX_COST ? 'Maximum' : '$' + tier.maxCost.toFixed(2)}
   ├─ Current:     ${tier.multiplier.toFixed(2)}x  (${tier.grossProfit.toFixed(1)}% GP)
   ├─ Recommended: ${tier.newMultiplier.toFixed(2)}x  (${tier.newGrossProfit.toFixed(1)}% GP)
   ├─ Change:      ${tier.multiplierChange > 0 ? '+' : ''}${tier.multiplierChange.toFixed(2)}x
-  └─ Parts in tier: ${tier.partCount} (${tier.revenueShare.toFixed(1)}% of revenue)
+  └─ Parts in tier: ${tier.distinctPartCount} distinct, ${tier.lineCount} lines (${tier.revenueShare.toFixed(1)}% of revenue)
 `).join('')}
 ────────────────────────────────────────────────────────────────
                       QUICK REFERENCE TABLE
@@ -772,7 +1266,7 @@ ${recommendations.tiers.map(tier => `
   COST RANGE              MULTIPLIER    GROSS PROFIT %
   ─────────────────────────────────────────────────────
 ${recommendations.tiers.map(tier => 
-  `  $${tier.minCost.toFixed(2).padEnd(8)} - ${(tier.maxCost === 999999 ? 'Max' : '$' + tier.maxCost.toFixed(2)).padEnd(10)}    ${tier.newMultiplier.toFixed(2)}x          ${tier.newGrossProfit.toFixed(1)}%`
+  `  $${tier.minCost.toFixed(2).padEnd(8)} - ${(tier.maxCost === OPEN_ENDED_MAX_COST ? 'Max' : '$' + tier.maxCost.toFixed(2)).padEnd(10)}    ${tier.newMultiplier.toFixed(2)}x          ${tier.newGrossProfit.toFixed(1)}%`
 ).join('\n')}
 
 ════════════════════════════════════════════════════════════════
@@ -799,10 +1293,10 @@ ${recommendations.tiers.map(tier =>
     if (!recommendations) return;
 
     const tableText = recommendations.tiers.map(tier =>
-      `$${tier.minCost.toFixed(2)}-${tier.maxCost === 999999 ? 'Max' : '$' + tier.maxCost.toFixed(2)}\t${tier.newMultiplier.toFixed(2)}\t${tier.newGrossProfit.toFixed(1)}%`
+      `$${tier.minCost.toFixed(2)}-${tier.maxCost === OPEN_ENDED_MAX_COST ? 'Max' : '$' + tier.maxCost.toFixed(2)}\t${tier.newMultiplier.toFixed(2)}\t${tier.newGrossProfit.toFixed(1)}%`
     ).join('\n');
 
-    const header = 'Cost Range\tMultiplier\tGross Profit %\n';
+    const header = `Date range: ${dateRangeLabel}\nCost Range\tMultiplier\tGross Profit %\n`;
     navigator.clipboard.writeText(header + tableText);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
@@ -822,15 +1316,74 @@ ${recommendations.tiers.map(tier =>
             </div>
           </div>
 
-          {/* Trial Mode Badge */}
-          {IS_TRIAL_MODE && (
-            <div className="flex items-center gap-2 px-3 py-1.5 bg-amber-500/10 border border-amber-500/30 rounded-lg">
-              <div className="w-1.5 h-1.5 bg-amber-400 rounded-full animate-pulse"></div>
-              <span className="text-amber-400 text-xs font-medium">Demo Mode</span>
-            </div>
-          )}
+          <div className="flex items-center gap-2">
+            {/* Undo / Redo and the edit history */}
+            <button
+              onClick={undo}
+              disabled={!canUndo(editHistory)}
+              title="Undo (Ctrl+Z)"
+              className="px-3 py-1.5 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-xs disabled:opacity-30"
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={redo}
+              disabled={!canRedo(editHistory)}
+              title="Redo (Ctrl+Shift+Z)"
+              className="px-3 py-1.5 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-xs disabled:opacity-30"
+            >
+              Redo ↷
+            </button>
+            <button
+              onClick={() => setShowHistory(v => !v)}
+              aria-expanded={showHistory}
+              className={`px-3 py-1.5 rounded-lg transition-colors text-xs ${
+                showHistory ? 'bg-emerald-500/20 text-emerald-400' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+              }`}
+            >
+              History ({editHistory.entries.length - 1})
+            </button>
+
+            {/* Trial Mode Badge */}
+            {IS_TRIAL_MODE && (
+              <div className="flex items-center gap-2 px-3 py-1.5 bg-amber-500/10 border border-amber-500/30 rounded-lg">
+                <div className="w-1.5 h-1.5 bg-amber-400 rounded-full animate-pulse"></div>
+                <span className="text-amber-400 text-xs font-medium">Demo Mode</span>
+              </div>
+            )}
+          </div>
         </div>
 
+        {/* Edit history: newest first; click an entry to go back (or forward) to it */}
+        {showHistory && (
+          <div className="mb-6 bg-slate-900 rounded-2xl p-4 border border-slate-800">
+            <div className="flex items-center justify-between mb-2">
+              <div className="text-slate-300 text-sm font-semibold">Edit History · {activeMatrix.name}</div>
+              <div className="text-slate-500 text-xs">Matrix edits, result overrides and target changes</div>
+            </div>
+            <ol aria-label="Edit history" className="max-h-64 overflow-y-auto space-y-1">
+              {editHistory.entries.map((entry, idx) => ({ entry, idx })).reverse().map(({ entry, idx }) => (
+                <li key={entry.id}>
+                  <button
+                    onClick={() => restoreEdit(jumpToEdit(editHistory, idx))}
+                    aria-current={idx === editHistory.index ? 'step' : undefined}
+                    className={`w-full flex items-center justify-between gap-3 px-3 py-1.5 rounded-lg text-left text-sm transition-colors ${
+                      idx === editHistory.index
+                        ? 'bg-emerald-500/20 text-emerald-400'
+                        : idx > editHistory.index
+                        ? 'text-slate-600 hover:bg-slate-800'
+                        : 'text-slate-300 hover:bg-slate-800'
+                    }`}
+                  >
+                    <span>{entry.label}</span>
+                    <span className="text-xs text-slate-500 flex-shrink-0">{new Date(entry.at).toLocaleTimeString()}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
         {/* Progress Steps - Minimal Design */}
         <div className="flex items-center gap-2 overflow-x-auto pb-2">
           {['Matrix Setup', 'Upload Data', 'Set Target', 'Results'].map((label, idx) => (
@@ -861,18 +1414,141 @@ ${recommendations.tiers.map(tier =>
       </div>
 
       <div className="max-w-6xl mx-auto">
+        {/* Saved matrices that failed validation: what was dropped and why, with the original data */}
+        {storageReport && (
+          <div className="mb-6 p-4 bg-red-500/10 border border-red-500/30 rounded-xl" role="alert">
+            <div className="text-red-400 text-sm font-semibold mb-1">⚠️ Saved matrices could not be fully loaded</div>
+            <div className="text-red-300 text-sm">
+              {storageReport.loadedCount > 0
+                ? `Loaded ${storageReport.loadedCount} saved ${storageReport.loadedCount === 1 ? 'matrix' : 'matrices'}; left out: ${storageReport.droppedMatrices.join(', ')}.`
+                : 'None of the saved matrices could be loaded, so the default matrix is shown.'}
+              {' '}The original data is kept as a backup (matrixLibraryBackup in browser storage); download it to repair a matrix and bring it back with Import.
+            </div>
+            <ul className="mt-2 space-y-0.5 text-xs font-mono text-red-300/80">
+              {storageReport.issues.slice(0, 8).map((issue, i) => (
+                <li key={i}>{issue.path ? `${issue.path}: ` : ''}{issue.message}</li>
+              ))}
+              {storageReport.issues.length > 8 && <li>…and {storageReport.issues.length - 8} more</li>}
+            </ul>
+            <div className="flex gap-2 mt-3">
+              <button
+                onClick={downloadStorageBackup}
+                className="px-4 py-2 bg-red-500/20 text-red-300 rounded-lg hover:bg-red-500/30 transition-colors text-sm"
+              >
+                Download Backup
+              </button>
+              <button
+                onClick={() => setStorageReport(null)}
+                className="px-4 py-2 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-sm"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Step 1: Matrix Setup */}
         {step === 1 && (
           <div className="space-y-6">
+            {/* Matrix Library: named matrices with their own metadata */}
+            <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-white">Matrix Library</h2>
+                  <p className="text-slate-500 text-xs mt-1">
+                    {matrixLibrary.matrices.length} saved {matrixLibrary.matrices.length === 1 ? 'matrix' : 'matrices'} — the analysis and recommendations use the selected one
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    aria-label="Matrix"
+                    value={matrixLibrary.activeId}
+                    onChange={(e) => switchMatrix(e.target.value)}
+                    className="bg-slate-800 rounded-lg px-3 py-2 text-sm text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                  >
+                    {matrixLibrary.matrices.map(m => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={createMatrix}
+                    className="px-3 py-2 bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors text-sm"
+                  >
+                    New
+                  </button>
+                  <button
+                    onClick={duplicateActiveMatrix}
+                    className="px-3 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-sm"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={renameActiveMatrix}
+                    className="px-3 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-sm"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={deleteActiveMatrix}
+                    disabled={matrixLibrary.matrices.length <= 1}
+                    className="px-3 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-red-500/20 hover:text-red-400 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                <label className="flex flex-col gap-1 text-slate-400">
+                  Author
+                  <input
+                    key={`author-${activeMatrix.id}`}
+                    type="text"
+                    aria-label="Author"
+                    defaultValue={activeMatrix.author}
+                    onBlur={(e) => updateMatrixDetails('author', e.target.value)}
+                    className="bg-slate-800 rounded-lg px-3 py-2 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                  />
+                </label>
+                <label className="flex flex-col gap-1 text-slate-400 md:col-span-2">
+                  Notes
+                  <textarea
+                    key={`notes-${activeMatrix.id}`}
+                    aria-label="Notes"
+                    rows={2}
+                    defaultValue={activeMatrix.notes}
+                    onBlur={(e) => updateMatrixDetails('notes', e.target.value)}
+                    className="bg-slate-800 rounded-lg px-3 py-2 text-white outline-none focus:ring-2 focus:ring-emerald-500 resize-y"
+                  />
+                </label>
+              </div>
+              <p className="text-slate-500 text-xs mt-3">
+                Last modified {new Date(activeMatrix.updatedAt).toLocaleString()}
+              </p>
+            </div>
+
             <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
               <div className="flex items-center justify-between mb-4">
                 <div>
                   <h2 className="text-lg font-semibold text-white">Your Price Matrix</h2>
                   <p className="text-slate-500 text-xs mt-1">
-                    Auto-saved to browser
+                    {activeMatrix.name} · auto-saved to browser
                   </p>
                 </div>
                 <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => (showMatrixImport ? closeMatrixImport() : setShowMatrixImport(true))}
+                    className="px-3 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-sm"
+                  >
+                    Import
+                  </button>
+                  <button
+                    onClick={toggleSuggest}
+                    className={`px-3 py-2 rounded-lg transition-colors text-sm ${
+                      showSuggest ? 'bg-emerald-500/20 text-emerald-400' : 'bg-slate-800 text-slate-400 hover:bg-slate-700 hover:text-slate-300'
+                    }`}
+                  >
+                    Suggest
+                  </button>
                   <button
                     onClick={() => {
                       if (window.confirm('Reset matrix to default values? This cannot be undone.')) {
@@ -892,7 +1568,222 @@ ${recommendations.tiers.map(tier =>
                   </button>
                 </div>
               </div>
-              
+
+              {/* Matrix import: parse a file or pasted table, preview the differences, then replace */}
+              {showMatrixImport && (
+                <div className="mb-6 p-4 bg-slate-800/50 rounded-xl border border-slate-700">
+                  <p className="text-slate-400 text-sm mb-3">
+                    Import tiers from a CSV, TSV or JSON file — including a matrix exported from this tool — or paste a table copied from a spreadsheet. It needs Min Cost, Max Cost and Multiplier or GP% columns; "Maximum" or an empty Max Cost marks the top tier.
+                  </p>
+                  <div className="flex flex-wrap items-start gap-3">
+                    <label className="inline-block">
+                      <input
+                        type="file"
+                        accept=".csv,.tsv,.txt,.json"
+                        aria-label="Matrix file"
+                        onChange={handleMatrixFile}
+                        className="hidden"
+                      />
+                      <span className="inline-flex items-center px-4 py-2 bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors cursor-pointer text-sm">
+                        Choose Matrix File
+                      </span>
+                    </label>
+                    <textarea
+                      aria-label="Matrix table"
+                      rows={3}
+                      value={matrixPaste}
+                      onChange={(e) => setMatrixPaste(e.target.value)}
+                      placeholder="…or paste a table here"
+                      className="flex-1 min-w-[16rem] bg-slate-800 rounded-lg px-3 py-2 text-sm text-white font-mono outline-none focus:ring-2 focus:ring-emerald-500"
+                    />
+                    <button
+                      onClick={previewPastedMatrix}
+                      disabled={!matrixPaste.trim()}
+                      className="px-4 py-2 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Preview
+                    </button>
+                  </div>
+
+                  {matrixImport && (
+                    <div className="mt-4">
+                      <div className="text-slate-300 text-sm font-semibold mb-2">Preview: {matrixImport.source}</div>
+                      {matrixImport.result.error && (
+                        <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-lg text-red-400 text-sm">
+                          {matrixImport.result.error}
+                        </div>
+                      )}
+                      {matrixImport.result.rowErrors.length > 0 && (
+                        <div className="mb-2 text-amber-300 text-xs">
+                          {matrixImport.result.rowErrors.map(e => (
+                            <div key={e.line}>Line {e.line} skipped: {e.message}</div>
+                          ))}
+                        </div>
+                      )}
+                      {matrixImport.result.rangeIssues.length > 0 && (
+                        <div className="mb-2 text-amber-300 text-xs">
+                          {matrixImport.result.rangeIssues.map((issue, i) => (
+                            <div key={i}>
+                              {issue.type === 'gap' ? 'Gap' : 'Overlap'} between Tier {issue.from} and Tier {issue.to}: {issue.range}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                      {!matrixImport.result.error && (
+                        <>
+                          <table className="w-full text-sm" aria-label="Matrix changes">
+                            <thead>
+                              <tr className="text-slate-400">
+                                <th className="text-left pb-2 px-2">Tier</th>
+                                <th className="text-left pb-2 px-2">Current</th>
+                                <th className="text-left pb-2 px-2">Imported</th>
+                                <th className="text-left pb-2 px-2">Change</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {matrixImportDiff.map(row => (
+                                <tr key={row.tier} className="border-t border-slate-700">
+                                  <td className="py-2 px-2 text-slate-400">{row.tier}</td>
+                                  {[row.before, row.after].map((tier, i) => (
+                                    <td key={i} className="py-2 px-2 text-slate-300 font-mono">
+                                      {tier
+                                        ? `$${tier.minCost.toFixed(2)} – ${tier.maxCost === OPEN_ENDED_MAX_COST ? 'Max' : '$' + tier.maxCost.toFixed(2)} · ${tier.multiplier.toFixed(2)}×`
+                                        : '—'}
+                                    </td>
+                                  ))}
+                                  <td className={`py-2 px-2 ${{ added: 'text-emerald-400', removed: 'text-red-400', changed: 'text-amber-400' }[row.status] || 'text-slate-500'}`}>
+                                    {row.status === 'changed'
+                                      ? `Changed ${row.changes.join(' and ')}`
+                                      : row.status.charAt(0).toUpperCase() + row.status.slice(1)}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          <div className="flex flex-wrap gap-2 mt-3">
+                            <button
+                              onClick={() => applyMatrixImport(false)}
+                              className="px-4 py-2 bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors text-sm"
+                            >
+                              Replace "{activeMatrix.name}"
+                            </button>
+                            <button
+                              onClick={() => applyMatrixImport(true)}
+                              className="px-4 py-2 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-sm"
+                            >
+                              Save as New Matrix
+                            </button>
+                            <button
+                              onClick={closeMatrixImport}
+                              className="px-4 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-sm"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Suggested breakpoints: previewed with the tier analysis before replacing the matrix */}
+              {showSuggest && (
+                <div className="mb-6 p-4 bg-slate-800/50 rounded-xl border border-slate-700">
+                  <p className="text-slate-400 text-sm mb-3">
+                    Suggest tier boundaries that fit your parts mix, from the unit costs of the uploaded sales. Multipliers follow the current matrix, averaged over each new tier's parts.
+                  </p>
+                  {analysisParts.length === 0 ? (
+                    <div className="text-slate-500 text-sm">Upload sales data (step 2) to get suggestions.</div>
+                  ) : (
+                    <>
+                      <div className="flex flex-wrap items-end gap-3 mb-4">
+                        <label className="text-slate-400 text-xs">
+                          Method
+                          <select
+                            aria-label="Method"
+                            value={suggestSettings.method}
+                            onChange={(e) => setSuggestSettings(prev => ({ ...prev, method: e.target.value }))}
+                            className="block mt-1 bg-slate-800 rounded-lg px-3 py-2 text-sm text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                          >
+                            {Object.values(BREAKPOINT_METHODS).map(method => (
+                              <option key={method} value={method}>{BREAKPOINT_METHOD_LABELS[method]}</option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="text-slate-400 text-xs">
+                          Tiers
+                          <select
+                            aria-label="Tiers"
+                            value={suggestSettings.tierCount}
+                            onChange={(e) => setSuggestSettings(prev => ({ ...prev, tierCount: Number(e.target.value) }))}
+                            className="block mt-1 bg-slate-800 rounded-lg px-3 py-2 text-sm text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                          >
+                            {Array.from({ length: MAX_SUGGESTED_TIERS - MIN_SUGGESTED_TIERS + 1 }, (_, i) => i + MIN_SUGGESTED_TIERS).map(n => (
+                              <option key={n} value={n}>{n}</option>
+                            ))}
+                          </select>
+                        </label>
+                      </div>
+
+                      {suggestion.tiers.length < suggestSettings.tierCount && (
+                        <div className="text-amber-400 text-xs mb-2">
+                          The unit costs only support {suggestion.tiers.length} {suggestion.tiers.length === 1 ? 'tier' : 'tiers'} with this method.
+                        </div>
+                      )}
+                      <table className="w-full text-sm" aria-label="Suggested tiers">
+                        <thead>
+                          <tr className="text-slate-400">
+                            <th className="text-left pb-2 px-2">Tier</th>
+                            <th className="text-left pb-2 px-2">Cost Range</th>
+                            <th className="text-right pb-2 px-2">Multiplier</th>
+                            <th className="text-right pb-2 px-2">Parts</th>
+                            <th className="text-right pb-2 px-2">Revenue</th>
+                            <th className="text-right pb-2 px-2">Share</th>
+                            <th className="text-right pb-2 px-2">Margin</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {suggestion.analysis.map((tier, idx) => (
+                            <tr key={tier.id} className="border-t border-slate-700 text-slate-300">
+                              <td className="py-2 px-2 text-slate-400">{idx + 1}</td>
+                              <td className="py-2 px-2 font-mono">
+                                ${tier.minCost.toFixed(2)} – {tier.maxCost === OPEN_ENDED_MAX_COST ? 'Max' : `$${tier.maxCost.toFixed(2)}`}
+                              </td>
+                              <td className="py-2 px-2 text-right">{tier.multiplier.toFixed(2)}×</td>
+                              <td className="py-2 px-2 text-right">{tier.partCount}</td>
+                              <td className="py-2 px-2 text-right">{formatCurrency(tier.totalRetail)}</td>
+                              <td className="py-2 px-2 text-right">{formatPercent(tier.revenueShare)}</td>
+                              <td className="py-2 px-2 text-right">{formatPercent(tier.currentMargin)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div className="flex flex-wrap gap-2 mt-3">
+                        <button
+                          onClick={() => applySuggestion(false)}
+                          className="px-4 py-2 bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors text-sm"
+                        >
+                          Apply to "{activeMatrix.name}"
+                        </button>
+                        <button
+                          onClick={() => applySuggestion(true)}
+                          className="px-4 py-2 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-sm"
+                        >
+                          Save as New Matrix
+                        </button>
+                        <button
+                          onClick={() => setShowSuggest(false)}
+                          className="px-4 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+
               <div className="overflow-x-auto">
                 <table className="w-full">
                   <thead>
@@ -905,8 +1796,9 @@ ${recommendations.tiers.map(tier =>
                     </tr>
                   </thead>
                   <tbody>
+                    {/* Keyed by matrix too, so the defaultValue inputs remount when another matrix is selected */}
                     {matrix.map((tier) => (
-                      <tr key={tier.id} className="border-t border-slate-800">
+                      <tr key={`${activeMatrix.id}-${tier.id}`} className="border-t border-slate-800">
                         <td className="py-3 px-2">
                           <div className="flex items-center gap-2">
                             <input
@@ -919,9 +1811,9 @@ ${recommendations.tiers.map(tier =>
                             <span className="text-slate-500">to</span>
                             <input
                               type="number"
-                              value={tier.maxCost === 999999 ? '' : tier.maxCost}
+                              value={tier.maxCost === OPEN_ENDED_MAX_COST ? '' : tier.maxCost}
                               placeholder="Max"
-                              onChange={(e) => updateTier(tier.id, 'maxCost', e.target.value || 999999)}
+                              onChange={(e) => updateTier(tier.id, 'maxCost', e.target.value || OPEN_ENDED_MAX_COST)}
                               onBlur={() => handleMaxCostBlur(tier.id)}
                               className="w-24 bg-slate-800 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-emerald-500 outline-none"
                               step="0.01"
@@ -1014,26 +1906,250 @@ ${recommendations.tiers.map(tier =>
               <div className="text-center">
                 <h2 className="text-base font-semibold text-white mb-2">Upload Parts Sales Data</h2>
                 <p className="text-slate-400 text-sm mb-6 max-w-md mx-auto">
-                  Upload a CSV file with your parts sales data. Must include a "Unit Cost" column.
+                  Upload one or more CSV, Excel (.xlsx), JSON / NDJSON or fixed-width text report files with your parts sales data — one per month or location is fine; they are merged and repeated rows removed. Must include a "Unit Cost" column.
                   <span className="block text-slate-500 text-xs mt-1">Supports formatted values like $1,234.56</span>
                 </p>
                 
                 <label className="inline-block">
                   <input
                     type="file"
-                    accept=".csv"
+                    accept=".csv,.txt,.prn,.xlsx,.json,.ndjson,.jsonl"
+                    multiple
                     onChange={handleFileUpload}
                     className="hidden"
                   />
                   <span className="inline-flex items-center gap-2 px-6 py-3 bg-emerald-500/20 text-emerald-400 rounded-xl hover:bg-emerald-500/30 transition-colors cursor-pointer font-medium">
-                    Choose CSV File
+                    {uploadedFiles.length > 0 ? 'Add More Files' : 'Choose CSV, Excel or JSON Files'}
                   </span>
                 </label>
+
+                <div className="mt-4 flex flex-wrap items-center justify-center gap-3 text-xs text-slate-400">
+                  {workbookInfo && (
+                    <label className="flex items-center gap-2">
+                      Sheet
+                      <select
+                        aria-label="Sheet"
+                        value={workbookInfo.sheet ?? ''}
+                        onChange={(e) => updateImportSetting('sheet', e.target.value)}
+                        className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                      >
+                        {workbookInfo.sheetNames.map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {jsonInfo?.format === 'json' && (
+                    <label className="flex items-center gap-2">
+                      Records at
+                      <input
+                        key={jsonInfo.recordsPath}
+                        type="text"
+                        aria-label="Records path"
+                        placeholder="top level"
+                        defaultValue={jsonInfo.recordsPath}
+                        onBlur={(e) => commitRecordsPath(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        className="w-32 bg-slate-800 rounded-lg px-2 py-1 text-white font-mono outline-none focus:ring-2 focus:ring-emerald-500"
+                      />
+                    </label>
+                  )}
+                  <label className="flex items-center gap-2">
+                    Import profile
+                    <select
+                      aria-label="Import profile"
+                      value={importSettings.profile}
+                      onChange={(e) => updateImportSetting('profile', e.target.value)}
+                      className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                    >
+                      <option value="auto">Auto-detect</option>
+                      <option value="none">None (generic)</option>
+                      {BUILT_IN_PROFILES.map(p => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                      ))}
+                      {customProfiles.map(p => (
+                        <option key={p.id} value={p.id}>{p.name} (custom)</option>
+                      ))}
+                    </select>
+                  </label>
+                  {customProfiles.some(p => p.id === importSettings.profile) && (
+                    <button
+                      onClick={() => deleteImportProfile(importSettings.profile)}
+                      className="px-2 py-1 bg-slate-800 text-slate-400 rounded-lg hover:bg-red-500/20 hover:text-red-400 transition-colors"
+                    >
+                      Delete profile
+                    </button>
+                  )}
+                  {!workbookInfo && (
+                    <label className="flex items-center gap-2">
+                      Encoding
+                      <select
+                        aria-label="Encoding"
+                        value={importSettings.encoding}
+                        onChange={(e) => updateImportSetting('encoding', e.target.value)}
+                        className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                      >
+                        <option value="auto">Auto-detect</option>
+                        {Object.entries(ENCODING_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {!workbookInfo && !jsonInfo && (
+                    <label className="flex items-center gap-2">
+                      Format
+                      <select
+                        aria-label="Format"
+                        value={importSettings.textFormat}
+                        onChange={(e) => updateImportSetting('textFormat', e.target.value)}
+                        className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                      >
+                        <option value="auto">Auto-detect</option>
+                        {Object.entries(TEXT_FORMAT_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {!jsonInfo && !fixedWidthInfo && (
+                    <label className="flex items-center gap-2">
+                      Delimiter
+                      <select
+                        aria-label="Delimiter"
+                        value={importSettings.delimiter}
+                        onChange={(e) => updateImportSetting('delimiter', e.target.value)}
+                        className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                      >
+                        <option value="auto">Auto-detect</option>
+                        {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+                          <option key={label} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  <label className="flex items-center gap-2">
+                    Number format
+                    <select
+                      aria-label="Number format"
+                      value={importSettings.decimalSeparator}
+                      onChange={(e) => updateImportSetting('decimalSeparator', e.target.value)}
+                      className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                    >
+                      <option value="auto">Auto-detect</option>
+                      {Object.entries(DECIMAL_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+
+                <div className="mt-3 flex flex-wrap items-center justify-center gap-3 text-xs text-slate-400">
+                  <label className="flex items-center gap-2">
+                    Line totals
+                    <select
+                      aria-label="Line totals"
+                      value={importSettings.healingPolicy}
+                      onChange={(e) => updateImportSetting('healingPolicy', e.target.value)}
+                      className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                    >
+                      {Object.entries(HEALING_POLICY_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {importSettings.healingPolicy === HEALING_POLICIES.HEAL && (
+                    <label className="flex items-center gap-2">
+                      Tolerance %
+                      <input
+                        key={importSettings.healingTolerance}
+                        type="number"
+                        min="1"
+                        step="5"
+                        aria-label="Tolerance %"
+                        defaultValue={importSettings.healingTolerance}
+                        onBlur={(e) => commitHealingTolerance(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        className="w-16 bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                      />
+                    </label>
+                  )}
+                </div>
+
+                {detectedDialect && !parseProgress && (
+                  <div className="mt-2 text-slate-500 text-xs">
+                    {importSettings.encoding === 'auto' && importSettings.textFormat === TEXT_FORMATS.AUTO && importSettings.delimiter === 'auto' && importSettings.decimalSeparator === 'auto' ? 'Detected' : 'Using'}:{' '}
+                    {detectedProfile && `${detectedProfile.name} profile, `}
+                    {workbookInfo && `Excel sheet "${workbookInfo.sheet}"`}
+                    {jsonInfo && (jsonInfo.format === 'ndjson'
+                      ? `NDJSON, ${jsonInfo.recordCount} records`
+                      : `JSON, ${jsonInfo.recordCount} records at ${jsonInfo.recordsPath ? `"${jsonInfo.recordsPath}"` : 'the top level'}`)}
+                    {fixedWidthInfo && `Fixed-width text, ${fixedWidthInfo.columns.length} columns`}
+                    {!workbookInfo && !jsonInfo && !fixedWidthInfo && `${DELIMITER_LABELS[detectedDialect.delimiter]}-delimited`}, numbers like {DECIMAL_LABELS[detectedDialect.decimalSeparator]}
+                    {!workbookInfo && detectedEncoding && `, ${ENCODING_LABELS[detectedEncoding]} text`}
+                  </div>
+                )}
                 
-                {fileName && (
-                  <div className="mt-4 text-center text-emerald-400">
-                    <span>{fileName}</span>
-                    <span className="text-slate-500 ml-2">({partsData.length} parts loaded)</span>
+                {parseProgress && (
+                  <div className="mt-4 max-w-md mx-auto">
+                    <div className="flex items-center justify-between text-xs text-slate-400 mb-1">
+                      <span>Parsing {fileName}…</span>
+                      <span>{parseProgress.total > 0 ? Math.round((parseProgress.loaded / parseProgress.total) * 100) : 0}%</span>
+                    </div>
+                    <div className="w-full bg-slate-800 rounded-full h-2 overflow-hidden">
+                      <div
+                        role="progressbar"
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                        aria-valuenow={parseProgress.total > 0 ? Math.round((parseProgress.loaded / parseProgress.total) * 100) : 0}
+                        className="h-full bg-emerald-500 rounded-full transition-all"
+                        style={{ width: `${parseProgress.total > 0 ? (parseProgress.loaded / parseProgress.total) * 100 : 0}%` }}
+                      />
+                    </div>
+                    <button
+                      onClick={cancelParse}
+                      className="mt-2 px-3 py-1.5 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-xs"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+
+                {uploadedFiles.length > 0 && (
+                  <ul aria-label="Uploaded files" className="mt-4 max-w-xl mx-auto space-y-2 text-sm text-left">
+                    {uploadedFiles.map(f => (
+                      <li key={f.id} className="flex items-center gap-3 bg-slate-800/50 rounded-lg px-3 py-2">
+                        <span className={`flex-1 truncate ${f.id === activeFileId ? 'text-emerald-400' : 'text-slate-300'}`}>{f.name}</span>
+                        <span title={f.error || undefined} className={`text-xs ${f.status === 'error' ? 'text-red-400' : 'text-slate-500'}`}>
+                          {f.status === 'pending' && (f.id === activeFileId && parseProgress ? 'Parsing…' : 'Queued')}
+                          {f.status === 'error' && 'Failed'}
+                          {f.status === 'ready' && [
+                            `${f.result.parts.length} rows`,
+                            f.result.skippedCount > 0 && `${f.result.skippedCount} rejected`,
+                            f.duplicateCount > 0 && `${f.duplicateCount} duplicates removed`,
+                          ].filter(Boolean).join(' · ')}
+                        </span>
+                        <button
+                          onClick={() => removeUploadedFiles([f.id])}
+                          aria-label={`Remove ${f.name}`}
+                          className="px-2 py-1 bg-slate-800 text-slate-400 rounded-lg hover:bg-red-500/20 hover:text-red-400 transition-colors text-xs"
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {uploadedFiles.length > 0 && uploadedFiles.every(f => f.status !== 'pending') && !parseProgress && (
+                  <div className="mt-3 text-center text-emerald-400">
+                    {partsData.length} parts loaded
+                    {uploadedFiles.length > 1 && ` from ${readyFileCount} ${readyFileCount === 1 ? 'file' : 'files'}`}
+                    {excludedRowCount > 0 && (
+                      <span className="text-slate-400">
+                        {' '}· {excludedRowCount} excluded by rules ({formatCurrency(excludedRevenue)} revenue)
+                      </span>
+                    )}
                   </div>
                 )}
 
@@ -1052,10 +2168,390 @@ ${recommendations.tiers.map(tier =>
               </div>
             </div>
             
+            {/* Column Mapping: confirm or reassign the detected columns */}
+            {columnInfo && !parseProgress && (
+              <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
+                <div className="flex items-center justify-between mb-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">{jsonInfo ? 'Field Paths' : 'Column Mapping'}</h3>
+                    <p className="text-slate-500 text-xs mt-1">
+                      {importSettings.mapping ? 'Custom mapping' : `Auto-detected from the ${jsonInfo ? 'record keys' : 'header row'}`} — change any {jsonInfo ? 'path' : 'column'} to re-parse the file
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {importSettings.mapping && (
+                      <button
+                        onClick={() => updateImportSetting('mapping', null)}
+                        className="px-3 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-sm"
+                      >
+                        Auto-detect
+                      </button>
+                    )}
+                    {columnInfo.mapping.unitCost !== -1 && (
+                      <button
+                        onClick={saveImportProfile}
+                        className="px-3 py-2 bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors text-sm"
+                      >
+                        Save as Profile
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-slate-400">
+                        <th className="text-left pb-3 px-2">Field</th>
+                        <th className="text-left pb-3 px-2">{jsonInfo ? 'Path' : 'Column'}</th>
+                        <th className="text-left pb-3 px-2">Sample Values</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {MAPPABLE_FIELDS.map((field) => {
+                        const columnIndex = columnInfo.mapping[field.key];
+                        const samples = columnIndex === -1
+                          ? []
+                          : columnInfo.sampleRows.map(row => row[columnIndex]).filter(Boolean).slice(0, 3);
+                        return (
+                          <tr key={field.key} className="border-t border-slate-800">
+                            <td className="py-2 px-2 text-slate-300 whitespace-nowrap">
+                              {field.label}{field.required && <span className="text-red-400"> *</span>}
+                              {columnInfo.ambiguous.includes(field.key) && (
+                                <span className="ml-2 text-amber-400 text-xs" title="Other columns also look like a match">⚠ check</span>
+                              )}
+                            </td>
+                            <td className="py-2 px-2">
+                              <select
+                                aria-label={`${field.label} column`}
+                                value={columnIndex}
+                                onChange={(e) => updateColumnMapping(field.key, parseInt(e.target.value, 10))}
+                                className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                              >
+                                <option value={-1}>— Not present —</option>
+                                {columnInfo.headers.map((header, idx) => (
+                                  <option key={idx} value={idx}>{`${idx + 1}. ${header || `Column ${idx + 1}`}`}</option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="py-2 px-2 text-slate-400 text-xs">
+                              {samples.length > 0 ? samples.join(' · ') : '—'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Self-Healing Audit: reported totals replaced by unit × qty */}
+            {healingSummary?.rows > 0 && !parseProgress && (
+              <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
+                <h3 className="text-lg font-semibold text-white">Self-Healing Audit</h3>
+                <p className="text-slate-500 text-xs mt-1 mb-4">
+                  {healingSummary.rows} {healingSummary.rows === 1 ? 'line' : 'lines'} had reported totals replaced —
+                  revenue {healingSummary.revenueChange >= 0 ? '+' : '−'}{formatCurrency(Math.abs(healingSummary.revenueChange))},
+                  cost {healingSummary.costChange >= 0 ? '+' : '−'}{formatCurrency(Math.abs(healingSummary.costChange))}
+                </p>
+                <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-slate-400">
+                        <th className="text-left pb-3 px-2">Line</th>
+                        <th className="text-left pb-3 px-2">Field</th>
+                        <th className="text-right pb-3 px-2">CSV Total</th>
+                        <th className="text-right pb-3 px-2">Used</th>
+                        <th className="text-left pb-3 px-2">Rule</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {healingOverrides.slice(0, DIAGNOSTICS_DISPLAY_LIMIT).map(override => (
+                        <tr key={`${override.line}-${override.field}`} className="border-t border-slate-800">
+                          <td className="py-2 px-2 text-slate-400 font-mono">{override.line}</td>
+                          <td className="py-2 px-2 text-slate-300">{override.field === 'totalCost' ? 'Total Cost' : 'Total Retail'}</td>
+                          <td className="py-2 px-2 text-right text-slate-500 line-through">{formatCurrency(override.csvValue)}</td>
+                          <td className="py-2 px-2 text-right text-white">{formatCurrency(override.calculatedValue)}</td>
+                          <td className="py-2 px-2 text-amber-400 whitespace-nowrap">{HEALING_RULE_LABELS[override.rule] || override.rule}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {healingOverrides.length > DIAGNOSTICS_DISPLAY_LIMIT && (
+                  <p className="text-slate-500 text-xs mt-3">
+                    Showing the first {DIAGNOSTICS_DISPLAY_LIMIT} of {healingOverrides.length} replaced totals.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Import Diagnostics: why each skipped row was rejected, plus returns and cores */}
+            {diagnosticEntries.length > 0 && !parseProgress && (
+              <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Import Diagnostics</h3>
+                    <p className="text-slate-500 text-xs mt-1">
+                      {rejectedRows.length} rejected {rejectedRows.length === 1 ? 'row' : 'rows'}
+                      {rejectedRows.length > 0 && ' — fix these in your POS export and re-upload'}
+                      {totalRowCount > 0 && ` · ${totalRowCount} total / subtotal ${totalRowCount === 1 ? 'row' : 'rows'} excluded`}
+                      {pageBreakCount > 0 && ` · ${pageBreakCount} page header / footer ${pageBreakCount === 1 ? 'line' : 'lines'} skipped`}
+                    </p>
+                    <p className="text-slate-500 text-xs mt-1">
+                      Row types:{' '}
+                      {Object.entries(rowTypeCounts).map(([type, count]) => `${count} ${ROW_TYPE_LABELS[type] || type}`).join(' · ')}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <select
+                      aria-label="Filter by reason"
+                      value={diagnosticsFilter}
+                      onChange={(e) => setDiagnosticsFilter(e.target.value)}
+                      className="bg-slate-800 rounded-lg px-2 py-2 text-sm text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                    >
+                      <option value="all">All ({diagnosticEntries.length})</option>
+                      {Object.entries(diagnosticCounts).map(([reason, count]) => (
+                        <option key={reason} value={reason}>{DIAGNOSTIC_LABELS[reason] || reason} ({count})</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={downloadDiagnostics}
+                      className="px-3 py-2 bg-slate-800 text-slate-400 rounded-lg hover:bg-slate-700 hover:text-slate-300 transition-colors text-sm"
+                    >
+                      Download CSV
+                    </button>
+                  </div>
+                </div>
+                <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-slate-400">
+                        <th className="text-left pb-3 px-2">Line</th>
+                        <th className="text-left pb-3 px-2">Reason</th>
+                        <th className="text-left pb-3 px-2">Detail</th>
+                        <th className="text-left pb-3 px-2">Raw Text</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {visibleDiagnostics.slice(0, DIAGNOSTICS_DISPLAY_LIMIT).map(row => (
+                        <tr key={`${row.line}-${row.reason}`} className="border-t border-slate-800">
+                          <td className="py-2 px-2 text-slate-400 font-mono">{row.line}</td>
+                          <td className={`py-2 px-2 whitespace-nowrap ${REJECT_REASON_LABELS[row.reason] ? 'text-amber-400' : SUMMARY_REASON_LABELS[row.reason] ? 'text-slate-400' : 'text-sky-400'}`}>
+                            {DIAGNOSTIC_LABELS[row.reason] || row.reason}
+                          </td>
+                          <td className="py-2 px-2 text-slate-300">{row.detail}</td>
+                          <td className="py-2 px-2 text-slate-500 font-mono text-xs break-all">{row.raw}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {visibleDiagnostics.length > DIAGNOSTICS_DISPLAY_LIMIT && (
+                  <p className="text-slate-500 text-xs mt-3">
+                    Showing the first {DIAGNOSTICS_DISPLAY_LIMIT} of {visibleDiagnostics.length} rows. Download the CSV for the full list.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Exclusion Rules: lines priced outside the matrix */}
+            <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
+              <h3 className="text-lg font-semibold text-white">Exclusion Rules</h3>
+              <p className="text-slate-500 text-xs mt-1 mb-4">
+                Leave out lines priced outside the matrix, such as tires, fluids, sublet and shop supplies. Rules are saved with your settings.
+              </p>
+              <div className="flex flex-wrap items-center gap-3 text-sm">
+                <select
+                  aria-label="Rule type"
+                  value={ruleDraft.field}
+                  onChange={(e) => setRuleDraft(prev => ({ ...prev, field: e.target.value }))}
+                  className="bg-slate-800 rounded-lg px-2 py-1.5 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                >
+                  {Object.values(EXCLUSION_FIELDS).map(field => (
+                    <option key={field} value={field}>{EXCLUSION_FIELD_LABELS[field]}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  aria-label="Rule value"
+                  placeholder="e.g. Tires"
+                  value={ruleDraft.value}
+                  onChange={(e) => setRuleDraft(prev => ({ ...prev, value: e.target.value }))}
+                  onKeyDown={(e) => { if (e.key === 'Enter') addExclusionRule(); }}
+                  className="flex-1 min-w-[10rem] bg-slate-800 rounded-lg px-3 py-1.5 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                />
+                <button
+                  onClick={addExclusionRule}
+                  disabled={!ruleDraft.value.trim()}
+                  className="px-3 py-1.5 bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Add Rule
+                </button>
+              </div>
+              {exclusionSummary.removed.length > 0 && (
+                <ul aria-label="Exclusion rules" className="mt-4 space-y-2 text-sm">
+                  {exclusionSummary.removed.map(({ rule, rowCount, revenue }) => (
+                    <li key={rule.id} className="flex items-center gap-3 bg-slate-800/50 rounded-lg px-3 py-2">
+                      <span className="flex-1 text-slate-300">
+                        {EXCLUSION_FIELD_LABELS[rule.field]} <span className="text-white font-medium">"{rule.value}"</span>
+                      </span>
+                      {partsData.length > 0 && (
+                        <span className="text-xs text-slate-500">
+                          {rowCount} {rowCount === 1 ? 'line' : 'lines'} · {formatCurrency(revenue)} revenue removed
+                        </span>
+                      )}
+                      <button
+                        onClick={() => removeExclusionRule(rule.id)}
+                        aria-label={`Remove rule ${EXCLUSION_FIELD_LABELS[rule.field]} ${rule.value}`}
+                        className="px-2 py-1 bg-slate-800 text-slate-400 rounded-lg hover:bg-red-500/20 hover:text-red-400 transition-colors text-xs"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Data Quality: flagged rows and the option to leave them out */}
+            {partsData.length > 0 && !parseProgress && (
+              <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Data Quality</h3>
+                    <p className="text-slate-500 text-xs mt-1">
+                      {qualityReport.issues.length === 0
+                        ? `No problems found in ${qualityReport.checked} sales lines`
+                        : `${qualityReport.issues.length} of ${qualityReport.checked} sales lines flagged: ${Object.entries(qualityReport.counts)
+                          .map(([flag, count]) => `${count} ${QUALITY_FLAG_LABELS[flag]}`)
+                          .join(' · ')}`}
+                    </p>
+                  </div>
+                  <div className={`text-2xl font-bold ${qualityReport.score >= 95 ? 'text-emerald-400' : qualityReport.score >= 80 ? 'text-amber-400' : 'text-red-400'}`}>
+                    {qualityReport.score}<span className="text-slate-500 text-sm font-normal">/100 quality score</span>
+                  </div>
+                </div>
+                {qualityReport.issues.length > 0 && (
+                  <>
+                    <label className="flex items-center gap-2 text-sm text-slate-400 mb-4">
+                      <input
+                        type="checkbox"
+                        checked={analysisOptions.excludeFlagged}
+                        onChange={(e) => updateAnalysisOption('excludeFlagged', e.target.checked)}
+                        className="accent-emerald-500"
+                      />
+                      Exclude flagged rows from the analysis
+                    </label>
+                    <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-slate-400 border-b border-slate-800">
+                            <th className="text-left pb-3 px-2">Line</th>
+                            <th className="text-left pb-3 px-2">Part</th>
+                            <th className="text-left pb-3 px-2">Problem</th>
+                            <th className="text-left pb-3 px-2">Detail</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {qualityReport.issues.slice(0, DIAGNOSTICS_DISPLAY_LIMIT).map((issue, idx) => (
+                            <tr key={`${issue.part.line}-${idx}`} className="border-t border-slate-800">
+                              <td className="py-2 px-2 text-slate-400 font-mono">{issue.part.line}</td>
+                              <td className="py-2 px-2 text-slate-300">
+                                {[issue.part.partNumber, issue.part.description].filter(Boolean).join(' — ') || '—'}
+                              </td>
+                              <td className="py-2 px-2 text-amber-400 whitespace-nowrap">
+                                {issue.flags.map(flag => QUALITY_FLAG_LABELS[flag]).join(', ')}
+                              </td>
+                              <td className="py-2 px-2 text-slate-500">{issue.detail}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    {qualityReport.issues.length > DIAGNOSTICS_DISPLAY_LIMIT && (
+                      <p className="text-slate-500 text-xs mt-3">
+                        Showing the first {DIAGNOSTICS_DISPLAY_LIMIT} of {qualityReport.issues.length} flagged rows.
+                      </p>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Date Range: restrict the analysis to part of the invoice dates */}
+            {dateSpan && !parseProgress && (
+              <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
+                <h3 className="text-lg font-semibold text-white">Sales Dates</h3>
+                <p className="text-slate-500 text-xs mt-1 mb-4">
+                  Invoices from {dateSpan.start} to {dateSpan.end}
+                  {dateSpan.undatedCount > 0 && ` · ${dateSpan.undatedCount} rows without a date`}
+                </p>
+                <div className="flex flex-wrap items-center gap-3 text-sm text-slate-400">
+                  <label className="flex items-center gap-2">
+                    From
+                    <input
+                      type="date"
+                      aria-label="From date"
+                      min={dateSpan.start}
+                      max={dateSpan.end}
+                      value={analysisOptions.dateRange.from || ''}
+                      onChange={(e) => updateDateRange('from', e.target.value)}
+                      className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    To
+                    <input
+                      type="date"
+                      aria-label="To date"
+                      min={dateSpan.start}
+                      max={dateSpan.end}
+                      value={analysisOptions.dateRange.to || ''}
+                      onChange={(e) => updateDateRange('to', e.target.value)}
+                      className="bg-slate-800 rounded-lg px-2 py-1 text-white outline-none focus:ring-2 focus:ring-emerald-500"
+                    />
+                  </label>
+                  <button
+                    onClick={() => updateAnalysisOption('dateRange', lastDaysRange(dateSpan, 90))}
+                    className="px-3 py-1.5 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-xs"
+                  >
+                    Last 90 days
+                  </button>
+                  {isDateRangeActive(analysisOptions.dateRange) && (
+                    <button
+                      onClick={() => updateAnalysisOption('dateRange', ALL_DATES)}
+                      className="px-3 py-1.5 bg-slate-800 text-slate-300 rounded-lg hover:bg-slate-700 transition-colors text-xs"
+                    >
+                      All dates
+                    </button>
+                  )}
+                </div>
+                {isDateRangeActive(analysisOptions.dateRange) && (
+                  <p className="text-emerald-400 text-xs mt-3">
+                    Analysing {rowsInDateRange} of {partsData.length} rows ({dateRangeLabel})
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Tier Analysis Preview */}
             {tierAnalysis.length > 0 && tierAnalysis.some(t => t.partCount > 0) && (
               <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800">
-                <h3 className="text-lg font-semibold text-white mb-4">Parts Distribution by Tier</h3>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                  <h3 className="text-lg font-semibold text-white">Parts Distribution by Tier</h3>
+                  {hasPartNumbers && (
+                    <label className="flex items-center gap-2 text-sm text-slate-400">
+                      <input
+                        type="checkbox"
+                        checked={analysisOptions.aggregateByPart}
+                        onChange={(e) => updateAnalysisOption('aggregateByPart', e.target.checked)}
+                        className="accent-emerald-500"
+                      />
+                      Roll up by part number
+                    </label>
+                  )}
+                </div>
                 <div className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
                     <BarChart data={tierAnalysis.filter(t => t.partCount > 0)}>
@@ -1065,7 +2561,7 @@ ${recommendations.tiers.map(tier =>
                         stroke="#64748b"
                         tickFormatter={(id) => {
                           const tier = tierAnalysis.find(t => t.id === id);
-                          return tier ? `$${tier.minCost}-${tier.maxCost === 999999 ? '+' : tier.maxCost}` : '';
+                          return tier ? `$${tier.minCost}-${tier.maxCost === OPEN_ENDED_MAX_COST ? '+' : tier.maxCost}` : '';
                         }}
                       />
                       <YAxis stroke="#64748b" />
@@ -1073,10 +2569,10 @@ ${recommendations.tiers.map(tier =>
                         contentStyle={{ backgroundColor: '#1e293b', border: 'none', borderRadius: '0.5rem' }}
                         labelFormatter={(id) => {
                           const tier = tierAnalysis.find(t => t.id === id);
-                          return tier ? `Cost Range: $${tier.minCost} - $${tier.maxCost === 999999 ? 'Maximum' : tier.maxCost}` : '';
+                          return tier ? `Cost Range: $${tier.minCost} - $${tier.maxCost === OPEN_ENDED_MAX_COST ? 'Maximum' : tier.maxCost}` : '';
                         }}
                       />
-                      <Bar dataKey="partCount" name="Parts Count" radius={[4, 4, 0, 0]}>
+                      <Bar dataKey="distinctPartCount" name="Distinct Parts" radius={[4, 4, 0, 0]}>
                         {tierAnalysis.filter(t => t.partCount > 0).map((entry, index) => (
                           <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
                         ))}
@@ -1088,7 +2584,8 @@ ${recommendations.tiers.map(tier =>
                 <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-6">
                   <div className="bg-slate-800 rounded-xl p-4">
                     <div className="text-slate-400 text-sm">Total Parts</div>
-                    <div className="text-2xl font-bold text-white">{partsData.length}</div>
+                    <div className="text-2xl font-bold text-white">{partTotals.distinctPartCount}</div>
+                    <div className="text-slate-500 text-xs">{partTotals.lineCount} sales lines</div>
                   </div>
                   <div className="bg-slate-800 rounded-xl p-4">
                     <div className="text-slate-400 text-sm">Total Cost</div>
@@ -1376,7 +2873,7 @@ ${recommendations.tiers.map(tier =>
                               className="w-3 h-3 rounded-full"
                               style={{ backgroundColor: COLORS[idx % COLORS.length] }}
                             />
-                            ${tier.minCost.toFixed(2)} - {tier.maxCost === 999999 ? 'Max' : `$${tier.maxCost.toFixed(2)}`}
+                            ${tier.minCost.toFixed(2)} - {tier.maxCost === OPEN_ENDED_MAX_COST ? 'Max' : `$${tier.maxCost.toFixed(2)}`}
                           </span>
                         </td>
                         <td className="py-3 px-2 text-center text-slate-400">
@@ -1428,7 +2925,10 @@ ${recommendations.tiers.map(tier =>
                           {tier.newGrossProfit.toFixed(1)}%
                         </td>
                         <td className="py-3 px-2 text-center text-slate-400">
-                          {tier.partCount}
+                          {tier.distinctPartCount}
+                          {tier.lineCount !== tier.distinctPartCount && (
+                            <span className="block text-xs text-slate-500">{tier.lineCount} lines</span>
+                          )}
                         </td>
                         <td className="py-3 px-2 text-center">
                           <div className="flex items-center justify-center gap-2">
@@ -1469,7 +2969,7 @@ ${recommendations.tiers.map(tier =>
                       width={100}
                       tickFormatter={(id) => {
                         const tier = recommendations.tiers.find(t => t.id === id);
-                        return tier ? `$${tier.minCost}-${tier.maxCost === 999999 ? '+' : tier.maxCost}` : '';
+                        return tier ? `$${tier.minCost}-${tier.maxCost === OPEN_ENDED_MAX_COST ? '+' : tier.maxCost}` : '';
                       }}
                     />
                     <Tooltip 
@@ -1542,8 +3042,7 @@ ${recommendations.tiers.map(tier =>
                 onClick={() => {
                   setStep(1);
                   setRecommendations(null);
-                  setPartsData([]);
-                  setTierAnalysis([]);
+                  removeUploadedFiles(uploadedFiles.map(f => f.id));
                   setLockedTiers({}); // Clear manual edits
                   setOriginalTargetProfit(null); // Clear stored target
                 }}
@@ -1,7 +1,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import PriceMatrixOptimizer from '../App';
+import { buildXlsx } from './fixtures/xlsx.js';
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -185,6 +186,20 @@ describe('Test 1: Basic CSV upload and analysis', () => {
     // Should still load 20 valid parts
     expect(screen.getByText(/20 parts loaded/)).toBeInTheDocument();
   });
+
+  it('lists rejected rows with reasons and filters them', async () => {
+    const csvWithBadRows = REAL_CSV + '\n,,,,,\nBad Row,not-a-number,abc,def';
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csvWithBadRows);
+
+    expect(screen.getByText('Import Diagnostics')).toBeInTheDocument();
+    expect(screen.getByText('Empty row')).toBeInTheDocument();
+    expect(screen.getByText('Too few columns')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Filter by reason'), { target: { value: 'empty-row' } });
+    expect(screen.queryByText('Too few columns')).not.toBeInTheDocument();
+    expect(screen.getByText('Empty row')).toBeInTheDocument();
+  });
 });
 
 // ─── Test 2: Optimization produces valid results ────────────────────────────
@@ -395,6 +410,521 @@ describe('Test 5: Edge cases', () => {
   });
 });
 
+// ─── Import dialect detection and overrides ─────────────────────────────────
+
+describe('Import dialect', () => {
+  const EU_CSV = [
+    'Part Name;Unit Cost;Unit Retail;Qty',
+    'Ölfilter;3,25;12,99;10',
+    'Bremsbeläge;18,00;54,99;5',
+  ].join('\n');
+
+  it('detects semicolon delimiters and decimal commas', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(EU_CSV);
+
+    expect(screen.getByText(/2 parts loaded/)).toBeInTheDocument();
+    expect(screen.getByText(/Detected: Semicolon-delimited, numbers like 1\.234,56/)).toBeInTheDocument();
+  });
+
+  it('detects legacy Windows-1252 text and lets the user override it', async () => {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    const bytes = Uint8Array.from(EU_CSV, (char) => char.charCodeAt(0));
+    await userEvent.upload(document.querySelector('input[type="file"]'), new File([bytes], 'legacy.csv', { type: 'text/csv' }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Detected: .*, Windows-1252 text/)).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText('Encoding'), { target: { value: 'utf-8' } });
+
+    await waitFor(() => {
+      expect(screen.getByText(/Using: .*, UTF-8 text/)).toBeInTheDocument();
+    });
+  });
+
+  it('re-parses the file when a setting is overridden', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(EU_CSV);
+
+    fireEvent.change(screen.getByLabelText('Delimiter'), { target: { value: ',' } });
+
+    await waitFor(() => {
+      expect(screen.getByText(/Using: Comma-delimited/)).toBeInTheDocument();
+    });
+  });
+});
+
+// ─── Excel workbooks ─────────────────────────────────────────────────────────
+
+describe('JSON files', () => {
+  const DOCUMENT = JSON.stringify({
+    warnings: [{ message: 'Two lines had no cost' }],
+    report: {
+      lines: [
+        { sku: 'OF-1', pricing: { cost: 3.25, price: 12.99 }, qty: 10 },
+        { sku: 'BP-2', pricing: { cost: 18, price: 54.99 }, qty: 5 },
+      ],
+    },
+  });
+
+  it('reads the records at the chosen path with their nested fields', async () => {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    await userEvent.upload(
+      document.querySelector('input[type="file"]'),
+      new File([DOCUMENT], 'sales.json', { type: 'application/json' }),
+    );
+
+    // The first array found holds warnings, not sales lines
+    await waitFor(() => {
+      expect(screen.getByText(/Could not find a "Unit Cost"/)).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Records path')).toHaveValue('warnings');
+    expect(screen.queryByLabelText('Delimiter')).not.toBeInTheDocument();
+
+    const recordsPath = screen.getByLabelText('Records path');
+    fireEvent.change(recordsPath, { target: { value: 'report.lines' } });
+    fireEvent.blur(recordsPath);
+
+    await waitFor(() => {
+      expect(screen.getByText(/2 parts loaded/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/JSON, 2 records at "report.lines"/)).toBeInTheDocument();
+    expect(screen.getByText('Field Paths')).toBeInTheDocument();
+    expect(screen.getByLabelText('Unit Cost column')).toHaveDisplayValue('2. pricing.cost');
+  });
+
+  it('lists NDJSON lines that are not valid JSON in the diagnostics', async () => {
+    const ndjson = ['{"Unit Cost": 3.25, "Unit Retail": 12.99, "Qty": 1}', '{broken', '{"Unit Cost": 18, "Unit Retail": 54.99, "Qty": 1}'].join('\n');
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(ndjson, 'sales.ndjson');
+
+    expect(screen.getByText(/2 parts loaded/)).toBeInTheDocument();
+    expect(screen.getByText(/NDJSON, 2 records/)).toBeInTheDocument();
+    expect(screen.getAllByText(/Invalid record/).length).toBeGreaterThan(0);
+  });
+});
+
+describe('Fixed-width reports', () => {
+  const REPORT = [
+    'PARTS SALES BY LINE                               PAGE 1',
+    'PART NO   DESCRIPTION     UNIT COST  UNIT RETAIL  QTY',
+    '-------   -----------     ---------  -----------  ---',
+    'OF-1042   OIL FILTER           3.25        12.99   10',
+    'BP-2211   BRAKE PADS          18.00        54.99    5',
+    '\fPARTS SALES BY LINE                               PAGE 2',
+    'PART NO   DESCRIPTION     UNIT COST  UNIT RETAIL  QTY',
+    'ALT-88    ALTERNATOR         150.00       329.99    1',
+  ].join('\n');
+
+  it('reads space-aligned columns and skips repeated page headers', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(REPORT, 'sales.txt');
+
+    expect(screen.getByText(/3 parts loaded/)).toBeInTheDocument();
+    expect(screen.getByText(/Fixed-width text, 5 columns/)).toBeInTheDocument();
+    expect(screen.queryByLabelText('Delimiter')).not.toBeInTheDocument();
+    expect(screen.getByText(/2 page header \/ footer lines skipped/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'delimited' } });
+    await waitFor(() => {
+      expect(screen.getByLabelText('Delimiter')).toBeInTheDocument();
+    });
+  });
+});
+
+describe('Excel workbooks', () => {
+  const WORKBOOK = buildXlsx({
+    Labor: [['Tech', 'Hours'], ['Sam', 8]],
+    Parts: [
+      ['Part Name', 'Unit Cost', 'Unit Retail', 'Qty'],
+      ['Oil Filter', 3.25, 12.99, 10],
+      ['Brake Pads', 18, 54.99, 5],
+      ['Alternator', 150, 329.99, 1],
+    ],
+  });
+
+  it('parses the chosen worksheet', async () => {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    await userEvent.upload(
+      document.querySelector('input[type="file"]'),
+      new File([WORKBOOK], 'sales.xlsx', { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    );
+
+    // The first sheet has no cost column
+    await waitFor(() => {
+      expect(screen.getByLabelText('Sheet')).toHaveValue('Labor');
+    });
+
+    fireEvent.change(screen.getByLabelText('Sheet'), { target: { value: 'Parts' } });
+
+    await waitFor(() => {
+      expect(screen.getByText(/3 parts loaded/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/Excel sheet "Parts"/)).toBeInTheDocument();
+  });
+});
+
+// ─── Multiple files ──────────────────────────────────────────────────────────
+
+describe('Multiple files', () => {
+  const HEADER = 'RO #,Invoice Date,Description,Unit Cost,Unit Retail,Qty';
+  const JANUARY = [HEADER, '1001,2024-01-30,Oil Filter,3.25,12.99,2', '1002,2024-02-01,Brake Pads,18.00,54.99,1'].join('\n');
+  const FEBRUARY = [HEADER, '1002,2024-02-01,Brake Pads,18.00,54.99,1', '1003,2024-02-10,Alternator,150.00,329.99,1'].join('\n');
+
+  async function uploadFiles() {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    await userEvent.upload(document.querySelector('input[type="file"]'), [
+      createCSVFile(JANUARY, 'january.csv'),
+      createCSVFile(FEBRUARY, 'february.csv'),
+    ]);
+    await waitFor(() => {
+      expect(screen.getByText(/parts loaded from 2 files/)).toBeInTheDocument();
+    });
+  }
+
+  it('merges the files, listing each with its row count and removing repeated rows', async () => {
+    await uploadFiles();
+
+    expect(screen.getByText(/3 parts loaded from 2 files/)).toBeInTheDocument();
+    const list = screen.getByRole('list', { name: 'Uploaded files' });
+    expect(list).toHaveTextContent('january.csv');
+    expect(list).toHaveTextContent('2 rows');
+    expect(list).toHaveTextContent('2 rows · 1 duplicates removed');
+  });
+
+  it('removes a file from the dataset', async () => {
+    await uploadFiles();
+
+    fireEvent.click(screen.getByLabelText('Remove january.csv'));
+
+    expect(screen.getByText(/2 parts loaded/)).toBeInTheDocument();
+    expect(screen.queryByText(/january\.csv/)).not.toBeInTheDocument();
+    expect(screen.queryByText(/duplicates removed/)).not.toBeInTheDocument();
+  });
+
+  it('re-parses every file when the line-total policy changes', async () => {
+    const header = 'Part Name,Unit Cost,Unit Retail,Qty,Total Cost,Total Retail';
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    await userEvent.upload(document.querySelector('input[type="file"]'), [
+      createCSVFile([header, 'Discounted Pads,18.00,50.00,2,36.00,40.00'].join('\n'), 'pads.csv'),
+      createCSVFile([header, 'Discounted Rotor,20.00,60.00,1,20.00,25.00'].join('\n'), 'rotor.csv'),
+    ]);
+    await waitFor(() => {
+      expect(screen.getByText(/parts loaded from 2 files/)).toBeInTheDocument();
+    });
+    const revenue = screen.getByText('Total Revenue').closest('[class*="rounded-xl"]');
+    expect(revenue).toHaveTextContent('$160.00');
+
+    fireEvent.change(screen.getByLabelText('Line totals'), { target: { value: 'trust-csv' } });
+
+    // Both files use their reported totals, not just the one shown
+    await waitFor(() => {
+      expect(revenue).toHaveTextContent('$65.00');
+    });
+  });
+
+  it('marks files that fail to parse', async () => {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    await userEvent.upload(document.querySelector('input[type="file"]'), [
+      createCSVFile(JANUARY, 'january.csv'),
+      createCSVFile('', 'empty.csv'),
+    ]);
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed')).toBeInTheDocument();
+    });
+    expect(screen.getByText(/2 parts loaded from 1 file$/)).toBeInTheDocument();
+  });
+});
+
+// ─── Date range ──────────────────────────────────────────────────────────────
+
+describe('Date range', () => {
+  const csv = [
+    'Invoice Date,Description,Unit Cost,Unit Retail,Qty',
+    '01/10/2024,Oil Filter,3.25,12.99,1',
+    '02/15/2024,Brake Pads,18.00,54.99,1',
+    '03/20/2024,Alternator,150.00,329.99,1',
+    ',Wiper Blade,5.00,15.00,1',
+  ].join('\n');
+
+  it('shows the date span and filters the analysis', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csv);
+
+    expect(screen.getByText(/Invoices from 2024-01-10 to 2024-03-20 · 1 rows without a date/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('From date'), { target: { value: '2024-02-01' } });
+
+    expect(screen.getByText(/Analysing 2 of 4 rows \(2024-02-01 to 2024-03-20\)/)).toBeInTheDocument();
+    const revenue = screen.getByText('Total Revenue').closest('[class*="rounded-xl"]');
+    expect(revenue).toHaveTextContent('$384.98');
+
+    fireEvent.click(screen.getByText('All dates'));
+    expect(revenue).toHaveTextContent('$412.97');
+  });
+
+  it('puts the chosen range in the export header', async () => {
+    const createObjectURL = vi.fn(() => 'blob:export');
+    vi.stubGlobal('URL', { ...URL, createObjectURL, revokeObjectURL: vi.fn() });
+    try {
+      render(<PriceMatrixOptimizer />);
+      await uploadCSV(csv);
+      fireEvent.click(screen.getByText('Last 90 days'));
+      navigateToTarget();
+      setTarget(10);
+      generateRecommendations();
+      fireEvent.click(screen.getByText('CSV'));
+
+      const text = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(createObjectURL.mock.calls[0][0]);
+      });
+      expect(text).toContain('# Date Range: 2024-01-10 to 2024-03-20');
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
+
+// ─── Exclusion rules ─────────────────────────────────────────────────────────
+
+describe('Exclusion rules', () => {
+  const csv = [
+    'Description,Category,Unit Cost,Unit Retail,Qty',
+    'Oil Filter,Filters,3.25,12.99,1',
+    'All-Season Tire,Tires,90.00,140.00,4',
+    'Brake Pads,Brakes,18.00,54.99,1',
+  ].join('\n');
+
+  const addRule = (label, value) => {
+    fireEvent.change(screen.getByLabelText('Rule type'), { target: { value: label } });
+    fireEvent.change(screen.getByLabelText('Rule value'), { target: { value } });
+    fireEvent.click(screen.getByText('Add Rule'));
+  };
+
+  it('removes matching lines before the analysis and shows the revenue removed', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csv);
+    const revenue = screen.getByText('Total Revenue').closest('[class*="rounded-xl"]');
+    expect(revenue).toHaveTextContent('$627.98');
+
+    addRule('category', 'tires');
+
+    expect(revenue).toHaveTextContent('$67.98');
+    const rules = screen.getByRole('list', { name: 'Exclusion rules' });
+    expect(rules).toHaveTextContent('Category is "tires"');
+    expect(rules).toHaveTextContent('1 line · $560.00 revenue removed');
+    expect(screen.getByText(/1 excluded by rules \(\$560\.00 revenue\)/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Remove rule Category is tires'));
+    expect(revenue).toHaveTextContent('$627.98');
+  });
+
+  it('saves rules with the settings', async () => {
+    const { unmount } = render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    addRule('keyword', 'Shop Supplies');
+    expect(JSON.parse(localStorage.getItem('exclusionRules'))).toEqual([
+      expect.objectContaining({ field: 'keyword', value: 'Shop Supplies' }),
+    ]);
+    unmount();
+
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Continue to Upload Data →'));
+    expect(screen.getByRole('list', { name: 'Exclusion rules' })).toHaveTextContent('Description contains "Shop Supplies"');
+  });
+});
+
+// ─── Data quality ────────────────────────────────────────────────────────────
+
+describe('Data quality', () => {
+  const csv = [
+    'Description,Unit Cost,Unit Retail,Qty',
+    'Oil Filter,3.25,12.99,1',
+    'Brake Pads,18.00,54.99,1',
+    'Shop Towels,40.00,25.00,1',
+    'Alternator,150.00,329.99,1',
+  ].join('\n');
+
+  it('scores the data and can leave flagged rows out of the analysis', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csv);
+
+    expect(screen.getByText(/1 of 4 sales lines flagged: 1 Retail below cost/)).toBeInTheDocument();
+    expect(screen.getByText('75')).toBeInTheDocument();
+    expect(screen.getByText(/retail \$25\.00 is below cost \$40\.00/)).toBeInTheDocument();
+
+    const revenue = screen.getByText('Total Revenue').closest('[class*="rounded-xl"]');
+    expect(revenue).toHaveTextContent('$422.97');
+
+    fireEvent.click(screen.getByLabelText('Exclude flagged rows from the analysis'));
+    expect(revenue).toHaveTextContent('$397.97');
+  });
+});
+
+// ─── Column mapping ──────────────────────────────────────────────────────────
+
+describe('Column mapping', () => {
+  const AMBIGUOUS_CSV = [
+    'Part,Unit Cost,Price,List Price,Qty',
+    'Oil Filter,3.25,9.99,12.99,10',
+  ].join('\n');
+
+  it('shows the detected mapping with sample values and flags ambiguity', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(AMBIGUOUS_CSV);
+
+    expect(screen.getByText('Column Mapping')).toBeInTheDocument();
+    expect(screen.getByLabelText('Unit Retail column')).toHaveValue('2');
+    expect(screen.getByText('⚠ check')).toBeInTheDocument();
+  });
+
+  it('re-parses with the reassigned column', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(AMBIGUOUS_CSV);
+
+    const revenueCard = () => screen.getByText('Total Revenue').closest('[class*="rounded-xl"]');
+    expect(revenueCard().textContent).toContain('$99.90');
+
+    fireEvent.change(screen.getByLabelText('Unit Retail column'), { target: { value: '3' } });
+
+    await waitFor(() => {
+      expect(revenueCard().textContent).toContain('$129.90');
+    });
+    expect(screen.getByText(/Custom mapping/)).toBeInTheDocument();
+  });
+});
+
+describe('Returns and core charges', () => {
+  it('lists returns and cores in the import diagnostics', async () => {
+    const csv = [
+      'Part Number,Description,Unit Cost,Unit Retail,Qty',
+      'BP-1,Brake Pads,18.00,49.99,2',
+      'BP-1,Brake Pads,18.00,49.99,-1',
+      'ALT-9C,Alternator Core Charge,40.00,40.00,1',
+    ].join('\n');
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csv);
+
+    expect(screen.getByText('Import Diagnostics')).toBeInTheDocument();
+    expect(screen.getByText(/Row types: 1 Sale · 1 Return · 1 Core charge/)).toBeInTheDocument();
+    expect(screen.getByText(/BP-1 — Brake Pads: qty -1/)).toBeInTheDocument();
+  });
+});
+
+// ─── Part number roll-up ─────────────────────────────────────────────────────
+
+describe('Part number roll-up', () => {
+  const csv = [
+    'Part Number,Description,Unit Cost,Unit Retail,Qty',
+    'OF-1,Oil Filter,3.25,12.99,1',
+    'OF-1,Oil Filter,3.25,12.99,2',
+    'OF-1,Oil Filter,3.25,12.99,1',
+    'BP-1,Brake Pads,18.00,54.99,1',
+  ].join('\n');
+
+  it('reports distinct parts separately from sales lines', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csv);
+
+    const card = screen.getByText('Total Parts').closest('[class*="rounded-xl"]');
+    expect(card).toHaveTextContent('2');
+    expect(card).toHaveTextContent('4 sales lines');
+  });
+
+  it('rolls lines up per part number when enabled', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csv);
+
+    const toggle = screen.getByLabelText('Roll up by part number');
+    expect(toggle).not.toBeChecked();
+    fireEvent.click(toggle);
+
+    expect(toggle).toBeChecked();
+    const card = screen.getByText('Total Parts').closest('[class*="rounded-xl"]');
+    expect(card).toHaveTextContent('4 sales lines');
+    const revenue = screen.getByText('Total Revenue').closest('[class*="rounded-xl"]');
+    expect(revenue).toHaveTextContent('$106.95');
+  });
+});
+
+describe('Summary rows', () => {
+  it('excludes a grand total row and lists it in the diagnostics', async () => {
+    const csv = REAL_CSV + '\nGrand Total,,,,99999.00,99999.00';
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(csv);
+
+    expect(screen.getByText(/20 parts loaded/)).toBeInTheDocument();
+    expect(screen.getByText(/1 total \/ subtotal row excluded/)).toBeInTheDocument();
+    expect(screen.getByText('Labelled "Grand Total"')).toBeInTheDocument();
+  });
+});
+
+describe('Self-healing audit', () => {
+  const HEALED_CSV = [
+    'Part Name,Unit Cost,Unit Retail,Qty,Total Cost,Total Retail',
+    'Discounted Pads,18.00,50.00,2,36.00,40.00',
+    'Oil Filter,3.25,9.99,10,32.50,99.90',
+  ].join('\n');
+
+  it('lists replaced totals with a revenue summary', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(HEALED_CSV);
+
+    expect(screen.getByText('Self-Healing Audit')).toBeInTheDocument();
+    expect(screen.getByText(/1 line had reported totals replaced/)).toHaveTextContent('revenue +$60.00');
+    expect(screen.getByText('Outside tolerance')).toBeInTheDocument();
+  });
+
+  it('re-parses with the trust-csv policy', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(HEALED_CSV);
+
+    fireEvent.change(screen.getByLabelText('Line totals'), { target: { value: 'trust-csv' } });
+
+    await waitFor(() => {
+      expect(screen.queryByText('Self-Healing Audit')).not.toBeInTheDocument();
+    });
+    expect(screen.queryByLabelText('Tolerance %')).not.toBeInTheDocument();
+  });
+});
+
+describe('Import profiles', () => {
+  const SHOPWARE_CSV = [
+    'Part #,Description,Unit Cost,Unit Price,Qty,Ext. Cost,Ext. Price',
+    'A1,Wiper Blade,4.00,11.99,3,12.00,35.97',
+  ].join('\n');
+
+  it('shows the auto-detected profile', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(SHOPWARE_CSV);
+    expect(screen.getByText(/Shop-Ware profile/)).toBeInTheDocument();
+  });
+
+  it('saves the column mapping as a custom profile', async () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('My Shop');
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(REAL_CSV);
+
+    fireEvent.click(screen.getByText('Save as Profile'));
+
+    expect(screen.getByRole('option', { name: 'My Shop (custom)' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Import profile').value).toMatch(/^custom-/);
+    const saved = JSON.parse(localStorage.getItem('importProfiles'));
+    expect(saved).toHaveLength(1);
+    expect(saved[0].name).toBe('My Shop');
+  });
+});
+
 // ─── Test 6: Matrix editing (Bug 16 fix verification) ──────────────────────
 
 describe('Test 6: Matrix editing', () => {
@@ -473,6 +1003,259 @@ describe('Test 6: Matrix editing', () => {
   });
 });
 
+describe('Matrix library', () => {
+  const selectedName = () => {
+    const select = screen.getByLabelText('Matrix');
+    return select.options[select.selectedIndex].text;
+  };
+
+  it('moves a matrix saved before the library existed into it', () => {
+    localStorage.setItem('priceMatrix', JSON.stringify([
+      { id: 1, minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+      { id: 2, minCost: 10.01, maxCost: 999999, multiplier: 2, grossProfit: 50 },
+    ]));
+    render(<PriceMatrixOptimizer />);
+
+    expect(selectedName()).toBe('Default');
+    expect(screen.getAllByText('✕')).toHaveLength(2);
+    expect(localStorage.getItem('priceMatrix')).toBeNull();
+    expect(JSON.parse(localStorage.getItem('matrixLibrary')).matrices[0].tiers).toHaveLength(2);
+  });
+
+  it('saves a versioned library with an explicit open-ended tier', () => {
+    render(<PriceMatrixOptimizer />);
+    const saved = JSON.parse(localStorage.getItem('matrixLibrary'));
+    expect(saved.version).toBe(1);
+    expect(saved.matrices[0].tiers.at(-1).maxCost).toBeNull();
+  });
+
+  it('reports saved matrices that fail validation and keeps a backup', () => {
+    const good = { id: 'b', name: 'Fleet', author: '', notes: '', updatedAt: '2024-01-15T10:00:00.000Z',
+      tiers: [{ minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 }, { minCost: 10.01, maxCost: null, multiplier: 2, grossProfit: 50 }] };
+    const raw = JSON.stringify({ version: 1, activeId: 'a', matrices: [{ ...good, id: 'a', name: 'Retail', tiers: [{ minCost: 0 }] }, good] });
+    localStorage.setItem('matrixLibrary', raw);
+    render(<PriceMatrixOptimizer />);
+
+    const alert = within(screen.getByRole('alert'));
+    expect(alert.getByText(/Loaded 1 saved matrix; left out: Retail/)).toBeInTheDocument();
+    expect(alert.getByText('matrices[0].tiers[0].multiplier: Must be a number from 1.01 to 100')).toBeInTheDocument();
+    expect(selectedName()).toBe('Fleet');
+    expect(localStorage.getItem('matrixLibraryBackup')).toBe(raw);
+
+    fireEvent.click(alert.getByText('Dismiss'));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  it('keeps separate tiers and metadata per matrix', () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('Fleet');
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    render(<PriceMatrixOptimizer />);
+
+    fireEvent.click(screen.getByText('Duplicate'));
+    expect(selectedName()).toBe('Fleet');
+    fireEvent.click(screen.getAllByText('✕')[7]);
+    expect(screen.getAllByText('✕')).toHaveLength(7);
+    const author = screen.getByLabelText('Author');
+    fireEvent.change(author, { target: { value: 'Jordan' } });
+    fireEvent.blur(author);
+
+    fireEvent.change(screen.getByLabelText('Matrix'), { target: { value: screen.getByRole('option', { name: 'Default' }).value } });
+    expect(screen.getAllByText('✕')).toHaveLength(8);
+    expect(screen.getByLabelText('Author')).toHaveValue('');
+
+    fireEvent.change(screen.getByLabelText('Matrix'), { target: { value: screen.getByRole('option', { name: 'Fleet' }).value } });
+    expect(screen.getAllByText('✕')).toHaveLength(7);
+    expect(screen.getByLabelText('Author')).toHaveValue('Jordan');
+
+    fireEvent.click(screen.getByText('Delete'));
+    expect(selectedName()).toBe('Default');
+    expect(screen.queryByRole('option', { name: 'Fleet' })).not.toBeInTheDocument();
+    expect(screen.getByText('Delete')).toBeDisabled();
+  });
+
+  it('runs the analysis on the selected matrix', async () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('Two tiers');
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('New'));
+    for (let i = 0; i < 6; i++) fireEvent.click(screen.getAllByText('✕')[0]);
+    expect(screen.getAllByText('✕')).toHaveLength(2);
+
+    await uploadCSV(REAL_CSV);
+    navigateToTarget();
+    setTarget(10);
+    generateRecommendations();
+    await waitFor(() => {
+      expect(screen.getAllByTitle(/Click to edit/)).toHaveLength(2);
+    });
+  });
+});
+
+describe('Matrix import', () => {
+  const PASTED = 'Min Cost\tMax Cost\tMultiplier\n0\t10\t3.5\n10.01\t50\t2.5\n50.01\tMaximum\t1.8';
+
+  const previewPaste = (text) => {
+    fireEvent.click(screen.getByRole('button', { name: 'Import' }));
+    fireEvent.change(screen.getByLabelText('Matrix table'), { target: { value: text } });
+    fireEvent.click(screen.getByText('Preview'));
+  };
+
+  it('previews a pasted table as a diff and replaces the selected matrix', () => {
+    render(<PriceMatrixOptimizer />);
+    previewPaste(PASTED);
+
+    const diff = within(screen.getByRole('table', { name: 'Matrix changes' }));
+    expect(diff.getAllByText('Removed')).toHaveLength(5);
+    expect(diff.getByText('$50.01 – Max · 1.80×')).toBeInTheDocument();
+    expect(screen.getAllByText('✕')).toHaveLength(8);
+
+    fireEvent.click(screen.getByText('Replace "Default"'));
+    expect(screen.getAllByText('✕')).toHaveLength(3);
+    expect(screen.queryByLabelText('Matrix table')).not.toBeInTheDocument();
+  });
+
+  it('saves an import as a new matrix and keeps the current one', () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('Supplier matrix');
+    render(<PriceMatrixOptimizer />);
+    previewPaste(PASTED);
+    fireEvent.click(screen.getByText('Save as New Matrix'));
+
+    const select = screen.getByLabelText('Matrix');
+    expect(select.options[select.selectedIndex].text).toBe('Supplier matrix');
+    expect(screen.getAllByText('✕')).toHaveLength(3);
+    expect(screen.getByLabelText('Notes')).toHaveValue('Imported from Pasted table');
+  });
+
+  it('shows gaps and unreadable tables without a way to apply them', () => {
+    render(<PriceMatrixOptimizer />);
+    previewPaste('Min,Max,Multiplier\n0,10,3\n20,,2');
+    expect(screen.getByText(/Gap between Tier 1 and Tier 2/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Matrix table'), { target: { value: 'Part,Qty\nA,1' } });
+    fireEvent.click(screen.getByText('Preview'));
+    expect(screen.getByText(/Could not find a header row/)).toBeInTheDocument();
+    expect(screen.queryByText('Save as New Matrix')).not.toBeInTheDocument();
+  });
+});
+
+describe('Undo and redo', () => {
+  const tierMultiplier = () => screen.getAllByRole('spinbutton')[2];
+
+  it('undoes and redoes matrix edits from the buttons and the keyboard', () => {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.change(tierMultiplier(), { target: { value: '4' } });
+    fireEvent.blur(tierMultiplier());
+    fireEvent.click(screen.getAllByText('✕')[7]);
+    expect(screen.getAllByText('✕')).toHaveLength(7);
+
+    fireEvent.click(screen.getByText('↶ Undo'));
+    expect(screen.getAllByText('✕')).toHaveLength(8);
+    expect(tierMultiplier()).toHaveValue(4);
+
+    fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+    expect(tierMultiplier()).toHaveValue(5);
+    expect(screen.getByText('↶ Undo')).toBeDisabled();
+
+    fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true, shiftKey: true });
+    expect(tierMultiplier()).toHaveValue(4);
+    fireEvent.click(screen.getByText('Redo ↷'));
+    expect(screen.getAllByText('✕')).toHaveLength(7);
+    expect(screen.getByText('Redo ↷')).toBeDisabled();
+  });
+
+  it('undoes back across a matrix switch', () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('Fleet');
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const selectedName = () => screen.getByLabelText('Matrix').selectedOptions[0].textContent;
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getAllByText('✕')[7]);
+    fireEvent.click(screen.getByText('Duplicate'));
+    fireEvent.click(screen.getAllByText('✕')[0]);
+    expect(screen.getAllByText('✕')).toHaveLength(6);
+
+    fireEvent.click(screen.getByText('↶ Undo'));
+    fireEvent.click(screen.getByText('↶ Undo'));
+    expect(selectedName()).toBe('Default');
+    expect(screen.getAllByText('✕')).toHaveLength(7);
+    fireEvent.click(screen.getByText('↶ Undo'));
+    expect(screen.getAllByText('✕')).toHaveLength(8);
+
+    fireEvent.click(screen.getByText('Redo ↷'));
+    fireEvent.click(screen.getByText('Redo ↷'));
+    expect(selectedName()).toBe('Fleet');
+
+    // A deleted matrix's entries cannot be restored, so they are dropped
+    fireEvent.click(screen.getByText('Delete'));
+    fireEvent.click(screen.getByText(/^History/));
+    const history = within(screen.getByRole('list', { name: 'Edit history' }));
+    expect(history.getAllByRole('button').map(b => b.firstChild.textContent)).toEqual(['Removed tier 8', 'Start']);
+    expect(history.getByText('Removed tier 8').closest('button')).toHaveAttribute('aria-current', 'step');
+    expect(screen.getByText('Redo ↷')).toBeDisabled();
+  });
+
+  it('leaves Ctrl+Z in a text field to the field', () => {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.change(tierMultiplier(), { target: { value: '4' } });
+    fireEvent.blur(tierMultiplier());
+    fireEvent.keyDown(tierMultiplier(), { key: 'z', ctrlKey: true });
+    expect(tierMultiplier()).toHaveValue(4);
+  });
+
+  it('lists overrides and target changes and jumps back to any of them', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(REAL_CSV);
+    navigateToTarget();
+    setTarget(10);
+    generateRecommendations();
+    fireEvent.change(screen.getAllByTitle(/Click to edit/)[0], { target: { value: '6.00' } });
+    fireEvent.blur(screen.getAllByTitle(/Click to edit/)[0]);
+    await waitFor(() => expect(screen.getAllByText('🔒').length).toBeGreaterThan(0));
+
+    fireEvent.click(screen.getByText(/^History/));
+    const history = within(screen.getByRole('list', { name: 'Edit history' }));
+    expect(history.getAllByRole('button').map(b => b.firstChild.textContent)).toEqual([
+      'Tier 1 set to 6.00×',
+      'Generated recommendations',
+      'Target 5% → 10%',
+      'Start',
+    ]);
+
+    fireEvent.click(history.getByText('Generated recommendations'));
+    expect(screen.queryByText('🔒')).not.toBeInTheDocument();
+    expect(history.getByText('Generated recommendations').closest('button')).toHaveAttribute('aria-current', 'step');
+
+    fireEvent.click(history.getByText('Start'));
+    expect(screen.getByText('Generate Recommendations →')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('5')).toBeInTheDocument();
+  });
+});
+
+describe('Breakpoint suggestions', () => {
+  it('asks for sales data first', () => {
+    render(<PriceMatrixOptimizer />);
+    fireEvent.click(screen.getByText('Suggest'));
+    expect(screen.getByText(/Upload sales data \(step 2\)/)).toBeInTheDocument();
+  });
+
+  it('previews suggested tiers with their analysis and applies them', async () => {
+    render(<PriceMatrixOptimizer />);
+    await uploadCSV(REAL_CSV);
+    fireEvent.click(screen.getByText('Matrix Setup'));
+    fireEvent.click(screen.getByText('Suggest'));
+
+    expect(screen.getByLabelText('Tiers')).toHaveValue('8');
+    fireEvent.change(screen.getByLabelText('Method'), { target: { value: 'count' } });
+    fireEvent.change(screen.getByLabelText('Tiers'), { target: { value: '3' } });
+    const preview = within(screen.getByRole('table', { name: 'Suggested tiers' }));
+    const rows = preview.getAllByRole('row').slice(1);
+    expect(rows).toHaveLength(3);
+    expect(within(rows[2]).getByText(/– Max/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Apply to "Default"'));
+    expect(screen.getAllByText('✕')).toHaveLength(3);
+    expect(screen.queryByRole('table', { name: 'Suggested tiers' })).not.toBeInTheDocument();
+  });
+});
+
 // ─── Bug-specific regression tests ─────────────────────────────────────────
 
 describe('Bug 16: Stale tierAnalysis after matrix changes', () => {
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for src/utils/breakpoints.js
+ *
+ * Covers each suggestion method, nice dollar rounding, repeated costs,
+ * and building tiers whose multipliers follow the current matrix.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  BREAKPOINT_METHODS,
+  buildTiersFromBreakpoints,
+  niceAmount,
+  suggestBreakpoints,
+  suggestMatrix,
+} from '../utils/breakpoints.js';
+import { OPEN_ENDED_MAX_COST, computeTierAnalysis } from '../utils/pricingUtils.js';
+import { ROW_TYPES } from '../utils/importDiagnostics.js';
+
+const part = (unitCost, qty = 1, multiplier = 2) => ({
+  unitCost,
+  qty,
+  totalCost: unitCost * qty,
+  unitRetail: unitCost * multiplier,
+  totalRetail: unitCost * qty * multiplier,
+});
+
+// Cheap parts sell often, expensive ones bring the revenue
+const PARTS = [
+  ...[0.5, 0.75, 1, 1.2, 1.4, 1.9, 2.2, 2.6].map((c) => part(c)),
+  ...[8, 9, 11, 12].map((c) => part(c)),
+  ...[95, 110, 120].map((c) => part(c)),
+  part(480),
+];
+
+const MATRIX = [
+  { id: 1, minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+  { id: 2, minCost: 10.01, maxCost: 100, multiplier: 2, grossProfit: 50 },
+  { id: 3, minCost: 100.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 1.5, grossProfit: 33.3 },
+];
+
+describe('suggestBreakpoints', () => {
+  it('splits by part count', () => {
+    expect(suggestBreakpoints(PARTS, 2, BREAKPOINT_METHODS.COUNT)).toEqual([2.6]);
+    expect(suggestBreakpoints(PARTS, 4, BREAKPOINT_METHODS.COUNT)).toEqual([1.2, 2.6, 12]);
+  });
+
+  it('splits by revenue share', () => {
+    // Revenue 2, 4, 6 and 8: half of the 20 is reached at $3, half the lines at $2
+    const parts = [part(1), part(2), part(3), part(4)];
+    expect(suggestBreakpoints(parts, 2, BREAKPOINT_METHODS.REVENUE)).toEqual([3]);
+    expect(suggestBreakpoints(parts, 2, BREAKPOINT_METHODS.COUNT)).toEqual([2]);
+    // The $480 part alone is over half the revenue here, so no cut fits below it
+    expect(suggestBreakpoints(PARTS, 2, BREAKPOINT_METHODS.REVENUE)).toEqual([]);
+  });
+
+  it('finds natural breaks between clusters of costs', () => {
+    expect(suggestBreakpoints(PARTS, 3, BREAKPOINT_METHODS.NATURAL)).toEqual([2.6, 12]);
+  });
+
+  it('rounds revenue-share breakpoints to nice dollar amounts', () => {
+    const cuts = suggestBreakpoints(PARTS, 4, BREAKPOINT_METHODS.NICE);
+    expect(cuts).toEqual(suggestBreakpoints(PARTS, 4, BREAKPOINT_METHODS.REVENUE).map(niceAmount));
+    expect(cuts.every((c) => [1, 1.5, 2, 2.5, 3, 4, 5, 6, 7.5].includes(c / 10 ** Math.floor(Math.log10(c))))).toBe(true);
+  });
+
+  it('returns fewer breakpoints when costs repeat', () => {
+    const same = [part(5), part(5), part(5), part(20)];
+    expect(suggestBreakpoints(same, 4, BREAKPOINT_METHODS.COUNT)).toEqual([5]);
+    expect(suggestBreakpoints([part(5)], 4, BREAKPOINT_METHODS.REVENUE)).toEqual([]);
+  });
+
+  it('ignores returns, cores and parts without a cost', () => {
+    const parts = [part(1), part(50), { ...part(20), rowType: ROW_TYPES.RETURN }, { ...part(30), rowType: ROW_TYPES.CORE_CHARGE }, part(0)];
+    expect(suggestBreakpoints(parts, 3, BREAKPOINT_METHODS.COUNT)).toEqual([1]);
+  });
+});
+
+describe('niceAmount', () => {
+  it('picks the nearest nice dollar amount', () => {
+    expect(niceAmount(0.93)).toBe(1);
+    expect(niceAmount(6.27)).toBe(6);
+    expect(niceAmount(13.4)).toBe(15);
+    expect(niceAmount(68)).toBe(75);
+    expect(niceAmount(240)).toBe(250);
+  });
+});
+
+describe('buildTiersFromBreakpoints', () => {
+  it('covers the whole cost range without gaps', () => {
+    const tiers = buildTiersFromBreakpoints([2.6, 12], PARTS, MATRIX);
+    expect(tiers.map((t) => [t.id, t.minCost, t.maxCost])).toEqual([
+      [1, 0, 2.6],
+      [2, 2.61, 12],
+      [3, 12.01, OPEN_ENDED_MAX_COST],
+    ]);
+  });
+
+  it('averages the current multipliers over each tier by cost', () => {
+    const [low, mid, high] = buildTiersFromBreakpoints([2.6, 12], PARTS, MATRIX);
+    expect(low).toMatchObject({ multiplier: 3, grossProfit: 66.7 });
+    // $8 and $9 at 3x, $11 and $12 at 2x: 97 / 40
+    expect(mid.multiplier).toBe(2.42);
+    // $95 at 2x, the other $710 at 1.5x: 1255 / 805
+    expect(high.multiplier).toBe(1.56);
+  });
+
+  it('uses the matrix multiplier at the tier start when a tier has no parts', () => {
+    const [, empty] = buildTiersFromBreakpoints([12, 50], [part(5), part(200)], MATRIX);
+    expect(empty.multiplier).toBe(2);
+  });
+});
+
+describe('suggestMatrix', () => {
+  it('gives tiers computeTierAnalysis can preview', () => {
+    const tiers = suggestMatrix(PARTS, MATRIX, { tierCount: 4, method: BREAKPOINT_METHODS.COUNT });
+    const analysis = computeTierAnalysis(PARTS, tiers);
+    expect(analysis.map((t) => t.partCount)).toEqual([4, 4, 4, 4]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for src/utils/csvDialect.js
+ *
+ * Covers delimiter sniffing and decimal-separator detection on samples
+ * shaped like US and European POS exports.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectDelimiter,
+  detectDecimalSeparator,
+  detectDialect,
+  isNumericText,
+} from '../utils/csvDialect.js';
+
+const US_SAMPLE = [
+  'Parts Sales Report',
+  'Part Name,Unit Cost,Unit Retail,Qty',
+  'Oil Filter,3.25,12.99,10',
+  '"Brake Pads, Front","$1,018.00",54.99,5',
+].join('\n');
+
+const EU_SAMPLE = [
+  'Teileverkauf',
+  'Part Name;Unit Cost;Unit Retail;Qty',
+  'Ölfilter;3,25;12,99;10',
+  'Bremsbeläge;1.018,00;2.054,99;5',
+].join('\n');
+
+describe('detectDelimiter', () => {
+  it('detects commas', () => {
+    expect(detectDelimiter(US_SAMPLE)).toBe(',');
+  });
+
+  it('detects semicolons even when values contain decimal commas', () => {
+    expect(detectDelimiter(EU_SAMPLE)).toBe(';');
+  });
+
+  it('detects tabs', () => {
+    expect(detectDelimiter('Part\tUnit Cost\tQty\nFilter\t3.25\t10\nPads\t18.00\t5')).toBe('\t');
+  });
+
+  it('detects pipes', () => {
+    expect(detectDelimiter('Part|Unit Cost|Qty\nFilter|3.25|10\nPads|18.00|5')).toBe('|');
+  });
+
+  it('ignores delimiters inside quoted fields', () => {
+    const sample = 'Part;Cost\n"a,b,c";1\n"d,e,f";2';
+    expect(detectDelimiter(sample)).toBe(';');
+  });
+
+  it('falls back to comma for single-column text', () => {
+    expect(detectDelimiter('just\nsome\nlines')).toBe(',');
+  });
+});
+
+describe('detectDecimalSeparator', () => {
+  it('detects a decimal point', () => {
+    expect(detectDecimalSeparator(['3.25', '12.99', '10', '$1,234.56'])).toBe('.');
+  });
+
+  it('detects a decimal comma', () => {
+    expect(detectDecimalSeparator(['3,25', '12,99', '10', '1.234,56 €'])).toBe(',');
+  });
+
+  it('treats a repeated separator as thousands grouping', () => {
+    expect(detectDecimalSeparator(['1.234.567'])).toBe(',');
+    expect(detectDecimalSeparator(['1,234,567'])).toBe('.');
+  });
+
+  it('does not vote on ambiguous three-digit groups', () => {
+    expect(detectDecimalSeparator(['1,234', '1.234', '2,50'])).toBe(',');
+  });
+
+  it('does not count dotted dates as votes', () => {
+    expect(detectDecimalSeparator(['01.02.2024', '15.03.24', '2024.03.15', '3.25'])).toBe('.');
+    expect(detectDecimalSeparator(['01.02.2024', '02.02.2024', '1,234.50'])).toBe('.');
+  });
+
+  it('ignores non-numeric text and defaults to a decimal point', () => {
+    expect(detectDecimalSeparator(['Oil Filter', 'N/A', '10'])).toBe('.');
+  });
+});
+
+describe('isNumericText', () => {
+  it('accepts amounts in either number format', () => {
+    expect(['3.25', '$1,234.56', '($12.50)', '-4', '15%'].every((v) => isNumericText(v))).toBe(true);
+    expect(['1.234,56 €', '12,5'].every((v) => isNumericText(v, ','))).toBe(true);
+  });
+
+  it('rejects stray letters, symbols and repeated decimal marks', () => {
+    expect(['12..5', '1O.50', '$5/ea', '1.234.56', 'N/A', ''].some((v) => isNumericText(v))).toBe(false);
+    expect(isNumericText('1,234,56', ',')).toBe(false);
+  });
+});
+
+describe('detectDialect', () => {
+  it('detects a US dialect', () => {
+    expect(detectDialect(US_SAMPLE)).toEqual({ delimiter: ',', decimalSeparator: '.' });
+  });
+
+  it('detects a European dialect', () => {
+    expect(detectDialect(EU_SAMPLE)).toEqual({ delimiter: ';', decimalSeparator: ',' });
+  });
+
+  it('honours explicit overrides', () => {
+    expect(detectDialect(EU_SAMPLE, { delimiter: ',', decimalSeparator: '.' })).toEqual({
+      delimiter: ',',
+      decimalSeparator: '.',
+    });
+    expect(detectDialect(EU_SAMPLE, { decimalSeparator: '.' }).delimiter).toBe(';');
+  });
+});
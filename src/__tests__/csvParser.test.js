@@ -11,7 +11,15 @@ import {
   findHeaderRow,
   resolveTotalCost,
   resolveTotalRetail,
+  resolveTotal,
+  HEALING_POLICIES,
+  classifyRow,
+  isSummaryLabel,
   parseCSV,
+  parseRows,
+  createCSVParser,
+  detectColumnMapping,
+  findAmbiguousFields,
 } from '../utils/csvParser.js';
 
 // ─── splitCSVLine ────────────────────────────────────────────────────────────
@@ -272,6 +280,73 @@ describe('parseCSV', () => {
     });
   });
 
+  describe('multi-line quoted fields', () => {
+    it('keeps a record whose description contains a line break', () => {
+      const csv = makeCSV('Part Name,Unit Cost,Unit Retail,Qty', [
+        '"Brake Pads\nFront, ceramic",18.00,54.99,5',
+        'Oil Filter,3.25,12.99,10',
+      ]);
+      const result = parseCSV(csv);
+      expect(result.error).toBeNull();
+      expect(result.skippedCount).toBe(0);
+      expect(result.parts).toHaveLength(2);
+      expect(result.parts[0].unitCost).toBeCloseTo(18.0, 2);
+    });
+
+    it('records the physical line each part starts on', () => {
+      const csv = makeCSV('Part Name,Unit Cost,Unit Retail,Qty', [
+        '"Line one\nline two\nline three",18.00,54.99,5',
+        'Oil Filter,3.25,12.99,10',
+      ]);
+      const result = parseCSV(csv);
+      expect(result.parts.map((p) => p.line)).toEqual([2, 5]);
+    });
+
+    it('recovers the rows after an unterminated quote', () => {
+      const csv = makeCSV('Part Name,Unit Cost,Unit Retail,Qty', [
+        '"Broken,5.00,10.00,1',
+        'Oil Filter,3.25,12.99,10',
+      ]);
+      const result = parseCSV(csv);
+      expect(result.parts).toHaveLength(1);
+      expect(result.parts[0].line).toBe(3);
+      expect(result.skippedCount).toBe(1);
+    });
+  });
+
+  describe('delimiter and number format', () => {
+    const EU_CSV = [
+      'Part Name;Unit Cost;Unit Retail;Qty;Total Cost;Total Retail',
+      'Ölfilter;3,25;12,99;10;32,50;129,90',
+      'Bremsscheibe;1.018,00;2.054,99;1;1.018,00;2.054,99',
+    ].join('\n');
+
+    it('parses semicolon-delimited exports with decimal commas', () => {
+      const result = parseCSV(EU_CSV);
+      expect(result.error).toBeNull();
+      expect(result.dialect).toEqual({ delimiter: ';', decimalSeparator: ',' });
+      expect(result.parts[0].unitCost).toBeCloseTo(3.25, 2);
+      expect(result.parts[1].unitCost).toBeCloseTo(1018, 2);
+      expect(result.parts[1].totalRetail).toBeCloseTo(2054.99, 2);
+    });
+
+    it('reports the default dialect for ordinary CSV', () => {
+      const result = parseCSV(makeCSV(STANDARD_HEADER, [makeRow('Filter', 3, 12, 1)]));
+      expect(result.dialect).toEqual({ delimiter: ',', decimalSeparator: '.' });
+    });
+
+    it('applies manual overrides instead of detection', () => {
+      const tsv = 'Part\tUnit Cost\tQty\nFilter\t3,25\t10';
+      const result = parseCSV(tsv, { delimiter: '\t', decimalSeparator: ',' });
+      expect(result.error).toBeNull();
+      expect(result.parts[0].unitCost).toBeCloseTo(3.25, 2);
+    });
+
+    it('includes the dialect in error results', () => {
+      expect(parseCSV('junk').dialect).toEqual({ delimiter: ',', decimalSeparator: '.' });
+    });
+  });
+
   describe('error cases', () => {
     it('returns error for empty CSV', () => {
       const result = parseCSV('');
@@ -370,3 +445,609 @@ describe('parseCSV', () => {
     });
   });
 });
+
+// ─── createCSVParser (incremental) ───────────────────────────────────────────
+
+describe('createCSVParser', () => {
+  const csv = [
+    'Store Report',
+    STANDARD_HEADER,
+    makeRow('Oil Filter', 3.25, 12.99, 10),
+    makeRow('Brake Pads', 18.0, 54.99, 5),
+    'Free Warranty,0,0,1,0,0',
+  ].join('\r\n');
+
+  function parseInChunks(text, size) {
+    const parser = createCSVParser();
+    for (let i = 0; i < text.length; i += size) {
+      parser.push(text.slice(i, i + size));
+    }
+    return parser.finish();
+  }
+
+  it('produces the same result as parseCSV regardless of chunk size', () => {
+    const expected = parseCSV(csv);
+    for (const size of [1, 2, 7, 64, csv.length]) {
+      expect(parseInChunks(csv, size)).toEqual(expected);
+    }
+  });
+
+  it('handles a chunk boundary between \\r and \\n', () => {
+    const idx = csv.indexOf('\r\n') + 1;
+    const parser = createCSVParser();
+    parser.push(csv.slice(0, idx));
+    parser.push(csv.slice(idx));
+    expect(parser.finish().parts).toHaveLength(2);
+  });
+
+  it('strips a BOM only from the start of the stream', () => {
+    const parser = createCSVParser();
+    parser.push('\uFEFF');
+    parser.push(csv);
+    const result = parser.finish();
+    expect(result.error).toBeNull();
+    expect(result.parts).toHaveLength(2);
+  });
+
+  it('reports a header error when no data is pushed', () => {
+    expect(createCSVParser().finish().error).toMatch(/header row/i);
+  });
+
+  it('stops scanning for a header after 10 non-empty lines', () => {
+    const junk = Array.from({ length: 12 }, (_, i) => `junk ${i}`);
+    const result = parseInChunks([...junk, STANDARD_HEADER, makeRow('A', 1, 2, 1)].join('\n'), 5);
+    expect(result.error).toMatch(/header row/i);
+  });
+});
+
+// ─── Column mapping ──────────────────────────────────────────────────────────
+
+describe('detectColumnMapping', () => {
+  it('maps every field of the standard header', () => {
+    const headers = STANDARD_HEADER.toLowerCase().split(',');
+    expect(detectColumnMapping(headers)).toEqual({
+      unitCost: 1,
+      unitRetail: 2,
+      qty: 3,
+      totalCost: 4,
+      totalRetail: 5,
+      partNumber: -1,
+      description: 0,
+      vendor: -1,
+      category: -1,
+      invoiceDate: -1,
+      roNumber: -1,
+    });
+  });
+
+  it('returns -1 for absent fields', () => {
+    const mapping = detectColumnMapping(['part', 'unit cost']);
+    expect(mapping.unitRetail).toBe(-1);
+    expect(mapping.qty).toBe(-1);
+  });
+});
+
+describe('findAmbiguousFields', () => {
+  it('flags retail when "Price" was picked but "List Price" also exists', () => {
+    const headers = ['part', 'unit cost', 'price', 'list price', 'qty'];
+    const mapping = detectColumnMapping(headers);
+    expect(mapping.unitRetail).toBe(2);
+    expect(findAmbiguousFields(headers, mapping)).toEqual(['unitRetail']);
+  });
+
+  it('does not flag columns already claimed by another field', () => {
+    const headers = STANDARD_HEADER.toLowerCase().split(',');
+    expect(findAmbiguousFields(headers, detectColumnMapping(headers))).toEqual([]);
+  });
+});
+
+describe('parseCSV column info and explicit mapping', () => {
+  const AMBIGUOUS_CSV = makeCSV('Part,Unit Cost,Price,List Price,Qty', [
+    'Oil Filter,3.25,9.99,12.99,10',
+    'Brake Pads,18.00,49.99,54.99,5',
+  ]);
+
+  it('reports headers, mapping, ambiguity and sample rows', () => {
+    const { columns } = parseCSV(AMBIGUOUS_CSV);
+    expect(columns.headers).toEqual(['Part', 'Unit Cost', 'Price', 'List Price', 'Qty']);
+    expect(columns.mapping.unitRetail).toBe(2);
+    expect(columns.ambiguous).toEqual(['unitRetail']);
+    expect(columns.sampleRows).toHaveLength(2);
+    expect(columns.sampleRows[0][3]).toBe('12.99');
+  });
+
+  it('uses an explicit mapping instead of auto-detection', () => {
+    const result = parseCSV(AMBIGUOUS_CSV, { mapping: { unitCost: 1, unitRetail: 3, qty: 4 } });
+    expect(result.error).toBeNull();
+    expect(result.parts[0].unitRetail).toBeCloseTo(12.99, 2);
+    expect(result.parts[0].totalRetail).toBeCloseTo(129.9, 2);
+    expect(result.columns.mapping).toEqual({
+      unitCost: 1,
+      unitRetail: 3,
+      qty: 4,
+      totalCost: -1,
+      totalRetail: -1,
+      partNumber: -1,
+      description: -1,
+      vendor: -1,
+      category: -1,
+      invoiceDate: -1,
+      roNumber: -1,
+    });
+    expect(result.columns.ambiguous).toEqual([]);
+  });
+
+  it('lets a file without a recognisable cost header be mapped by hand', () => {
+    const csv = makeCSV('Item,Landed,Sell Price,Qty', ['Filter,3.25,12.99,10']);
+    const auto = parseCSV(csv);
+    expect(auto.error).toMatch(/unit cost/i);
+    expect(auto.columns.sampleRows).toEqual([['Filter', '3.25', '12.99', '10']]);
+
+    const mapped = parseCSV(csv, { mapping: { ...auto.columns.mapping, unitCost: 1 } });
+    expect(mapped.error).toBeNull();
+    expect(mapped.parts[0].unitCost).toBeCloseTo(3.25, 2);
+  });
+
+  it('returns null columns when no header row exists', () => {
+    expect(parseCSV('junk').columns).toBeNull();
+  });
+});
+
+describe('parseCSV import profiles', () => {
+  const MITCHELL_CSV = [
+    'Main Street Auto',
+    'Parts Sales Report',
+    '01/01/2024 - 03/31/2024',
+    'Part No.,Description,Qty Sold,Cost,Sale Price,Ext Cost,Ext Sale',
+    'BP-100,Brake Pads,2,18.00,49.99,36.00,99.98',
+    'OF-200,Oil Filter,10,3.25,9.99,32.50,99.90',
+    'Report Totals,,12,,,68.50,199.88',
+  ].join('\n');
+
+  it('auto-picks the Mitchell profile and drops the report footer', () => {
+    const result = parseCSV(MITCHELL_CSV);
+    expect(result.error).toBeNull();
+    expect(result.profile).toEqual({ id: 'mitchell', name: 'Mitchell' });
+    expect(result.parts).toHaveLength(2);
+    expect(result.parts[0].unitRetail).toBeCloseTo(49.99, 2);
+    expect(result.columns.headerIndex).toBe(3);
+    expect(result.columns.ambiguous).toEqual([]);
+  });
+
+  it('keeps the last sale of a Mitchell export without a footer', () => {
+    const csv = MITCHELL_CSV.split('\n').slice(0, -1).join('\n');
+    const result = parseCSV(csv);
+    expect(result.profile.id).toBe('mitchell');
+    expect(result.parts.map((p) => p.partNumber)).toEqual(['BP-100', 'OF-200']);
+    expect(result.summaryRows).toEqual([]);
+  });
+
+  it('lists a labelled Mitchell footer as a summary row', () => {
+    const result = parseCSV(MITCHELL_CSV);
+    expect(result.summaryRows).toEqual([
+      expect.objectContaining({ line: 7, reason: 'summary-row', detail: 'Labelled "Report Totals"' }),
+    ]);
+  });
+
+  it('picks a profile header over an earlier keyword line', () => {
+    const csv = ['Total Sales Report', 'Part #,Description,Unit Cost,Unit Price,Qty,Ext. Cost,Ext. Price', 'A1,Wiper,4.00,11.99,3,12.00,35.97'].join('\n');
+    const result = parseCSV(csv);
+    expect(result.profile.id).toBe('shop-ware');
+    expect(result.parts).toHaveLength(1);
+    expect(result.parts[0].totalRetail).toBeCloseTo(35.97, 2);
+  });
+
+  it('keeps the heuristic fallback when no profile matches', () => {
+    const result = parseCSV(makeCSV(STANDARD_HEADER, ['Filter,3.25,9.99,10,32.50,99.90']));
+    expect(result.profile).toBeNull();
+    expect(result.parts).toHaveLength(1);
+  });
+
+  it('does not match profiles when profile is "none"', () => {
+    const result = parseCSV(MITCHELL_CSV, { profile: 'none' });
+    expect(result.profile).toBeNull();
+    expect(result.parts.length).toBeGreaterThan(0);
+    // Without the footer rule the totals row is caught by its label instead
+    expect(result.summaryRows.map((r) => r.line)).toEqual([7]);
+  });
+
+  it('applies a forced profile header offset and number format', () => {
+    const profile = {
+      id: 'custom-eu',
+      name: 'EU Shop',
+      builtIn: false,
+      fingerprint: ['artikel', 'ek'],
+      columns: { unitCost: 'EK', unitRetail: 'VK' },
+      headerOffset: 1,
+      footerRows: 0,
+      delimiter: ';',
+      decimalSeparator: ',',
+    };
+    const csv = ['Export 2024', 'Nr;EK;VK', '1;1.234,50;2.000,00'].join('\n');
+    const result = parseCSV(csv, { profile });
+    expect(result.error).toBeNull();
+    expect(result.profile).toEqual({ id: 'custom-eu', name: 'EU Shop' });
+    expect(result.parts[0].unitCost).toBeCloseTo(1234.5, 2);
+    expect(result.parts[0].unitRetail).toBeCloseTo(2000, 2);
+  });
+});
+
+describe('parseCSV identity columns', () => {
+  const IDENTITY_CSV = makeCSV(
+    'Invoice Date,RO #,Part Number,Description,Vendor,Category,Unit Cost,Unit Retail,Qty',
+    [
+      '2024-03-01,10452,BP-100,"Brake Pads, Ceramic",Wagner,Brakes,18.00,49.99,2',
+      ',,OF-200,,,,3.25,9.99,10',
+    ],
+  );
+
+  it('detects and keeps identity fields on each part', () => {
+    const result = parseCSV(IDENTITY_CSV);
+    expect(result.error).toBeNull();
+    expect(result.parts[0]).toMatchObject({
+      invoiceDate: '2024-03-01',
+      roNumber: '10452',
+      partNumber: 'BP-100',
+      description: 'Brake Pads, Ceramic',
+      vendor: 'Wagner',
+      category: 'Brakes',
+      unitCost: 18,
+    });
+  });
+
+  it('omits identity fields that are blank in a row', () => {
+    const { parts } = parseCSV(IDENTITY_CSV);
+    expect(parts[1].partNumber).toBe('OF-200');
+    expect(parts[1]).not.toHaveProperty('description');
+    expect(parts[1]).not.toHaveProperty('invoiceDate');
+  });
+
+  it('does not skip rows that are short only in identity columns', () => {
+    const csv = makeCSV('Unit Cost,Unit Retail,Qty,Description', ['3.25,9.99,10']);
+    const result = parseCSV(csv);
+    expect(result.parts).toHaveLength(1);
+    expect(result.skippedCount).toBe(0);
+    expect(result.parts[0]).not.toHaveProperty('description');
+  });
+
+  it('leaves parts without identity columns unchanged', () => {
+    const { parts } = parseCSV(makeCSV('Unit Cost,Unit Retail,Qty', ['3.25,9.99,10']));
+    expect(Object.keys(parts[0]).sort()).toEqual(
+      ['line', 'qty', 'rowType', 'totalCost', 'totalRetail', 'unitCost', 'unitRetail'],
+    );
+  });
+});
+
+describe('parseCSV rejected row diagnostics', () => {
+  const csv = makeCSV(STANDARD_HEADER, [
+    makeRow('Oil Filter', 3.25, 12.99, 10),
+    ',,,,,',
+    'Incomplete Row',
+    'Bad Cost,N/A,9.99,1,0,0',
+    'Bad Qty,2.00,9.99,lots,0,0',
+    makeRow('Free Warranty', 0, 0, 1),
+  ]);
+
+  it('records line, raw text and reason for each rejected row', () => {
+    const result = parseCSV(csv);
+    expect(result.parts).toHaveLength(1);
+    expect(result.skippedCount).toBe(5);
+    expect(result.rejectedRows.map((r) => [r.line, r.reason])).toEqual([
+      [3, 'empty-row'],
+      [4, 'too-few-columns'],
+      [5, 'unparseable-number'],
+      [6, 'unparseable-number'],
+      [7, 'zero-cost'],
+    ]);
+    expect(result.rejectedRows[1].raw).toBe('Incomplete Row');
+  });
+
+  it('names the field and value that failed', () => {
+    const { rejectedRows } = parseCSV(csv);
+    expect(rejectedRows[1].detail).toBe('Expected at least 6 columns, found 1');
+    expect(rejectedRows[2].detail).toBe('Unit Cost: "N/A"');
+    expect(rejectedRows[3].detail).toBe('Qty: "lots"');
+  });
+
+  it('rejects numbers with stray letters, symbols or separators', () => {
+    const result = parseCSV(makeCSV(STANDARD_HEADER, [
+      'Double Dot,12..5,20.00,1,0,0',
+      'Letter O,1O.50,20.00,1,0,0',
+      'Per Each,$5/ea,9.99,1,0,0',
+      'Two Decimals,1.234.56,9.99,1,0,0',
+      makeRow('Oil Filter', 3.25, 12.99, 10),
+    ]));
+    expect(result.parts).toHaveLength(1);
+    expect(result.rejectedRows.map((r) => [r.reason, r.detail])).toEqual([
+      ['unparseable-number', 'Unit Cost: "12..5"'],
+      ['unparseable-number', 'Unit Cost: "1O.50"'],
+      ['unparseable-number', 'Unit Cost: "$5/ea"'],
+      ['unparseable-number', 'Unit Cost: "1.234.56"'],
+    ]);
+  });
+
+  it('reports no rejected rows on a fatal error', () => {
+    expect(parseCSV('junk').rejectedRows).toEqual([]);
+  });
+});
+
+describe('resolveTotal', () => {
+  it('reports the rule when the heal policy replaces a total', () => {
+    expect(resolveTotal(10, 5, 45)).toEqual({ value: 45, rule: null });
+    expect(resolveTotal(10, 5, 10)).toEqual({ value: 50, rule: 'tolerance-exceeded' });
+    expect(resolveTotal(0, 5, 10)).toEqual({ value: 0, rule: 'no-unit-value' });
+  });
+
+  it('honours a custom tolerance', () => {
+    expect(resolveTotal(10, 5, 40, { tolerance: 0.1 }).rule).toBe('tolerance-exceeded');
+    expect(resolveTotal(10, 5, 10, { tolerance: 0.9 }).value).toBe(10);
+  });
+
+  it('keeps any reported total under the trust-csv policy', () => {
+    expect(resolveTotal(10, 5, 10, { policy: HEALING_POLICIES.TRUST_CSV })).toEqual({ value: 10, rule: null });
+  });
+
+  it('always uses unit × qty under the trust-calculated policy', () => {
+    const policy = HEALING_POLICIES.TRUST_CALCULATED;
+    expect(resolveTotal(10, 5, 45, { policy })).toEqual({ value: 50, rule: 'trust-calculated' });
+    // Matching totals are not overrides
+    expect(resolveTotal(10, 5, 50, { policy }).rule).toBeNull();
+  });
+
+  it('does not record an override when no total was reported', () => {
+    expect(resolveTotal(10, 5, 0)).toEqual({ value: 50, rule: null });
+  });
+});
+
+describe('parseCSV self-healing audit', () => {
+  const csv = makeCSV(STANDARD_HEADER, [
+    'Discounted Pads,18.00,50.00,2,36.00,40.00', // retail 40 vs 100: replaced
+    'Oil Filter,3.25,9.99,10,32.50,99.90',
+    'Core Charge,50.00,80.00,1,5.00,80.00', // cost 5 vs 50: replaced
+  ]);
+
+  it('records both values and the rule on the row', () => {
+    const { parts } = parseCSV(csv);
+    expect(parts[0].healing).toEqual([
+      { field: 'totalRetail', csvValue: 40, calculatedValue: 100, rule: 'tolerance-exceeded' },
+    ]);
+    expect(parts[1]).not.toHaveProperty('healing');
+    expect(parts[2].healing[0]).toMatchObject({ field: 'totalCost', csvValue: 5, calculatedValue: 50 });
+  });
+
+  it('summarises how much revenue and cost healing changed', () => {
+    const { healingSummary } = parseCSV(csv);
+    expect(healingSummary.rows).toBe(2);
+    expect(healingSummary.revenueChange).toBeCloseTo(60, 2);
+    expect(healingSummary.costChange).toBeCloseTo(45, 2);
+  });
+
+  it('applies the policy and tolerance chosen for the import', () => {
+    const trusted = parseCSV(csv, { healing: { policy: 'trust-csv' } });
+    expect(trusted.parts[0].totalRetail).toBeCloseTo(40, 2);
+    expect(trusted.healingSummary.rows).toBe(0);
+
+    const loose = parseCSV(csv, { healing: { tolerance: 0.7 } });
+    expect(loose.parts[0].totalRetail).toBeCloseTo(40, 2);
+    expect(loose.parts[2].healing[0].field).toBe('totalCost');
+  });
+});
+
+describe('classifyRow', () => {
+  it('classifies by sign and core wording', () => {
+    expect(classifyRow(1, ['OF-1', 'Oil Filter'])).toBe('sale');
+    expect(classifyRow(-1, ['OF-1', 'Oil Filter'])).toBe('return');
+    expect(classifyRow(1, ['ALT-9C', 'Alternator Core Charge'])).toBe('core-charge');
+    expect(classifyRow(1, ['ALT-9C', 'Core deposit - alternator'])).toBe('core-charge');
+    expect(classifyRow(-1, ['ALT-9C', 'Alternator Core Charge'])).toBe('core-credit');
+    expect(classifyRow(1, ['Core Return - Starter'])).toBe('core-credit');
+  });
+
+  it('reads a line-type column holding "Core"', () => {
+    expect(classifyRow(1, ['ALT-9C', 'Alternator', 'Core'])).toBe('core-charge');
+    expect(classifyRow(-1, ['ALT-9C', 'Alternator', 'core'])).toBe('core-credit');
+  });
+
+  it('keeps parts whose name contains "core" as sales', () => {
+    expect(classifyRow(1, ['RCS-1', 'Radiator Core Support'])).toBe('sale');
+    expect(classifyRow(1, ['EC-7', 'Engine Core Plug Kit'])).toBe('sale');
+    expect(classifyRow(1, ['Scored Rotor'])).toBe('sale');
+    expect(classifyRow(-1, ['Heater Core'])).toBe('return');
+  });
+});
+
+describe('parseCSV returns, credits and core charges', () => {
+  const csv = makeCSV('Part Number,Description,Unit Cost,Unit Retail,Qty,Total Cost,Total Retail', [
+    'BP-1,Brake Pads,18.00,49.99,2,36.00,99.98',
+    'BP-1,Brake Pads,18.00,49.99,-1,-18.00,-49.99',
+    'ALT-9,Alternator,120.00,249.99,1,120.00,249.99',
+    'ALT-9C,Alternator Core Charge,40.00,40.00,1,40.00,40.00',
+    'ALT-9C,Alternator Core Charge,40.00,40.00,1,(40.00),(40.00)',
+    'WC-1,Warranty Credit,(25.00),(60.00),1,,',
+    'RCS-1,Radiator Core Support,60.00,140.00,1,60.00,140.00',
+    'EC-7,Engine Core Plug Kit,8.00,21.99,1,8.00,21.99',
+  ]);
+
+  it('keeps negative rows instead of dropping them as zero cost', () => {
+    const result = parseCSV(csv);
+    expect(result.skippedCount).toBe(0);
+    expect(result.parts.map((p) => p.rowType)).toEqual([
+      'sale', 'return', 'sale', 'core-charge', 'core-credit', 'return', 'sale', 'sale',
+    ]);
+  });
+
+  it('stores positive unit values with negative qty and totals', () => {
+    const { parts } = parseCSV(csv);
+    expect(parts[1]).toMatchObject({ unitCost: 18, unitRetail: 49.99, qty: -1, totalCost: -18, totalRetail: -49.99 });
+    expect(parts[4]).toMatchObject({ qty: -1, totalCost: -40, totalRetail: -40 });
+    expect(parts[5]).toMatchObject({ unitCost: 25, qty: -1, totalCost: -25, totalRetail: -60 });
+  });
+
+  it('heals negative totals with the sign preserved', () => {
+    const healed = parseCSV(makeCSV(STANDARD_HEADER, ['Pads,18.00,50.00,-2,-36.00,-40.00']));
+    expect(healed.parts[0].totalRetail).toBeCloseTo(-100, 2);
+    expect(healed.parts[0].healing[0]).toMatchObject({ csvValue: -40, calculatedValue: -100 });
+    expect(healed.healingSummary.revenueChange).toBeCloseTo(-60, 2);
+  });
+});
+
+describe('isSummaryLabel', () => {
+  it('recognises total and subtotal labels', () => {
+    ['Total', 'Grand Total', 'Subtotal', 'Sub-Total - Brakes', 'Report Totals:', 'Total for Filters', 'TOTALS', 'Sum']
+      .forEach((label) => expect(isSummaryLabel(label)).toBe(true));
+  });
+
+  it('ignores descriptions that merely start with "Total"', () => {
+    expect(isSummaryLabel('Total Seal Piston Rings')).toBe(false);
+    expect(isSummaryLabel('Brake Pads')).toBe(false);
+  });
+});
+
+describe('parseCSV summary rows', () => {
+  it('excludes labelled grand total and subtotal rows', () => {
+    const csv = makeCSV(STANDARD_HEADER, [
+      makeRow('Oil Filter', 3.25, 9.99, 10),
+      makeRow('Air Filter', 6.0, 14.99, 2),
+      'Subtotal - Filters,,,12,44.50,129.88',
+      makeRow('Total Seal Piston Rings', 40.0, 99.99, 1),
+      'Grand Total,,,13,84.50,229.87',
+    ]);
+    const result = parseCSV(csv);
+    expect(result.parts).toHaveLength(3);
+    expect(result.skippedCount).toBe(0);
+    expect(result.summaryRows.map((r) => [r.line, r.reason])).toEqual([
+      [4, 'summary-row'],
+      [6, 'summary-row'],
+    ]);
+    expect(result.summaryRows[1].detail).toBe('Labelled "Grand Total"');
+  });
+
+  it('keeps part lines whose description starts like a total', () => {
+    const csv = makeCSV('Part Number,Description,Unit Cost,Unit Retail,Qty', [
+      'BK-1,Total: Brake Kit,45.00,99.99,1',
+      'SK-2,Sum - Seal Kit,6.00,14.99,2',
+      ',Total,,,3',
+    ]);
+    const result = parseCSV(csv);
+    expect(result.parts.map((p) => p.partNumber)).toEqual(['BK-1', 'SK-2']);
+    expect(result.summaryRows.map((r) => r.detail)).toEqual(['Labelled "Total"']);
+
+    // Without part numbers, a unit cost marks the part line
+    const unnumbered = parseCSV(makeCSV(STANDARD_HEADER, [makeRow('Total: Brake Kit', 45.0, 99.99, 1), 'Total,,,1,45.00,99.99']));
+    expect(unnumbered.parts).toHaveLength(1);
+    expect(unnumbered.summaryRows).toHaveLength(1);
+  });
+
+  it('excludes unlabelled rows whose totals equal the column sum above', () => {
+    const csv = makeCSV(STANDARD_HEADER, [
+      makeRow('Oil Filter', 3.25, 9.99, 10),
+      makeRow('Air Filter', 6.0, 14.99, 2),
+      ',,,12,44.50,129.88',
+    ]);
+    const result = parseCSV(csv);
+    expect(result.parts).toHaveLength(2);
+    expect(result.summaryRows[0]).toMatchObject({ line: 4, reason: 'summary-row' });
+    expect(result.summaryRows[0].detail).toMatch(/sum of the 2 rows above/);
+  });
+
+  it('restarts the section sum after a blank line and at section headings', () => {
+    const csv = makeCSV(STANDARD_HEADER, [
+      'BRAKES,,,,,',
+      makeRow('Pads', 18.0, 49.99, 2),
+      makeRow('Rotors', 30.0, 79.99, 1),
+      ',,,3,66.00,179.97',
+      '',
+      makeRow('Oil Filter', 3.25, 9.99, 10),
+      makeRow('Air Filter', 6.0, 14.99, 2),
+      ',,,12,44.50,129.88',
+    ]);
+    const result = parseCSV(csv);
+    expect(result.parts).toHaveLength(4);
+    expect(result.summaryRows.map((r) => r.reason)).toEqual(['section-header', 'summary-row', 'summary-row']);
+    expect(result.summaryRows[0].detail).toBe('Section "BRAKES"');
+  });
+
+  it('keeps an item line that happens to equal the sum above', () => {
+    const csv = makeCSV(STANDARD_HEADER, [
+      makeRow('Clip', 1.0, 5.0, 1),
+      makeRow('Clip', 1.0, 5.0, 1),
+      makeRow('Bracket', 2.0, 10.0, 1),
+    ]);
+    const result = parseCSV(csv);
+    expect(result.parts).toHaveLength(3);
+    expect(result.summaryRows).toEqual([]);
+  });
+
+  it('lists profile footer rows', () => {
+    const csv = [
+      'Shop', 'Report', 'Dates',
+      'Part No.,Description,Qty Sold,Cost,Sale Price,Ext Cost,Ext Sale',
+      'BP-100,Brake Pads,2,18.00,49.99,36.00,99.98',
+      ',,2,,,36.00,99.98',
+    ].join('\n');
+    const result = parseCSV(csv);
+    expect(result.summaryRows).toEqual([
+      expect.objectContaining({ line: 6, detail: 'Footer row of the Mitchell profile' }),
+    ]);
+  });
+});
+
+// ─── parseRows (spreadsheet cells) ───────────────────────────────────────────
+
+describe('parseRows', () => {
+  const ROWS = [
+    ['Parts Sales Report'],
+    [],
+    ['Part Name', 'Unit Cost', 'Unit Retail', 'Qty', 'Invoice Date'],
+    ['Oil Filter', 3.25, 12.99, 10, '2024-01-05'],
+    ['Brake Pads', 18, 54.99, 5, '2024-01-06'],
+  ];
+
+  it('scans for the header and validates rows like parseCSV', () => {
+    const result = parseRows(ROWS);
+    const csv = parseCSV(
+      ['Parts Sales Report', '', 'Part Name,Unit Cost,Unit Retail,Qty,Invoice Date', 'Oil Filter,3.25,12.99,10,2024-01-05', 'Brake Pads,18,54.99,5,2024-01-06'].join('\n'),
+    );
+    expect(result.error).toBeNull();
+    expect(result.parts).toEqual(csv.parts);
+    expect(result.columns.headerIndex).toBe(csv.columns.headerIndex);
+    expect(result.dialect.delimiter).toBeNull();
+  });
+
+  it('uses typed numeric cells without parseCurrency', () => {
+    // Read as text with a decimal comma, "1234.5" would become 12345
+    const result = parseRows(
+      [
+        ['Part', 'Unit Cost', 'Unit Retail', 'Qty'],
+        ['Crate Engine', 1234.5, 2499.99, 1],
+        ['Spark Plug', '2,50', '7,99', 4],
+      ],
+      { decimalSeparator: ',' },
+    );
+    expect(result.parts[0]).toMatchObject({ unitCost: 1234.5, unitRetail: 2499.99 });
+    expect(result.parts[1]).toMatchObject({ unitCost: 2.5, unitRetail: 7.99, qty: 4 });
+  });
+
+  it('detects the decimal separator from text cells', () => {
+    const result = parseRows([
+      ['Part', 'Unit Cost', 'Unit Retail'],
+      ['Ölfilter', '1.234,50', '2.000,00'],
+    ]);
+    expect(result.dialect.decimalSeparator).toBe(',');
+    expect(result.parts[0].unitCost).toBe(1234.5);
+  });
+
+  it('reports rejected rows by spreadsheet row number', () => {
+    const result = parseRows([
+      ['Part', 'Unit Cost', 'Unit Retail'],
+      ['Oil Filter', 3.25, 12.99],
+      ['Mystery', 'n/a', 5],
+      ['Free Sample', 0, 0],
+    ]);
+    expect(result.rejectedRows.map((r) => [r.line, r.reason])).toEqual([
+      [3, 'unparseable-number'],
+      [4, 'zero-cost'],
+    ]);
+    expect(result.rejectedRows[0].raw).toBe('Mystery,n/a,5');
+  });
+});
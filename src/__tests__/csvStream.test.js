@@ -0,0 +1,227 @@
+/**
+ * Unit tests for src/utils/csvStream.js
+ *
+ * Exercises the chunked File reader that backs the CSV parser worker, and
+ * the Excel workbook path beside it.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseFileInChunks,
+  parseWorkbookFile,
+  parseJSONFile,
+  parseFixedWidthFile,
+  parseImportFile,
+  isWorkbookFile,
+  isJSONFile,
+} from '../utils/csvStream.js';
+import { parseJSON } from '../utils/jsonImport.js';
+import { parseFixedWidth } from '../utils/fixedWidth.js';
+import { parseCSV } from '../utils/csvParser.js';
+import { buildXlsx } from './fixtures/xlsx.js';
+
+const HEADER = 'Part Name,Unit Cost,Unit Retail,Qty,Total Cost,Total Retail';
+
+function makeFile(text) {
+  return new File([text], 'parts.csv', { type: 'text/csv' });
+}
+
+const REPORT = [
+  'PART NO   DESCRIPTION              UNIT COST  UNIT RETAIL  QTY',
+  'OF-1042   Oil Filter                    3.25        12.99   10',
+  'BP-2211   Brake Pads – Céramique       18.00        54.99    5',
+].join('\n');
+
+const CSV = [
+  HEADER,
+  'Oil Filter,3.25,12.99,10,32.50,129.90',
+  'Brake Pads – Céramique,18.00,54.99,5,90.00,274.95',
+  'Wiper Blades,15.00,44.99,2,30.00,89.98',
+].join('\n');
+
+describe('parseFileInChunks', () => {
+  it('matches parseCSV on the same text', async () => {
+    const result = await parseFileInChunks(makeFile(CSV), { chunkSize: 16 });
+    expect(result).toEqual({ ...parseCSV(CSV), encoding: 'utf-8' });
+  });
+
+  it('decodes multi-byte characters split across chunk boundaries', async () => {
+    // 1-byte chunks split every multi-byte UTF-8 sequence
+    const result = await parseFileInChunks(makeFile(CSV), { chunkSize: 1 });
+    expect(result.error).toBeNull();
+    expect(result.parts).toHaveLength(3);
+  });
+
+  it('reports monotonically increasing progress ending at the file size', async () => {
+    const file = makeFile(CSV);
+    const events = [];
+    await parseFileInChunks(file, { chunkSize: 32, onProgress: (p) => events.push(p) });
+
+    expect(events.length).toBe(Math.ceil(file.size / 32));
+    events.forEach((e, i) => {
+      expect(e.total).toBe(file.size);
+      if (i > 0) expect(e.loaded).toBeGreaterThan(events[i - 1].loaded);
+    });
+    expect(events[events.length - 1].loaded).toBe(file.size);
+  });
+
+  it('rejects with an AbortError when cancelled', async () => {
+    const controller = new AbortController();
+    const promise = parseFileInChunks(makeFile(CSV), {
+      chunkSize: 8,
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    });
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('returns the header error for an empty file', async () => {
+    const result = await parseFileInChunks(makeFile(''));
+    expect(result.error).toMatch(/header row/i);
+  });
+});
+
+describe('parseFileInChunks encodings', () => {
+  const TEXT = 'Part Name,Unit Cost,Unit Retail\nBremsbeläge,18.00,54.99\nÖlfilter,3.25,12.99\n';
+  const makeBytesFile = (bytes) => new File([bytes], 'legacy.csv', { type: 'text/csv' });
+  const windows1252 = Uint8Array.from(TEXT, (char) => char.charCodeAt(0));
+
+  function utf16le(text, bom) {
+    const bytes = new Uint8Array((bom ? 2 : 0) + text.length * 2);
+    const view = new DataView(bytes.buffer);
+    if (bom) view.setUint16(0, 0xfeff, true);
+    for (let i = 0; i < text.length; i++) view.setUint16((bom ? 2 : 0) + i * 2, text.charCodeAt(i), true);
+    return bytes;
+  }
+
+  it('decodes Windows-1252 exports', async () => {
+    const result = await parseFileInChunks(makeBytesFile(windows1252));
+    expect(result.encoding).toBe('windows-1252');
+    expect(result.parts.map((p) => p.description)).toEqual(['Bremsbeläge', 'Ölfilter']);
+  });
+
+  it('decodes UTF-16LE with and without a BOM across chunk boundaries', async () => {
+    for (const bom of [true, false]) {
+      const result = await parseFileInChunks(makeBytesFile(utf16le(TEXT, bom)), { chunkSize: 7 });
+      expect(result.encoding).toBe('utf-16le');
+      expect(result.columns.headers[0]).toBe('Part Name');
+      expect(result.parts.map((p) => p.description)).toEqual(['Bremsbeläge', 'Ölfilter']);
+    }
+  });
+
+  it('uses the encoding chosen by the user', async () => {
+    const result = await parseFileInChunks(makeFile(TEXT), { parseOptions: { encoding: 'windows-1252' } });
+    expect(result.encoding).toBe('windows-1252');
+    expect(result.parts[0].description).toBe('BremsbelÃ¤ge');
+  });
+});
+
+describe('parseWorkbookFile', () => {
+  const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  const workbook = buildXlsx({
+    Notes: [['Exported from the shop system']],
+    Sales: [
+      ['Part Name', 'Unit Cost', 'Unit Retail', 'Qty'],
+      ['Oil Filter', 3.25, 12.99, 10],
+      ['Wiper Blades', 15, 44.99, 2],
+    ],
+  });
+  const makeWorkbook = () => new File([workbook], 'parts.xlsx', { type: XLSX_TYPE });
+
+  it('recognises workbooks by extension or MIME type', () => {
+    expect(isWorkbookFile(makeWorkbook())).toBe(true);
+    expect(isWorkbookFile(new File([workbook], 'export', { type: XLSX_TYPE }))).toBe(true);
+    expect(isWorkbookFile(makeFile(CSV))).toBe(false);
+  });
+
+  it('parses the first sheet by default and lists all sheets', async () => {
+    const result = await parseWorkbookFile(makeWorkbook());
+    expect(result.workbook).toEqual({ sheetNames: ['Notes', 'Sales'], sheet: 'Notes' });
+    expect(result.error).toMatch(/header row/i);
+  });
+
+  it('parses the chosen sheet', async () => {
+    const result = await parseWorkbookFile(makeWorkbook(), { parseOptions: { sheet: 'Sales' } });
+    expect(result.workbook.sheet).toBe('Sales');
+    expect(result.parts.map((p) => p.unitCost)).toEqual([3.25, 15]);
+  });
+
+  it('falls back to the first sheet when the chosen one is missing', async () => {
+    const result = await parseWorkbookFile(makeWorkbook(), { parseOptions: { sheet: 'Deleted' } });
+    expect(result.workbook.sheet).toBe('Notes');
+  });
+
+  it('reports progress once the file is read', async () => {
+    const events = [];
+    const file = makeWorkbook();
+    await parseWorkbookFile(file, { onProgress: (p) => events.push(p) });
+    expect(events).toEqual([{ loaded: file.size, total: file.size }]);
+  });
+});
+
+describe('parseJSONFile', () => {
+  const records = [
+    { description: 'Oil Filter', cost: 3.25, retail: 12.99, qty: 10 },
+    { description: 'Brake Pads – Céramique', cost: 18, retail: 54.99, qty: 5 },
+  ];
+  const JSON_TEXT = JSON.stringify(records);
+  const NDJSON_TEXT = records.map((r) => JSON.stringify(r)).join('\n');
+
+  it('recognises JSON and NDJSON files by extension or MIME type', () => {
+    expect(isJSONFile(new File([''], 'sales.json'))).toBe(true);
+    expect(isJSONFile(new File([''], 'sales.JSONL'))).toBe(true);
+    expect(isJSONFile(new File([''], 'export', { type: 'application/x-ndjson' }))).toBe(true);
+    expect(isJSONFile(new File([''], 'sales.csv', { type: 'text/csv' }))).toBe(false);
+  });
+
+  it('matches parseJSON on the same text, read in slices', async () => {
+    const result = await parseJSONFile(new File([JSON_TEXT], 'sales.json'), { chunkSize: 16 });
+    expect(result).toEqual({ ...parseJSON(JSON_TEXT), encoding: 'utf-8' });
+    expect(result.parts[1].description).toBe('Brake Pads – Céramique');
+  });
+
+  it('reads .ndjson files line by line', async () => {
+    const result = await parseJSONFile(new File([NDJSON_TEXT], 'sales.ndjson'));
+    expect(result.json.format).toBe('ndjson');
+    expect(result.parts).toHaveLength(2);
+  });
+
+  it('passes field paths and the records path through', async () => {
+    const text = JSON.stringify({ rows: [{ c: 5, p: 11 }] });
+    const result = await parseJSONFile(new File([text], 'sales.json'), {
+      parseOptions: { recordsPath: 'rows', fieldPaths: { unitCost: 'c', unitRetail: 'p' } },
+    });
+    expect(result.parts[0]).toMatchObject({ unitCost: 5, unitRetail: 11 });
+  });
+});
+
+describe('parseFixedWidthFile', () => {
+  it('matches parseFixedWidth on the same text, read in slices', async () => {
+    const result = await parseFixedWidthFile(new File([REPORT], 'sales.txt'), { chunkSize: 16 });
+    expect(result).toEqual({ ...parseFixedWidth(REPORT), encoding: 'utf-8' });
+    expect(result.parts[1].description).toBe('Brake Pads – Céramique');
+  });
+});
+
+describe('parseImportFile', () => {
+  it('dispatches CSV text, workbooks and JSON to their readers', async () => {
+    expect(await parseImportFile(makeFile(CSV))).toEqual({ ...parseCSV(CSV), encoding: 'utf-8' });
+    const xlsx = new File([buildXlsx({ Sheet1: [['Part', 'Unit Cost'], ['A', 4]] })], 'a.xlsx');
+    const result = await parseImportFile(xlsx);
+    expect(result.workbook.sheet).toBe('Sheet1');
+    expect(result.parts[0].unitCost).toBe(4);
+    const json = await parseImportFile(new File(['[{"Unit Cost": 7}]'], 'a.json'));
+    expect(json.json.format).toBe('json');
+    expect(json.parts[0].unitCost).toBe(7);
+  });
+
+  it('detects fixed-width text reports unless a format is chosen', async () => {
+    const report = await parseImportFile(new File([REPORT], 'sales.txt', { type: 'text/plain' }));
+    expect(report.fixedWidth.columns).toHaveLength(5);
+    expect(report.parts).toHaveLength(2);
+    const csv = await parseImportFile(makeFile(CSV));
+    expect(csv.fixedWidth).toBeUndefined();
+    const forced = await parseImportFile(new File([REPORT], 'sales.txt'), { parseOptions: { textFormat: 'delimited' } });
+    expect(forced.fixedWidth).toBeUndefined();
+  });
+});
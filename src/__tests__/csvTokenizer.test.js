@@ -0,0 +1,118 @@
+/**
+ * Unit tests for src/utils/csvTokenizer.js
+ *
+ * Covers RFC 4180 record splitting, multi-line quoted fields, malformed
+ * quoting recovery and physical line-number reporting.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createRecordTokenizer,
+  tokenizeCSV,
+  MAX_QUOTED_FIELD_LINES,
+} from '../utils/csvTokenizer.js';
+
+const fieldsOf = (records) => records.map((r) => r.fields);
+
+describe('tokenizeCSV', () => {
+  it('splits simple records on \\n and \\r\\n', () => {
+    expect(fieldsOf(tokenizeCSV('a,b\r\nc,d\ne,f'))).toEqual([
+      ['a', 'b'],
+      ['c', 'd'],
+      ['e', 'f'],
+    ]);
+  });
+
+  it('does not emit an extra record for a trailing line terminator', () => {
+    expect(tokenizeCSV('a,b\n')).toHaveLength(1);
+  });
+
+  it('emits empty records for blank lines', () => {
+    const records = tokenizeCSV('a\n\nb');
+    expect(records).toHaveLength(3);
+    expect(records[1]).toMatchObject({ fields: [''], raw: '' });
+  });
+
+  it('keeps line breaks inside quoted fields', () => {
+    const records = tokenizeCSV('Part,Desc,Cost\nBP-1,"Brake pads\r\nfront axle",18.00\nOF-2,Oil filter,3.25');
+    expect(records).toHaveLength(3);
+    expect(records[1].fields).toEqual(['BP-1', 'Brake pads\nfront axle', '18.00']);
+    expect(records[2].fields[0]).toBe('OF-2');
+  });
+
+  it('reports the physical lines each record spans', () => {
+    const records = tokenizeCSV('h1,h2\n"multi\nline\ntext",1\nlast,2');
+    expect(records.map((r) => [r.startLine, r.endLine])).toEqual([
+      [1, 1],
+      [2, 4],
+      [5, 5],
+    ]);
+  });
+
+  it('unescapes doubled quotes', () => {
+    expect(tokenizeCSV('"Oil Filter ""Premium""",3.25')[0].fields).toEqual([
+      'Oil Filter "Premium"',
+      '3.25',
+    ]);
+  });
+
+  it('keeps a stray quote mid-field literally and flags it', () => {
+    const [record] = tokenizeCSV('12" Wiper Blade,15.00,2');
+    expect(record.fields).toEqual(['12" Wiper Blade', '15.00', '2']);
+    expect(record.strayQuote).toBe(true);
+  });
+
+  it('appends text that follows a closing quote', () => {
+    const [record] = tokenizeCSV('"Filter"XL,3.25');
+    expect(record.fields).toEqual(['FilterXL', '3.25']);
+    expect(record.strayQuote).toBe(true);
+  });
+
+  it('allows whitespace before an opening quote', () => {
+    expect(tokenizeCSV('a,  "b, c"')[0].fields).toEqual(['a', 'b, c']);
+  });
+
+  it('closes an unterminated quote at end of line and re-reads the following lines', () => {
+    const records = tokenizeCSV('"Broken,1.00,2\nGood,3.00,4\nAlso good,5.00,6');
+    expect(records).toHaveLength(3);
+    expect(records[0]).toMatchObject({
+      fields: ['Broken,1.00,2'],
+      unterminatedQuote: true,
+      startLine: 1,
+      endLine: 1,
+    });
+    expect(records[1]).toMatchObject({ fields: ['Good', '3.00', '4'], startLine: 2 });
+    expect(records[2]).toMatchObject({ fields: ['Also good', '5.00', '6'], startLine: 3 });
+  });
+
+  it('gives up on a quoted field that spans too many lines', () => {
+    const body = Array.from({ length: MAX_QUOTED_FIELD_LINES + 5 }, (_, i) => `row${i},1`);
+    const records = tokenizeCSV(['"runaway', ...body].join('\n'));
+    expect(records[0].unterminatedQuote).toBe(true);
+    expect(records).toHaveLength(body.length + 1);
+    expect(records[records.length - 1].fields).toEqual([`row${body.length - 1}`, '1']);
+  });
+});
+
+describe('createRecordTokenizer', () => {
+  const text = 'a,"multi\nline ""quoted""",b\r\nc,d,e\n"x",y,z';
+
+  it('produces the same records for any chunking', () => {
+    const expected = tokenizeCSV(text);
+    for (const size of [1, 2, 3, 5, 8]) {
+      const tokenizer = createRecordTokenizer();
+      const records = [];
+      for (let i = 0; i < text.length; i += size) {
+        records.push(...tokenizer.push(text.slice(i, i + size)));
+      }
+      records.push(...tokenizer.finish());
+      expect(records).toEqual(expected);
+    }
+  });
+
+  it('only emits records once they are complete', () => {
+    const tokenizer = createRecordTokenizer();
+    expect(tokenizer.push('a,"open\n')).toEqual([]);
+    expect(tokenizer.push('still open",b\n')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for src/utils/dataQuality.js
+ *
+ * Covers each quality flag, the dataset score and leaving flagged rows out.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { checkDataQuality, excludeFlaggedParts, QUALITY_FLAGS } from '../utils/dataQuality.js';
+import { OPEN_ENDED_MAX_COST } from '../utils/pricingUtils.js';
+
+const MATRIX = [
+  { minCost: 0, maxCost: 10, multiplier: 3 },
+  { minCost: 10.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2 },
+];
+
+const part = (unitCost, unitRetail, extra = {}) => ({
+  unitCost,
+  unitRetail,
+  qty: 1,
+  totalCost: unitCost,
+  totalRetail: unitRetail,
+  line: 2,
+  ...extra,
+});
+
+// Five lines at the usual 3× markup so the first tier's spread is trusted
+const usual = [2, 4, 5, 6, 8].map((cost, i) => part(cost, cost * 3, { line: i + 2 }));
+
+describe('checkDataQuality', () => {
+  it('passes clean data with a full score', () => {
+    const report = checkDataQuality(usual, MATRIX);
+    expect(report.issues).toEqual([]);
+    expect(report.checked).toBe(5);
+    expect(report.score).toBe(100);
+  });
+
+  it('flags retail below cost', () => {
+    const loss = part(20, 15, { line: 9 });
+    const report = checkDataQuality([...usual, loss], MATRIX);
+    expect(report.issues).toHaveLength(1);
+    expect(report.issues[0].part).toBe(loss);
+    expect(report.issues[0].flags).toEqual([QUALITY_FLAGS.NEGATIVE_MARGIN]);
+    expect(report.issues[0].detail).toContain('retail $15.00 is below cost $20.00');
+  });
+
+  it('flags multipliers far outside the tier spread', () => {
+    const typo = part(3, 300, { line: 9 });
+    const report = checkDataQuality([...usual, typo], MATRIX);
+    expect(report.issues.map((i) => i.part)).toEqual([typo]);
+    expect(report.issues[0].flags).toEqual([QUALITY_FLAGS.EXTREME_MULTIPLIER]);
+    expect(report.issues[0].detail).toContain('100.00×');
+  });
+
+  it('does not judge multipliers in tiers with too few lines', () => {
+    const report = checkDataQuality([part(50, 500), part(60, 120)], MATRIX);
+    expect(report.issues).toEqual([]);
+  });
+
+  it('flags repeated dated lines but not undated ones', () => {
+    const dated = { invoiceDate: '2024-01-10', roNumber: 'RO-1', description: 'Oil Filter' };
+    const first = part(3, 9, dated);
+    const repeat = part(3, 9, dated);
+    const report = checkDataQuality([first, repeat, part(4, 12), part(4, 12)], MATRIX);
+    expect(report.issues.map((i) => i.part)).toEqual([repeat]);
+    expect(report.counts).toEqual({ [QUALITY_FLAGS.DUPLICATE]: 1 });
+  });
+
+  it('flags implausible quantities', () => {
+    const bulk = part(3, 9, { qty: 1000 });
+    const report = checkDataQuality([bulk, part(3, 9, { qty: 12 })], MATRIX);
+    expect(report.issues.map((i) => i.part)).toEqual([bulk]);
+    expect(report.issues[0].detail).toBe('qty 1000');
+
+    expect(checkDataQuality([bulk], MATRIX, { maxQty: 2000 }).issues).toEqual([]);
+  });
+
+  it('combines flags on one row and scores the share of clean lines', () => {
+    const bad = part(6, 0.5, { qty: 900, line: 9 });
+    const report = checkDataQuality([...usual, bad], MATRIX);
+    expect(report.issues[0].flags).toEqual([
+      QUALITY_FLAGS.NEGATIVE_MARGIN,
+      QUALITY_FLAGS.EXTREME_MULTIPLIER,
+      QUALITY_FLAGS.IMPLAUSIBLE_QTY,
+    ]);
+    expect(report.score).toBe(83);
+  });
+
+  it('skips returns and core rows', () => {
+    const report = checkDataQuality([
+      part(30, 10, { rowType: 'return', qty: -1 }),
+      part(30, 0, { rowType: 'core-charge' }),
+    ], MATRIX);
+    expect(report.checked).toBe(0);
+    expect(report.score).toBe(100);
+  });
+});
+
+describe('excludeFlaggedParts', () => {
+  it('drops the flagged rows and keeps the rest in order', () => {
+    const loss = part(20, 15);
+    const parts = [usual[0], loss, usual[1]];
+    const report = checkDataQuality(parts, MATRIX);
+    expect(excludeFlaggedParts(parts, report)).toEqual([usual[0], usual[1]]);
+  });
+
+  it('returns the input when nothing is flagged', () => {
+    expect(excludeFlaggedParts(usual, checkDataQuality(usual, MATRIX))).toBe(usual);
+  });
+});
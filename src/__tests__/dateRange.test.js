@@ -0,0 +1,97 @@
+/**
+ * Unit tests for src/utils/dateRange.js
+ *
+ * Covers invoice-date parsing, the data's date span, range filtering and
+ * the export label.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseInvoiceDate,
+  getDateSpan,
+  filterByDateRange,
+  isDateRangeActive,
+  lastDaysRange,
+  describeDateRange,
+} from '../utils/dateRange.js';
+
+describe('parseInvoiceDate', () => {
+  it('reads ISO dates, with or without a time', () => {
+    expect(parseInvoiceDate('2024-03-05')).toBe('2024-03-05');
+    expect(parseInvoiceDate('2024-3-5 14:22')).toBe('2024-03-05');
+    expect(parseInvoiceDate('2024-03-05T09:00:00Z')).toBe('2024-03-05');
+  });
+
+  it('reads slashed dates month-first unless the day comes first', () => {
+    expect(parseInvoiceDate('3/5/2024')).toBe('2024-03-05');
+    expect(parseInvoiceDate('03/05/24')).toBe('2024-03-05');
+    expect(parseInvoiceDate('25/12/2024')).toBe('2024-12-25');
+  });
+
+  it('reads dotted dates day-first', () => {
+    expect(parseInvoiceDate('05.03.2024')).toBe('2024-03-05');
+  });
+
+  it('rejects text and impossible dates', () => {
+    expect(parseInvoiceDate('')).toBeNull();
+    expect(parseInvoiceDate('Q1 2024')).toBeNull();
+    expect(parseInvoiceDate('2024-02-30')).toBeNull();
+    expect(parseInvoiceDate('13/13/2024')).toBeNull();
+  });
+});
+
+const parts = [
+  { invoiceDate: '1/15/2024', unitCost: 1 },
+  { invoiceDate: '2024-03-31', unitCost: 2 },
+  { invoiceDate: '2024-02-10', unitCost: 3 },
+  { unitCost: 4 },
+];
+
+describe('getDateSpan', () => {
+  it('finds the first and last dates and counts undated rows', () => {
+    expect(getDateSpan(parts)).toEqual({ start: '2024-01-15', end: '2024-03-31', datedCount: 3, undatedCount: 1 });
+  });
+
+  it('is null without any dates', () => {
+    expect(getDateSpan([{ unitCost: 1 }])).toBeNull();
+  });
+});
+
+describe('filterByDateRange', () => {
+  it('returns the same array for an open range', () => {
+    expect(filterByDateRange(parts, { from: null, to: null })).toBe(parts);
+    expect(isDateRangeActive({ from: null, to: null })).toBe(false);
+  });
+
+  it('keeps dated rows inside the range, inclusive', () => {
+    const result = filterByDateRange(parts, { from: '2024-02-10', to: '2024-03-31' });
+    expect(result.map((p) => p.unitCost)).toEqual([2, 3]);
+  });
+
+  it('supports open-ended ranges and drops undated rows', () => {
+    expect(filterByDateRange(parts, { from: null, to: '2024-02-01' }).map((p) => p.unitCost)).toEqual([1]);
+  });
+});
+
+describe('lastDaysRange', () => {
+  it('ends on the last invoice date', () => {
+    expect(lastDaysRange({ start: '2024-01-01', end: '2024-03-31' }, 30)).toEqual({ from: '2024-03-02', to: '2024-03-31' });
+  });
+
+  it('does not start before the data', () => {
+    expect(lastDaysRange({ start: '2024-03-20', end: '2024-03-31' }, 90)).toEqual({ from: '2024-03-20', to: '2024-03-31' });
+  });
+});
+
+describe('describeDateRange', () => {
+  const span = { start: '2024-01-15', end: '2024-03-31' };
+
+  it('describes the chosen range, filling open ends from the data', () => {
+    expect(describeDateRange({ from: '2024-02-01', to: null }, span)).toBe('2024-02-01 to 2024-03-31');
+  });
+
+  it('describes an open range', () => {
+    expect(describeDateRange({ from: null, to: null }, span)).toBe('All dates (2024-01-15 to 2024-03-31)');
+    expect(describeDateRange(null, null)).toBe('All dates');
+  });
+});
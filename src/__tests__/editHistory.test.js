@@ -0,0 +1,168 @@
+/**
+ * Unit tests for src/utils/editHistory.js
+ *
+ * Covers recording edits with their descriptions, merging repeated edits to
+ * one field, undo / redo / jump (across matrix switches), dropping redo
+ * entries, forgetting a deleted matrix and the size limit.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  canRedo,
+  canUndo,
+  createEditHistory,
+  describeEdit,
+  forgetMatrix,
+  jumpToEdit,
+  recordEdit,
+  redoEdit,
+  undoEdit,
+} from '../utils/editHistory.js';
+import { OPEN_ENDED_MAX_COST } from '../utils/pricingUtils.js';
+
+const TIERS = [
+  { id: 1, minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+  { id: 2, minCost: 10.01, maxCost: 50, multiplier: 2.5, grossProfit: 60 },
+  { id: 3, minCost: 50.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2, grossProfit: 50 },
+];
+
+const START = {
+  matrixId: 'm1',
+  matrixName: 'Default',
+  tiers: TIERS,
+  lockedTiers: {},
+  originalTargetProfit: null,
+  targetType: 'percent',
+  targetIncrease: 5,
+  recommendations: null,
+};
+
+const withTier = (i, changes) => TIERS.map((t, idx) => (idx === i ? { ...t, ...changes } : t));
+
+describe('describeEdit', () => {
+  it('describes tier edits', () => {
+    expect(describeEdit(START, { ...START, tiers: withTier(1, { multiplier: 2.75 }) }).label)
+      .toBe('Tier 2 multiplier 2.50× → 2.75×');
+    expect(describeEdit(START, { ...START, tiers: withTier(2, { maxCost: 100 }) }))
+      .toEqual({ label: 'Tier 3 max cost Max → $100.00', mergeKey: 'tier-3-maxCost' });
+    expect(describeEdit(START, { ...START, tiers: [TIERS[0], { ...TIERS[2], id: 2 }] }).label).toBe('Removed tier 2');
+    const added = [...withTier(2, { maxCost: 150 }), { id: 4, minCost: 150.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2, grossProfit: 50 }];
+    expect(describeEdit(START, { ...START, tiers: added }).label).toBe('Added tier 4');
+    expect(describeEdit(START, { ...START, tiers: [{ ...TIERS[0], maxCost: OPEN_ENDED_MAX_COST }] }).label).toBe('Replaced 3 tiers with 1');
+  });
+
+  it('describes overrides, targets and recommendations', () => {
+    const results = { tiers: [] };
+    const generated = { ...START, originalTargetProfit: 1050, recommendations: results };
+    expect(describeEdit(START, generated).label).toBe('Generated recommendations');
+    const locked = { ...generated, lockedTiers: { 2: 2.8 }, recommendations: { tiers: [] } };
+    expect(describeEdit(generated, locked).label).toBe('Tier 2 set to 2.80×');
+    expect(describeEdit(locked, { ...locked, lockedTiers: {} }).label).toBe('Reset manual overrides');
+    expect(describeEdit(START, { ...START, targetType: 'dollar', targetIncrease: 500 }).label)
+      .toBe('Target type: additional profit $; Target $5 → $500');
+    expect(describeEdit(generated, { ...generated, recommendations: { tiers: [] } })).toBeNull();
+  });
+});
+
+describe('recordEdit', () => {
+  const now = new Date('2024-03-01T09:30:00Z');
+
+  it('adds an entry per edit and ignores unchanged state', () => {
+    let history = createEditHistory(START);
+    expect(recordEdit(history, { ...START })).toBe(history);
+    history = recordEdit(history, { ...START, tiers: withTier(0, { multiplier: 3.5 }) }, { now });
+    expect(history.entries.map((e) => e.label)).toEqual(['Start', 'Tier 1 multiplier 3.00× → 3.50×']);
+    expect(history.entries[1].at).toBe('2024-03-01T09:30:00.000Z');
+    expect(history.index).toBe(1);
+  });
+
+  it('merges typing into the same field into one entry', () => {
+    let history = createEditHistory(START);
+    history = recordEdit(history, { ...START, targetIncrease: 1 });
+    const typed = { ...START, targetIncrease: 12 };
+    history = recordEdit(history, typed);
+    expect(history.entries.map((e) => e.label)).toEqual(['Start', 'Target 5% → 12%']);
+    expect(history.entries[1].state).toBe(typed);
+  });
+
+  it('drops the entries that could be redone', () => {
+    let history = createEditHistory(START);
+    history = recordEdit(history, { ...START, targetType: 'margin' });
+    history = recordEdit(history, { ...history.entries[1].state, tiers: withTier(0, { multiplier: 4 }) });
+    history = undoEdit(undoEdit(history));
+    history = recordEdit(history, { ...START, targetIncrease: 8 });
+    expect(history.entries.map((e) => e.label)).toEqual(['Start', 'Target 5% → 8%']);
+    expect(canRedo(history)).toBe(false);
+  });
+
+  it('records opening another matrix as an entry', () => {
+    let history = recordEdit(createEditHistory(START), { ...START, targetIncrease: 8 });
+    history = recordEdit(history, { ...START, matrixId: 'm2', matrixName: 'Fleet', tiers: [TIERS[2]] });
+    expect(history.entries.map((e) => e.label)).toEqual(['Start', 'Target 5% → 8%', 'Opened "Fleet"']);
+  });
+
+  it('keeps the newest entries up to the limit', () => {
+    let history = createEditHistory(START);
+    for (let i = 1; i <= 5; i++) history = recordEdit(history, { ...START, targetType: i % 2 ? 'margin' : 'percent' }, { limit: 3 });
+    expect(history.entries).toHaveLength(3);
+    expect(history.index).toBe(2);
+    expect(history.entries.map((e) => e.id)).toEqual([4, 5, 6]);
+  });
+});
+
+describe('undo, redo and jump', () => {
+  it('moves between entries within bounds', () => {
+    let history = createEditHistory(START);
+    history = recordEdit(history, { ...START, targetType: 'margin' });
+    history = recordEdit(history, { ...START, targetType: 'dollar' });
+    expect(canUndo(history)).toBe(true);
+
+    const first = jumpToEdit(history, 0);
+    expect(first.index).toBe(0);
+    expect(canUndo(first)).toBe(false);
+    expect(undoEdit(first)).toBe(first);
+    expect(redoEdit(first).index).toBe(1);
+    expect(redoEdit(history)).toBe(history);
+    expect(jumpToEdit(history, 7)).toBe(history);
+  });
+
+  it('undoes back across a matrix switch to the previous matrix edits', () => {
+    const edited = { ...START, tiers: withTier(0, { multiplier: 3.5 }) };
+    const fleet = { ...START, matrixId: 'm2', matrixName: 'Fleet', tiers: [TIERS[2]] };
+    let history = recordEdit(recordEdit(createEditHistory(START), edited), fleet);
+    history = recordEdit(history, { ...fleet, targetIncrease: 8 });
+
+    history = undoEdit(undoEdit(history));
+    expect(history.entries[history.index].state).toBe(edited);
+    expect(undoEdit(history).entries[0].state.matrixId).toBe('m1');
+    expect(redoEdit(redoEdit(history)).entries[3].state.matrixId).toBe('m2');
+    expect(recordEdit(history, edited)).toBe(history);
+  });
+
+  it('does not record the state an entry restores', () => {
+    let history = recordEdit(createEditHistory(START), { ...START, targetIncrease: 8 });
+    history = undoEdit(history);
+    expect(recordEdit(history, history.entries[0].state)).toBe(history);
+  });
+});
+
+describe('forgetMatrix', () => {
+  const fleet = { ...START, matrixId: 'm2', matrixName: 'Fleet', tiers: [TIERS[2]] };
+
+  it('drops the entries of a deleted matrix and keeps the current position', () => {
+    let history = recordEdit(createEditHistory(START), { ...START, targetIncrease: 8 });
+    history = recordEdit(history, fleet);
+    history = forgetMatrix(history, 'm2');
+    expect(history.entries.map((e) => e.label)).toEqual(['Start', 'Target 5% → 8%']);
+    expect(history.index).toBe(1);
+    expect(forgetMatrix(history, 'm9')).toBe(history);
+  });
+
+  it('starts over on the next edit when no entries are left', () => {
+    let history = forgetMatrix(createEditHistory(START), 'm1');
+    expect(canUndo(history)).toBe(false);
+    expect(canRedo(history)).toBe(false);
+    history = recordEdit(history, fleet);
+    expect(history.entries.map((e) => e.label)).toEqual(['Opened "Fleet"']);
+  });
+});
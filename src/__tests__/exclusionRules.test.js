@@ -0,0 +1,95 @@
+/**
+ * Unit tests for src/utils/exclusionRules.js
+ *
+ * Covers matching per rule field, the per-rule revenue tally and validation
+ * of rules loaded from storage.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXCLUSION_FIELDS,
+  applyExclusionRules,
+  createExclusionRule,
+  isValidExclusionRule,
+  matchesExclusionRule,
+} from '../utils/exclusionRules.js';
+
+const part = (fields) => ({ unitCost: 10, unitRetail: 25, qty: 1, totalCost: 10, totalRetail: 25, line: 2, ...fields });
+
+describe('matchesExclusionRule', () => {
+  const rule = (field, value) => ({ id: 'r', field, value });
+
+  it('matches category and vendor exactly, ignoring case and spaces', () => {
+    expect(matchesExclusionRule(part({ category: ' Tires ' }), rule(EXCLUSION_FIELDS.CATEGORY, 'tires'))).toBe(true);
+    expect(matchesExclusionRule(part({ category: 'Tire Valves' }), rule(EXCLUSION_FIELDS.CATEGORY, 'tires'))).toBe(false);
+    expect(matchesExclusionRule(part({ vendor: 'NAPA' }), rule(EXCLUSION_FIELDS.VENDOR, 'napa'))).toBe(true);
+    expect(matchesExclusionRule(part({}), rule(EXCLUSION_FIELDS.VENDOR, 'napa'))).toBe(false);
+  });
+
+  it('matches part-number prefixes and description keywords', () => {
+    expect(matchesExclusionRule(part({ partNumber: 'SUB-1042' }), rule(EXCLUSION_FIELDS.PART_PREFIX, 'sub-'))).toBe(true);
+    expect(matchesExclusionRule(part({ partNumber: 'XSUB-1' }), rule(EXCLUSION_FIELDS.PART_PREFIX, 'sub-'))).toBe(false);
+    expect(matchesExclusionRule(part({ description: '5W-30 Oil (Quart)' }), rule(EXCLUSION_FIELDS.KEYWORD, 'quart'))).toBe(true);
+  });
+
+  it('never matches an empty value or unknown field', () => {
+    expect(matchesExclusionRule(part({ category: '' }), rule(EXCLUSION_FIELDS.CATEGORY, ' '))).toBe(false);
+    expect(matchesExclusionRule(part({ category: 'Tires' }), rule('brand', 'Tires'))).toBe(false);
+  });
+});
+
+describe('applyExclusionRules', () => {
+  const tires = { id: 'a', field: EXCLUSION_FIELDS.CATEGORY, value: 'Tires' };
+  const supplies = { id: 'b', field: EXCLUSION_FIELDS.KEYWORD, value: 'shop supplies' };
+
+  it('drops matching lines and tallies revenue per rule', () => {
+    const parts = [
+      part({ category: 'Tires', totalRetail: 400 }),
+      part({ description: 'Oil Filter' }),
+      part({ description: 'Shop Supplies', totalRetail: 12.5 }),
+      part({ category: 'Tires', totalRetail: 200 }),
+    ];
+    const result = applyExclusionRules(parts, [tires, supplies]);
+    expect(result.parts).toEqual([parts[1]]);
+    expect(result.removed).toEqual([
+      { rule: tires, rowCount: 2, revenue: 600 },
+      { rule: supplies, rowCount: 1, revenue: 12.5 },
+    ]);
+  });
+
+  it('counts a line matched by several rules against the first', () => {
+    const parts = [part({ category: 'Tires', description: 'Shop supplies for tires' })];
+    const { removed } = applyExclusionRules(parts, [supplies, tires]);
+    expect(removed.map((r) => r.rowCount)).toEqual([1, 0]);
+  });
+
+  it('removes returns along with sales', () => {
+    const parts = [part({ category: 'Tires', rowType: 'return', qty: -1, totalRetail: -100 })];
+    const result = applyExclusionRules(parts, [tires]);
+    expect(result.parts).toEqual([]);
+    expect(result.removed[0].revenue).toBe(-100);
+  });
+
+  it('returns the input when there are no rules', () => {
+    const parts = [part({})];
+    expect(applyExclusionRules(parts, [])).toEqual({ parts, removed: [] });
+    expect(applyExclusionRules(parts, []).parts).toBe(parts);
+  });
+});
+
+describe('createExclusionRule / isValidExclusionRule', () => {
+  it('creates valid rules with distinct ids and trimmed values', () => {
+    const a = createExclusionRule(EXCLUSION_FIELDS.VENDOR, '  Goodyear ');
+    const b = createExclusionRule(EXCLUSION_FIELDS.VENDOR, 'Goodyear');
+    expect(a.value).toBe('Goodyear');
+    expect(a.id).not.toBe(b.id);
+    expect(isValidExclusionRule(a)).toBe(true);
+  });
+
+  it('rejects malformed rules', () => {
+    expect(isValidExclusionRule(null)).toBe(false);
+    expect(isValidExclusionRule({ id: 'x', field: 'brand', value: 'A' })).toBe(false);
+    expect(isValidExclusionRule({ id: 'x', field: EXCLUSION_FIELDS.CATEGORY, value: '' })).toBe(false);
+    expect(isValidExclusionRule({ field: EXCLUSION_FIELDS.CATEGORY, value: 'Tires' })).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for src/utils/fixedWidth.js
+ *
+ * Covers column inference from the heading line, cutting data lines,
+ * recognising fixed-width text, and parsing a paginated report.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  expandTabs,
+  inferColumns,
+  splitFixedWidthLine,
+  looksFixedWidth,
+  parseFixedWidth,
+} from '../utils/fixedWidth.js';
+import { SUMMARY_REASONS } from '../utils/importDiagnostics.js';
+
+const HEADING = 'PART NO     DESCRIPTION           UNIT COST  UNIT RETAIL  QTY  EXT RETAIL';
+
+const page = (n, lines) => [
+  'ACME MOTORS - PARTS SALES BY INVOICE',
+  `RUN DATE 01/0${n}/24                                           PAGE ${n}`,
+  '',
+  HEADING,
+  '----------  --------------------  ---------  -----------  ---  ----------',
+  ...lines,
+  '',
+  `                                  - ${n} -`,
+];
+
+const REPORT = [
+  ...page(1, [
+    'OF-1042     OIL FILTER                 3.25       12.99    2       25.98',
+    'BP-2211     BRAKE PADS CERAMIC        18.00       54.99    1       54.99',
+  ]),
+  `\f${page(2, [
+    'ALT-88      ALTERNATOR REMAN         150.00      329.99    1      329.99',
+    'WB-22       WIPER BLADE 22IN           5.00       15.00    2       45.00',
+  ]).join('\n')}`,
+  '                                                            ==========',
+  'REPORT TOTAL                                                    455.96',
+].join('\n');
+
+describe('expandTabs', () => {
+  it('pads to the next tab stop', () => {
+    expect(expandTabs('ab\tc')).toBe('ab      c');
+    expect(expandTabs('\tx', 4)).toBe('    x');
+  });
+});
+
+describe('inferColumns', () => {
+  it('splits headings on runs of two or more spaces', () => {
+    const columns = inferColumns(HEADING);
+    expect(columns.map((c) => c.name)).toEqual(['PART NO', 'DESCRIPTION', 'UNIT COST', 'UNIT RETAIL', 'QTY', 'EXT RETAIL']);
+    expect(columns[0].start).toBe(0);
+    expect(columns[1].start).toBe(10);
+    expect(columns[5].end).toBe(Infinity);
+  });
+});
+
+describe('splitFixedWidthLine', () => {
+  const columns = inferColumns(HEADING);
+
+  it('cuts a line at the boundaries', () => {
+    expect(splitFixedWidthLine('OF-1042     OIL FILTER                 3.25       12.99    2       25.98', columns))
+      .toEqual(['OF-1042', 'OIL FILTER', '3.25', '12.99', '2', '25.98']);
+  });
+
+  it('keeps values that overflow their column whole', () => {
+    expect(splitFixedWidthLine('ABCDEFG FILTER 1,234.56', inferColumns('PART    DESC      COST')))
+      .toEqual(['ABCDEFG', 'FILTER', '1,234.56']);
+  });
+
+  it('leaves missing trailing cells empty', () => {
+    expect(splitFixedWidthLine('OF-1042     OIL FILTER', columns)).toEqual(['OF-1042', 'OIL FILTER', '', '', '', '']);
+  });
+});
+
+describe('looksFixedWidth', () => {
+  it('recognises space-aligned reports but not CSV', () => {
+    expect(looksFixedWidth(REPORT)).toBe(true);
+    expect(looksFixedWidth('Part,Unit Cost,Unit Retail,Qty\nA,1,2,3')).toBe(false);
+    expect(looksFixedWidth('Part\tUnit Cost\tUnit Retail\nA\t1\t2')).toBe(false);
+    expect(looksFixedWidth('no header here')).toBe(false);
+  });
+});
+
+describe('parseFixedWidth', () => {
+  it('parses every page and skips repeated page headers and footers', () => {
+    const result = parseFixedWidth(REPORT);
+    expect(result.error).toBeNull();
+    expect(result.parts.map((p) => p.partNumber)).toEqual(['OF-1042', 'BP-2211', 'ALT-88', 'WB-22']);
+    expect(result.parts[1]).toMatchObject({
+      description: 'BRAKE PADS CERAMIC',
+      unitCost: 18,
+      unitRetail: 54.99,
+      qty: 1,
+      totalRetail: 54.99,
+      line: 7,
+    });
+    expect(result.skippedCount).toBe(0);
+    expect(result.fixedWidth.columns).toHaveLength(6);
+    expect(result.dialect).toEqual({ delimiter: null, decimalSeparator: '.' });
+
+    const pageBreaks = result.summaryRows.filter((r) => r.reason === SUMMARY_REASONS.PAGE_BREAK);
+    expect(pageBreaks.map((r) => r.detail)).toEqual([
+      'Page footer',
+      'Repeated page header',
+      'Repeated page header',
+      'Repeated page header',
+      'Page footer',
+    ]);
+    expect(result.summaryRows.find((r) => r.reason === SUMMARY_REASONS.SUMMARY_ROW).raw).toMatch(/^REPORT TOTAL/);
+  });
+
+  it('heals line totals and reads formatted amounts like CSV', () => {
+    const text = [
+      'PART  UNIT COST  UNIT RETAIL  QTY  EXT PRICE',
+      'A1    $1,200.00    $1,500.00    2  $3,000.00',
+      'B2         4.00         9.00    3     270.00',
+    ].join('\n');
+    const result = parseFixedWidth(text);
+    expect(result.parts[0]).toMatchObject({ unitCost: 1200, unitRetail: 1500, totalRetail: 3000 });
+    expect(result.parts[1].totalRetail).toBe(27);
+    expect(result.parts[1].healing[0]).toMatchObject({ field: 'totalRetail', csvValue: 270, calculatedValue: 27 });
+  });
+
+  it('reports a missing heading line', () => {
+    const result = parseFixedWidth('just some\nprinted text');
+    expect(result.error).toMatch(/Could not find a valid header row/);
+    expect(result.fixedWidth.columns).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Builders for in-memory ZIP archives and .xlsx workbooks used by the
+ * workbook import tests. Entries are stored uncompressed unless deflated
+ * bytes are supplied; CRCs are left at zero since the reader ignores them.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Build a ZIP archive.
+ *
+ * @param {Array<{ name: string, data: string|Uint8Array, deflated?: Uint8Array }>} files
+ *   `deflated` holds raw DEFLATE bytes of `data` to store with method 8.
+ * @returns {Uint8Array}
+ */
+export function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const body = file.deflated || data;
+    const method = file.deflated ? 8 : 0;
+
+    const local = new Uint8Array(30 + name.length + body.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(8, method, true);
+    lv.setUint32(18, body.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+    local.set(body, 30 + name.length);
+
+    const central = new Uint8Array(46 + name.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(10, method, true);
+    cv.setUint32(20, body.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  }
+
+  const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+  const eocd = new Uint8Array(22);
+  const ev = new DataView(eocd.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + centralSize + eocd.length);
+  let position = 0;
+  for (const part of [...locals, ...centrals, eocd]) {
+    out.set(part, position);
+    position += part.length;
+  }
+  return out;
+}
+
+const escapeXML = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Build a worksheet's XML. Strings become shared-string cells, numbers
+ * numeric cells, `{ date: serial }` date-styled cells (style 1) and
+ * `null` is left out.
+ *
+ * @param {Array<Array<string|number|{date: number}|null>>} rows
+ * @param {string[]} sharedStrings - Table the strings are appended to.
+ * @returns {string}
+ */
+function sheetXml(rows, sharedStrings) {
+  const rowXml = rows.map((cells, r) => {
+    const cellXml = cells.map((value, c) => {
+      const ref = `${String.fromCharCode(65 + c)}${r + 1}`;
+      if (value === null) return '';
+      if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+      if (typeof value === 'object') return `<c r="${ref}" s="1"><v>${value.date}</v></c>`;
+      sharedStrings.push(value);
+      return `<c r="${ref}" t="s"><v>${sharedStrings.length - 1}</v></c>`;
+    });
+    return `<row r="${r + 1}">${cellXml.join('')}</row>`;
+  });
+  return `<?xml version="1.0"?><worksheet><sheetData>${rowXml.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * Build an .xlsx workbook.
+ *
+ * @param {Object<string, Array<Array<string|number|{date: number}|null>>>} sheets
+ *   Rows per sheet name, in workbook order.
+ * @returns {Uint8Array}
+ */
+export function buildXlsx(sheets) {
+  const sharedStrings = [];
+  const names = Object.keys(sheets);
+  const files = names.map((name, i) => ({
+    name: `xl/worksheets/sheet${i + 1}.xml`,
+    data: sheetXml(sheets[name], sharedStrings),
+  }));
+
+  files.push(
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0"?><workbook><sheets>${names
+        .map((name, i) => `<sheet name="${escapeXML(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+        .join('')}</sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0"?><Relationships>${names
+        .map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`)
+        .join('')}</Relationships>`,
+    },
+    {
+      name: 'xl/sharedStrings.xml',
+      data: `<?xml version="1.0"?><sst>${sharedStrings.map((s) => `<si><t>${escapeXML(s)}</t></si>`).join('')}</sst>`,
+    },
+    {
+      name: 'xl/styles.xml',
+      data: '<?xml version="1.0"?><styleSheet><cellXfs><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+    },
+  );
+  return buildZip(files);
+}
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for src/utils/headerSynonyms.js
+ *
+ * Covers accent folding, extending the dictionary, and French and Spanish
+ * headers in column and header-row detection.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  HEADER_SYNONYMS,
+  foldHeader,
+  extendHeaderSynonyms,
+  hasSynonymKeyword,
+  synonymMatchers,
+} from '../utils/headerSynonyms.js';
+import { detectColumnMapping, findHeaderRow, isHeaderText, parseCSV } from '../utils/csvParser.js';
+
+describe('foldHeader', () => {
+  it('drops case, accents and extra spaces', () => {
+    expect(foldHeader('  Coût   Unitaire ')).toBe('cout unitaire');
+    expect(foldHeader('DESCRIPCIÓN')).toBe('descripcion');
+    expect(foldHeader('Quantité')).toBe('quantite');
+  });
+
+  it('reads "n°" and "no." as "no"', () => {
+    expect(foldHeader('N° pièce')).toBe('no piece');
+    expect(foldHeader('No. de parte')).toBe('no de parte');
+  });
+});
+
+describe('synonymMatchers', () => {
+  it('matches whole names first, then longer names inside a header', () => {
+    const headers = ['cout unitaire ht', 'cout'];
+    const idx = synonymMatchers('unitCost').map((m) => headers.findIndex(m)).find((i) => i !== -1);
+    expect(idx).toBe(1);
+  });
+
+  it('does not match single words inside a longer header', () => {
+    expect(synonymMatchers('unitCost').some((m) => m('cout total'))).toBe(false);
+  });
+});
+
+describe('extendHeaderSynonyms', () => {
+  it('adds a language without changing the built-in dictionary', () => {
+    const extended = extendHeaderSynonyms(HEADER_SYNONYMS, {
+      de: { name: 'German', keywords: ['Einkaufspreis'], fields: { unitCost: ['Einkaufspreis'] } },
+    });
+    expect(extended.de.keywords).toEqual(['einkaufspreis']);
+    expect(extended.fr).toBe(HEADER_SYNONYMS.fr);
+    expect(HEADER_SYNONYMS.de).toBeUndefined();
+  });
+
+  it('appends words to an existing language', () => {
+    const extended = extendHeaderSynonyms(HEADER_SYNONYMS, { es: { fields: { qty: ['Piezas', 'cantidad'] } } });
+    expect(extended.es.name).toBe('Spanish');
+    expect(extended.es.fields.qty).toEqual([...HEADER_SYNONYMS.es.fields.qty, 'piezas']);
+    expect(extended.es.fields.unitCost).toBe(HEADER_SYNONYMS.es.fields.unitCost);
+  });
+});
+
+describe('localized column detection', () => {
+  it('maps French headers', () => {
+    const mapping = detectColumnMapping(['N° pièce', 'Désignation', 'Coût unitaire', 'Prix de vente', 'Qté', 'Montant']);
+    expect(mapping).toMatchObject({
+      partNumber: 0,
+      description: 1,
+      unitCost: 2,
+      unitRetail: 3,
+      qty: 4,
+      totalRetail: 5,
+    });
+  });
+
+  it('maps Spanish headers', () => {
+    const mapping = detectColumnMapping(['Número de parte', 'Descripción', 'Costo', 'Precio de venta', 'Cantidad', 'Costo total', 'Fecha']);
+    expect(mapping).toMatchObject({
+      partNumber: 0,
+      description: 1,
+      unitCost: 2,
+      unitRetail: 3,
+      qty: 4,
+      totalCost: 5,
+      invoiceDate: 6,
+    });
+  });
+
+  it('keeps English names ahead of other languages', () => {
+    expect(detectColumnMapping(['precio', 'price']).unitRetail).toBe(1);
+  });
+
+  it('uses synonyms passed by the caller', () => {
+    const synonyms = extendHeaderSynonyms(HEADER_SYNONYMS, { de: { fields: { unitCost: ['einkaufspreis'] } } });
+    expect(detectColumnMapping(['Einkaufspreis'], synonyms).unitCost).toBe(0);
+    expect(detectColumnMapping(['Einkaufspreis']).unitCost).toBe(-1);
+  });
+
+  it('finds header rows by their localized keywords', () => {
+    expect(isHeaderText('Pièce;Coût;Quantité')).toBe(true);
+    expect(hasSynonymKeyword(foldHeader('Importe'))).toBe(true);
+    const { headerRowIndex, headers } = findHeaderRow(['Rapport des ventes', 'Pièce,Coût,Quantité', 'Filtre,3.25,10']);
+    expect(headerRowIndex).toBe(1);
+    expect(headers).toEqual(['piece', 'cout', 'quantite']);
+  });
+
+  it('parses a French export end to end', () => {
+    const csv = [
+      'Rapport des ventes de pièces',
+      'Désignation;Coût unitaire;Prix de vente;Quantité',
+      'Filtre à huile;3,25;12,99;10',
+      'Plaquettes de frein;18,00;54,99;5',
+    ].join('\n');
+    const result = parseCSV(csv);
+    expect(result.error).toBeNull();
+    expect(result.parts).toHaveLength(2);
+    expect(result.parts[0]).toMatchObject({ description: 'Filtre à huile', unitCost: 3.25, unitRetail: 12.99, qty: 10 });
+  });
+});
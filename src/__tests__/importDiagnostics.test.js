@@ -0,0 +1,78 @@
+/**
+ * Unit tests for src/utils/importDiagnostics.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  REJECT_REASONS,
+  createRejectedRow,
+  countByReason,
+  countByRowType,
+  rejectedRowsToCSV,
+} from '../utils/importDiagnostics.js';
+
+const record = (raw, startLine = 2) => ({ raw, startLine, fields: raw.split(',') });
+
+describe('createRejectedRow', () => {
+  it('keeps line, raw text, reason and detail', () => {
+    expect(createRejectedRow(record('Filter,abc', 7), REJECT_REASONS.UNPARSEABLE_NUMBER, 'Unit Cost: "abc"')).toEqual({
+      line: 7,
+      raw: 'Filter,abc',
+      reason: 'unparseable-number',
+      detail: 'Unit Cost: "abc"',
+    });
+  });
+
+  it('truncates very long raw text', () => {
+    const row = createRejectedRow(record('x'.repeat(2000)), REJECT_REASONS.TOO_FEW_COLUMNS);
+    expect(row.raw.length).toBeLessThan(600);
+    expect(row.raw.endsWith('…')).toBe(true);
+  });
+});
+
+describe('countByReason', () => {
+  it('counts rows per reason code', () => {
+    const rows = [
+      createRejectedRow(record('a'), REJECT_REASONS.ZERO_COST),
+      createRejectedRow(record('b'), REJECT_REASONS.ZERO_COST),
+      createRejectedRow(record(',,'), REJECT_REASONS.EMPTY_ROW),
+    ];
+    expect(countByReason(rows)).toEqual({ 'zero-cost': 2, 'empty-row': 1 });
+  });
+});
+
+describe('countByRowType', () => {
+  it('counts parts per row type, treating unclassified parts as sales', () => {
+    const parts = [{ rowType: 'sale' }, {}, { rowType: 'return' }, { rowType: 'core-charge' }];
+    expect(countByRowType(parts)).toEqual({ sale: 2, return: 1, 'core-charge': 1 });
+  });
+});
+
+describe('rejectedRowsToCSV', () => {
+  it('writes a header and labelled, quoted rows', () => {
+    const rows = [createRejectedRow(record('"Pads, front",0', 4), REJECT_REASONS.ZERO_COST, 'Unit Cost: "0"')];
+    expect(rejectedRowsToCSV(rows)).toBe(
+      'Line,Reason,Detail,Raw Text\n4,Zero cost,"Unit Cost: ""0""","""Pads, front"",0"',
+    );
+  });
+
+  it('keeps cells that start like a formula from running', () => {
+    const rows = [
+      createRejectedRow(record('=HYPERLINK("http://x"),1', 5), REJECT_REASONS.TOO_FEW_COLUMNS, '@SUM(A1)'),
+      createRejectedRow(record('+1', 6), REJECT_REASONS.TOO_FEW_COLUMNS, '-2'),
+    ];
+    expect(rejectedRowsToCSV(rows).split('\n').slice(1)).toEqual([
+      '5,Too few columns,\'@SUM(A1),"\'=HYPERLINK(""http://x""),1"',
+      "6,Too few columns,'-2,'+1",
+    ]);
+  });
+
+  it('labels row-type entries', () => {
+    const rows = [{ line: 9, reason: 'return', detail: 'BP-1: qty -1', raw: '' }];
+    expect(rejectedRowsToCSV(rows).split('\n')[1]).toBe('9,Return,BP-1: qty -1,');
+  });
+
+  it('returns only the header for no rows', () => {
+    expect(rejectedRowsToCSV([])).toBe('Line,Reason,Detail,Raw Text');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for src/utils/importProfiles.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  BUILT_IN_PROFILES,
+  normalizeHeader,
+  matchProfile,
+  resolveProfileMapping,
+  createCustomProfile,
+  isValidProfile,
+} from '../utils/importProfiles.js';
+
+describe('normalizeHeader', () => {
+  it('lower-cases and collapses whitespace', () => {
+    expect(normalizeHeader('  Unit   Cost ')).toBe('unit cost');
+  });
+});
+
+describe('matchProfile', () => {
+  it('matches Tekmetric by its header fingerprint', () => {
+    const headers = ['Part Number', 'Description', 'Brand', 'Cost', 'Retail', 'Quantity'];
+    expect(matchProfile(headers, BUILT_IN_PROFILES).id).toBe('tekmetric');
+  });
+
+  it('ignores case and spacing differences', () => {
+    const headers = ['PART #', 'unit  cost', 'Unit Price', 'Ext. Cost', 'ext. price'];
+    expect(matchProfile(headers, BUILT_IN_PROFILES).id).toBe('shop-ware');
+  });
+
+  it('returns null when any fingerprint column is missing', () => {
+    expect(matchProfile(['Part Number', 'Cost', 'Retail'], BUILT_IN_PROFILES)).toBeNull();
+  });
+
+  it('never matches a profile with an empty fingerprint', () => {
+    const empty = { ...BUILT_IN_PROFILES[0], fingerprint: [] };
+    expect(matchProfile(['anything'], [empty])).toBeNull();
+  });
+});
+
+describe('resolveProfileMapping', () => {
+  it('maps profile column names to header indices', () => {
+    const mitchell = BUILT_IN_PROFILES.find(p => p.id === 'mitchell');
+    const headers = ['Part No.', 'Description', 'Qty Sold', 'Cost', 'Sale Price', 'Ext Cost', 'Ext Sale'];
+    expect(resolveProfileMapping(mitchell, headers)).toEqual({
+      unitCost: 3,
+      unitRetail: 4,
+      qty: 2,
+      totalCost: 5,
+      totalRetail: 6,
+      partNumber: 0,
+      description: 1,
+    });
+  });
+
+  it('omits fields whose column is absent', () => {
+    const tekmetric = BUILT_IN_PROFILES.find(p => p.id === 'tekmetric');
+    const mapping = resolveProfileMapping(tekmetric, ['Part Number', 'Brand', 'Cost', 'Retail', 'Quantity']);
+    expect(mapping).toEqual({ partNumber: 0, vendor: 1, unitCost: 2, unitRetail: 3, qty: 4 });
+  });
+});
+
+describe('createCustomProfile', () => {
+  const headers = ['Item', 'Landed', 'Sell', 'Qty'];
+  const mapping = { unitCost: 1, unitRetail: 2, qty: 3, totalCost: -1, totalRetail: -1 };
+
+  it('records mapped column names, fingerprint and dialect', () => {
+    const profile = createCustomProfile({
+      name: '  My Shop ',
+      headers,
+      mapping,
+      dialect: { delimiter: ';', decimalSeparator: ',' },
+      headerIndex: 2,
+    });
+    expect(profile.id).toMatch(/^custom-/);
+    expect(profile.name).toBe('My Shop');
+    expect(profile.builtIn).toBe(false);
+    expect(profile.columns).toEqual({ unitCost: 'Landed', unitRetail: 'Sell', qty: 'Qty' });
+    expect(profile.fingerprint).toEqual(['landed', 'sell', 'qty']);
+    expect(profile.headerOffset).toBe(2);
+    expect(profile.delimiter).toBe(';');
+    expect(profile.decimalSeparator).toBe(',');
+    expect(isValidProfile(profile)).toBe(true);
+  });
+
+  it('is matched again by the same header row', () => {
+    const profile = createCustomProfile({ name: 'Mine', headers, mapping, dialect: { delimiter: ',', decimalSeparator: '.' } });
+    expect(matchProfile(headers, [profile])).toBe(profile);
+  });
+});
+
+describe('isValidProfile', () => {
+  it('accepts every built-in profile', () => {
+    expect(BUILT_IN_PROFILES.every(isValidProfile)).toBe(true);
+  });
+
+  it('rejects malformed values', () => {
+    expect(isValidProfile(null)).toBe(false);
+    expect(isValidProfile({ id: 'x', name: 'X' })).toBe(false);
+    expect(isValidProfile({ ...BUILT_IN_PROFILES[0], headerOffset: '1' })).toBe(false);
+  });
+});
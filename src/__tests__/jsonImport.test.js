@@ -0,0 +1,170 @@
+/**
+ * Unit tests for src/utils/jsonImport.js
+ *
+ * Covers path handling, record discovery in JSON and NDJSON text, field
+ * detection and explicit field paths, and diagnostics for bad records.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  splitPath,
+  getPath,
+  flattenRecord,
+  findRecordsPath,
+  readJSONRecords,
+  recordsToRows,
+  parseJSON,
+} from '../utils/jsonImport.js';
+import { BUILT_IN_PROFILES } from '../utils/importProfiles.js';
+import { REJECT_REASONS } from '../utils/importDiagnostics.js';
+
+const LINES = [
+  { sku: 'OF-1', description: 'Oil Filter', unitCost: 3.25, unitRetail: 12.99, qty: 2 },
+  { sku: 'BP-2', description: 'Brake Pads', unitCost: 18, unitRetail: 54.99, qty: 1 },
+];
+
+describe('paths', () => {
+  it('splits dotted and bracketed paths', () => {
+    expect(splitPath('items[0].price')).toEqual(['items', '0', 'price']);
+    expect(splitPath(' data. lines ')).toEqual(['data', 'lines']);
+    expect(splitPath('')).toEqual([]);
+  });
+
+  it('reads values by path', () => {
+    const doc = { data: { lines: [{ cost: 4 }] } };
+    expect(getPath(doc, 'data.lines[0].cost')).toBe(4);
+    expect(getPath(doc, 'data.missing.cost')).toBeUndefined();
+    expect(getPath(doc, '')).toBe(doc);
+  });
+
+  it('flattens nested objects and arrays into dotted paths', () => {
+    expect(flattenRecord({ part: { no: 'A1' }, cost: 4, tags: ['x'], taxable: true, note: null })).toEqual({
+      'part.no': 'A1',
+      cost: 4,
+      'tags.0': 'x',
+      taxable: 'true',
+      note: '',
+    });
+  });
+
+  it('finds the first array of objects, level by level', () => {
+    expect(findRecordsPath([{ a: 1 }])).toBe('');
+    expect(findRecordsPath({ meta: { tags: ['x'] }, data: { lines: [{ a: 1 }] } })).toBe('data.lines');
+    expect(findRecordsPath({ a: 1 })).toBeNull();
+  });
+});
+
+describe('readJSONRecords', () => {
+  it('reads a top-level array, numbering records by position', () => {
+    const { records, format, recordsPath } = readJSONRecords(JSON.stringify(LINES));
+    expect(format).toBe('json');
+    expect(recordsPath).toBe('');
+    expect(records.map((r) => r.line)).toEqual([1, 2]);
+    expect(records[0].value).toEqual(LINES[0]);
+  });
+
+  it('reads the array at a given path, or reports it missing', () => {
+    const text = JSON.stringify({ report: { rows: LINES }, other: [{ x: 1 }] });
+    expect(readJSONRecords(text, { recordsPath: 'report.rows' }).records).toHaveLength(2);
+    expect(readJSONRecords(text, { recordsPath: 'report.none' }).error).toBe('No array of records at "report.none".');
+  });
+
+  it('reads NDJSON line by line and lists bad lines', () => {
+    const text = [JSON.stringify(LINES[0]), '', '{"sku": broken', '42', JSON.stringify(LINES[1])].join('\n');
+    const { records, invalid, format } = readJSONRecords(text);
+    expect(format).toBe('ndjson');
+    expect(records.map((r) => r.line)).toEqual([1, 5]);
+    expect(invalid.map((r) => [r.line, r.raw])).toEqual([[3, '{"sku": broken'], [4, '42']]);
+    expect(invalid[1].detail).toBe('Not a JSON object');
+  });
+
+  it('treats a lone object as one record and strips a BOM', () => {
+    const { records } = readJSONRecords(`\uFEFF${JSON.stringify(LINES[0])}`);
+    expect(records).toHaveLength(1);
+  });
+
+  it('reports text that is neither JSON nor NDJSON', () => {
+    expect(readJSONRecords('not json').error).toMatch(/^Could not read the file as JSON:/);
+    expect(readJSONRecords('[1, 2]').records).toEqual([]);
+  });
+});
+
+describe('recordsToRows', () => {
+  it('uses the union of paths as the header row', () => {
+    expect(recordsToRows([{ a: 1 }, { b: 'x', a: 2 }])).toEqual({
+      headers: ['a', 'b'],
+      rows: [[1, ''], [2, 'x']],
+    });
+  });
+});
+
+describe('parseJSON', () => {
+  it('detects fields from key names and keeps typed numbers', () => {
+    const result = parseJSON(JSON.stringify(LINES));
+    expect(result.error).toBeNull();
+    expect(result.parts).toHaveLength(2);
+    expect(result.parts[0]).toMatchObject({
+      unitCost: 3.25,
+      unitRetail: 12.99,
+      qty: 2,
+      totalCost: 6.5,
+      totalRetail: 25.98,
+      partNumber: 'OF-1',
+      description: 'Oil Filter',
+      line: 1,
+      rowType: 'sale',
+    });
+    expect(result.columns.headers).toEqual(['sku', 'description', 'unitCost', 'unitRetail', 'qty']);
+    expect(result.json).toEqual({ format: 'json', recordsPath: '', recordCount: 2 });
+    expect(result.profile).toBeNull();
+  });
+
+  it('uses explicit field paths for nested records', () => {
+    const text = JSON.stringify({
+      data: [
+        { item: { id: 'A1', name: 'Rotor' }, pricing: { buy: '45.00', sell: '$119.99' }, count: 2 },
+      ],
+    });
+    const result = parseJSON(text, {
+      fieldPaths: { unitCost: 'pricing.buy', unitRetail: 'pricing.sell', qty: 'count', partNumber: 'item.id' },
+    });
+    expect(result.error).toBeNull();
+    expect(result.parts[0]).toMatchObject({ unitCost: 45, unitRetail: 119.99, qty: 2, partNumber: 'A1' });
+  });
+
+  it('fails clearly when a configured path is in no record', () => {
+    const result = parseJSON(JSON.stringify(LINES), { fieldPaths: { unitCost: 'pricing.cost' } });
+    expect(result.error).toBe('No record has the field "pricing.cost" (Unit Cost).');
+    expect(result.parts).toEqual([]);
+  });
+
+  it('applies an import profile matched on the paths', () => {
+    const tekmetric = BUILT_IN_PROFILES.find((p) => p.id === 'tekmetric');
+    const record = { 'Part Number': 'X9', Brand: 'ACME', Cost: 10, Retail: 25, Quantity: 3 };
+    const result = parseJSON(JSON.stringify([record]));
+    expect(result.profile).toEqual({ id: tekmetric.id, name: tekmetric.name });
+    expect(result.parts[0]).toMatchObject({ unitCost: 10, qty: 3, vendor: 'ACME', partNumber: 'X9' });
+  });
+
+  it('reports bad records and rejected rows with their JSON text', () => {
+    const text = [
+      JSON.stringify(LINES[0]),
+      '{oops',
+      JSON.stringify({ sku: 'FREE', description: 'Warranty', unitCost: 0, unitRetail: 0, qty: 1 }),
+    ].join('\n');
+    const result = parseJSON(text, { jsonFormat: 'ndjson' });
+    expect(result.parts).toHaveLength(1);
+    expect(result.skippedCount).toBe(2);
+    expect(result.rejectedRows.map((r) => [r.line, r.reason])).toEqual([
+      [2, REJECT_REASONS.INVALID_RECORD],
+      [3, REJECT_REASONS.ZERO_COST],
+    ]);
+    expect(result.rejectedRows[1].raw).toContain('"sku":"FREE"');
+  });
+
+  it('returns the read error as a fatal result', () => {
+    const result = parseJSON('{"meta": 1', { jsonFormat: 'json' });
+    expect(result.error).toMatch(/^Could not read the file as JSON/);
+    expect(result.json.recordCount).toBe(0);
+  });
+});
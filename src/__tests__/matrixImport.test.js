@@ -0,0 +1,146 @@
+/**
+ * Unit tests for src/utils/matrixImport.js
+ *
+ * Covers delimited, pasted and JSON matrices, the CSV `exportCSV` writes,
+ * row and range validation, reading files and the tier-by-tier diff.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseMatrixText, readMatrixFile, diffMatrices } from '../utils/matrixImport.js';
+import { OPEN_ENDED_MAX_COST } from '../utils/pricingUtils.js';
+
+const EXPORTED = [
+  '# Price Matrix Optimization Report',
+  '# Matrix: Default',
+  '# Generated: 1/15/2024',
+  '# Current Profit: $12,345.67',
+  '',
+  'Min Cost,Max Cost,Current Multiplier,New Multiplier,Current GP%,New GP%,Change',
+  '0.00,10.00,3.00,3.20,66.7,68.8,+0.20',
+  '10.01,50.00,2.50,2.60,60.0,61.5,+0.10',
+  '50.01,Maximum,2.00,2.00,50.0,50.0,0.00',
+].join('\n');
+
+describe('parseMatrixText', () => {
+  it('reads the CSV exportCSV writes, taking the new multipliers', () => {
+    const result = parseMatrixText(EXPORTED);
+    expect(result.error).toBeNull();
+    expect(result.rowErrors).toEqual([]);
+    expect(result.rangeIssues).toEqual([]);
+    expect(result.tiers).toEqual([
+      { id: 1, minCost: 0, maxCost: 10, multiplier: 3.2, grossProfit: 68.8 },
+      { id: 2, minCost: 10.01, maxCost: 50, multiplier: 2.6, grossProfit: 61.5 },
+      { id: 3, minCost: 50.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2, grossProfit: 50 },
+    ]);
+  });
+
+  it('reads a table pasted from a spreadsheet, deriving multipliers from GP%', () => {
+    const pasted = 'From\tTo\tGP %\n$0.00\t$1.50\t80%\n$1.51\t\t75%';
+    const result = parseMatrixText(pasted);
+    expect(result.tiers).toEqual([
+      { id: 1, minCost: 0, maxCost: 1.5, multiplier: 5, grossProfit: 80 },
+      { id: 2, minCost: 1.51, maxCost: OPEN_ENDED_MAX_COST, multiplier: 4, grossProfit: 75 },
+    ]);
+  });
+
+  it('reads JSON tier arrays and objects with a tiers array', () => {
+    const tiers = [
+      { minCost: 0, maxCost: 10, multiplier: 3 },
+      { min_cost: 10.01, max_cost: null, multiplier: 2 },
+    ];
+    expect(parseMatrixText(JSON.stringify(tiers)).tiers).toEqual([
+      { id: 1, minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+      { id: 2, minCost: 10.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2, grossProfit: 50 },
+    ]);
+    const saved = {
+      name: 'Fleet',
+      tiers: [
+        { id: 7, minCost: 0, maxCost: 100, multiplier: 2, grossProfit: 50 },
+        { id: 8, minCost: 100.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 1.5, grossProfit: 33.3 },
+      ],
+    };
+    expect(parseMatrixText(JSON.stringify(saved)).tiers).toEqual([
+      { id: 1, minCost: 0, maxCost: 100, multiplier: 2, grossProfit: 50 },
+      { id: 2, minCost: 100.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 1.5, grossProfit: 33.3 },
+    ]);
+    expect(parseMatrixText('{"tiers": ').error).toMatch(/Could not read the matrix as JSON/);
+  });
+
+  it('sorts tiers by min cost and reports gaps and overlaps', () => {
+    const text = 'Min,Max,Multiplier\n20,100,2\n0,10,3\n90,,1.5';
+    const result = parseMatrixText(text);
+    expect(result.tiers.map((t) => t.minCost)).toEqual([0, 20, 90]);
+    expect(result.rangeIssues.map((i) => i.type)).toEqual(['gap', 'overlap']);
+  });
+
+  it('skips invalid rows with their line numbers', () => {
+    const text = 'Min Cost,Max Cost,Multiplier\n0,10,3\nabc,20,2\n30,25,2\n10.01,Max,2\n40,,';
+    const result = parseMatrixText(text);
+    expect(result.tiers).toHaveLength(2);
+    expect(result.rowErrors).toEqual([
+      { line: 3, message: 'Min cost "abc" is not a cost' },
+      { line: 4, message: 'Max cost 25.00 is below min cost 30.00' },
+      { line: 6, message: 'No multiplier or GP%' },
+    ]);
+  });
+
+  it('treats a blank max cost as open-ended only in the last row', () => {
+    const result = parseMatrixText('Min,Max,Multiplier\n0,,3\n10,20,2\n20.01,50,1.8\n50.01,,1.5');
+    expect(result.rowErrors).toEqual([{ line: 2, message: 'Max cost is missing' }]);
+    expect(result.tiers.map((t) => t.maxCost)).toEqual([20, 50, OPEN_ENDED_MAX_COST]);
+
+    const json = [
+      { minCost: 0, multiplier: 3 },
+      { minCost: 10, maxCost: 20, multiplier: 2 },
+      { minCost: 20.01, maxCost: 'Maximum', multiplier: 1.5 },
+    ];
+    expect(parseMatrixText(JSON.stringify(json)).rowErrors).toEqual([{ line: 1, message: 'Max cost is missing' }]);
+  });
+
+  it('rejects text without a max cost column', () => {
+    const result = parseMatrixText('Min Cost,Multiplier\n0,3\n10.01,2');
+    expect(result.error).toBe('No max cost column found in the header row.');
+    expect(result.tiers).toEqual([]);
+  });
+
+  it('rejects text without matrix columns, an open-ended middle tier, one tier or too many tiers', () => {
+    expect(parseMatrixText('Part,Unit Cost,Qty\nA,1,2').error).toMatch(/Min Cost, Max Cost and Multiplier or GP%/);
+    expect(parseMatrixText('Min,Max,Multiplier\n0,Max,3\n10,20,2').error).toMatch(/Only the last tier/);
+    const single = parseMatrixText('Min,Max,Multiplier\n0,Max,3\nabc,,2');
+    expect(single.error).toBe('The matrix has 1 tier; at least 2 are needed.');
+    expect(single.tiers).toEqual([]);
+    expect(single.rowErrors).toHaveLength(1);
+    const rows = Array.from({ length: 11 }, (_, i) => `${i * 10},${i * 10 + 9.99},2`);
+    expect(parseMatrixText(['Min,Max,Multiplier', ...rows].join('\n')).error).toMatch(/11 tiers/);
+    expect(parseMatrixText('[1, 2]').error).toMatch(/array of tiers/);
+  });
+});
+
+describe('readMatrixFile', () => {
+  it('reads a TSV file by its extension', async () => {
+    const file = new File(['Min\tMax\tMultiplier\n0\t10\t3\n10.01\tMax\t2'], 'matrix.tsv');
+    const result = await readMatrixFile(file);
+    expect(result.tiers).toHaveLength(2);
+    expect(result.tiers[1].maxCost).toBe(OPEN_ENDED_MAX_COST);
+  });
+});
+
+describe('diffMatrices', () => {
+  it('lists changed, unchanged, added and removed tiers by position', () => {
+    const current = [
+      { id: 1, minCost: 0, maxCost: 10, multiplier: 3 },
+      { id: 2, minCost: 10.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2 },
+    ];
+    const next = [
+      { id: 1, minCost: 0, maxCost: 10, multiplier: 3.001 },
+      { id: 2, minCost: 10.01, maxCost: 50, multiplier: 2.5 },
+      { id: 3, minCost: 50.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2 },
+    ];
+    expect(diffMatrices(current, next).map((r) => [r.status, r.changes])).toEqual([
+      ['unchanged', []],
+      ['changed', ['range', 'multiplier']],
+      ['added', []],
+    ]);
+    expect(diffMatrices(next, current)[2]).toMatchObject({ status: 'removed', after: null });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for src/utils/matrixLibrary.js
+ *
+ * Covers creating, duplicating, renaming, updating, deleting and selecting
+ * matrices.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  OPEN_ENDED_MAX_COST,
+  addMatrix,
+  createMatrixLibrary,
+  deleteMatrix,
+  duplicateMatrix,
+  getActiveMatrix,
+  selectMatrix,
+  uniqueMatrixName,
+  updateMatrix,
+} from '../utils/matrixLibrary.js';
+
+const TIERS = [
+  { id: 1, minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+  { id: 2, minCost: 10.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2, grossProfit: 50 },
+];
+const FLEET = [
+  { id: 1, minCost: 0, maxCost: OPEN_ENDED_MAX_COST, multiplier: 1.5, grossProfit: 33.3 },
+];
+
+describe('createMatrixLibrary', () => {
+  it('holds one selected matrix with empty metadata', () => {
+    const library = createMatrixLibrary(TIERS);
+    expect(library.matrices).toHaveLength(1);
+    expect(getActiveMatrix(library)).toMatchObject({ name: 'Default', tiers: TIERS, author: '', notes: '' });
+    expect(library.activeId).toBe(library.matrices[0].id);
+  });
+});
+
+describe('addMatrix and duplicateMatrix', () => {
+  it('adds a matrix and selects it', () => {
+    const library = addMatrix(createMatrixLibrary(TIERS), 'Fleet', FLEET, { author: 'Sam' });
+    expect(library.matrices.map((m) => m.name)).toEqual(['Default', 'Fleet']);
+    expect(getActiveMatrix(library)).toMatchObject({ name: 'Fleet', tiers: FLEET, author: 'Sam' });
+  });
+
+  it('numbers names already in use', () => {
+    let library = addMatrix(createMatrixLibrary(TIERS), 'default', FLEET);
+    library = addMatrix(library, 'Default', FLEET);
+    expect(library.matrices.map((m) => m.name)).toEqual(['Default', 'default (2)', 'Default (3)']);
+    expect(uniqueMatrixName(library, 'Fleet')).toBe('Fleet');
+  });
+
+  it('copies tiers and metadata without sharing them', () => {
+    let library = createMatrixLibrary(TIERS);
+    const original = library.activeId;
+    library = updateMatrix(library, original, { notes: 'Live since March' });
+    library = duplicateMatrix(library, original);
+    const copy = getActiveMatrix(library);
+    expect(copy).toMatchObject({ name: 'Default copy', notes: 'Live since March', tiers: TIERS });
+    expect(copy.id).not.toBe(original);
+    expect(copy.tiers[0]).not.toBe(TIERS[0]);
+  });
+});
+
+describe('updateMatrix', () => {
+  const jan = new Date('2024-01-15T10:00:00Z');
+
+  it('changes tiers and metadata and stamps the time', () => {
+    const library = createMatrixLibrary(TIERS);
+    const next = updateMatrix(library, library.activeId, { tiers: FLEET, author: 'Alex' }, jan);
+    expect(getActiveMatrix(next)).toMatchObject({ tiers: FLEET, author: 'Alex', updatedAt: '2024-01-15T10:00:00.000Z' });
+    expect(getActiveMatrix(library).tiers).toBe(TIERS);
+  });
+
+  it('returns the library unchanged when nothing changes', () => {
+    const library = createMatrixLibrary(TIERS);
+    expect(updateMatrix(library, library.activeId, { tiers: TIERS, notes: '' }, jan)).toBe(library);
+    expect(updateMatrix(library, 'missing', { notes: 'x' })).toBe(library);
+  });
+
+  it('renames, ignoring blank names and numbering names in use', () => {
+    let library = addMatrix(createMatrixLibrary(TIERS), 'Fleet', FLEET);
+    const fleet = library.activeId;
+    expect(updateMatrix(library, fleet, { name: '  ' })).toBe(library);
+    library = updateMatrix(library, fleet, { name: 'Default' });
+    expect(getActiveMatrix(library).name).toBe('Default (2)');
+    library = updateMatrix(library, fleet, { name: ' Warranty ' });
+    expect(getActiveMatrix(library).name).toBe('Warranty');
+  });
+});
+
+describe('deleteMatrix and selectMatrix', () => {
+  it('selects the neighbour of a deleted selected matrix', () => {
+    let library = addMatrix(createMatrixLibrary(TIERS), 'Fleet', FLEET);
+    library = addMatrix(library, 'Warranty', FLEET);
+    const [first, fleet] = library.matrices;
+    library = selectMatrix(library, fleet.id);
+    library = deleteMatrix(library, fleet.id);
+    expect(library.matrices.map((m) => m.name)).toEqual(['Default', 'Warranty']);
+    expect(getActiveMatrix(library).name).toBe('Warranty');
+    library = deleteMatrix(library, library.activeId);
+    expect(library.activeId).toBe(first.id);
+  });
+
+  it('keeps the last matrix', () => {
+    const library = createMatrixLibrary(TIERS);
+    expect(deleteMatrix(library, library.activeId)).toBe(library);
+  });
+
+  it('ignores unknown ids when selecting', () => {
+    const library = createMatrixLibrary(TIERS);
+    expect(selectMatrix(library, 'missing')).toBe(library);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for src/utils/matrixStorage.js
+ *
+ * Covers the versioned format round trip, migrations from the unversioned
+ * tier array and library, schema validation and the recovery report.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MATRIX_STORAGE_VERSION,
+  loadMatrixLibrary,
+  migrateMatrixDocument,
+  serializeMatrixLibrary,
+  validateStoredMatrix,
+} from '../utils/matrixStorage.js';
+import { addMatrix, createMatrixLibrary, getActiveMatrix } from '../utils/matrixLibrary.js';
+import { OPEN_ENDED_MAX_COST } from '../utils/pricingUtils.js';
+
+const TIERS = [
+  { id: 1, minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+  { id: 2, minCost: 10.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2, grossProfit: 50 },
+];
+// The unversioned formats marked the open-ended tier with 999999
+const LEGACY_TIERS = TIERS.map((t) => (t.maxCost === OPEN_ENDED_MAX_COST ? { ...t, maxCost: 999999 } : t));
+const FALLBACK = [{ id: 1, minCost: 0, maxCost: OPEN_ENDED_MAX_COST, multiplier: 2.5, grossProfit: 60 }];
+
+const storedMatrix = (overrides = {}) => ({
+  id: 'matrix-a',
+  name: 'Retail',
+  author: '',
+  notes: '',
+  updatedAt: '2024-01-15T10:00:00.000Z',
+  tiers: [
+    { minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+    { minCost: 10.01, maxCost: null, multiplier: 2, grossProfit: 50 },
+  ],
+  ...overrides,
+});
+
+describe('serializeMatrixLibrary', () => {
+  it('writes a versioned document with an explicit open-ended tier', () => {
+    const library = createMatrixLibrary(TIERS, 'Retail');
+    const doc = JSON.parse(serializeMatrixLibrary(library));
+    expect(doc.version).toBe(MATRIX_STORAGE_VERSION);
+    expect(doc.matrices[0].tiers[1]).toEqual({ minCost: 10.01, maxCost: null, multiplier: 2, grossProfit: 50 });
+  });
+
+  it('keeps a real limit of 999999 as a limit', () => {
+    const tiers = [{ ...TIERS[0], maxCost: 999999 }, { ...TIERS[1], minCost: 999999.01 }];
+    const doc = JSON.parse(serializeMatrixLibrary(createMatrixLibrary(tiers)));
+    expect(doc.matrices[0].tiers.map((t) => t.maxCost)).toEqual([999999, null]);
+    const { library } = loadMatrixLibrary(JSON.stringify(doc), null, FALLBACK);
+    expect(getActiveMatrix(library).tiers).toEqual(tiers);
+  });
+
+  it('loads back what it saved', () => {
+    const library = addMatrix(createMatrixLibrary(TIERS), 'Fleet', FALLBACK, { author: 'Sam' });
+    const { library: loaded, report } = loadMatrixLibrary(serializeMatrixLibrary(library), null, TIERS);
+    expect(report).toBeNull();
+    expect(loaded).toEqual(library);
+  });
+});
+
+describe('migrateMatrixDocument', () => {
+  it('turns a bare tier array into a one-matrix library', () => {
+    const { doc, issues } = migrateMatrixDocument([{ minCost: 0, maxCost: 999999, multiplier: 2 }]);
+    expect(issues).toEqual([]);
+    expect(doc.version).toBe(1);
+    expect(doc.matrices[0]).toMatchObject({
+      name: 'Default',
+      tiers: [{ minCost: 0, maxCost: null, multiplier: 2, grossProfit: 50 }],
+    });
+  });
+
+  it('upgrades the unversioned library, filling missing metadata', () => {
+    const { doc } = migrateMatrixDocument({ activeId: 'a', matrices: [{ id: 'a', name: 'Retail', tiers: LEGACY_TIERS }] });
+    expect(doc.matrices[0]).toMatchObject({ author: '', notes: '', updatedAt: '1970-01-01T00:00:00.000Z' });
+    expect(doc.matrices[0].tiers[1].maxCost).toBeNull();
+  });
+
+  it('refuses unknown and newer versions', () => {
+    expect(migrateMatrixDocument({ version: 2, matrices: [] }).issues[0].message).toMatch(/newer version/);
+    expect(migrateMatrixDocument({ version: 'one' }).issues[0].path).toBe('version');
+    expect(migrateMatrixDocument('text').issues).toHaveLength(1);
+  });
+});
+
+describe('validateStoredMatrix', () => {
+  it('accepts a valid matrix', () => {
+    expect(validateStoredMatrix(storedMatrix(), 'matrices[0]')).toEqual([]);
+  });
+
+  it('reports each invalid field with its path', () => {
+    const matrix = storedMatrix({
+      name: ' ',
+      tiers: [
+        { minCost: -1, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+        { minCost: 10.01, maxCost: 999999, multiplier: 0.5, grossProfit: '50' },
+      ],
+    });
+    expect(validateStoredMatrix(matrix, 'matrices[2]').map((i) => i.path)).toEqual([
+      'matrices[2].name',
+      'matrices[2].tiers[0].minCost',
+      'matrices[2].tiers[1].multiplier',
+      'matrices[2].tiers[1].grossProfit',
+    ]);
+    expect(validateStoredMatrix(storedMatrix({ tiers: [] }), 'm')[0]).toEqual({ path: 'm.tiers', message: 'Must be a list of 1 to 10 tiers' });
+  });
+
+  it('allows no upper limit on the last tier only', () => {
+    const tiers = [
+      { minCost: 0, maxCost: null, multiplier: 3, grossProfit: 66.7 },
+      { minCost: 10.01, maxCost: 50, multiplier: 2, grossProfit: 50 },
+    ];
+    expect(validateStoredMatrix(storedMatrix({ tiers }), 'm')).toEqual([
+      { path: 'm.tiers[0].maxCost', message: 'Only the last tier can have no upper limit' },
+    ]);
+    const missing = [{ ...tiers[1], minCost: 0, maxCost: undefined }, { ...tiers[1], maxCost: null }];
+    expect(validateStoredMatrix(storedMatrix({ tiers: missing }), 'm')).toEqual([
+      { path: 'm.tiers[0].maxCost', message: 'Must be a cost of 0 or more' },
+    ]);
+  });
+
+  it('reports a max cost below the min cost', () => {
+    const tiers = [
+      { minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+      { minCost: 20, maxCost: 15, multiplier: 2.5, grossProfit: 60 },
+      { minCost: 25, maxCost: null, multiplier: 2, grossProfit: 50 },
+    ];
+    expect(validateStoredMatrix(storedMatrix({ tiers }), 'm')).toEqual([
+      { path: 'm.tiers[1].maxCost', message: 'Must not be below the min cost' },
+    ]);
+  });
+
+  it('reports tiers out of order or overlapping', () => {
+    const tiers = [
+      { minCost: 0, maxCost: 10, multiplier: 3, grossProfit: 66.7 },
+      { minCost: 8, maxCost: 50, multiplier: 2.5, grossProfit: 60 },
+      { minCost: 50, maxCost: 100, multiplier: 2.2, grossProfit: 54.5 },
+      { minCost: 100.01, maxCost: null, multiplier: 2, grossProfit: 50 },
+    ];
+    expect(validateStoredMatrix(storedMatrix({ tiers }), 'm')).toEqual([
+      { path: 'm.tiers[1].minCost', message: "Must be above the previous tier's max cost (10.00)" },
+      { path: 'm.tiers[2].minCost', message: "Must be above the previous tier's max cost (50.00)" },
+    ]);
+    const reversed = [{ ...tiers[3], maxCost: 200 }, { ...tiers[0], maxCost: null }];
+    expect(validateStoredMatrix(storedMatrix({ tiers: reversed }), 'm').map((i) => i.path)).toEqual(['m.tiers[1].minCost']);
+  });
+
+  it('drops a saved matrix with an open-ended middle tier instead of loading it', () => {
+    const tiers = [
+      { minCost: 0, maxCost: null, multiplier: 3, grossProfit: 66.7 },
+      { minCost: 10.01, maxCost: null, multiplier: 2, grossProfit: 50 },
+    ];
+    const raw = JSON.stringify({ version: 1, activeId: 'matrix-a', matrices: [storedMatrix({ tiers })] });
+    const { library, report } = loadMatrixLibrary(raw, null, FALLBACK);
+    expect(getActiveMatrix(library).tiers).toBe(FALLBACK);
+    expect(report.droppedMatrices).toEqual(['Retail']);
+    expect(report.issues.map((i) => i.path)).toEqual(['matrices[0].tiers[0].maxCost']);
+  });
+});
+
+describe('loadMatrixLibrary', () => {
+  const save = (matrices, activeId = 'matrix-a') => JSON.stringify({ version: 1, activeId, matrices });
+
+  it('starts a new library when nothing is saved', () => {
+    const { library, report } = loadMatrixLibrary(null, null, FALLBACK);
+    expect(getActiveMatrix(library).tiers).toBe(FALLBACK);
+    expect(report).toBeNull();
+  });
+
+  it('migrates a matrix saved before the library existed', () => {
+    const { library, report } = loadMatrixLibrary(null, JSON.stringify(LEGACY_TIERS), FALLBACK);
+    expect(report).toBeNull();
+    expect(getActiveMatrix(library)).toMatchObject({ name: 'Default', tiers: TIERS });
+  });
+
+  it('keeps the valid matrices and reports the rest', () => {
+    const raw = save([storedMatrix({ tiers: [{ minCost: 'a' }] }), storedMatrix({ id: 'matrix-b', name: 'Fleet' })]);
+    const { library, report } = loadMatrixLibrary(raw, null, FALLBACK);
+    expect(library.matrices.map((m) => m.name)).toEqual(['Fleet']);
+    expect(library.activeId).toBe('matrix-b');
+    expect(report).toMatchObject({ droppedMatrices: ['Retail'], loadedCount: 1, raw });
+    expect(report.issues.map((i) => i.path)).toEqual([
+      'matrices[0].tiers[0].minCost',
+      'matrices[0].tiers[0].maxCost',
+      'matrices[0].tiers[0].multiplier',
+      'matrices[0].tiers[0].grossProfit',
+    ]);
+  });
+
+  it('drops matrices that reuse an id', () => {
+    const { library, report } = loadMatrixLibrary(save([storedMatrix(), storedMatrix({ name: 'Copy' })]), null, FALLBACK);
+    expect(library.matrices).toHaveLength(1);
+    expect(report.issues).toEqual([{ path: 'matrices[1].id', message: 'Duplicate id "matrix-a"' }]);
+  });
+
+  it('falls back with a report when nothing can be loaded', () => {
+    for (const raw of ['{not json', save([]), JSON.stringify({ version: 9, matrices: [] })]) {
+      const { library, report } = loadMatrixLibrary(raw, null, FALLBACK);
+      expect(getActiveMatrix(library).tiers).toBe(FALLBACK);
+      expect(report).toMatchObject({ loadedCount: 0, raw });
+      expect(report.issues.length).toBeGreaterThan(0);
+    }
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for src/utils/mergeDatasets.js
+ *
+ * Covers the repeat-row fingerprint and merging of overlapping exports.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { partFingerprint, mergeDatasets } from '../utils/mergeDatasets.js';
+
+const part = (fields) => ({ unitCost: 10, unitRetail: 25, qty: 1, totalCost: 10, totalRetail: 25, ...fields });
+
+describe('partFingerprint', () => {
+  it('is null without an invoice date or RO number', () => {
+    expect(partFingerprint(part({ partNumber: 'PF-1' }))).toBeNull();
+  });
+
+  it('matches rows that differ only in file position', () => {
+    const a = part({ invoiceDate: '2024-02-01', roNumber: '1001', description: 'Oil Filter', line: 2 });
+    const b = part({ invoiceDate: '2024-02-01', roNumber: '1001', description: 'OIL FILTER', line: 40 });
+    expect(partFingerprint(a)).toBe(partFingerprint(b));
+  });
+
+  it('tells apart different prices and quantities', () => {
+    const a = part({ roNumber: '1001' });
+    expect(partFingerprint(part({ roNumber: '1001', qty: 2 }))).not.toBe(partFingerprint(a));
+    expect(partFingerprint(part({ roNumber: '1001', unitRetail: 26 }))).not.toBe(partFingerprint(a));
+  });
+});
+
+describe('mergeDatasets', () => {
+  const jan = part({ invoiceDate: '2024-01-31', roNumber: '990' });
+  const feb1 = part({ invoiceDate: '2024-02-01', roNumber: '1001' });
+  const feb2 = part({ invoiceDate: '2024-02-02', roNumber: '1002', unitCost: 40 });
+
+  it('concatenates datasets in order', () => {
+    const result = mergeDatasets([
+      { id: 'a', parts: [jan] },
+      { id: 'b', parts: [feb2] },
+    ]);
+    expect(result.parts).toEqual([jan, feb2]);
+    expect(result.duplicateCounts).toEqual({ a: 0, b: 0 });
+  });
+
+  it('drops rows a later file repeats from an overlapping date range', () => {
+    const result = mergeDatasets([
+      { id: 'jan', parts: [jan, feb1] },
+      { id: 'feb', parts: [{ ...feb1, line: 2 }, feb2] },
+    ]);
+    expect(result.parts).toEqual([jan, feb1, feb2]);
+    expect(result.duplicateCounts).toEqual({ jan: 0, feb: 1 });
+  });
+
+  it('keeps identical rows within one file and only removes as many as repeat', () => {
+    const result = mergeDatasets([
+      { id: 'a', parts: [feb1, feb1] },
+      { id: 'b', parts: [feb1, feb1, feb1] },
+    ]);
+    expect(result.parts).toHaveLength(3);
+    expect(result.duplicateCounts).toEqual({ a: 0, b: 2 });
+  });
+
+  it('never removes rows without a date or RO number', () => {
+    const plain = part({ description: 'Wiper Blade' });
+    const result = mergeDatasets([
+      { id: 'a', parts: [plain] },
+      { id: 'b', parts: [plain] },
+    ]);
+    expect(result.parts).toHaveLength(2);
+    expect(result.duplicateCounts.b).toBe(0);
+  });
+});
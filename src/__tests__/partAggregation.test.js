@@ -0,0 +1,71 @@
+/**
+ * Unit tests for src/utils/partAggregation.js
+ *
+ * Covers rolling sales lines up per part number and counting distinct
+ * parts against sale lines.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { aggregateByPartNumber, countPartsAndLines } from '../utils/partAggregation.js';
+
+const line = (fields) => ({ qty: 1, rowType: 'sale', ...fields });
+
+describe('aggregateByPartNumber', () => {
+  it('computes qty-weighted average cost and retail, total qty and times sold', () => {
+    const result = aggregateByPartNumber([
+      line({ partNumber: 'OF-1', description: 'Oil Filter', unitCost: 3, unitRetail: 12, qty: 1, totalCost: 3, totalRetail: 12, line: 2 }),
+      line({ partNumber: 'OF-1', description: 'Oil Filter', unitCost: 4, unitRetail: 13, qty: 3, totalCost: 12, totalRetail: 39, line: 5 }),
+    ]);
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({
+      partNumber: 'OF-1',
+      description: 'Oil Filter',
+      qty: 4,
+      totalCost: 15,
+      totalRetail: 51,
+      timesSold: 2,
+      returnCount: 0,
+      lines: [2, 5],
+    });
+    expect(result[0].unitCost).toBeCloseTo(3.75, 6);
+    expect(result[0].unitRetail).toBeCloseTo(12.75, 6);
+  });
+
+  it('nets returns into their part and keeps averages from sales', () => {
+    const result = aggregateByPartNumber([
+      line({ partNumber: 'BP-1', unitCost: 18, unitRetail: 50, qty: 2, totalCost: 36, totalRetail: 100, line: 2 }),
+      line({ partNumber: 'BP-1', unitCost: 18, unitRetail: 50, qty: -1, totalCost: -18, totalRetail: -50, rowType: 'return', line: 3 }),
+    ]);
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ unitCost: 18, unitRetail: 50, qty: 1, totalCost: 18, totalRetail: 50, timesSold: 1, returnCount: 1 });
+  });
+
+  it('passes through lines it cannot roll up', () => {
+    const noNumber = line({ unitCost: 5, unitRetail: 10, totalCost: 5, totalRetail: 10 });
+    const orphanReturn = line({ partNumber: 'X-1', unitCost: 5, unitRetail: 10, qty: -1, totalCost: -5, totalRetail: -10, rowType: 'return' });
+    const core = line({ partNumber: 'ALT-C', unitCost: 40, unitRetail: 40, totalCost: 40, totalRetail: 40, rowType: 'core-charge' });
+    expect(aggregateByPartNumber([noNumber, orphanReturn, core])).toEqual([noNumber, orphanReturn, core]);
+  });
+
+  it('drops per-line healing overrides from the combined entry', () => {
+    const healed = line({
+      partNumber: 'OF-1', unitCost: 3, unitRetail: 12, totalCost: 3, totalRetail: 12,
+      healing: [{ field: 'totalCost', csvValue: 30, calculatedValue: 3, rule: 'tolerance-exceeded' }],
+    });
+    expect(aggregateByPartNumber([healed])[0]).not.toHaveProperty('healing');
+  });
+});
+
+describe('countPartsAndLines', () => {
+  it('counts distinct part numbers and sale lines, ignoring returns and cores', () => {
+    const counts = countPartsAndLines([
+      line({ partNumber: 'OF-1' }),
+      line({ partNumber: 'OF-1' }),
+      line({}),
+      line({ partNumber: 'OF-1', rowType: 'return' }),
+      line({ partNumber: 'ALT-C', rowType: 'core-charge' }),
+      line({ partNumber: 'AF-2', timesSold: 4 }),
+    ]);
+    expect(counts).toEqual({ distinctPartCount: 3, lineCount: 7 });
+  });
+});
@@ -20,6 +20,7 @@ import {
   computeOverallMargin,
   computeTargetProfit,
   isTargetMarginTooLow,
+  OPEN_ENDED_MAX_COST,
 } from '../utils/pricingUtils.js';
 
 // ─── parseCurrency ───────────────────────────────────────────────────────────
@@ -43,6 +44,18 @@ describe('parseCurrency', () => {
     expect(parseCurrency('-50.00')).toBe(-50);
   });
 
+  it('reads accounting-style parentheses as negative', () => {
+    expect(parseCurrency('(12.50)')).toBe(-12.5);
+    expect(parseCurrency('($1,234.56)')).toBe(-1234.56);
+    expect(parseCurrency('(12,50)', { decimalSeparator: ',' })).toBe(-12.5);
+  });
+
+  it('parses European decimal-comma values when asked', () => {
+    expect(parseCurrency('1.234,56', { decimalSeparator: ',' })).toBe(1234.56);
+    expect(parseCurrency('3,25 €', { decimalSeparator: ',' })).toBe(3.25);
+    expect(parseCurrency('-12,50', { decimalSeparator: ',' })).toBe(-12.5);
+  });
+
   it('returns 0 for empty string', () => {
     expect(parseCurrency('')).toBe(0);
   });
@@ -242,7 +255,7 @@ describe('detectRangeIssues', () => {
   const validMatrix = [
     { id: 1, minCost: 0, maxCost: 1.5, multiplier: 5.0, grossProfit: 80 },
     { id: 2, minCost: 1.51, maxCost: 6.0, multiplier: 4.76, grossProfit: 79 },
-    { id: 3, minCost: 6.01, maxCost: 999999, multiplier: 3.7, grossProfit: 73 },
+    { id: 3, minCost: 6.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 3.7, grossProfit: 73 },
   ];
 
   it('returns no issues for a valid gapless matrix', () => {
@@ -271,9 +284,9 @@ describe('detectRangeIssues', () => {
     expect(issues[0].type).toBe('overlap');
   });
 
-  it('ignores gaps after a 999999 maxCost tier', () => {
+  it('ignores gaps after an open-ended tier', () => {
     const openEndedThen = [
-      { id: 1, minCost: 0, maxCost: 999999, multiplier: 5.0, grossProfit: 80 },
+      { id: 1, minCost: 0, maxCost: OPEN_ENDED_MAX_COST, multiplier: 5.0, grossProfit: 80 },
       { id: 2, minCost: 1000, maxCost: 2000, multiplier: 2.0, grossProfit: 50 }, // after open-ended
     ];
     expect(detectRangeIssues(openEndedThen)).toHaveLength(0);
@@ -286,7 +299,7 @@ describe('computeTierAnalysis', () => {
   const matrix = [
     { id: 1, minCost: 0, maxCost: 1.5, multiplier: 5.0, grossProfit: 80 },
     { id: 2, minCost: 1.51, maxCost: 6.0, multiplier: 4.76, grossProfit: 79 },
-    { id: 3, minCost: 6.01, maxCost: 999999, multiplier: 3.7, grossProfit: 73 },
+    { id: 3, minCost: 6.01, maxCost: OPEN_ENDED_MAX_COST, multiplier: 3.7, grossProfit: 73 },
   ];
 
   const parts = [
@@ -335,6 +348,64 @@ describe('computeTierAnalysis', () => {
     const totalParts = analysis.reduce((sum, t) => sum + t.partCount, 0);
     expect(totalParts).toBe(1);
   });
+  it('nets returns against the tier of the matching sale', () => {
+    const sales = [
+      { unitCost: 5.9, unitRetail: 20, qty: 4, totalCost: 23.6, totalRetail: 80, partNumber: 'BP-1', rowType: 'sale' },
+      { unitCost: 10, unitRetail: 30, qty: 1, totalCost: 10, totalRetail: 30, partNumber: 'X-9', rowType: 'sale' },
+    ];
+    // Cost went up since the sale; the return still nets against tier 2
+    const ret = { unitCost: 6.5, unitRetail: 20, qty: -1, totalCost: -6.5, totalRetail: -20, partNumber: 'BP-1', rowType: 'return' };
+    const analysis = computeTierAnalysis([...sales, ret], matrix);
+    expect(analysis[1].partCount).toBe(1);
+    expect(analysis[1].returnCount).toBe(1);
+    expect(analysis[1].totalQty).toBe(3);
+    expect(analysis[1].totalRetail).toBeCloseTo(60, 4);
+    expect(analysis[1].totalCost).toBeCloseTo(17.1, 4);
+    expect(analysis[2].returnCount).toBe(0);
+  });
+
+  it('places unmatched returns by their own unit cost', () => {
+    const ret = { unitCost: 0.5, unitRetail: 2.5, qty: -2, totalCost: -1, totalRetail: -5, rowType: 'return' };
+    const analysis = computeTierAnalysis([...parts, ret], matrix);
+    expect(analysis[0].totalRetail).toBeCloseTo(20, 4);
+    expect(analysis[0].partCount).toBe(1);
+  });
+
+  it('leaves core charges and credits out of tier totals', () => {
+    const cores = [
+      { unitCost: 50, unitRetail: 50, qty: 1, totalCost: 50, totalRetail: 50, rowType: 'core-charge' },
+      { unitCost: 50, unitRetail: 50, qty: -1, totalCost: -50, totalRetail: -50, rowType: 'core-credit' },
+    ];
+    const analysis = computeTierAnalysis([...parts, ...cores], matrix);
+    expect(analysis[2].partCount).toBe(1);
+    expect(analysis[2].totalRetail).toBeCloseTo(60, 4);
+  });
+
+  it('carries each tier\'s parts, including identity fields', () => {
+    const withIds = parts.map((p, i) => ({ ...p, partNumber: `P-${i}`, vendor: 'Wagner' }));
+    const analysis = computeTierAnalysis(withIds, matrix);
+    expect(analysis[1].parts).toEqual([withIds[1]]);
+    expect(analysis[1].parts[0].partNumber).toBe('P-1');
+  });
+
+  it('reports distinct parts separately from sale lines', () => {
+    const lines = [
+      { unitCost: 3, unitRetail: 12, qty: 1, totalCost: 3, totalRetail: 12, partNumber: 'OF-1' },
+      { unitCost: 3, unitRetail: 12, qty: 2, totalCost: 6, totalRetail: 24, partNumber: 'OF-1' },
+      { unitCost: 4, unitRetail: 15, qty: 1, totalCost: 4, totalRetail: 15, partNumber: 'AF-2' },
+      { unitCost: 5, unitRetail: 18, qty: 1, totalCost: 5, totalRetail: 18 },
+    ];
+    const analysis = computeTierAnalysis(lines, matrix);
+    expect(analysis[1]).toMatchObject({ partCount: 4, lineCount: 4, distinctPartCount: 3 });
+  });
+
+  it('counts the lines behind rolled-up parts', () => {
+    const rolledUp = [
+      { unitCost: 3, unitRetail: 12, qty: 5, totalCost: 15, totalRetail: 60, partNumber: 'OF-1', timesSold: 3, returnCount: 1 },
+    ];
+    const analysis = computeTierAnalysis(rolledUp, matrix);
+    expect(analysis[1]).toMatchObject({ partCount: 1, lineCount: 3, distinctPartCount: 1, returnCount: 1 });
+  });
 });
 
 // ─── computeOverallMargin ────────────────────────────────────────────────────
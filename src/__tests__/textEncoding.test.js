@@ -0,0 +1,53 @@
+/**
+ * Unit tests for src/utils/textEncoding.js
+ *
+ * Covers BOM detection, the UTF-16 zero-byte heuristic and the
+ * UTF-8 / Windows-1252 fallback.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectEncoding } from '../utils/textEncoding.js';
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+// Latin-1 characters share their code with Windows-1252 bytes
+const latin1 = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+function utf16(text, littleEndian = true) {
+  const bytes = new Uint8Array(text.length * 2);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < text.length; i++) view.setUint16(i * 2, text.charCodeAt(i), littleEndian);
+  return bytes;
+}
+
+const SAMPLE = 'Part Name,Unit Cost\nBremsbeläge,18.00\n';
+
+describe('detectEncoding', () => {
+  it('recognises byte order marks', () => {
+    expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x41]))).toEqual({ encoding: 'utf-8', bom: true });
+    expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x41, 0]))).toEqual({ encoding: 'utf-16le', bom: true });
+    expect(detectEncoding(new Uint8Array([0xfe, 0xff, 0, 0x41]))).toEqual({ encoding: 'utf-16be', bom: true });
+  });
+
+  it('detects UTF-16 without a BOM from zero bytes', () => {
+    expect(detectEncoding(utf16(SAMPLE)).encoding).toBe('utf-16le');
+    expect(detectEncoding(utf16(SAMPLE, false)).encoding).toBe('utf-16be');
+  });
+
+  it('keeps valid UTF-8 as UTF-8', () => {
+    expect(detectEncoding(utf8(SAMPLE))).toEqual({ encoding: 'utf-8', bom: false });
+  });
+
+  it('falls back to Windows-1252 for invalid UTF-8', () => {
+    expect(detectEncoding(latin1(SAMPLE))).toEqual({ encoding: 'windows-1252', bom: false });
+  });
+
+  it('ignores a multi-byte character cut off at the end of the sample', () => {
+    const bytes = utf8('Ölfilter,3.25\nBremsbeläge');
+    expect(detectEncoding(bytes.subarray(0, bytes.length - 3)).encoding).toBe('utf-8');
+  });
+
+  it('treats empty data as UTF-8', () => {
+    expect(detectEncoding(new ArrayBuffer(0)).encoding).toBe('utf-8');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for src/utils/xlsxReader.js
+ *
+ * Covers sheet listing, typed cell values (shared and inline strings,
+ * numbers, dates, booleans) and the XML helpers.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { openWorkbook, columnIndex, decodeXML, excelSerialToISODate } from '../utils/xlsxReader.js';
+import { buildXlsx, buildZip } from './fixtures/xlsx.js';
+
+describe('columnIndex', () => {
+  it('converts column letters to 0-based indices', () => {
+    expect(columnIndex('A1')).toBe(0);
+    expect(columnIndex('Z9')).toBe(25);
+    expect(columnIndex('AA10')).toBe(26);
+    expect(columnIndex('AB')).toBe(27);
+  });
+});
+
+describe('decodeXML', () => {
+  it('decodes named and numeric references', () => {
+    expect(decodeXML('A &amp; B &lt;C&gt; &#233;&#x2013;')).toBe('A & B <C> é–');
+  });
+});
+
+describe('excelSerialToISODate', () => {
+  it('converts 1900-system serials', () => {
+    expect(excelSerialToISODate(45292)).toBe('2024-01-01');
+    expect(excelSerialToISODate(45292.75)).toBe('2024-01-01');
+  });
+
+  it('converts 1904-system serials', () => {
+    expect(excelSerialToISODate(0, true)).toBe('1904-01-01');
+  });
+});
+
+describe('openWorkbook', () => {
+  it('lists sheets in workbook order', async () => {
+    const workbook = await openWorkbook(buildXlsx({ Summary: [['x']], 'Parts & Labor': [['y']] }));
+    expect(workbook.sheetNames).toEqual(['Summary', 'Parts & Labor']);
+  });
+
+  it('returns typed cell values', async () => {
+    const workbook = await openWorkbook(
+      buildXlsx({
+        Sales: [
+          ['Part', 'Unit Cost', 'Invoice Date'],
+          ['Oil Filter', 3.25, { date: 45292 }],
+        ],
+      }),
+    );
+    expect(await workbook.readSheet('Sales')).toEqual([
+      ['Part', 'Unit Cost', 'Invoice Date'],
+      ['Oil Filter', 3.25, '2024-01-01'],
+    ]);
+  });
+
+  it('fills skipped cells and rows with blanks', async () => {
+    const workbook = await openWorkbook(buildXlsx({ Sheet1: [['a', null, 'c'], [], [1]] }));
+    expect(await workbook.readSheet('Sheet1')).toEqual([['a', '', 'c'], [], [1]]);
+  });
+
+  it('reads inline strings, booleans, errors and rich text', async () => {
+    const sheet =
+      '<worksheet><sheetData><row r="2">' +
+      '<c r="A2" t="inlineStr"><is><t>Brake &amp; Rotor</t></is></c>' +
+      '<c r="B2" t="b"><v>1</v></c>' +
+      '<c r="C2" t="e"><v>#N/A</v></c>' +
+      '<c r="D2" t="s"><v>0</v></c>' +
+      '</row></sheetData></worksheet>';
+    const zip = buildZip([
+      { name: 'xl/workbook.xml', data: '<workbook><sheets><sheet name="S" r:id="rId1"/></sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships><Relationship Id="rId1" Target="/xl/worksheets/s.xml"/></Relationships>' },
+      { name: 'xl/worksheets/s.xml', data: sheet },
+      { name: 'xl/sharedStrings.xml', data: '<sst><si><r><t>Wiper </t></r><r><t>Blade</t></r><rPh><t>ワ</t></rPh></si></sst>' },
+    ]);
+    const workbook = await openWorkbook(zip);
+    expect(await workbook.readSheet('S')).toEqual([[], ['Brake & Rotor', 'TRUE', '#N/A', 'Wiper Blade']]);
+  });
+
+  it('keeps shared-string indices after a self-closing empty entry', async () => {
+    const zip = buildZip([
+      { name: 'xl/workbook.xml', data: '<workbook><sheets><sheet name="S" r:id="rId1"/></sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships><Relationship Id="rId1" Target="worksheets/s.xml"/></Relationships>' },
+      {
+        name: 'xl/worksheets/s.xml',
+        data: '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row></sheetData></worksheet>',
+      },
+      { name: 'xl/sharedStrings.xml', data: '<sst count="3"><si><t>Oil Filter</t></si><si/><si xml:space="preserve"><t>Brake Pads</t></si></sst>' },
+    ]);
+    const workbook = await openWorkbook(zip);
+    expect(await workbook.readSheet('S')).toEqual([['Oil Filter', '', 'Brake Pads']]);
+  });
+
+  it('treats custom date number formats as dates', async () => {
+    const zip = buildZip([
+      { name: 'xl/workbook.xml', data: '<workbook><workbookPr date1904="1"/><sheets><sheet name="S" r:id="rId1"/></sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships><Relationship Id="rId1" Target="worksheets/s.xml"/></Relationships>' },
+      {
+        name: 'xl/styles.xml',
+        data:
+          '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/><numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0.00"/></numFmts>' +
+          '<cellXfs><xf numFmtId="164"/><xf numFmtId="165"/></cellXfs></styleSheet>',
+      },
+      { name: 'xl/worksheets/s.xml', data: '<worksheet><sheetData><row r="1"><c r="A1" s="0"><v>1</v></c><c r="B1" s="1"><v>12.5</v></c></row></sheetData></worksheet>' },
+    ]);
+    const workbook = await openWorkbook(zip);
+    expect(await workbook.readSheet('S')).toEqual([['1904-01-02', 12.5]]);
+  });
+
+  it('rejects archives without a workbook part', async () => {
+    await expect(openWorkbook(buildZip([{ name: 'word/document.xml', data: '<w/>' }]))).rejects.toThrow(
+      /Not an Excel workbook/,
+    );
+  });
+
+  it('rejects unknown sheet names', async () => {
+    const workbook = await openWorkbook(buildXlsx({ Sheet1: [] }));
+    await expect(workbook.readSheet('Missing')).rejects.toThrow(/Worksheet "Missing" not found/);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for src/utils/zipReader.js
+ *
+ * Covers the central-directory listing and extraction of stored and
+ * deflated entries used to open .xlsx workbooks.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readZipDirectory, readZipEntry } from '../utils/zipReader.js';
+import { buildZip } from './fixtures/xlsx.js';
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+async function deflateRaw(text) {
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode(text));
+      controller.close();
+    },
+  }).pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+describe('readZipDirectory', () => {
+  it('lists every entry with its sizes and method', () => {
+    const zip = buildZip([
+      { name: 'a.txt', data: 'hello' },
+      { name: 'dir/b.xml', data: '<b/>' },
+    ]);
+    const entries = readZipDirectory(zip);
+    expect([...entries.keys()]).toEqual(['a.txt', 'dir/b.xml']);
+    expect(entries.get('a.txt')).toMatchObject({ method: 0, compressedSize: 5, uncompressedSize: 5 });
+  });
+
+  it('rejects data that is not a ZIP archive', () => {
+    const bytes = new TextEncoder().encode('Part,Unit Cost\nA,1.00\n'.repeat(3));
+    expect(() => readZipDirectory(bytes)).toThrow(/Not a ZIP archive/);
+  });
+});
+
+describe('readZipEntry', () => {
+  it('returns stored entries unchanged', async () => {
+    const zip = buildZip([{ name: 'a.txt', data: 'stored text' }]);
+    const entry = readZipDirectory(zip).get('a.txt');
+    expect(decode(await readZipEntry(zip, entry))).toBe('stored text');
+  });
+
+  it('inflates deflated entries', async () => {
+    const text = '<row>'.repeat(200);
+    const zip = buildZip([{ name: 'sheet.xml', data: text, deflated: await deflateRaw(text) }]);
+    const entry = readZipDirectory(zip).get('sheet.xml');
+    expect(entry.method).toBe(8);
+    expect(entry.compressedSize).toBeLessThan(text.length);
+    expect(decode(await readZipEntry(zip, entry))).toBe(text);
+  });
+
+  it('rejects unsupported compression methods', async () => {
+    const zip = buildZip([{ name: 'a.txt', data: 'x' }]);
+    const entry = { ...readZipDirectory(zip).get('a.txt'), method: 12 };
+    await expect(readZipEntry(zip, entry)).rejects.toThrow(/Unsupported ZIP compression method 12/);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Suggested tier breakpoints from the uploaded sales.
+ *
+ * Proposes where N tiers should split the unit-cost range so the matrix fits
+ * the shop's parts mix instead of fixed guesses. Four methods:
+ *  - equal revenue share: each tier takes about the same retail revenue;
+ *  - equal part count: each tier holds about the same number of sale lines;
+ *  - natural breaks: Jenks breaks on log cost, splitting where the costs
+ *    cluster (costs span several orders of magnitude, so log scale keeps the
+ *    cheap parts from collapsing into one tier);
+ *  - rounded dollar amounts: the revenue-share breakpoints moved to the
+ *    nearest "nice" amount ($1, $1.50, $2, $2.50, $3, $4, $5, $6, $7.50, $10,
+ *    $15, …).
+ * Costs repeat, so the data may support fewer tiers than asked for.
+ */
+
+import { ROW_TYPES } from './importDiagnostics.js';
+import { OPEN_ENDED_MAX_COST, clampMultiplier, computeGPFromMultiplier } from './pricingUtils.js';
+
+export const BREAKPOINT_METHODS = {
+  REVENUE: 'revenue',
+  COUNT: 'count',
+  NATURAL: 'natural',
+  NICE: 'nice',
+};
+
+export const BREAKPOINT_METHOD_LABELS = {
+  [BREAKPOINT_METHODS.REVENUE]: 'Equal revenue share',
+  [BREAKPOINT_METHODS.COUNT]: 'Equal part count',
+  [BREAKPOINT_METHODS.NATURAL]: 'Natural breaks',
+  [BREAKPOINT_METHODS.NICE]: 'Rounded dollar amounts',
+};
+
+/** Fewest and most tiers a suggestion can have. */
+export const MIN_SUGGESTED_TIERS = 2;
+export const MAX_SUGGESTED_TIERS = 10;
+
+// Mantissas of the "nice" dollar amounts, per power of ten
+const NICE_STEPS = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 7.5, 10];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sale lines with a positive unit cost, grouped by cost (to the cent) and
+ * sorted by it.
+ *
+ * @param {Array<import('./csvParser.js').ParsedPart>} parts
+ * @returns {Array<{ cost: number, count: number, revenue: number }>}
+ */
+function costGroups(parts) {
+  const byCost = new Map();
+  parts.forEach((p) => {
+    if (p.rowType && p.rowType !== ROW_TYPES.SALE) return;
+    if (!Number.isFinite(p.unitCost) || p.unitCost <= 0) return;
+    const cost = roundCents(p.unitCost);
+    const group = byCost.get(cost) || { cost, count: 0, revenue: 0 };
+    group.count += 1;
+    group.revenue += Math.max(p.totalRetail || 0, 0);
+    byCost.set(cost, group);
+  });
+  return [...byCost.values()].sort((a, b) => a.cost - b.cost);
+}
+
+/**
+ * Split points where the running total of `weight` passes each 1/n share.
+ *
+ * @param {ReturnType<typeof costGroups>} groups
+ * @param {number} n
+ * @param {'count'|'revenue'} weight
+ * @returns {number[]} Costs that end each tier but the last.
+ */
+function quantileCuts(groups, n, weight) {
+  const total = groups.reduce((sum, g) => sum + g[weight], 0);
+  if (total <= 0) return [];
+  const cuts = [];
+  let running = 0;
+  let k = 1;
+  groups.forEach((g) => {
+    running += g[weight];
+    while (k < n && running >= (k * total) / n) {
+      cuts.push(g.cost);
+      k++;
+    }
+  });
+  return cuts;
+}
+
+/**
+ * Jenks natural breaks on log cost, weighted by the number of lines at each
+ * cost. Costs are bucketed to about 1% so large uploads stay fast.
+ *
+ * @param {ReturnType<typeof costGroups>} groups
+ * @param {number} n
+ * @returns {number[]} Highest cost in each class but the last.
+ */
+function naturalCuts(groups, n) {
+  const buckets = [];
+  groups.forEach((g) => {
+    const x = Math.log(g.cost);
+    const key = Math.round(x * 100);
+    const last = buckets[buckets.length - 1];
+    if (last && last.key === key) {
+      last.w += g.count;
+      last.wx += g.count * x;
+      last.wxx += g.count * x * x;
+      last.maxCost = g.cost;
+    } else {
+      buckets.push({ key, w: g.count, wx: g.count * x, wxx: g.count * x * x, maxCost: g.cost });
+    }
+  });
+  const m = buckets.length;
+  const classes = Math.min(n, m);
+  if (classes < 2) return [];
+
+  // Prefix sums give the weighted squared deviation of any run of buckets
+  const W = [0];
+  const S = [0];
+  const Q = [0];
+  buckets.forEach((b, i) => {
+    W.push(W[i] + b.w);
+    S.push(S[i] + b.wx);
+    Q.push(Q[i] + b.wxx);
+  });
+  const deviation = (i, j) => {
+    const w = W[j + 1] - W[i];
+    const s = S[j + 1] - S[i];
+    return Q[j + 1] - Q[i] - (s * s) / w;
+  };
+
+  // cost[c][j]: least deviation splitting buckets 0..j into c + 1 classes;
+  // start[c][j]: first bucket of the last of those classes
+  const cost = [buckets.map((b, j) => deviation(0, j))];
+  const start = [buckets.map(() => 0)];
+  for (let c = 1; c < classes; c++) {
+    cost.push(new Array(m).fill(Infinity));
+    start.push(new Array(m).fill(0));
+    for (let j = c; j < m; j++) {
+      for (let i = c; i <= j; i++) {
+        const total = cost[c - 1][i - 1] + deviation(i, j);
+        if (total < cost[c][j]) {
+          cost[c][j] = total;
+          start[c][j] = i;
+        }
+      }
+    }
+  }
+
+  const cuts = [];
+  let end = m - 1;
+  for (let c = classes - 1; c > 0; c--) {
+    const first = start[c][end];
+    cuts.unshift(buckets[first - 1].maxCost);
+    end = first - 1;
+  }
+  return cuts;
+}
+
+/**
+ * The "nice" dollar amount nearest to a cost (by ratio).
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+export function niceAmount(value) {
+  if (!(value > 0)) return 0;
+  const scale = Math.pow(10, Math.floor(Math.log10(value)));
+  const candidates = NICE_STEPS.map((step) => roundCents(step * scale)).filter((c) => c > 0);
+  return candidates.reduce((best, c) => (Math.abs(Math.log(c / value)) < Math.abs(Math.log(best / value)) ? c : best));
+}
+
+/**
+ * Suggest where N tiers should split the unit-cost range.
+ *
+ * @param {Array<import('./csvParser.js').ParsedPart>} parts
+ * @param {number} tierCount
+ * @param {string} method - One of BREAKPOINT_METHODS.
+ * @returns {number[]} Ascending max costs of every tier but the open-ended
+ *   last one; fewer than tierCount − 1 when the costs do not spread that far.
+ */
+export function suggestBreakpoints(parts, tierCount, method) {
+  const groups = costGroups(parts);
+  const n = Math.max(1, Math.min(Math.round(tierCount) || 1, MAX_SUGGESTED_TIERS));
+  if (groups.length < 2 || n < 2) return [];
+
+  let cuts;
+  if (method === BREAKPOINT_METHODS.COUNT) cuts = quantileCuts(groups, n, 'count');
+  else if (method === BREAKPOINT_METHODS.NATURAL) cuts = naturalCuts(groups, n);
+  else if (method === BREAKPOINT_METHODS.NICE) cuts = quantileCuts(groups, n, 'revenue').map(niceAmount);
+  else cuts = quantileCuts(groups, n, 'revenue');
+
+  // A cut at or above the highest cost would leave the top tier empty
+  const highest = groups[groups.length - 1].cost;
+  return [...new Set(cuts)].filter((c) => c > 0 && c < highest).sort((a, b) => a - b);
+}
+
+/**
+ * Multiplier the matrix gives a unit cost: its tier's, or for a cost in a gap
+ * the tier below it.
+ */
+function multiplierAt(matrix, cost) {
+  const tier = matrix.find((t) => cost >= t.minCost && cost <= t.maxCost) ||
+    [...matrix].reverse().find((t) => t.minCost <= cost) ||
+    matrix[0];
+  return tier.multiplier;
+}
+
+/**
+ * Build tiers from breakpoints. Each tier's multiplier is the current
+ * matrix's multiplier averaged over the tier's parts, weighted by cost, so
+ * the suggested matrix prices the uploaded parts for about the same total.
+ *
+ * @param {number[]} cuts - From suggestBreakpoints.
+ * @param {Array<import('./csvParser.js').ParsedPart>} parts
+ * @param {import('./matrixLibrary.js').MatrixTier[]} currentMatrix
+ * @returns {import('./matrixLibrary.js').MatrixTier[]}
+ */
+export function buildTiersFromBreakpoints(cuts, parts, currentMatrix) {
+  const sales = parts.filter((p) => (!p.rowType || p.rowType === ROW_TYPES.SALE) && p.unitCost > 0);
+  return [...cuts, OPEN_ENDED_MAX_COST].map((maxCost, idx) => {
+    const minCost = idx === 0 ? 0 : roundCents(cuts[idx - 1] + 0.01);
+    let weight = 0;
+    let weighted = 0;
+    sales.forEach((p) => {
+      if (p.unitCost < minCost || p.unitCost > maxCost) return;
+      const w = Math.max(p.totalCost || p.unitCost * (p.qty || 1), 0);
+      weight += w;
+      weighted += w * multiplierAt(currentMatrix, p.unitCost);
+    });
+    const raw = weight > 0 ? weighted / weight : multiplierAt(currentMatrix, minCost);
+    const multiplier = clampMultiplier(Math.round(raw * 100) / 100);
+    return {
+      id: idx + 1,
+      minCost,
+      maxCost,
+      multiplier,
+      grossProfit: parseFloat(computeGPFromMultiplier(multiplier).toFixed(1)),
+    };
+  });
+}
+
+/**
+ * Suggest a matrix of N tiers for the uploaded parts.
+ *
+ * @param {Array<import('./csvParser.js').ParsedPart>} parts
+ * @param {import('./matrixLibrary.js').MatrixTier[]} currentMatrix
+ * @param {{ tierCount: number, method: string }} options
+ * @returns {import('./matrixLibrary.js').MatrixTier[]}
+ */
+export function suggestMatrix(parts, currentMatrix, { tierCount, method }) {
+  return buildTiersFromBreakpoints(suggestBreakpoints(parts, tierCount, method), parts, currentMatrix);
+}
@@ -0,0 +1,144 @@
+/**
+ * Dialect detection for delimited sales exports.
+ *
+ * POS systems localised for Europe typically write semicolon-delimited files
+ * with a decimal comma ("1.234,56"), while spreadsheet tools may export tabs
+ * or pipes. These helpers inspect a sample of the file and pick the field
+ * delimiter and decimal separator that best explain it.
+ */
+
+import { tokenizeCSV } from './csvTokenizer.js';
+
+/**
+ * @typedef {Object} CSVDialect
+ * @property {','|';'|'\t'|'|'} delimiter        - Field delimiter.
+ * @property {'.'|','}          decimalSeparator - Decimal mark used in numbers.
+ */
+
+export const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+export const DEFAULT_DIALECT = { delimiter: ',', decimalSeparator: '.' };
+
+const SAMPLE_RECORDS = 50;
+
+/**
+ * Pick the delimiter that splits the sample into the most records sharing
+ * the same (> 1) field count. Ties go to the delimiter producing more
+ * columns, then to candidate order (comma first).
+ *
+ * @param {string} sample - The first few KB of the file.
+ * @returns {string} Detected delimiter, or ',' when nothing fits.
+ */
+export function detectDelimiter(sample) {
+  let best = { delimiter: DEFAULT_DIALECT.delimiter, count: 0, width: 0 };
+
+  for (const delimiter of DELIMITER_CANDIDATES) {
+    const widths = tokenizeCSV(sample, { delimiter })
+      .filter((r) => r.raw.trim())
+      .slice(0, SAMPLE_RECORDS)
+      .map((r) => r.fields.length);
+
+    const freq = new Map();
+    widths.forEach((w) => freq.set(w, (freq.get(w) || 0) + 1));
+
+    for (const [width, count] of freq) {
+      if (width < 2) continue;
+      if (count > best.count || (count === best.count && width > best.width)) {
+        best = { delimiter, count, width };
+      }
+    }
+  }
+
+  return best.delimiter;
+}
+
+const NUMERIC_VALUE = /^[\s$€£¥(+-]*\d[\d.,\s']*[\s$€£¥)%-]*$/;
+
+// Dotted dates (01.02.2024, 2024.01.02) pass NUMERIC_VALUE but are not amounts
+const DOTTED_DATE = /^\s*(?:\d{1,2}\.\d{1,2}\.(?:\d{2}|\d{4})|\d{4}\.\d{1,2}\.\d{1,2})\s*$/;
+
+/**
+ * Whether text reads as an amount in the given number format: digits with
+ * grouping, currency symbols, a sign or parentheses, and at most one decimal
+ * mark. "12..5", "1O.50" and "$5/ea" do not.
+ *
+ * @param {string} value - Raw field text.
+ * @param {'.'|','} [decimalSeparator='.']
+ * @returns {boolean}
+ */
+export function isNumericText(value, decimalSeparator = '.') {
+  if (!NUMERIC_VALUE.test(value) || /[.,]{2}/.test(value)) return false;
+  return value.split(decimalSeparator).length <= 2;
+}
+
+/**
+ * Vote on the decimal separator implied by a single value.
+ *
+ * @param {string} value - Raw field text.
+ * @returns {'.'|','|null} Implied decimal separator, or null if ambiguous.
+ */
+function voteDecimal(value) {
+  if (!NUMERIC_VALUE.test(value) || DOTTED_DATE.test(value)) return null;
+  const digits = value.replace(/[^\d.,]/g, '');
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  // Both present: whichever comes last is the decimal mark
+  if (lastDot !== -1 && lastComma !== -1) return lastDot > lastComma ? '.' : ',';
+
+  const sep = lastDot !== -1 ? '.' : lastComma !== -1 ? ',' : null;
+  if (!sep) return null;
+
+  const occurrences = digits.split(sep).length - 1;
+  const decimals = digits.length - digits.lastIndexOf(sep) - 1;
+
+  // Repeated separator can only be a thousands separator
+  if (occurrences > 1) return sep === '.' ? ',' : '.';
+  // "1,234" / "1.234" could be either; don't vote
+  if (decimals === 3) return null;
+  return sep;
+}
+
+/**
+ * Detect the decimal separator from a list of raw field values.
+ *
+ * @param {string[]} values - Raw field strings from data rows.
+ * @returns {'.'|','} Detected decimal separator ('.' when undecided).
+ */
+export function detectDecimalSeparator(values) {
+  let dot = 0;
+  let comma = 0;
+  for (const value of values) {
+    const vote = voteDecimal(value);
+    if (vote === '.') dot++;
+    else if (vote === ',') comma++;
+  }
+  return comma > dot ? ',' : '.';
+}
+
+/**
+ * Detect the dialect of a CSV sample, honouring any explicit overrides.
+ *
+ * @param {string} sample - The first few KB of the file.
+ * @param {Object} [overrides]
+ * @param {string} [overrides.delimiter='auto']        - Force a delimiter.
+ * @param {string} [overrides.decimalSeparator='auto'] - Force a decimal mark.
+ * @returns {CSVDialect}
+ */
+export function detectDialect(sample, overrides = {}) {
+  const { delimiter = 'auto', decimalSeparator = 'auto' } = overrides;
+  const resolvedDelimiter = delimiter === 'auto' ? detectDelimiter(sample) : delimiter;
+
+  if (decimalSeparator !== 'auto') {
+    return { delimiter: resolvedDelimiter, decimalSeparator };
+  }
+
+  const values = tokenizeCSV(sample, { delimiter: resolvedDelimiter })
+    .slice(0, SAMPLE_RECORDS)
+    .flatMap((r) => r.fields);
+
+  return {
+    delimiter: resolvedDelimiter,
+    decimalSeparator: detectDecimalSeparator(values),
+  };
+}
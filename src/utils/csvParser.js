@@ -5,16 +5,30 @@
  *  - UTF-8 BOM stripping
  *  - Windows-style \r\n line endings
  *  - Quoted fields containing commas (e.g. "Smith, John")
+ *  - Quoted fields containing line breaks (multi-line descriptions)
  *  - Escaped quotes inside quoted fields ("")
- *  - Currency-formatted numbers ($1,234.56)
+ *  - Unterminated and stray quotes (see csvTokenizer.js)
+ *  - Currency-formatted numbers ($1,234.56, or 1.234,56 € in EU exports)
+ *  - Comma, semicolon, tab or pipe delimiters (auto-detected)
  *  - Header rows that don't appear on line 1 (up to 10 lines down)
- *  - Self-healing: validates computed vs reported totals (≤50% tolerance)
+ *  - Self-healing: validates computed vs reported totals (≤50% tolerance by
+ *    default, configurable), recording every replaced total on the row
+ *  - Row diagnostics: every rejected row is reported with line and reason
+ *  - Returns, core charges and credits (negative or "(12.50)" amounts)
+ *  - Grand total / subtotal rows and section headings (excluded, listed)
  *
  * The parser returns a structured result with parsed parts and diagnostics.
  * It has no UI dependencies and can run in Node.js or a browser Worker.
+ * `createCSVParser()` accepts input in chunks so large exports can be
+ * streamed from disk (see csvStream.js); `parseCSV()` wraps it for whole text.
  */
 
 import { parseCurrency } from './pricingUtils.js';
+import { createRecordTokenizer, tokenizeCSV } from './csvTokenizer.js';
+import { detectDialect, detectDecimalSeparator, isNumericText } from './csvDialect.js';
+import { BUILT_IN_PROFILES, matchProfile, resolveProfileMapping } from './importProfiles.js';
+import { REJECT_REASONS, SUMMARY_REASONS, ROW_TYPES, createRejectedRow, toCSVField } from './importDiagnostics.js';
+import { HEADER_SYNONYMS, foldHeader, hasSynonymKeyword, synonymMatchers } from './headerSynonyms.js';
 
 /**
  * @typedef {Object} ParsedPart
@@ -23,13 +37,97 @@ import { parseCurrency } from './pricingUtils.js';
  * @property {number} qty          - Quantity sold.
  * @property {number} totalCost    - Extended cost.
  * @property {number} totalRetail  - Extended retail.
+ * @property {number} line         - Physical line (1-based) where the record starts.
+ * @property {string} [partNumber]  - Part / SKU number, when the column exists.
+ * @property {string} [description] - Part description.
+ * @property {string} [vendor]      - Vendor, supplier or brand.
+ * @property {string} [category]    - Part category / type.
+ * @property {string} [invoiceDate] - Invoice date as written in the file.
+ * @property {string} [roNumber]    - Repair order or invoice number.
+ * @property {HealingOverride[]} [healing] - Reported totals that were replaced.
+ * @property {string} rowType       - Sale, return, core charge or core credit
+ *   (see `ROW_TYPES`). Returns and credits have negative qty and totals.
  */
 
 /**
  * @typedef {Object} ParseResult
  * @property {ParsedPart[]} parts        - Successfully parsed rows.
  * @property {number}       skippedCount - Number of rows skipped.
+ * @property {import('./importDiagnostics.js').RejectedRow[]} rejectedRows - Why each
+ *   skipped row was rejected.
+ * @property {import('./importDiagnostics.js').RejectedRow[]} summaryRows - Totals,
+ *   subtotals and section headings excluded from the data (not counted as skipped).
  * @property {string|null}  error        - Fatal error message, or null on success.
+ * @property {import('./csvDialect.js').CSVDialect} dialect - Delimiter and decimal
+ *   separator used (detected or overridden). The delimiter is null for
+ *   spreadsheet rows passed to `pushRows()` / `parseRows()`.
+ * @property {ColumnInfo|null} columns   - Header and mapping details, or null when
+ *   no header row was found.
+ * @property {{ id: string, name: string }|null} profile - Import profile applied,
+ *   or null when the generic heuristics were used.
+ * @property {HealingSummary} healingSummary - Effect of replaced totals.
+ */
+
+/**
+ * @typedef {Object} HealingSummary
+ * @property {number} rows          - Parts with at least one replaced total.
+ * @property {number} costChange    - Sum of (used − reported) total cost.
+ * @property {number} revenueChange - Sum of (used − reported) total retail.
+ */
+
+/**
+ * Column index per field; -1 means the field is not present.
+ *
+ * @typedef {Object} ColumnMapping
+ * @property {number} unitCost
+ * @property {number} unitRetail
+ * @property {number} qty
+ * @property {number} totalCost
+ * @property {number} totalRetail
+ * @property {number} partNumber
+ * @property {number} description
+ * @property {number} vendor
+ * @property {number} category
+ * @property {number} invoiceDate
+ * @property {number} roNumber
+ */
+
+/**
+ * @typedef {Object} ColumnInfo
+ * @property {string[]}      headers    - Header row values as written in the file.
+ * @property {ColumnMapping} mapping    - Mapping used for this parse.
+ * @property {string[]}      ambiguous  - Fields whose auto-detected column has
+ *   plausible alternatives the user should confirm.
+ * @property {string[][]}    sampleRows - First few data rows, for previews.
+ * @property {number}        headerIndex - Non-empty lines before the header row.
+ */
+
+/**
+ * @typedef {Object} ParseOptions
+ * @property {string} [delimiter='auto']        - ',', ';', '\t', '|' or 'auto'.
+ * @property {string} [decimalSeparator='auto'] - '.', ',' or 'auto'.
+ * @property {Partial<ColumnMapping>} [mapping] - Explicit column mapping; skips
+ *   header matching. Omitted fields are treated as absent.
+ * @property {'auto'|'none'|import('./importProfiles.js').ImportProfile} [profile='auto']
+ *   Import profile to apply, 'auto' to pick one by header fingerprint, or
+ *   'none' for the generic heuristics only.
+ * @property {import('./importProfiles.js').ImportProfile[]} [profiles] - Candidates
+ *   for auto-detection (defaults to the built-in profiles).
+ * @property {HealingOptions} [healing] - Policy and tolerance for reported totals.
+ * @property {string} [sheet] - Worksheet to read from an Excel workbook
+ *   (defaults to the first; ignored for CSV).
+ * @property {string} [encoding='auto'] - Text encoding of a CSV file (one of
+ *   `ENCODINGS` in textEncoding.js, or 'auto'); used by the file readers.
+ * @property {'auto'|'delimited'|'fixed-width'} [textFormat='auto'] - Layout of
+ *   a text file; 'auto' recognises fixed-width reports (see fixedWidth.js).
+ * @property {'auto'|'json'|'ndjson'} [jsonFormat='auto'] - Layout of a JSON
+ *   file (see jsonImport.js).
+ * @property {string} [recordsPath] - Path of the records array in a JSON
+ *   document (default: the first array of objects).
+ * @property {Partial<Object<string, string>>} [fieldPaths] - JSON field path
+ *   per field (keys as in `ColumnMapping`), e.g. `{ unitCost: 'pricing.cost' }`.
+ * @property {import('./headerSynonyms.js').HeaderSynonyms} [headerSynonyms] -
+ *   Header names in other languages (default: `HEADER_SYNONYMS`).
  */
 
 // ─── Column name matchers ────────────────────────────────────────────────────
@@ -75,21 +173,175 @@ const TOTAL_RETAIL_MATCHERS = [
   (h) => h.includes('revenue'),
 ];
 
+// Identity columns: optional, kept as text on each parsed part
+
+const PART_NUMBER_MATCHERS = [
+  (h) => h === 'part number',
+  (h) => h === 'part #',
+  (h) => h === 'part#',
+  (h) => h === 'part no',
+  (h) => h === 'part no.',
+  (h) => h === 'partnumber',
+  (h) => h === 'sku',
+  (h) => h.includes('part number'),
+  (h) => h.includes('item number'),
+];
+
+const DESCRIPTION_MATCHERS = [
+  (h) => h === 'description',
+  (h) => h === 'desc',
+  (h) => h === 'part name',
+  (h) => h === 'name',
+  (h) => h.includes('description'),
+];
+
+const VENDOR_MATCHERS = [
+  (h) => h === 'vendor',
+  (h) => h === 'supplier',
+  (h) => h === 'brand',
+  (h) => h === 'manufacturer',
+  (h) => h.includes('vendor'),
+  (h) => h.includes('supplier'),
+];
+
+const CATEGORY_MATCHERS = [
+  (h) => h === 'category',
+  (h) => h === 'part type',
+  (h) => h === 'type',
+  (h) => h.includes('category'),
+];
+
+const INVOICE_DATE_MATCHERS = [
+  (h) => h === 'invoice date',
+  (h) => h === 'date',
+  (h) => h.includes('invoice date'),
+  (h) => h.includes('date'),
+];
+
+const RO_NUMBER_MATCHERS = [
+  (h) => h === 'ro #',
+  (h) => h === 'ro#',
+  (h) => h === 'ro',
+  (h) => h === 'ro number',
+  (h) => h === 'invoice #',
+  (h) => h === 'invoice number',
+  (h) => h.includes('repair order'),
+];
+
 /**
- * Find the first matching column index using a list of predicate functions.
+ * Find the first matching column index for a field: its English matchers
+ * first, then its names in other languages.
  *
- * @param {string[]} headers - Lowercase header tokens.
- * @param {Function[]} matchers - List of matcher predicates (header → bool).
+ * @param {string[]} headers - Header tokens folded with `foldHeader`.
+ * @param {string}   field   - A `ColumnMapping` key.
+ * @param {import('./headerSynonyms.js').HeaderSynonyms} synonyms
  * @returns {number} Column index, or -1 if no match.
  */
-function findColumnIndex(headers, matchers) {
-  for (const matcher of matchers) {
+function findColumnIndex(headers, field, synonyms) {
+  for (const matcher of [...FIELD_MATCHERS[field], ...synonymMatchers(field, synonyms)]) {
     const idx = headers.findIndex(matcher);
     if (idx !== -1) return idx;
   }
   return -1;
 }
 
+// ─── Column mapping ──────────────────────────────────────────────────────────
+
+/**
+ * Fields that can be mapped to a column, in display order. Identity fields
+ * are copied to each part as text and never cause a row to be skipped.
+ */
+export const MAPPABLE_FIELDS = [
+  { key: 'unitCost', label: 'Unit Cost', required: true },
+  { key: 'unitRetail', label: 'Unit Retail' },
+  { key: 'qty', label: 'Qty' },
+  { key: 'totalCost', label: 'Line Total Cost' },
+  { key: 'totalRetail', label: 'Line Total Retail' },
+  { key: 'partNumber', label: 'Part Number', identity: true },
+  { key: 'description', label: 'Description', identity: true },
+  { key: 'vendor', label: 'Vendor', identity: true },
+  { key: 'category', label: 'Category', identity: true },
+  { key: 'invoiceDate', label: 'Invoice Date', identity: true },
+  { key: 'roNumber', label: 'RO Number', identity: true },
+];
+
+/** Keys of the identity fields, in display order. */
+export const IDENTITY_FIELDS = MAPPABLE_FIELDS.filter((f) => f.identity).map((f) => f.key);
+
+const FIELD_MATCHERS = {
+  unitCost: COST_MATCHERS,
+  unitRetail: RETAIL_MATCHERS,
+  qty: QTY_MATCHERS,
+  totalCost: TOTAL_COST_MATCHERS,
+  totalRetail: TOTAL_RETAIL_MATCHERS,
+  partNumber: PART_NUMBER_MATCHERS,
+  description: DESCRIPTION_MATCHERS,
+  vendor: VENDOR_MATCHERS,
+  category: CATEGORY_MATCHERS,
+  invoiceDate: INVOICE_DATE_MATCHERS,
+  roNumber: RO_NUMBER_MATCHERS,
+};
+
+// Looser keywords, used only to flag other columns the user may have meant
+// (sales fields only; a wrong identity column does not change the numbers)
+const FIELD_KEYWORDS = {
+  unitCost: ['cost', 'buy', 'cog'],
+  unitRetail: ['price', 'retail', 'sell', 'list'],
+  qty: ['qty', 'quantity', 'sold', 'units'],
+  totalCost: ['total cost', 'ext cost', 'extended cost'],
+  totalRetail: ['total', 'ext', 'amount', 'revenue', 'sales'],
+};
+
+/**
+ * Auto-detect the column for every mappable field. Case, accents and extra
+ * spaces in the headers are ignored.
+ *
+ * @param {string[]} headers - Header tokens.
+ * @param {import('./headerSynonyms.js').HeaderSynonyms} [synonyms] - Names in other languages.
+ * @returns {ColumnMapping}
+ */
+export function detectColumnMapping(headers, synonyms = HEADER_SYNONYMS) {
+  const folded = headers.map(foldHeader);
+  return Object.fromEntries(
+    MAPPABLE_FIELDS.map(({ key }) => [key, findColumnIndex(folded, key, synonyms)]),
+  );
+}
+
+/**
+ * List the fields for which an unclaimed column also looks like a match,
+ * e.g. "Price" picked as retail while a "List Price" column exists.
+ *
+ * @param {string[]}      headers - Lowercase header tokens.
+ * @param {ColumnMapping} mapping - Detected mapping.
+ * @returns {string[]} Field keys needing confirmation.
+ */
+export function findAmbiguousFields(headers, mapping) {
+  const claimed = new Set(Object.values(mapping).filter((idx) => idx !== -1));
+  return Object.keys(FIELD_KEYWORDS).filter((key) =>
+    headers.some(
+      (h, idx) =>
+        idx !== mapping[key] &&
+        !claimed.has(idx) &&
+        FIELD_KEYWORDS[key].some((kw) => h.includes(kw)),
+    ),
+  );
+}
+
+/**
+ * Fill in absent fields of a user-supplied mapping with -1.
+ *
+ * @param {Partial<ColumnMapping>} mapping
+ * @returns {ColumnMapping}
+ */
+function normalizeMapping(mapping) {
+  return Object.fromEntries(
+    MAPPABLE_FIELDS.map(({ key }) => {
+      const idx = Number(mapping[key]);
+      return [key, Number.isInteger(idx) && idx >= 0 ? idx : -1];
+    }),
+  );
+}
+
 // ─── RFC 4180 field splitter ─────────────────────────────────────────────────
 
 /**
@@ -99,59 +351,49 @@ function findColumnIndex(headers, matchers) {
  *  - Quoted fields containing commas
  *  - Escaped double-quotes ("")
  *  - Trailing commas (empty last field)
+ *  - Stray quotes mid-field (kept literally, e.g. 12" Wiper)
  *
  * @param {string} line - Raw CSV line.
  * @returns {string[]} Array of unquoted field values (whitespace-trimmed).
  */
 export function splitCSVLine(line) {
-  const fields = [];
-  let current = '';
-  let insideQuotes = false;
-
-  for (let j = 0; j < line.length; j++) {
-    const char = line[j];
-    const nextChar = line[j + 1];
-
-    if (char === '"') {
-      if (insideQuotes && nextChar === '"') {
-        // Escaped quote
-        current += '"';
-        j++;
-      } else {
-        insideQuotes = !insideQuotes;
-      }
-    } else if (char === ',' && !insideQuotes) {
-      fields.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-
-  fields.push(current.trim());
-  return fields;
+  const [record] = tokenizeCSV(line);
+  return record ? record.fields : [''];
 }
 
 // ─── Header scanner ──────────────────────────────────────────────────────────
 
 const HEADER_KEYWORDS = ['cost', 'price', 'qty', 'quantity', 'total', 'retail', 'sell'];
 
+/**
+ * Whether a row's text contains any header keyword, in English or another
+ * language of `synonyms` (case- and accent-insensitive).
+ *
+ * @param {string} text - Raw row text.
+ * @param {import('./headerSynonyms.js').HeaderSynonyms} [synonyms]
+ * @returns {boolean}
+ */
+export function isHeaderText(text, synonyms = HEADER_SYNONYMS) {
+  const folded = foldHeader(text);
+  return HEADER_KEYWORDS.some((kw) => folded.includes(kw)) || hasSynonymKeyword(folded, synonyms);
+}
+
 /**
  * Scan the first `maxLines` rows to find the header row.
  *
- * Returns the header row index and the lowercase token array, or
- * `{ headerRowIndex: -1, headers: [] }` if no header is found.
+ * Returns the header row index and the token array folded with `foldHeader`
+ * (lowercase, without accents), or `{ headerRowIndex: -1, headers: [] }` if
+ * no header is found.
  *
  * @param {string[]} lines - All non-empty lines from the CSV.
  * @param {number}   [maxLines=10] - Maximum number of lines to scan.
+ * @param {import('./headerSynonyms.js').HeaderSynonyms} [synonyms] - Header words in other languages.
  * @returns {{ headerRowIndex: number, headers: string[] }}
  */
-export function findHeaderRow(lines, maxLines = 10) {
+export function findHeaderRow(lines, maxLines = 10, synonyms = HEADER_SYNONYMS) {
   for (let i = 0; i < Math.min(lines.length, maxLines); i++) {
-    const lower = lines[i].toLowerCase();
-    const hasKeyword = HEADER_KEYWORDS.some((kw) => lower.includes(kw));
-    if (hasKeyword) {
-      const headers = splitCSVLine(lines[i]).map((h) => h.toLowerCase());
+    if (isHeaderText(lines[i], synonyms)) {
+      const headers = splitCSVLine(lines[i]).map(foldHeader);
       return { headerRowIndex: i, headers };
     }
   }
@@ -162,6 +404,81 @@ export function findHeaderRow(lines, maxLines = 10) {
 
 const SELF_HEAL_TOLERANCE = 0.5; // Allow ≤50% difference before rejecting CSV total
 
+/**
+ * How reported line totals are reconciled with `unit × qty`.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const HEALING_POLICIES = {
+  /** Keep the CSV total unless it differs from unit × qty by the tolerance or more. */
+  HEAL: 'heal',
+  /** Always keep a reported CSV total (discounts, core charges). */
+  TRUST_CSV: 'trust-csv',
+  /** Always use unit × qty. */
+  TRUST_CALCULATED: 'trust-calculated',
+};
+
+/**
+ * Rules recorded when a reported total is replaced.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const HEALING_RULES = {
+  TOLERANCE_EXCEEDED: 'tolerance-exceeded',
+  NO_UNIT_VALUE: 'no-unit-value',
+  TRUST_CALCULATED: 'trust-calculated',
+};
+
+/**
+ * @typedef {Object} HealingOptions
+ * @property {string} [policy='heal']  - One of `HEALING_POLICIES`.
+ * @property {number} [tolerance=0.5]  - Relative difference (0.5 = 50%) at or
+ *   beyond which the heal policy replaces the CSV total.
+ */
+
+/**
+ * @typedef {Object} HealingOverride
+ * @property {'totalCost'|'totalRetail'} field
+ * @property {number} csvValue        - Total as reported in the file.
+ * @property {number} calculatedValue - unit × qty, the value used instead.
+ * @property {string} rule            - One of `HEALING_RULES`.
+ */
+
+export const DEFAULT_HEALING = { policy: HEALING_POLICIES.HEAL, tolerance: SELF_HEAL_TOLERANCE };
+
+// Differences below half a cent are rounding, not overrides
+const ROUNDING_EPSILON = 0.005;
+
+/**
+ * Resolve a line total from the unit value, quantity and reported total.
+ *
+ * @param {number} unitValue - Unit cost or unit retail.
+ * @param {number} qty       - Quantity.
+ * @param {number} csvTotal  - Total as reported in the CSV (0 when absent).
+ * @param {HealingOptions} [healing]
+ * @returns {{ value: number, rule: string|null }} Resolved total, and the
+ *   rule applied when a reported total was replaced (null otherwise).
+ */
+export function resolveTotal(unitValue, qty, csvTotal, healing = DEFAULT_HEALING) {
+  const { policy = HEALING_POLICIES.HEAL, tolerance = SELF_HEAL_TOLERANCE } = healing;
+  const calculated = unitValue * qty;
+  const replaced = (rule) => ({
+    value: calculated,
+    rule: Math.abs(csvTotal - calculated) >= ROUNDING_EPSILON ? rule : null,
+  });
+
+  if (csvTotal <= 0.01) return { value: calculated, rule: null };
+  if (policy === HEALING_POLICIES.TRUST_CSV) return { value: csvTotal, rule: null };
+  if (policy === HEALING_POLICIES.TRUST_CALCULATED) return replaced(HEALING_RULES.TRUST_CALCULATED);
+
+  if (calculated <= 0) return replaced(HEALING_RULES.NO_UNIT_VALUE);
+  const diff = Math.abs(csvTotal - calculated) / calculated;
+  if (diff < tolerance) return { value: csvTotal, rule: null };
+  return replaced(HEALING_RULES.TOLERANCE_EXCEEDED);
+}
+
 /**
  * Resolve the total cost for a row, using the self-healing heuristic.
  *
@@ -175,12 +492,7 @@ const SELF_HEAL_TOLERANCE = 0.5; // Allow ≤50% difference before rejecting CSV
  * @returns {number} Resolved total cost.
  */
 export function resolveTotalCost(unitCost, qty, csvTotal) {
-  const calculated = unitCost * qty;
-  if (csvTotal > 0.01 && calculated > 0) {
-    const diff = Math.abs(csvTotal - calculated) / calculated;
-    if (diff < SELF_HEAL_TOLERANCE) return csvTotal;
-  }
-  return calculated;
+  return resolveTotal(unitCost, qty, csvTotal).value;
 }
 
 /**
@@ -192,109 +504,564 @@ export function resolveTotalCost(unitCost, qty, csvTotal) {
  * @returns {number} Resolved total retail.
  */
 export function resolveTotalRetail(unitRetail, qty, csvTotal) {
-  const calculated = unitRetail * qty;
-  if (csvTotal > 0.01 && calculated > 0) {
-    const diff = Math.abs(csvTotal - calculated) / calculated;
-    if (diff < SELF_HEAL_TOLERANCE) return csvTotal;
-  }
-  return calculated;
+  return resolveTotal(unitRetail, qty, csvTotal).value;
 }
 
-// ─── Main parser ─────────────────────────────────────────────────────────────
+// ─── Row classification ──────────────────────────────────────────────────────
+
+const NUMERIC_FIELDS = MAPPABLE_FIELDS.filter((f) => !f.identity);
+
+// "Core charge", "core deposit", "core return"... — but not a part such as
+// "Radiator Core Support" or "Engine Core Plug Kit"
+const CORE_PHRASE = /\bcores?[\s-]+(charges?|deposits?|fees?|returns?|returned|credits?|refunds?)\b/i;
+// A line-type column reading just "Core"
+const CORE_FIELD = /^\s*cores?\s*$/i;
+const CREDIT_PATTERN = /\b(credit|refund|return(ed)?)\b/i;
 
 /**
- * Parse a CSV text string into an array of auto-parts rows.
+ * Classify an accepted row as a sale, return, core charge or core credit.
  *
- * @param {string} csvText - Raw CSV content (may include BOM).
- * @returns {ParseResult} Parsed parts and diagnostics.
+ * Core lines are recognised by core-charge wording ("core charge", "core
+ * deposit", "core return", "core credit") in any text column, or a column
+ * holding just "Core" (a line type); the word "core" in a part name is not
+ * enough. A negative amount (or "credit"/"refund"/"return" wording) makes a
+ * core line a core credit. Any other negative line is a return.
+ *
+ * @param {1|-1}     sign   - -1 when the row's quantity or amounts are negative.
+ * @param {string[]} fields - The row's non-numeric fields.
+ * @returns {string} One of `ROW_TYPES`.
  */
-export function parseCSV(csvText) {
-  // Strip UTF-8 BOM
-  const text = csvText.replace(/^\uFEFF/, '');
-  const lines = text.split(/\r?\n/).filter((line) => line.trim());
-
-  // Locate header row
-  const { headerRowIndex, headers } = findHeaderRow(lines);
-  if (headerRowIndex === -1) {
-    return {
-      parts: [],
-      skippedCount: 0,
-      error:
-        'Could not find a valid header row (looking for "Cost", "Price", or "Qty"). Please check your CSV.',
-    };
+export function classifyRow(sign, fields) {
+  if (fields.some((f) => CORE_FIELD.test(f) || CORE_PHRASE.test(f))) {
+    return sign < 0 || fields.some((f) => CREDIT_PATTERN.test(f)) ? ROW_TYPES.CORE_CREDIT : ROW_TYPES.CORE_CHARGE;
   }
+  return sign < 0 ? ROW_TYPES.RETURN : ROW_TYPES.SALE;
+}
 
-  // Identify relevant column indices
-  const costIdx = findColumnIndex(headers, COST_MATCHERS);
-  const retailIdx = findColumnIndex(headers, RETAIL_MATCHERS);
-  const qtyIdx = findColumnIndex(headers, QTY_MATCHERS);
-  const totalCostIdx = findColumnIndex(headers, TOTAL_COST_MATCHERS);
-  const totalRetailIdx = findColumnIndex(headers, TOTAL_RETAIL_MATCHERS);
+/**
+ * The fields not mapped to a numeric column (part numbers, descriptions,
+ * unmapped notes and line types) for keyword classification.
+ *
+ * @param {string[]}      fields
+ * @param {ColumnMapping} mapping
+ * @returns {string[]}
+ */
+function textFields(fields, mapping) {
+  const numeric = new Set(NUMERIC_FIELDS.map(({ key }) => mapping[key]));
+  return fields.filter((_, idx) => !numeric.has(idx));
+}
 
-  if (costIdx === -1) {
-    return {
-      parts: [],
-      skippedCount: 0,
-      error:
-        'Could not find a "Unit Cost" or "Buy Price" column. Please ensure your file has cost data.',
+// ─── Summary row detection ───────────────────────────────────────────────────
+
+// "Total", "Grand Total", "Subtotal", "Sub-total - Brakes", "Report Totals:",
+// "Total for Filters", "Sum" — but not a description like "Total Seal Rings"
+const SUMMARY_PATTERN =
+  /^(grand|sub|report|page|category|section|dept\.?|department)?[\s-]*(totals?|sum)\b\s*(:|-|for\b|$)/i;
+
+// Amounts within a cent of the running column sum count as equal
+const SUM_EPSILON = 0.01;
+
+/**
+ * Whether a text field reads like a total / subtotal label.
+ *
+ * @param {string} text - A single field value.
+ * @returns {boolean}
+ */
+export function isSummaryLabel(text) {
+  return SUMMARY_PATTERN.test(text.trim());
+}
+
+/** Running totals of the data rows in a section or the whole file. */
+function createRunningSums() {
+  return { count: 0, cost: 0, retail: 0 };
+}
+
+// ─── Incremental parser ──────────────────────────────────────────────────────
+
+/**
+ * Whether a numeric cell holds text that cannot be read as a number, e.g.
+ * "N/A", "12..5" or "$5/ea". Empty cells are not unparseable; they read as 0.
+ *
+ * @param {string|undefined} value - Raw field value.
+ * @param {'.'|','} decimalSeparator
+ * @returns {boolean}
+ */
+function isUnparseableNumber(value, decimalSeparator) {
+  return !!value && !isNumericText(value, decimalSeparator);
+}
+
+const HEADER_NOT_FOUND_ERROR =
+  'Could not find a valid header row (looking for "Cost", "Price", or "Qty"). Please check your CSV.';
+
+const COST_COLUMN_MISSING_ERROR =
+  'Could not find a "Unit Cost" or "Buy Price" column. Please ensure your file has cost data.';
+
+const NO_VALID_PARTS_ERROR =
+  'No valid parts data found. Please check your CSV format. Make sure you have a "Unit Cost" column with numeric values.';
+
+const HEADER_SCAN_LINES = 10;
+
+// Data rows kept in the result for the column-mapping preview
+const SAMPLE_ROWS = 5;
+
+// Characters buffered before sniffing the delimiter and number format
+const DIALECT_SAMPLE_CHARS = 64 * 1024;
+
+/**
+ * Create an incremental CSV parser that accepts text in arbitrary chunks.
+ *
+ * Chunks may split a record anywhere, including inside a quoted field; the
+ * record tokenizer carries its state to the next `push()` or `finish()`.
+ * Rows are validated as soon as they are complete, so memory use is bounded
+ * by the parsed parts, not the input.
+ *
+ * The first 64 KB are buffered to detect the delimiter and decimal separator
+ * (unless both are given in `options`) before any record is tokenized.
+ *
+ * The header row is the first record matching an import profile fingerprint;
+ * failing that, the first of the leading 10 records containing a header
+ * keyword (or, for a forced profile, the record at its `headerOffset`).
+ *
+ * Spreadsheet input is fed with `pushRows()` instead of `push()`; typed
+ * numeric cells then skip `parseCurrency`.
+ *
+ * @param {ParseOptions} [options]
+ * @returns {{
+ *   push: (chunk: string) => void,
+ *   pushRows: (rows: Array<Array<string|number>>, source?: RowSource) => void,
+ *   finish: () => ParseResult,
+ * }}
+ */
+export function createCSVParser(options = {}) {
+  let tokenizer = null;
+  let dialect = null;
+  let sample = '';
+  let isFirstChunk = true;
+  let fatalError = null;
+
+  const { profile: profileOption = 'auto', profiles = BUILT_IN_PROFILES } = options;
+  const forcedProfile = typeof profileOption === 'object' ? profileOption : null;
+  const candidateProfiles = forcedProfile
+    ? [forcedProfile]
+    : profileOption === 'none'
+      ? []
+      : profiles;
+
+  // Non-empty records seen before the header row has been located
+  const preamble = [];
+  let columns = null;
+  let profile = null;
+
+  // Data rows held back in case they turn out to be the profile's footer;
+  // once the input ends they are kept unless they are not item lines
+  const pendingRows = [];
+
+  const parts = [];
+  const rejectedRows = [];
+  const summaryRows = [];
+  // Line number of the next row passed to pushRows()
+  let nextRowLine = 1;
+
+  // Column sums since the last section break / subtotal, and for the file
+  let sectionSums = createRunningSums();
+  const grandSums = createRunningSums();
+  // A blank line was seen since the last data row
+  let pendingBreak = false;
+  const healing = { ...DEFAULT_HEALING, ...options.healing };
+  const healingSummary = { rows: 0, costChange: 0, revenueChange: 0 };
+
+  function locateColumns(headerFields, headerIndex) {
+    const headers = headerFields.map(foldHeader);
+    let mapping;
+    if (options.mapping) {
+      mapping = normalizeMapping(options.mapping);
+    } else {
+      mapping = detectColumnMapping(headers, options.headerSynonyms);
+      if (profile) Object.assign(mapping, resolveProfileMapping(profile, headerFields));
+    }
+
+    columns = {
+      headers: headerFields,
+      mapping,
+      ambiguous: options.mapping || profile ? [] : findAmbiguousFields(headers, mapping),
+      sampleRows: [],
+      headerIndex,
     };
   }
 
-  const requiredColumns =
-    Math.max(
-      costIdx,
-      retailIdx !== -1 ? retailIdx : 0,
-      qtyIdx !== -1 ? qtyIdx : 0,
-      totalCostIdx !== -1 ? totalCostIdx : 0,
-      totalRetailIdx !== -1 ? totalRetailIdx : 0,
-    ) + 1;
+  function applyProfileNumberFormat() {
+    const userDecimal = options.decimalSeparator ?? 'auto';
+    if (profile && userDecimal === 'auto' && profile.decimalSeparator !== 'auto') {
+      dialect = { ...dialect, decimalSeparator: profile.decimalSeparator };
+    }
+  }
 
-  const parts = [];
-  let skippedCount = 0;
+  function processRow(record, isFooter = false) {
+    const { fields } = record;
+    const { mapping, sampleRows } = columns;
+    const {
+      unitCost: costIdx,
+      unitRetail: retailIdx,
+      qty: qtyIdx,
+      totalCost: totalCostIdx,
+      totalRetail: totalRetailIdx,
+    } = mapping;
 
-  for (let i = headerRowIndex + 1; i < lines.length; i++) {
-    const fields = splitCSVLine(lines[i]);
+    if (sampleRows.length < SAMPLE_ROWS && fields.some((f) => f)) {
+      sampleRows.push(fields);
+    }
+
+    // Without a cost column we only collect the preview (error raised in finish)
+    if (costIdx === -1) return;
+
+    const reject = (reason, detail) => rejectedRows.push(createRejectedRow(record, reason, detail));
+    const exclude = (reason, detail) => {
+      summaryRows.push(createRejectedRow(record, reason, detail));
+      sectionSums = createRunningSums();
+    };
+
+    if (record.sectionBreak) sectionSums = createRunningSums();
 
     // Skip completely empty rows
     if (!fields.length || fields.every((f) => !f)) {
-      skippedCount++;
-      continue;
+      reject(REJECT_REASONS.EMPTY_ROW, 'All fields are empty');
+      return;
+    }
+
+    // Exclude rows labelled as totals or subtotals, unless the row is a part
+    // of its own ("Total: brake kit" with a part number, or with a unit cost
+    // when the file has no part numbers)
+    const labelIdx = fields.findIndex(
+      (f, idx) => !NUMERIC_FIELDS.some(({ key }) => mapping[key] === idx) && isSummaryLabel(f),
+    );
+    const partIdx = mapping.partNumber ?? -1;
+    const isPartLine = partIdx !== -1 ? !!fields[partIdx] && partIdx !== labelIdx : !!fields[costIdx];
+    if (labelIdx !== -1 && !isPartLine) {
+      exclude(SUMMARY_REASONS.SUMMARY_ROW, `Labelled "${fields[labelIdx]}"`);
+      return;
     }
 
-    // Skip rows with too few columns
+    // Skip rows with too few columns (identity columns are optional)
+    const requiredColumns = Math.max(costIdx, retailIdx, qtyIdx, totalCostIdx, totalRetailIdx) + 1;
     if (fields.length < requiredColumns) {
-      skippedCount++;
-      continue;
+      reject(
+        REJECT_REASONS.TOO_FEW_COLUMNS,
+        `Expected at least ${requiredColumns} columns, found ${fields.length}`,
+      );
+      return;
     }
 
-    const unitCost = parseCurrency(fields[costIdx]);
-    const unitRetail = retailIdx !== -1 ? parseCurrency(fields[retailIdx]) : 0;
-    const qty = qtyIdx !== -1 ? parseCurrency(fields[qtyIdx]) : 1;
+    // Exclude section headings: a full-width row with a single text value
+    const filled = fields.filter((f) => f);
+    if (filled.length === 1 && !/\d/.test(filled[0]) && fields.length > 1) {
+      exclude(SUMMARY_REASONS.SECTION_HEADER, `Section "${filled[0]}"`);
+      return;
+    }
+
+    // Skip rows where a numeric field holds text that is not a number
+    // (typed spreadsheet cells are numbers already)
+    const badField = NUMERIC_FIELDS.find(
+      ({ key }) =>
+        mapping[key] !== -1 &&
+        typeof record.values?.[mapping[key]] !== 'number' &&
+        isUnparseableNumber(fields[mapping[key]], dialect.decimalSeparator),
+    );
+    if (badField) {
+      reject(REJECT_REASONS.UNPARSEABLE_NUMBER, `${badField.label}: "${fields[mapping[badField.key]]}"`);
+      return;
+    }
 
-    const csvTotalCost = totalCostIdx !== -1 ? parseCurrency(fields[totalCostIdx]) : 0;
-    const csvTotalRetail =
-      totalRetailIdx !== -1 ? parseCurrency(fields[totalRetailIdx]) : 0;
+    // Typed numeric cells (spreadsheet input) are used as-is
+    const toNumber = (idx) =>
+      typeof record.values?.[idx] === 'number' ? record.values[idx] : parseCurrency(fields[idx], dialect);
+    const rawCost = toNumber(costIdx);
+    const rawRetail = retailIdx !== -1 ? toNumber(retailIdx) : 0;
+    const rawQty = qtyIdx !== -1 ? toNumber(qtyIdx) : 1;
+    const rawTotalCost = totalCostIdx !== -1 ? toNumber(totalCostIdx) : 0;
+    const rawTotalRetail = totalRetailIdx !== -1 ? toNumber(totalRetailIdx) : 0;
 
-    const totalCost = resolveTotalCost(unitCost, qty, csvTotalCost);
-    const totalRetail = resolveTotalRetail(unitRetail, qty, csvTotalRetail);
+    // Unit values are kept positive so a return lands in its part's tier;
+    // the sign of a return / credit is carried by qty and the line totals
+    const sign = [rawCost, rawRetail, rawQty, rawTotalCost, rawTotalRetail].some((v) => v < 0) ? -1 : 1;
+    const unitCost = Math.abs(rawCost);
+    const unitRetail = Math.abs(rawRetail);
+    const qty = sign * Math.abs(rawQty);
+    const csvTotalCost = sign * Math.abs(rawTotalCost);
+    const csvTotalRetail = sign * Math.abs(rawTotalRetail);
+
+    // Exclude unlabelled subtotals: line totals equal to the sum of the rows
+    // above them (in this section or the whole file), on a row that is not a
+    // complete item line (no unit cost, no qty, or no part identity)
+    const hasIdentity = IDENTITY_FIELDS.some((key) => mapping[key] !== -1 && fields[mapping[key]]);
+    const identityMapped = IDENTITY_FIELDS.some((key) => mapping[key] !== -1);
+    const isItemLine =
+      !!fields[costIdx] && (qtyIdx === -1 || !!fields[qtyIdx]) && (!identityMapped || hasIdentity);
+    if (isFooter && !isItemLine) {
+      exclude(SUMMARY_REASONS.SUMMARY_ROW, `Footer row of the ${profile.name} profile`);
+      return;
+    }
+    const reportedCost = totalCostIdx !== -1 && fields[totalCostIdx] ? csvTotalCost : null;
+    const reportedRetail = totalRetailIdx !== -1 && fields[totalRetailIdx] ? csvTotalRetail : null;
+    const matchesSums = (sums) =>
+      sums.count >= 2 &&
+      (reportedRetail !== null || reportedCost !== null) &&
+      (reportedRetail === null || Math.abs(reportedRetail - sums.retail) < SUM_EPSILON) &&
+      (reportedCost === null || Math.abs(reportedCost - sums.cost) < SUM_EPSILON);
+    if (!isItemLine && (matchesSums(sectionSums) || matchesSums(grandSums))) {
+      const scope = matchesSums(sectionSums) ? `${sectionSums.count} rows above` : `all ${grandSums.count} rows above`;
+      exclude(SUMMARY_REASONS.SUMMARY_ROW, `Totals equal the sum of the ${scope}`);
+      return;
+    }
 
     // Skip zero-cost items (warranties, free samples, etc.)
     if (unitCost <= 0) {
-      skippedCount++;
-      continue;
+      reject(REJECT_REASONS.ZERO_COST, `Unit Cost: "${fields[costIdx]}"`);
+      return;
+    }
+
+    const cost = resolveTotal(unitCost, Math.abs(qty), Math.abs(csvTotalCost), healing);
+    const retail = resolveTotal(unitRetail, Math.abs(qty), Math.abs(csvTotalRetail), healing);
+    const totalCost = sign * cost.value;
+    const totalRetail = sign * retail.value;
+
+    const part = { unitCost, unitRetail, qty, totalCost, totalRetail, line: record.startLine };
+    for (const key of IDENTITY_FIELDS) {
+      const value = mapping[key] !== -1 ? fields[mapping[key]] : '';
+      if (value) part[key] = value;
+    }
+    part.rowType = classifyRow(sign, textFields(fields, mapping));
+
+    const overrides = [];
+    if (cost.rule) {
+      overrides.push({ field: 'totalCost', csvValue: csvTotalCost, calculatedValue: totalCost, rule: cost.rule });
+      healingSummary.costChange += totalCost - csvTotalCost;
+    }
+    if (retail.rule) {
+      overrides.push({ field: 'totalRetail', csvValue: csvTotalRetail, calculatedValue: totalRetail, rule: retail.rule });
+      healingSummary.revenueChange += totalRetail - csvTotalRetail;
+    }
+    if (overrides.length) {
+      part.healing = overrides;
+      healingSummary.rows++;
+    }
+
+    // Running sums use the file's own figures, as its subtotals would
+    for (const sums of [sectionSums, grandSums]) {
+      sums.count++;
+      sums.cost += reportedCost ?? sign * unitCost * Math.abs(qty);
+      sums.retail += reportedRetail ?? sign * unitRetail * Math.abs(qty);
+    }
+    parts.push(part);
+  }
+
+  function enqueueRow(record) {
+    pendingRows.push(record);
+    if (pendingRows.length > (profile?.footerRows || 0)) processRow(pendingRows.shift());
+  }
+
+  function startData(headerIndex) {
+    applyProfileNumberFormat();
+    locateColumns(preamble[headerIndex].fields, headerIndex);
+    const rows = preamble.splice(0).slice(headerIndex + 1);
+    rows.forEach(enqueueRow);
+  }
+
+  /**
+   * Decide on the header row once it is identifiable: immediately when a
+   * profile fingerprint matches, otherwise after the scan window (or input)
+   * is exhausted.
+   */
+  function resolveHeader(isFinal) {
+    const latest = preamble[preamble.length - 1];
+    const matched = latest ? matchProfile(latest.fields, candidateProfiles) : null;
+    if (matched) {
+      profile = matched;
+      startData(preamble.length - 1);
+      return;
+    }
+
+    if (!isFinal && preamble.length < HEADER_SCAN_LINES) return;
+
+    let headerIndex;
+    if (forcedProfile) {
+      profile = forcedProfile;
+      headerIndex = forcedProfile.headerOffset < preamble.length ? forcedProfile.headerOffset : -1;
+    } else {
+      headerIndex = preamble.findIndex((r) => isHeaderText(r.raw, options.headerSynonyms));
+    }
+
+    if (headerIndex === -1) {
+      fatalError = HEADER_NOT_FOUND_ERROR;
+      return;
+    }
+    startData(headerIndex);
+  }
+
+  function processRecord(record) {
+    if (fatalError) return;
+
+    // Blank lines are not counted as skipped; in the data they mark a section break
+    if (!record.raw.trim()) {
+      if (columns) pendingBreak = true;
+      return;
+    }
+
+    if (columns) {
+      enqueueRow(pendingBreak ? { ...record, sectionBreak: true } : record);
+      pendingBreak = false;
+      return;
+    }
+
+    preamble.push(record);
+    resolveHeader(false);
+  }
+
+  function startTokenizing() {
+    const userDelimiter = options.delimiter ?? 'auto';
+    const userDecimal = options.decimalSeparator ?? 'auto';
+    dialect = detectDialect(sample, {
+      delimiter: userDelimiter === 'auto' && forcedProfile ? forcedProfile.delimiter : userDelimiter,
+      decimalSeparator:
+        userDecimal === 'auto' && forcedProfile ? forcedProfile.decimalSeparator : userDecimal,
+    });
+    tokenizer = createRecordTokenizer({ delimiter: dialect.delimiter });
+    tokenizer.push(sample).forEach(processRecord);
+    sample = '';
+  }
+
+  function push(chunk) {
+    if (fatalError) return;
+    let text = chunk;
+    if (isFirstChunk && text) {
+      // Strip UTF-8 BOM
+      text = text.replace(/^\uFEFF/, '');
+      isFirstChunk = false;
+    }
+
+    if (tokenizer) {
+      tokenizer.push(text).forEach(processRecord);
+      return;
+    }
+
+    sample += text;
+    if (sample.length >= DIALECT_SAMPLE_CHARS) startTokenizing();
+  }
+
+  /**
+   * Feed pre-split rows, e.g. worksheet cells. Replaces `push()`: the text
+   * tokenizer and delimiter detection are skipped, and the decimal separator
+   * is detected from the text cells of the first batch. Rows are numbered
+   * consecutively unless `source` gives their lines (and text, for
+   * diagnostics) in the original file.
+   */
+  function pushRows(rows, source = {}) {
+    if (fatalError) return;
+    const records = rowsToRecords(rows, nextRowLine, source);
+    nextRowLine = source.lines?.length ? source.lines[source.lines.length - 1] + 1 : nextRowLine + rows.length;
+    if (!dialect) {
+      const userDecimal = options.decimalSeparator ?? 'auto';
+      const forcedDecimal = forcedProfile && forcedProfile.decimalSeparator !== 'auto' ? forcedProfile.decimalSeparator : 'auto';
+      const decimal = userDecimal !== 'auto' ? userDecimal : forcedDecimal;
+      const textCells = records
+        .slice(0, 50)
+        .flatMap((r) => r.fields.filter((_, idx) => typeof r.values[idx] === 'string'));
+      dialect = {
+        delimiter: null,
+        decimalSeparator: decimal !== 'auto' ? decimal : detectDecimalSeparator(textCells),
+      };
+    }
+    records.forEach(processRecord);
+  }
+
+  function finish() {
+    if (!tokenizer && !dialect) startTokenizing();
+    tokenizer?.finish().forEach(processRecord);
+    if (!fatalError && !columns) resolveHeader(true);
+    // Whatever is still held back may be the profile's footer: a complete
+    // item line is a real sale (the export had no footer), anything else is
+    // listed as the footer
+    pendingRows.splice(0).forEach((record) => processRow(record, true));
+
+    if (!fatalError && !columns) fatalError = HEADER_NOT_FOUND_ERROR;
+    if (!fatalError && columns.mapping.unitCost === -1) fatalError = COST_COLUMN_MISSING_ERROR;
+
+    const profileInfo = profile ? { id: profile.id, name: profile.name } : null;
+    const meta = { dialect, columns, profile: profileInfo, healingSummary };
+
+    if (fatalError) {
+      return { parts: [], skippedCount: 0, rejectedRows: [], summaryRows: [], error: fatalError, ...meta };
     }
 
-    parts.push({ unitCost, unitRetail, qty, totalCost, totalRetail });
+    const skippedCount = rejectedRows.length;
+    if (!parts.length) {
+      return { parts: [], skippedCount, rejectedRows, summaryRows, error: NO_VALID_PARTS_ERROR, ...meta };
+    }
+
+    return { parts, skippedCount, rejectedRows, summaryRows, error: null, ...meta };
   }
 
-  if (!parts.length) {
+  return { push, pushRows, finish };
+}
+
+// ─── Main parser ─────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} RowSource
+ * Where pre-split rows came from, when that is not one row per line.
+ * @property {number[]} [lines] - Line (or record number) of each row.
+ * @property {string[]} [raws]  - Text of each row as written in the file.
+ */
+
+/**
+ * Turn rows of cell values into parser records. Text cells are trimmed,
+ * numbers keep their type in `values`; the row index becomes the line and
+ * the cells joined as CSV the raw text, unless `source` gives them.
+ *
+ * @param {Array<Array<string|number>>} rows
+ * @param {number} [firstLine=1] - Line number of the first row.
+ * @param {RowSource} [source]
+ * @returns {Array<import('./csvTokenizer.js').CSVRecord & { values: Array<string|number> }>}
+ */
+export function rowsToRecords(rows, firstLine = 1, source = {}) {
+  return rows.map((cells, i) => {
+    const values = cells.length ? cells.map((v) => (typeof v === 'number' ? v : String(v ?? '').trim())) : [''];
+    const fields = values.map(String);
+    const line = source.lines ? source.lines[i] : firstLine + i;
+    const filled = fields.some((f) => f);
     return {
-      parts: [],
-      skippedCount,
-      error:
-        'No valid parts data found. Please check your CSV format. Make sure you have a "Unit Cost" column with numeric values.',
+      fields,
+      values,
+      raw: filled ? (source.raws?.[i] ?? fields.map(toCSVField).join(',')) : '',
+      startLine: line,
+      endLine: line,
+      unterminatedQuote: false,
+      strayQuote: false,
     };
-  }
+  });
+}
+
+/**
+ * Parse rows of spreadsheet cells the same way as CSV text.
+ *
+ * @param {Array<Array<string|number>>} rows - Cell values; index 0 is line 1.
+ * @param {ParseOptions} [options]
+ * @returns {ParseResult}
+ */
+export function parseRows(rows, options) {
+  const parser = createCSVParser(options);
+  parser.pushRows(rows);
+  return parser.finish();
+}
 
-  return { parts, skippedCount, error: null };
+/**
+ * Parse a CSV text string into an array of auto-parts rows.
+ *
+ * @param {string} csvText - Raw CSV content (may include BOM).
+ * @param {ParseOptions} [options] - Delimiter / number-format overrides.
+ * @returns {ParseResult} Parsed parts and diagnostics.
+ */
+export function parseCSV(csvText, options) {
+  const parser = createCSVParser(options);
+  parser.push(csvText);
+  return parser.finish();
 }
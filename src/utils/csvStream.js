@@ -0,0 +1,254 @@
+/**
+ * Chunked file reader for large POS exports.
+ *
+ * Reads a File/Blob in fixed-size byte slices, decodes them with a streaming
+ * TextDecoder (so multi-byte characters split across slices survive) in the
+ * encoding sniffed from the first bytes or chosen by the user, and
+ * feeds the text into the incremental CSV parser. Excel workbooks are read
+ * whole and their worksheet rows go through the same parser, as do the
+ * records of JSON / NDJSON files and the lines of fixed-width reports once
+ * the whole text is in. Works the same inside a Web Worker and on the main
+ * thread.
+ */
+
+import { createCSVParser, parseRows } from './csvParser.js';
+import { openWorkbook } from './xlsxReader.js';
+import { parseJSON, JSON_FORMATS } from './jsonImport.js';
+import { parseFixedWidth, looksFixedWidth, TEXT_FORMATS } from './fixedWidth.js';
+import { detectEncoding, ENCODING_SAMPLE_BYTES } from './textEncoding.js';
+
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024; // 1 MB
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const JSON_MIME_TYPE = 'application/json';
+const NDJSON_MIME_TYPES = ['application/x-ndjson', 'application/jsonl'];
+
+/**
+ * @typedef {Object} ParseProgress
+ * @property {number} loaded - Bytes consumed so far.
+ * @property {number} total  - Total file size in bytes.
+ */
+
+/**
+ * Read a Blob slice as an ArrayBuffer.
+ *
+ * Uses FileReader rather than `Blob#arrayBuffer()` because the latter is
+ * missing from some environments (older Safari, jsdom).
+ *
+ * @param {Blob} blob
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readSlice(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Build the error thrown when a parse is cancelled.
+ *
+ * @returns {Error} Error whose `name` is `'AbortError'`.
+ */
+export function createAbortError() {
+  const err = new Error('CSV parsing was cancelled.');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Decode a file slice by slice, handing each piece of text to `onText`.
+ *
+ * @param {Blob} file
+ * @param {Object} options
+ * @param {number} [options.chunkSize=DEFAULT_CHUNK_SIZE]
+ * @param {(progress: ParseProgress) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.encoding='auto'] - 'auto' detects it from the first 64 KB.
+ * @param {(text: string) => void} onText
+ * @returns {Promise<string>} The encoding used.
+ */
+async function readTextChunks(file, options, onText) {
+  const { chunkSize = DEFAULT_CHUNK_SIZE, onProgress, signal, encoding: userEncoding = 'auto' } = options;
+  const total = file.size;
+  const encoding =
+    userEncoding !== 'auto'
+      ? userEncoding
+      : detectEncoding(await readSlice(file.slice(0, ENCODING_SAMPLE_BYTES))).encoding;
+  // A matching BOM is stripped by the decoder
+  const decoder = new TextDecoder(encoding);
+
+  for (let offset = 0; offset < total; offset += chunkSize) {
+    if (signal?.aborted) throw createAbortError();
+    const buffer = await readSlice(file.slice(offset, offset + chunkSize));
+    onText(decoder.decode(buffer, { stream: true }));
+    onProgress?.({ loaded: Math.min(offset + chunkSize, total), total });
+  }
+
+  if (signal?.aborted) throw createAbortError();
+  onText(decoder.decode());
+  return encoding;
+}
+
+/**
+ * Parse a CSV file chunk by chunk.
+ *
+ * The text encoding is `parseOptions.encoding` unless that is 'auto' (the
+ * default), in which case it is detected from the first 64 KB. The result
+ * reports the encoding used.
+ *
+ * @param {Blob} file - File or Blob to parse.
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=DEFAULT_CHUNK_SIZE] - Bytes per slice.
+ * @param {(progress: ParseProgress) => void} [options.onProgress] - Called after each slice.
+ * @param {AbortSignal} [options.signal] - Cancels the parse between slices.
+ * @param {import('./csvParser.js').ParseOptions} [options.parseOptions] - Dialect overrides.
+ * @returns {Promise<import('./csvParser.js').ParseResult & { encoding: string }>}
+ */
+export async function parseFileInChunks(file, options = {}) {
+  const { chunkSize = DEFAULT_CHUNK_SIZE, onProgress, signal, parseOptions } = options;
+  const parser = createCSVParser(parseOptions);
+  const encoding = await readTextChunks(
+    file,
+    { chunkSize, onProgress, signal, encoding: parseOptions?.encoding },
+    parser.push,
+  );
+  return { ...parser.finish(), encoding };
+}
+
+/**
+ * Whether a file is an Excel (.xlsx) workbook, by extension or MIME type.
+ *
+ * @param {Blob & { name?: string }} file
+ * @returns {boolean}
+ */
+export function isWorkbookFile(file) {
+  return /\.xlsx$/i.test(file.name || '') || file.type === XLSX_MIME_TYPE;
+}
+
+/**
+ * Parse one worksheet of an Excel workbook.
+ *
+ * The archive has to be read whole, so progress is reported once the file
+ * has loaded. The sheet named in `parseOptions.sheet` is parsed, or the first
+ * one when it is missing or unknown; the result lists every sheet under
+ * `workbook` so the caller can offer a choice.
+ *
+ * @param {Blob} file - .xlsx File or Blob.
+ * @param {Object} [options]
+ * @param {(progress: ParseProgress) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Cancels the parse between steps.
+ * @param {import('./csvParser.js').ParseOptions} [options.parseOptions]
+ * @returns {Promise<import('./csvParser.js').ParseResult & {
+ *   workbook: { sheetNames: string[], sheet: string|null }
+ * }>}
+ */
+export async function parseWorkbookFile(file, options = {}) {
+  const { onProgress, signal, parseOptions = {} } = options;
+  const buffer = await readSlice(file);
+  onProgress?.({ loaded: file.size, total: file.size });
+  if (signal?.aborted) throw createAbortError();
+
+  const workbook = await openWorkbook(buffer);
+  const { sheetNames } = workbook;
+  const sheet = sheetNames.includes(parseOptions.sheet) ? parseOptions.sheet : (sheetNames[0] ?? null);
+  const rows = sheet === null ? [] : await workbook.readSheet(sheet);
+  if (signal?.aborted) throw createAbortError();
+
+  return { ...parseRows(rows, parseOptions), workbook: { sheetNames, sheet } };
+}
+
+/**
+ * Whether a file holds JSON or NDJSON, by extension or MIME type.
+ *
+ * @param {Blob & { name?: string }} file
+ * @returns {boolean}
+ */
+export function isJSONFile(file) {
+  return /\.(json|ndjson|jsonl)$/i.test(file.name || '') || file.type === JSON_MIME_TYPE || NDJSON_MIME_TYPES.includes(file.type);
+}
+
+/**
+ * Parse a JSON or NDJSON file.
+ *
+ * The text is decoded in slices like CSV, but records are only read once it
+ * is complete. `.ndjson` / `.jsonl` files are read line by line unless
+ * `parseOptions.jsonFormat` says otherwise; other JSON files are detected.
+ *
+ * @param {Blob & { name?: string }} file
+ * @param {Object} [options] - As for `parseFileInChunks`.
+ * @returns {Promise<import('./csvParser.js').ParseResult & {
+ *   encoding: string,
+ *   json: import('./jsonImport.js').JSONImportInfo,
+ * }>}
+ */
+export async function parseJSONFile(file, options = {}) {
+  const { chunkSize, onProgress, signal, parseOptions = {} } = options;
+  const chunks = [];
+  const encoding = await readTextChunks(
+    file,
+    { chunkSize, onProgress, signal, encoding: parseOptions.encoding },
+    (text) => chunks.push(text),
+  );
+  const isNDJSON = /\.(ndjson|jsonl)$/i.test(file.name || '') || NDJSON_MIME_TYPES.includes(file.type);
+  const jsonFormat = parseOptions.jsonFormat ?? (isNDJSON ? JSON_FORMATS.NDJSON : JSON_FORMATS.AUTO);
+  return { ...parseJSON(chunks.join(''), { ...parseOptions, jsonFormat }), encoding };
+}
+
+/**
+ * Parse a fixed-width text report.
+ *
+ * Page headers can only be recognised against the first page, so the text
+ * is decoded in slices but parsed once it is complete.
+ *
+ * @param {Blob} file
+ * @param {Object} [options] - As for `parseFileInChunks`.
+ * @returns {Promise<import('./csvParser.js').ParseResult & {
+ *   encoding: string,
+ *   fixedWidth: { columns: import('./fixedWidth.js').FixedWidthColumn[] },
+ * }>}
+ */
+export async function parseFixedWidthFile(file, options = {}) {
+  const { chunkSize, onProgress, signal, parseOptions = {} } = options;
+  const chunks = [];
+  const encoding = await readTextChunks(
+    file,
+    { chunkSize, onProgress, signal, encoding: parseOptions.encoding },
+    (text) => chunks.push(text),
+  );
+  return { ...parseFixedWidth(chunks.join(''), parseOptions), encoding };
+}
+
+/**
+ * Whether a text file is a fixed-width report: as set in
+ * `parseOptions.textFormat`, or judged from its first 64 KB.
+ *
+ * @param {Blob} file
+ * @param {import('./csvParser.js').ParseOptions} [parseOptions]
+ * @returns {Promise<boolean>}
+ */
+async function isFixedWidthFile(file, parseOptions = {}) {
+  const { textFormat = TEXT_FORMATS.AUTO, encoding: userEncoding = 'auto' } = parseOptions;
+  if (textFormat !== TEXT_FORMATS.AUTO) return textFormat === TEXT_FORMATS.FIXED_WIDTH;
+  const sample = await readSlice(file.slice(0, ENCODING_SAMPLE_BYTES));
+  const encoding = userEncoding !== 'auto' ? userEncoding : detectEncoding(sample).encoding;
+  return looksFixedWidth(new TextDecoder(encoding).decode(sample), parseOptions.headerSynonyms);
+}
+
+/**
+ * Parse an uploaded sales file, dispatching on its type: Excel workbooks via
+ * `parseWorkbookFile`, JSON via `parseJSONFile`, fixed-width reports via
+ * `parseFixedWidthFile` and anything else as CSV text via `parseFileInChunks`.
+ *
+ * @param {Blob & { name?: string }} file
+ * @param {Object} [options] - As for `parseFileInChunks`.
+ * @returns {Promise<import('./csvParser.js').ParseResult>}
+ */
+export async function parseImportFile(file, options = {}) {
+  if (isWorkbookFile(file)) return parseWorkbookFile(file, options);
+  if (isJSONFile(file)) return parseJSONFile(file, options);
+  if (await isFixedWidthFile(file, options.parseOptions)) return parseFixedWidthFile(file, options);
+  return parseFileInChunks(file, options);
+}
@@ -0,0 +1,196 @@
+/**
+ * RFC 4180 record tokenizer.
+ *
+ * Splits CSV text into records (not lines), so quoted fields may contain
+ * delimiters, escaped quotes ("") and line breaks. The tokenizer is
+ * incremental: text can be pushed in arbitrary chunks and quote state is
+ * carried across chunk boundaries.
+ *
+ * Lenient with real-world exports:
+ *  - A quote that appears mid-field (e.g. `12" Wiper`) is kept literally.
+ *  - Text after a closing quote (e.g. `"Filter"XL`) is appended literally.
+ *  - An unterminated quote is closed at the end of its first physical line
+ *    and the following lines are re-read as normal records, so one bad quote
+ *    cannot swallow the rest of the file.
+ *
+ * Each record reports the physical (1-based) line numbers it spans.
+ */
+
+/**
+ * @typedef {Object} CSVRecord
+ * @property {string[]} fields            - Unquoted, whitespace-trimmed field values.
+ * @property {string}   raw               - Original record text (without the line terminator).
+ * @property {number}   startLine         - First physical line of the record (1-based).
+ * @property {number}   endLine           - Last physical line of the record (1-based).
+ * @property {boolean}  unterminatedQuote - True when a quoted field was never closed.
+ * @property {boolean}  strayQuote        - True when a quote appeared mid-field.
+ */
+
+/**
+ * A quoted field spanning more physical lines than this is treated as an
+ * unterminated quote rather than buffering the rest of the file.
+ */
+export const MAX_QUOTED_FIELD_LINES = 50;
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3; // saw `"` inside a quoted field: escape or closing quote
+
+/**
+ * Create an incremental record tokenizer.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter (single character).
+ * @param {number} [options.firstLine=1]   - Physical line number of the first character.
+ * @returns {{ push: (chunk: string) => CSVRecord[], finish: () => CSVRecord[] }}
+ */
+export function createRecordTokenizer(options = {}) {
+  const { delimiter = ',', firstLine = 1 } = options;
+
+  let state = FIELD_START;
+  let line = firstLine;
+  let fields = [];
+  let field = '';
+  let raw = '';
+  let startLine = firstLine;
+  let strayQuote = false;
+
+  function resetRecord() {
+    state = FIELD_START;
+    fields = [];
+    field = '';
+    raw = '';
+    startLine = line;
+    strayQuote = false;
+  }
+
+  function endField() {
+    fields.push(field.trim());
+    field = '';
+    state = FIELD_START;
+  }
+
+  function endRecord(out, unterminatedQuote = false) {
+    endField();
+    out.push({ fields, raw, startLine, endLine: line, unterminatedQuote, strayQuote });
+  }
+
+  /**
+   * Close a runaway quoted field at the end of its first physical line and
+   * re-tokenize everything after it.
+   */
+  function recover(out) {
+    const text = raw;
+    const recordLine = startLine;
+    const nl = text.indexOf('\n');
+    const firstText = nl === -1 ? text : text.slice(0, nl);
+    const rest = nl === -1 ? '' : text.slice(nl + 1);
+
+    const sub = createRecordTokenizer({ delimiter, firstLine: recordLine });
+    const [record] = [...sub.push(firstText), ...sub.finish()];
+    out.push({ ...record, unterminatedQuote: true });
+
+    line = recordLine + 1;
+    resetRecord();
+    if (rest) feed(rest, out);
+  }
+
+  function feed(text, out) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      // Carriage returns are dropped everywhere; "\r\n" and "\n" end records alike
+      if (char === '\r') continue;
+
+      if (state === QUOTED) {
+        if (char === '"') {
+          state = QUOTE_IN_QUOTED;
+        } else {
+          field += char;
+          if (char === '\n') {
+            line++;
+            if (line - startLine >= MAX_QUOTED_FIELD_LINES) {
+              raw += char;
+              // Replay the remainder of this chunk after the recovered lines
+              const remainder = text.slice(i + 1);
+              recover(out);
+              feed(remainder, out);
+              return;
+            }
+          }
+        }
+        raw += char;
+        continue;
+      }
+
+      if (char === '\n') {
+        endRecord(out);
+        line++;
+        resetRecord();
+        continue;
+      }
+
+      raw += char;
+
+      if (char === delimiter) {
+        endField();
+      } else if (char === '"') {
+        if (state === FIELD_START) {
+          field = ''; // drop whitespace before the opening quote
+          state = QUOTED;
+        } else if (state === QUOTE_IN_QUOTED) {
+          // Escaped quote
+          field += '"';
+          state = QUOTED;
+        } else {
+          // Stray quote in an unquoted field, e.g. 12" Wiper Blade
+          field += char;
+          strayQuote = true;
+        }
+      } else if (state === FIELD_START && (char === ' ' || char === '\t')) {
+        field += char;
+      } else {
+        if (state === QUOTE_IN_QUOTED) strayQuote = true; // text after closing quote
+        field += char;
+        state = UNQUOTED;
+      }
+    }
+  }
+
+  function push(chunk) {
+    const out = [];
+    feed(chunk, out);
+    return out;
+  }
+
+  function finish() {
+    const out = [];
+    while (state === QUOTED && raw.includes('\n')) {
+      recover(out);
+    }
+    if (state === QUOTED) {
+      // Single-line unterminated quote: close the field at end of input
+      endRecord(out, true);
+    } else if (raw || fields.length || state !== FIELD_START) {
+      // Emit the final record unless the input ended on a line terminator
+      endRecord(out);
+    }
+    resetRecord();
+    return out;
+  }
+
+  return { push, finish };
+}
+
+/**
+ * Tokenize a complete CSV text into records.
+ *
+ * @param {string} text - CSV content.
+ * @param {Object} [options] - See `createRecordTokenizer`.
+ * @returns {CSVRecord[]}
+ */
+export function tokenizeCSV(text, options) {
+  const tokenizer = createRecordTokenizer(options);
+  return [...tokenizer.push(text), ...tokenizer.finish()];
+}
@@ -0,0 +1,171 @@
+/**
+ * Data-quality checks on parsed sales lines.
+ *
+ * Rows that parse cleanly can still be wrong: a $4,500 filter cost typed for
+ * $45.00, retail keyed below cost, a line scanned twice or a qty of 1000
+ * instead of 10. Any of them skews the tier totals the optimizer works from.
+ * This pass flags such rows, scores the dataset and lets the caller leave
+ * flagged rows out of the analysis.
+ */
+
+import { ROW_TYPES } from './importDiagnostics.js';
+import { partFingerprint } from './mergeDatasets.js';
+
+/**
+ * Codes for the problems a row can be flagged with.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const QUALITY_FLAGS = {
+  NEGATIVE_MARGIN: 'negative-margin',
+  EXTREME_MULTIPLIER: 'extreme-multiplier',
+  DUPLICATE: 'duplicate',
+  IMPLAUSIBLE_QTY: 'implausible-qty',
+};
+
+/** Human-readable label per flag. */
+export const QUALITY_FLAG_LABELS = {
+  [QUALITY_FLAGS.NEGATIVE_MARGIN]: 'Retail below cost',
+  [QUALITY_FLAGS.EXTREME_MULTIPLIER]: 'Extreme multiplier',
+  [QUALITY_FLAGS.DUPLICATE]: 'Duplicate line',
+  [QUALITY_FLAGS.IMPLAUSIBLE_QTY]: 'Implausible quantity',
+};
+
+/**
+ * @typedef {Object} QualityOptions
+ * @property {number} [spread=3]    - How many interquartile ranges beyond the
+ *   tier's middle half a multiplier may fall before it is flagged.
+ * @property {number} [minTierLines=5] - Sale lines a tier needs before its
+ *   spread is trusted.
+ * @property {number} [maxQty=500]  - Largest plausible quantity on one line.
+ */
+
+/**
+ * @typedef {Object} QualityIssue
+ * @property {import('./csvParser.js').ParsedPart} part
+ * @property {string[]} flags  - `QUALITY_FLAGS` codes.
+ * @property {string}   detail - Short explanation of every flag.
+ */
+
+/**
+ * @typedef {Object} QualityReport
+ * @property {QualityIssue[]} issues - Flagged rows, in data order.
+ * @property {Object<string, number>} counts - Flagged rows per flag code.
+ * @property {number} checked - Sale lines checked.
+ * @property {number} score   - 0-100: share of checked lines without a flag.
+ */
+
+export const DEFAULT_QUALITY_OPTIONS = { spread: 3, minTierLines: 5, maxQty: 500 };
+
+/**
+ * Linear-interpolated quantile of sorted values.
+ *
+ * @param {number[]} sorted - Ascending.
+ * @param {number}   q      - 0-1.
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Multiplier bounds per tier from the spread of its sale lines. Bounds are
+ * computed on log multipliers so "half" and "double" are equally far out.
+ *
+ * @param {Array<import('./csvParser.js').ParsedPart>} sales
+ * @param {Array<{minCost: number, maxCost: number}>} matrix
+ * @param {Required<QualityOptions>} options
+ * @returns {Array<{low: number, high: number}|null>} Per tier; null when it has too few lines.
+ */
+function tierMultiplierBounds(sales, matrix, options) {
+  const logsByTier = matrix.map(() => []);
+  for (const part of sales) {
+    const idx = matrix.findIndex((tier) => part.unitCost >= tier.minCost && part.unitCost <= tier.maxCost);
+    if (idx !== -1 && part.unitRetail > 0) logsByTier[idx].push(Math.log(part.unitRetail / part.unitCost));
+  }
+  return logsByTier.map((logs) => {
+    if (logs.length < options.minTierLines) return null;
+    const sorted = [...logs].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    // A floor keeps tiers priced at one flat multiplier from flagging small deviations
+    const iqr = Math.max(q3 - q1, 0.05);
+    return { low: Math.exp(q1 - options.spread * iqr), high: Math.exp(q3 + options.spread * iqr) };
+  });
+}
+
+/**
+ * Flag suspicious sale lines. Returns and core lines are not checked, and
+ * repeats are only recognised on lines with an invoice date or RO number
+ * (see `partFingerprint`).
+ *
+ * @param {import('./csvParser.js').ParsedPart[]} parts
+ * @param {Array<{minCost: number, maxCost: number}>} matrix - Tiers whose
+ *   multiplier spread defines "extreme".
+ * @param {QualityOptions} [options]
+ * @returns {QualityReport}
+ */
+export function checkDataQuality(parts, matrix, options = {}) {
+  const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const sales = parts.filter((p) => !p.rowType || p.rowType === ROW_TYPES.SALE);
+  const bounds = tierMultiplierBounds(sales, matrix, opts);
+  const seen = new Set();
+  const issues = [];
+  const counts = {};
+
+  for (const part of sales) {
+    const flags = [];
+    const details = [];
+    const multiplier = part.unitRetail / part.unitCost;
+
+    if (part.unitRetail < part.unitCost) {
+      flags.push(QUALITY_FLAGS.NEGATIVE_MARGIN);
+      details.push(`retail $${part.unitRetail.toFixed(2)} is below cost $${part.unitCost.toFixed(2)}`);
+    }
+
+    const idx = matrix.findIndex((tier) => part.unitCost >= tier.minCost && part.unitCost <= tier.maxCost);
+    const tierBounds = idx === -1 ? null : bounds[idx];
+    if (tierBounds && part.unitRetail > 0 && (multiplier < tierBounds.low || multiplier > tierBounds.high)) {
+      flags.push(QUALITY_FLAGS.EXTREME_MULTIPLIER);
+      details.push(`${multiplier.toFixed(2)}× vs ${tierBounds.low.toFixed(2)}–${tierBounds.high.toFixed(2)}× usual in tier ${idx + 1}`);
+    }
+
+    const key = partFingerprint(part);
+    if (key !== null) {
+      if (seen.has(key)) {
+        flags.push(QUALITY_FLAGS.DUPLICATE);
+        details.push('same date, RO, part and amounts as an earlier line');
+      }
+      seen.add(key);
+    }
+
+    if (Math.abs(part.qty) > opts.maxQty) {
+      flags.push(QUALITY_FLAGS.IMPLAUSIBLE_QTY);
+      details.push(`qty ${part.qty}`);
+    }
+
+    if (flags.length === 0) continue;
+    flags.forEach((flag) => { counts[flag] = (counts[flag] || 0) + 1; });
+    issues.push({ part, flags, detail: details.join('; ') });
+  }
+
+  const score = sales.length > 0 ? Math.round(((sales.length - issues.length) / sales.length) * 100) : 100;
+  return { issues, counts, checked: sales.length, score };
+}
+
+/**
+ * Leave the flagged rows out.
+ *
+ * @param {import('./csvParser.js').ParsedPart[]} parts
+ * @param {QualityReport} report - From `checkDataQuality` on the same parts.
+ * @returns {import('./csvParser.js').ParsedPart[]}
+ */
+export function excludeFlaggedParts(parts, report) {
+  if (report.issues.length === 0) return parts;
+  const flagged = new Set(report.issues.map((issue) => issue.part));
+  return parts.filter((part) => !flagged.has(part));
+}
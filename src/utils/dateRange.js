@@ -0,0 +1,143 @@
+/**
+ * Invoice-date handling for filtering sales data by date range.
+ *
+ * The parser keeps the invoice date exactly as exported, and POS systems
+ * disagree on the format: ISO dates ("2024-03-05", sometimes with a time),
+ * US dates ("3/5/2024", "03/05/24") and European dotted dates
+ * ("05.03.2024"). These helpers normalise them to ISO `YYYY-MM-DD` strings,
+ * which compare correctly as plain strings, and filter parts by an
+ * inclusive range.
+ */
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string|null} from - First day included (`YYYY-MM-DD`), or null for no lower bound.
+ * @property {string|null} to   - Last day included (`YYYY-MM-DD`), or null for no upper bound.
+ */
+
+/**
+ * @typedef {Object} DateSpan
+ * @property {string} start         - Earliest invoice date.
+ * @property {string} end           - Latest invoice date.
+ * @property {number} datedCount    - Parts with a recognisable invoice date.
+ * @property {number} undatedCount  - Parts without one.
+ */
+
+const ISO_DATE = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/;
+const DAY_MONTH_YEAR = /^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})(?:$|[T\s])/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an ISO date string after checking the parts form a real date.
+ *
+ * @param {number} year
+ * @param {number} month - 1-12.
+ * @param {number} day
+ * @returns {string|null}
+ */
+function toISODate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalise an exported invoice date to `YYYY-MM-DD`.
+ *
+ * Slashed dates are read month-first, as US shop systems write them, unless
+ * the first number cannot be a month; dotted dates are read day-first.
+ * Two-digit years are taken as 20xx.
+ *
+ * @param {string} value - Invoice date as exported.
+ * @returns {string|null} ISO date, or null when the value is not a date.
+ */
+export function parseInvoiceDate(value) {
+  const text = String(value ?? '').trim();
+
+  const iso = text.match(ISO_DATE);
+  if (iso) return toISODate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  const dmy = text.match(DAY_MONTH_YEAR);
+  if (!dmy) return null;
+  const [, first, separator, second, yearText] = dmy;
+  const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+  const dayFirst = separator === '.' || Number(first) > 12;
+  return dayFirst
+    ? toISODate(year, Number(second), Number(first))
+    : toISODate(year, Number(first), Number(second));
+}
+
+/**
+ * Find the first and last invoice dates in the data.
+ *
+ * @param {import('./csvParser.js').ParsedPart[]} parts
+ * @returns {DateSpan|null} Null when no part has a recognisable date.
+ */
+export function getDateSpan(parts) {
+  let start = null;
+  let end = null;
+  let datedCount = 0;
+  for (const part of parts) {
+    const date = part.invoiceDate ? parseInvoiceDate(part.invoiceDate) : null;
+    if (!date) continue;
+    datedCount++;
+    if (start === null || date < start) start = date;
+    if (end === null || date > end) end = date;
+  }
+  return datedCount > 0 ? { start, end, datedCount, undatedCount: parts.length - datedCount } : null;
+}
+
+/**
+ * Whether a range restricts anything.
+ *
+ * @param {DateRange|null|undefined} range
+ * @returns {boolean}
+ */
+export function isDateRangeActive(range) {
+  return !!(range && (range.from || range.to));
+}
+
+/**
+ * Keep the parts invoiced within the range (inclusive). Parts without a
+ * recognisable invoice date are left out once a range is set, since they
+ * cannot be placed in it.
+ *
+ * @param {import('./csvParser.js').ParsedPart[]} parts
+ * @param {DateRange|null} range
+ * @returns {import('./csvParser.js').ParsedPart[]} `parts` itself when the range is open.
+ */
+export function filterByDateRange(parts, range) {
+  if (!isDateRangeActive(range)) return parts;
+  return parts.filter((part) => {
+    const date = part.invoiceDate ? parseInvoiceDate(part.invoiceDate) : null;
+    return date !== null && (!range.from || date >= range.from) && (!range.to || date <= range.to);
+  });
+}
+
+/**
+ * The range covering the last `days` days of the data, ending on its last
+ * invoice date.
+ *
+ * @param {DateSpan} span
+ * @param {number} days
+ * @returns {DateRange}
+ */
+export function lastDaysRange(span, days) {
+  const from = new Date(Date.parse(span.end) - (days - 1) * MS_PER_DAY).toISOString().slice(0, 10);
+  return { from: from > span.start ? from : span.start, to: span.end };
+}
+
+/**
+ * Describe the dates an analysis covers, for export headers.
+ *
+ * @param {DateRange|null} range - Chosen range.
+ * @param {DateSpan|null} span   - Dates present in the data.
+ * @returns {string} e.g. "2024-01-01 to 2024-03-31" or "All dates (2024-01-01 to 2024-06-30)".
+ */
+export function describeDateRange(range, span) {
+  if (isDateRangeActive(range)) {
+    return `${range.from || span?.start || 'start'} to ${range.to || span?.end || 'end'}`;
+  }
+  return span ? `All dates (${span.start} to ${span.end})` : 'All dates';
+}
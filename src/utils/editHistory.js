@@ -0,0 +1,262 @@
+/**
+ * Undo / redo history for the pricing edits.
+ *
+ * Matrix tier edits, manual multiplier overrides on the results, profit
+ * target changes and switching matrices all land in one linear history of
+ * snapshots. Each entry
+ * holds the whole editable state after a change plus a short description of
+ * what changed, so undo, redo and jumping to any entry just restore that
+ * entry's snapshot. Recording after an undo drops the entries that could
+ * have been redone, like any editor. Every function returns a new history
+ * and leaves its input unchanged.
+ */
+
+import { OPEN_ENDED_MAX_COST } from './pricingUtils.js';
+
+/** Oldest entries are dropped beyond this many. */
+export const HISTORY_LIMIT = 100;
+
+/**
+ * @typedef {Object} EditSnapshot
+ * @property {string}        matrixId             - Matrix the tiers belong to.
+ * @property {string}        matrixName
+ * @property {Object[]}      tiers                - Matrix tiers.
+ * @property {Object}        lockedTiers          - { tierId: multiplier } overrides.
+ * @property {number|null}   originalTargetProfit - Target the overrides keep.
+ * @property {string}        targetType           - 'percent' | 'margin' | 'dollar'
+ * @property {number}        targetIncrease
+ * @property {Object|null}   recommendations      - Results shown for this state.
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number}       id
+ * @property {string}       label
+ * @property {string|null}  mergeKey - Consecutive edits with the same key
+ *   (typing into one field) share an entry.
+ * @property {EditSnapshot} state
+ * @property {string}       at       - ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} EditHistory
+ * @property {HistoryEntry[]} entries - Oldest first.
+ * @property {number}         index   - Entry currently shown (-1 while empty).
+ * @property {number}         nextId
+ */
+
+// Fields whose change is an edit; results are carried along with them, so a
+// recalculation on its own (or typing into a result cell) is not an entry
+const TRACKED_FIELDS = ['matrixId', 'tiers', 'lockedTiers', 'originalTargetProfit', 'targetType', 'targetIncrease'];
+
+const TARGET_TYPE_LABELS = {
+  percent: 'profit increase %',
+  margin: 'target margin %',
+  dollar: 'additional profit $',
+};
+
+const formatCost = (value) => (value === OPEN_ENDED_MAX_COST ? 'Max' : `$${value.toFixed(2)}`);
+
+const formatTarget = (value, type) => (type === 'dollar' ? `$${value}` : `${value}%`);
+
+/**
+ * Describe a change to the tiers.
+ *
+ * @returns {{ label: string, mergeKey: string|null }|null}
+ */
+function describeTierChange(prev, next) {
+  const differs = (a, b) => !a || !b || a.minCost !== b.minCost || a.maxCost !== b.maxCost || a.multiplier !== b.multiplier;
+  if (next.length !== prev.length) {
+    // One tier added at the end (the old last tier gets a max cost) or one removed
+    const removed = prev.findIndex((t, k) => prev.filter((_, i) => i !== k).every((p, i) => !differs(p, next[i])));
+    const added = next.length === prev.length + 1 && prev.slice(0, -1).every((p, i) => !differs(p, next[i]));
+    if (next.length === prev.length - 1 && removed !== -1) return { label: `Removed tier ${removed + 1}`, mergeKey: null };
+    if (added) return { label: `Added tier ${next.length}`, mergeKey: null };
+    return { label: `Replaced ${prev.length} tiers with ${next.length}`, mergeKey: null };
+  }
+  const changed = next.map((t, i) => i).filter((i) => differs(prev[i], next[i]));
+  if (changed.length === 0) return null;
+  if (changed.length > 1) return { label: `Changed ${changed.length} tiers`, mergeKey: null };
+
+  const i = changed[0];
+  const [a, b] = [prev[i], next[i]];
+  if (a.multiplier !== b.multiplier) {
+    return { label: `Tier ${i + 1} multiplier ${a.multiplier.toFixed(2)}× → ${b.multiplier.toFixed(2)}×`, mergeKey: null };
+  }
+  const field = a.minCost !== b.minCost ? 'minCost' : 'maxCost';
+  return {
+    label: `Tier ${i + 1} ${field === 'minCost' ? 'min' : 'max'} cost ${formatCost(a[field])} → ${formatCost(b[field])}`,
+    mergeKey: `tier-${i + 1}-${field}`,
+  };
+}
+
+/**
+ * Describe a change to the manual overrides.
+ *
+ * @returns {{ label: string, mergeKey: null }|null}
+ */
+function describeLockChange(prev, next) {
+  const set = Object.keys(next).filter((id) => next[id] !== prev[id]);
+  if (set.length > 0) {
+    return { label: set.map((id) => `Tier ${id} set to ${next[id].toFixed(2)}×`).join(', '), mergeKey: null };
+  }
+  if (Object.keys(next).length === 0 && Object.keys(prev).length > 0) {
+    return { label: 'Reset manual overrides', mergeKey: null };
+  }
+  const removed = Object.keys(prev).filter((id) => !(id in next));
+  return removed.length > 0 ? { label: `Removed override on tier ${removed.join(', ')}`, mergeKey: null } : null;
+}
+
+/**
+ * Describe what changed between two snapshots.
+ *
+ * @param {EditSnapshot} prev
+ * @param {EditSnapshot} next
+ * @returns {{ label: string, mergeKey: string|null }|null} null when no
+ *   tracked value changed.
+ */
+export function describeEdit(prev, next) {
+  const parts = [];
+  if (prev.tiers !== next.tiers) parts.push(describeTierChange(prev.tiers, next.tiers));
+  if (prev.lockedTiers !== next.lockedTiers) parts.push(describeLockChange(prev.lockedTiers, next.lockedTiers));
+  if (prev.targetType !== next.targetType) {
+    parts.push({ label: `Target type: ${TARGET_TYPE_LABELS[next.targetType] || next.targetType}`, mergeKey: null });
+  }
+  if (prev.targetIncrease !== next.targetIncrease) {
+    parts.push({
+      label: `Target ${formatTarget(prev.targetIncrease, next.targetType)} → ${formatTarget(next.targetIncrease, next.targetType)}`,
+      mergeKey: 'target',
+    });
+  }
+  if (!prev.recommendations && next.recommendations) {
+    parts.push({ label: 'Generated recommendations', mergeKey: null });
+  } else if (prev.recommendations && !next.recommendations) {
+    parts.push({ label: 'Cleared recommendations', mergeKey: null });
+  } else if (next.recommendations && prev.originalTargetProfit !== next.originalTargetProfit && prev.lockedTiers === next.lockedTiers) {
+    parts.push({ label: 'Recalculated recommendations', mergeKey: null });
+  }
+
+  const described = parts.filter(Boolean);
+  if (described.length === 0) return null;
+  return {
+    label: described.map((p) => p.label).join('; '),
+    mergeKey: described.length === 1 ? described[0].mergeKey : null,
+  };
+}
+
+/**
+ * Whether two snapshots hold the same edits. Values are compared by
+ * reference, as state updates replace what they change.
+ *
+ * @param {EditSnapshot} a
+ * @param {EditSnapshot} b
+ * @returns {boolean}
+ */
+export function isSameEdit(a, b) {
+  return TRACKED_FIELDS.every((field) => a[field] === b[field]);
+}
+
+/**
+ * A history holding one entry.
+ *
+ * @param {EditSnapshot} snapshot
+ * @param {string}       [label='Start']
+ * @param {Date}         [now]
+ * @returns {EditHistory}
+ */
+export function createEditHistory(snapshot, label = 'Start', now = new Date()) {
+  return {
+    entries: [{ id: 1, label, mergeKey: null, state: snapshot, at: now.toISOString() }],
+    index: 0,
+    nextId: 2,
+  };
+}
+
+/**
+ * Record the state after an edit. Entries past the current one are dropped;
+ * repeated edits to the same field update the latest entry instead of adding
+ * one; opening another matrix is an entry like any edit, so undo goes back
+ * to the previous matrix and its edits.
+ *
+ * @param {EditHistory}  history
+ * @param {EditSnapshot} snapshot
+ * @param {Object}       [options]
+ * @param {Date}         [options.now]
+ * @param {number}       [options.limit=HISTORY_LIMIT]
+ * @returns {EditHistory} The same history when nothing tracked changed.
+ */
+export function recordEdit(history, snapshot, { now = new Date(), limit = HISTORY_LIMIT } = {}) {
+  const current = history.entries[history.index];
+  if (!current) return createEditHistory(snapshot, `Opened "${snapshot.matrixName}"`, now);
+  if (isSameEdit(current.state, snapshot)) return history;
+
+  const isLatest = history.index === history.entries.length - 1;
+  const edit = current.state.matrixId !== snapshot.matrixId
+    ? { label: `Opened "${snapshot.matrixName}"`, mergeKey: null }
+    : describeEdit(current.state, snapshot);
+  if (!edit) return history;
+
+  if (edit.mergeKey && isLatest && history.index > 0 && current.mergeKey === edit.mergeKey) {
+    const merged = describeEdit(history.entries[history.index - 1].state, snapshot) || edit;
+    const entry = { ...current, label: merged.label, state: snapshot, at: now.toISOString() };
+    return { ...history, entries: [...history.entries.slice(0, -1), entry] };
+  }
+
+  const entry = { id: history.nextId, label: edit.label, mergeKey: edit.mergeKey, state: snapshot, at: now.toISOString() };
+  const entries = [...history.entries.slice(0, history.index + 1), entry].slice(-limit);
+  return { entries, index: entries.length - 1, nextId: history.nextId + 1 };
+}
+
+/**
+ * Drop the entries of a deleted matrix, which can no longer be restored.
+ * When none are left the history is empty until the next recordEdit.
+ *
+ * @param {EditHistory} history
+ * @param {string}      matrixId
+ * @returns {EditHistory}
+ */
+export function forgetMatrix(history, matrixId) {
+  const keep = (entry) => entry.state.matrixId !== matrixId;
+  const entries = history.entries.filter(keep);
+  if (entries.length === history.entries.length) return history;
+  const before = history.entries.slice(0, history.index + 1).filter(keep).length;
+  return { ...history, entries, index: entries.length === 0 ? -1 : Math.max(before - 1, 0) };
+}
+
+/**
+ * Move to an entry.
+ *
+ * @param {EditHistory} history
+ * @param {number}      index
+ * @returns {EditHistory} The same history when the index is current or out of range.
+ */
+export function jumpToEdit(history, index) {
+  if (index === history.index || index < 0 || index >= history.entries.length) return history;
+  return { ...history, index };
+}
+
+/** @param {EditHistory} history */
+export const canUndo = (history) => history.index > 0;
+
+/** @param {EditHistory} history */
+export const canRedo = (history) => history.index < history.entries.length - 1;
+
+/**
+ * Step back one entry.
+ *
+ * @param {EditHistory} history
+ * @returns {EditHistory}
+ */
+export function undoEdit(history) {
+  return jumpToEdit(history, history.index - 1);
+}
+
+/**
+ * Step forward one entry.
+ *
+ * @param {EditHistory} history
+ * @returns {EditHistory}
+ */
+export function redoEdit(history) {
+  return jumpToEdit(history, history.index + 1);
+}
@@ -0,0 +1,117 @@
+/**
+ * Exclusion rules for lines priced outside the parts matrix.
+ *
+ * Tires, bulk fluids, sublet work and shop supplies come through the same
+ * sales export as matrix-priced parts but follow their own pricing, so they
+ * would distort the tier totals. A rule drops every line whose category,
+ * vendor, part-number prefix or description keyword matches; rules are
+ * plain objects so they can be saved with the other settings.
+ */
+
+/**
+ * What a rule matches on.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const EXCLUSION_FIELDS = {
+  CATEGORY: 'category',
+  VENDOR: 'vendor',
+  PART_PREFIX: 'partPrefix',
+  KEYWORD: 'keyword',
+};
+
+/** Human-readable label per rule field. */
+export const EXCLUSION_FIELD_LABELS = {
+  [EXCLUSION_FIELDS.CATEGORY]: 'Category is',
+  [EXCLUSION_FIELDS.VENDOR]: 'Vendor is',
+  [EXCLUSION_FIELDS.PART_PREFIX]: 'Part number starts with',
+  [EXCLUSION_FIELDS.KEYWORD]: 'Description contains',
+};
+
+/**
+ * @typedef {Object} ExclusionRule
+ * @property {string} id    - Stable identifier.
+ * @property {string} field - An `EXCLUSION_FIELDS` value.
+ * @property {string} value - Text to match, compared case-insensitively.
+ */
+
+/**
+ * @typedef {Object} ExclusionResult
+ * @property {import('./csvParser.js').ParsedPart[]} parts - Lines no rule matched.
+ * @property {Array<{ rule: ExclusionRule, rowCount: number, revenue: number }>} removed -
+ *   Per rule, in rule order: lines it removed and their total retail. A line
+ *   matched by several rules is counted against the first.
+ */
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Build a rule with a fresh id.
+ *
+ * @param {string} field - An `EXCLUSION_FIELDS` value.
+ * @param {string} value
+ * @returns {ExclusionRule}
+ */
+export function createExclusionRule(field, value) {
+  return { id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, field, value: value.trim() };
+}
+
+/**
+ * Check a rule loaded from storage has the expected shape.
+ *
+ * @param {*} rule
+ * @returns {boolean}
+ */
+export function isValidExclusionRule(rule) {
+  return !!rule && typeof rule.id === 'string' &&
+    Object.values(EXCLUSION_FIELDS).includes(rule.field) &&
+    typeof rule.value === 'string' && rule.value.trim() !== '';
+}
+
+/**
+ * Whether a rule matches a line. Category and vendor must match exactly,
+ * ignoring case and surrounding spaces.
+ *
+ * @param {import('./csvParser.js').ParsedPart} part
+ * @param {ExclusionRule} rule
+ * @returns {boolean}
+ */
+export function matchesExclusionRule(part, rule) {
+  const value = normalize(rule.value);
+  if (!value) return false;
+  switch (rule.field) {
+    case EXCLUSION_FIELDS.CATEGORY:
+      return normalize(part.category) === value;
+    case EXCLUSION_FIELDS.VENDOR:
+      return normalize(part.vendor) === value;
+    case EXCLUSION_FIELDS.PART_PREFIX:
+      return normalize(part.partNumber).startsWith(value);
+    case EXCLUSION_FIELDS.KEYWORD:
+      return normalize(part.description).includes(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Drop the lines any rule matches. Applies to every row type, so returns of
+ * excluded parts go with their sales.
+ *
+ * @param {import('./csvParser.js').ParsedPart[]} parts
+ * @param {ExclusionRule[]} rules
+ * @returns {ExclusionResult} `parts` is the input itself when there are no rules.
+ */
+export function applyExclusionRules(parts, rules) {
+  const removed = rules.map((rule) => ({ rule, rowCount: 0, revenue: 0 }));
+  if (rules.length === 0) return { parts, removed };
+
+  const kept = parts.filter((part) => {
+    const idx = rules.findIndex((rule) => matchesExclusionRule(part, rule));
+    if (idx === -1) return true;
+    removed[idx].rowCount++;
+    removed[idx].revenue += part.totalRetail;
+    return false;
+  });
+  return { parts: kept, removed };
+}
@@ -0,0 +1,195 @@
+/**
+ * Fixed-width text import for legacy "print to file" reports.
+ *
+ * Older dealer management systems can only print parts sales as columns
+ * aligned with spaces, paginated like paper: the report title, column
+ * headings and a page footer recur every 60 lines or so. Column boundaries
+ * are inferred from the heading line, the page furniture is dropped wherever
+ * it recurs, and the cells go through the CSV parser, so amounts get the
+ * same `parseCurrency` handling and total healing as CSV input.
+ */
+
+import { createCSVParser, isHeaderText } from './csvParser.js';
+import { SUMMARY_REASONS, createRejectedRow } from './importDiagnostics.js';
+
+/**
+ * How a text file lays out its columns.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const TEXT_FORMATS = {
+  AUTO: 'auto',
+  DELIMITED: 'delimited',
+  FIXED_WIDTH: 'fixed-width',
+};
+
+/**
+ * @typedef {Object} FixedWidthColumn
+ * @property {string} name  - Heading text.
+ * @property {number} start - First character of the column.
+ * @property {number} end   - Character after the column (Infinity for the last).
+ */
+
+// Non-empty lines searched for the heading line, as for CSV
+const HEADER_SCAN_LINES = 10;
+
+// Rows of dashes, equals signs or underscores ruling off the headings or totals
+const RULE_LINE = /^[\s\-=_*+]+$/;
+
+// "Page 3", "Printed 01/02/24   Page 3 of 9", "- 3 -"
+const PAGE_FOOTER = /^(?:.*\s)?page\s+\d+(?:\s+of\s+\d+)?$|^-\s*\d+\s*-$/i;
+
+/**
+ * Replace tabs with spaces up to the next tab stop.
+ *
+ * @param {string} line
+ * @param {number} [tabSize=8]
+ * @returns {string}
+ */
+export function expandTabs(line, tabSize = 8) {
+  let out = '';
+  for (const ch of line) out += ch === '\t' ? ' '.repeat(tabSize - (out.length % tabSize)) : ch;
+  return out;
+}
+
+/**
+ * Infer columns from a heading line. Headings are separated by two or more
+ * spaces (single spaces join words of one heading); each boundary sits in
+ * the middle of the gap, leaving room for values wider than their heading.
+ *
+ * @param {string} headerLine
+ * @returns {FixedWidthColumn[]}
+ */
+export function inferColumns(headerLine) {
+  const spans = [...headerLine.matchAll(/\S+(?: \S+)*/g)].map((m) => ({
+    name: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+  return spans.map((span, i) => ({
+    name: span.name,
+    start: i === 0 ? 0 : Math.ceil((spans[i - 1].end + span.start) / 2),
+    end: i === spans.length - 1 ? Infinity : Math.ceil((span.end + spans[i + 1].start) / 2),
+  }));
+}
+
+/**
+ * Move a boundary that falls inside a word to the nearer edge of that word,
+ * so a value overflowing its column stays whole.
+ *
+ * @param {string} line
+ * @param {number} pos
+ * @returns {number}
+ */
+function snapBoundary(line, pos) {
+  if (pos <= 0 || pos >= line.length || line[pos - 1] === ' ' || line[pos] === ' ') return pos;
+  let left = pos;
+  while (left > 0 && line[left - 1] !== ' ') left--;
+  let right = pos;
+  while (right < line.length && line[right] !== ' ') right++;
+  return pos - left <= right - pos ? left : right;
+}
+
+/**
+ * Cut a data line into trimmed cells at the column boundaries.
+ *
+ * @param {string} line
+ * @param {FixedWidthColumn[]} columns
+ * @returns {string[]} One cell per column.
+ */
+export function splitFixedWidthLine(line, columns) {
+  const cuts = [0];
+  for (const column of columns.slice(1)) cuts.push(Math.max(snapBoundary(line, column.start), cuts[cuts.length - 1]));
+  cuts.push(line.length);
+  return columns.map((_, i) => line.slice(cuts[i], cuts[i + 1]).trim());
+}
+
+/**
+ * Find the heading line: the first of the leading non-empty lines naming a
+ * sales column (cost, price, qty, …) that splits into several columns.
+ *
+ * @param {string[]} lines
+ * @param {import('./headerSynonyms.js').HeaderSynonyms} [synonyms] - Header words in other languages.
+ * @returns {number} Index into `lines`, or -1.
+ */
+function findHeaderLine(lines, synonyms) {
+  let scanned = 0;
+  for (let i = 0; i < lines.length && scanned < HEADER_SCAN_LINES; i++) {
+    if (!lines[i].trim()) continue;
+    scanned++;
+    if (isHeaderText(lines[i], synonyms) && inferColumns(lines[i]).length >= 2) return i;
+  }
+  return -1;
+}
+
+// Page furniture compares equal across pages once page numbers and dates are masked
+const pageLineKey = (line) => line.replace(/\d+/g, '#').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const splitLines = (text) => text.replace(/^\uFEFF/, '').split(/\r\n|\n|\r/);
+// Form feeds start a new printed page; the line itself is what counts
+const cleanLine = (line) => expandTabs(line.replace(/\f/g, ''));
+
+/**
+ * Whether text looks like a fixed-width report rather than CSV: its heading
+ * line has no delimiter and splits into at least three space-aligned columns.
+ *
+ * @param {string} sample - Start of the file.
+ * @param {import('./headerSynonyms.js').HeaderSynonyms} [synonyms] - Header words in other languages.
+ * @returns {boolean}
+ */
+export function looksFixedWidth(sample, synonyms) {
+  const raw = splitLines(sample);
+  const idx = findHeaderLine(raw.map(cleanLine), synonyms);
+  return idx !== -1 && !/[,;|\t]/.test(raw[idx]) && inferColumns(raw[idx]).length >= 3;
+}
+
+/**
+ * Parse a fixed-width report.
+ *
+ * Lines before the heading line form the page header. Wherever they or the
+ * heading recur, and on page-number footers, the line is listed as a page
+ * break and skipped; ruled lines are skipped silently. The result lists the
+ * inferred columns under `fixedWidth`.
+ *
+ * @param {string} text
+ * @param {import('./csvParser.js').ParseOptions} [options]
+ * @returns {import('./csvParser.js').ParseResult & { fixedWidth: { columns: FixedWidthColumn[] } }}
+ */
+export function parseFixedWidth(text, options = {}) {
+  const lines = splitLines(text).map(cleanLine);
+  const parser = createCSVParser(options);
+  const headerIdx = findHeaderLine(lines, options.headerSynonyms);
+  if (headerIdx === -1) {
+    parser.pushRows([]);
+    return { ...parser.finish(), fixedWidth: { columns: [] } };
+  }
+
+  const columns = inferColumns(lines[headerIdx]);
+  const pageHeader = new Set(lines.slice(0, headerIdx + 1).filter((l) => l.trim()).map(pageLineKey));
+  const rows = [columns.map((c) => c.name)];
+  const source = { lines: [headerIdx + 1], raws: [lines[headerIdx].trim()] };
+  const pageRows = [];
+
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() && RULE_LINE.test(line)) continue;
+    const isPageHeader = line.trim() && pageHeader.has(pageLineKey(line));
+    if (isPageHeader || PAGE_FOOTER.test(line.trim())) {
+      const detail = isPageHeader ? 'Repeated page header' : 'Page footer';
+      pageRows.push(createRejectedRow({ startLine: i + 1, raw: line.trim() }, SUMMARY_REASONS.PAGE_BREAK, detail));
+      continue;
+    }
+    rows.push(line.trim() ? splitFixedWidthLine(line, columns) : []);
+    source.lines.push(i + 1);
+    source.raws.push(line.trim());
+  }
+
+  parser.pushRows(rows, source);
+  const result = parser.finish();
+  return {
+    ...result,
+    summaryRows: [...result.summaryRows, ...pageRows].sort((a, b) => a.line - b.line),
+    fixedWidth: { columns },
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Localized header words for column detection.
+ *
+ * The English header names are matched by the tuned matchers in
+ * csvParser.js. Exports from French- and Spanish-speaking locations name the
+ * same columns "Coût unitaire", "Precio de venta" or "Cantidad"; this module
+ * holds those names per language. Headers and synonyms are compared without
+ * case or accents, so "COUT UNITAIRE" matches "coût unitaire". Callers can
+ * add languages or words with `extendHeaderSynonyms` and pass the result as
+ * the `headerSynonyms` parse option.
+ */
+
+/**
+ * @typedef {Object} LanguageSynonyms
+ * @property {string}   name     - Language name, for display.
+ * @property {string[]} keywords - Words marking a row as the header row.
+ * @property {Partial<Object<string, string[]>>} fields - Header names per
+ *   field (keys as in `ColumnMapping`), most specific first.
+ */
+
+/** @typedef {Object<string, LanguageSynonyms>} HeaderSynonyms */
+
+/**
+ * Built-in synonyms, keyed by language code.
+ *
+ * @type {HeaderSynonyms}
+ */
+export const HEADER_SYNONYMS = {
+  fr: {
+    name: 'French',
+    keywords: ['cout', 'prix', 'qte', 'quantite', 'montant'],
+    fields: {
+      unitCost: ['cout unitaire', 'prix coutant', "prix d'achat", 'cout'],
+      unitRetail: ['prix de vente', 'prix unitaire', 'prix detail', 'prix'],
+      qty: ['quantite', 'qte', 'qte vendue'],
+      totalCost: ['cout total', 'total cout'],
+      totalRetail: ['montant total', 'total vente', 'prix total', 'montant'],
+      partNumber: ['numero de piece', 'no de piece', 'no piece', 'code article'],
+      description: ['designation', 'libelle', 'description'],
+      vendor: ['fournisseur', 'fabricant', 'marque'],
+      category: ['categorie', 'type de piece'],
+      invoiceDate: ['date de facture', 'date facture', 'date'],
+      roNumber: ['bon de travail', 'numero de facture', 'no facture'],
+    },
+  },
+  es: {
+    name: 'Spanish',
+    keywords: ['costo', 'coste', 'precio', 'cantidad', 'importe'],
+    fields: {
+      unitCost: ['costo unitario', 'coste unitario', 'precio de compra', 'costo', 'coste'],
+      unitRetail: ['precio de venta', 'precio unitario', 'precio'],
+      qty: ['cantidad', 'cant'],
+      totalCost: ['costo total', 'coste total'],
+      totalRetail: ['importe total', 'venta total', 'precio total', 'importe'],
+      partNumber: ['numero de parte', 'no de parte', 'codigo de parte', 'codigo'],
+      description: ['descripcion', 'nombre'],
+      vendor: ['proveedor', 'fabricante', 'marca'],
+      category: ['categoria', 'tipo'],
+      invoiceDate: ['fecha de factura', 'fecha'],
+      roNumber: ['orden de reparacion', 'numero de factura', 'no factura', 'folio'],
+    },
+  },
+};
+
+/**
+ * Normalise header text for comparison: no accents or case, single spaces,
+ * and "n°" / "nº" / "no." read as "no".
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldHeader(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\bn[°º]|\bno\./g, 'no')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Add languages, or words to existing languages, to a synonym dictionary.
+ * Added words come after the existing ones.
+ *
+ * @param {HeaderSynonyms} base
+ * @param {Object<string, Partial<LanguageSynonyms>>} additions
+ * @returns {HeaderSynonyms} A new dictionary; `base` is not changed.
+ */
+export function extendHeaderSynonyms(base, additions) {
+  const merged = { ...base };
+  for (const [code, extra] of Object.entries(additions)) {
+    const current = merged[code] || { name: code, keywords: [], fields: {} };
+    const fields = { ...current.fields };
+    for (const [field, names] of Object.entries(extra.fields || {})) {
+      fields[field] = [...new Set([...(fields[field] || []), ...names.map(foldHeader)])];
+    }
+    merged[code] = {
+      name: extra.name || current.name,
+      keywords: [...new Set([...current.keywords, ...(extra.keywords || []).map(foldHeader)])],
+      fields,
+    };
+  }
+  return merged;
+}
+
+/**
+ * Whether folded text contains a header keyword of any language.
+ *
+ * @param {string} folded - Text passed through `foldHeader`.
+ * @param {HeaderSynonyms} [synonyms]
+ * @returns {boolean}
+ */
+export function hasSynonymKeyword(folded, synonyms = HEADER_SYNONYMS) {
+  return Object.values(synonyms).some((lang) => lang.keywords.some((kw) => folded.includes(kw)));
+}
+
+/**
+ * Matchers for one field across all languages, in the form csvParser.js
+ * uses: every name matched exactly first, then names of more than one word
+ * found inside a longer header ("coût unitaire HT"). Single words only match
+ * whole headers, so "coût" does not claim a "coût total" column.
+ *
+ * @param {string} field - A `ColumnMapping` key.
+ * @param {HeaderSynonyms} [synonyms]
+ * @returns {Array<(header: string) => boolean>} Matchers for folded headers.
+ */
+export function synonymMatchers(field, synonyms = HEADER_SYNONYMS) {
+  const names = Object.values(synonyms).flatMap((lang) => lang.fields[field] || []);
+  return [
+    ...names.map((name) => (h) => h === name),
+    ...names.filter((name) => name.includes(' ')).map((name) => (h) => h.includes(name)),
+  ];
+}
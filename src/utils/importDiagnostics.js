@@ -0,0 +1,175 @@
+/**
+ * Row-level import diagnostics.
+ *
+ * The parser records every data row it rejects together with the physical
+ * line, the raw record text and a reason code, so users can fix the export
+ * at the source instead of guessing from a skipped-row count. Report totals
+ * and subtotals are excluded and listed the same way, and accepted rows are
+ * classified as sales, returns or core charges/credits. These helpers
+ * label, summarise and serialise those records for the upload step.
+ */
+
+/**
+ * Reason codes for rejected rows.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const REJECT_REASONS = {
+  EMPTY_ROW: 'empty-row',
+  TOO_FEW_COLUMNS: 'too-few-columns',
+  UNPARSEABLE_NUMBER: 'unparseable-number',
+  ZERO_COST: 'zero-cost',
+  INVALID_RECORD: 'invalid-record',
+};
+
+/** Human-readable label per reason code. */
+export const REJECT_REASON_LABELS = {
+  [REJECT_REASONS.EMPTY_ROW]: 'Empty row',
+  [REJECT_REASONS.TOO_FEW_COLUMNS]: 'Too few columns',
+  [REJECT_REASONS.UNPARSEABLE_NUMBER]: 'Unparseable number',
+  [REJECT_REASONS.ZERO_COST]: 'Zero cost',
+  [REJECT_REASONS.INVALID_RECORD]: 'Invalid record',
+};
+
+/**
+ * Classification of accepted rows.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ROW_TYPES = {
+  SALE: 'sale',
+  RETURN: 'return',
+  CORE_CHARGE: 'core-charge',
+  CORE_CREDIT: 'core-credit',
+};
+
+/** Human-readable label per row type. */
+export const ROW_TYPE_LABELS = {
+  [ROW_TYPES.SALE]: 'Sale',
+  [ROW_TYPES.RETURN]: 'Return',
+  [ROW_TYPES.CORE_CHARGE]: 'Core charge',
+  [ROW_TYPES.CORE_CREDIT]: 'Core credit',
+};
+
+/**
+ * Codes for summary rows (report totals, subtotals, section headings) that
+ * the parser excludes from the data without treating them as errors.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const SUMMARY_REASONS = {
+  SUMMARY_ROW: 'summary-row',
+  SECTION_HEADER: 'section-header',
+  PAGE_BREAK: 'page-break',
+};
+
+/** Human-readable label per summary code. */
+export const SUMMARY_REASON_LABELS = {
+  [SUMMARY_REASONS.SUMMARY_ROW]: 'Total / subtotal',
+  [SUMMARY_REASONS.SECTION_HEADER]: 'Section heading',
+  [SUMMARY_REASONS.PAGE_BREAK]: 'Page header / footer',
+};
+
+/**
+ * @typedef {Object} RejectedRow
+ * @property {number} line   - Physical line (1-based) where the record starts.
+ * @property {string} raw    - Record text as it appears in the file (truncated).
+ * @property {string} reason - One of `REJECT_REASONS` (or `SUMMARY_REASONS` for
+ *   excluded summary rows, which share this shape).
+ * @property {string} detail - Short explanation, e.g. which value failed.
+ */
+
+/** Label for any diagnostic code: reject reason, summary row or row type. */
+export const DIAGNOSTIC_LABELS = { ...REJECT_REASON_LABELS, ...SUMMARY_REASON_LABELS, ...ROW_TYPE_LABELS };
+
+// Raw text kept per rejected row; enough to recognise the row, bounded for huge files
+const MAX_RAW_CHARS = 500;
+
+/**
+ * Build a rejected-row record.
+ *
+ * @param {import('./csvTokenizer.js').CSVRecord} record
+ * @param {string} reason - One of `REJECT_REASONS` or `SUMMARY_REASONS`.
+ * @param {string} [detail='']
+ * @returns {RejectedRow}
+ */
+export function createRejectedRow(record, reason, detail = '') {
+  const raw = record.raw.length > MAX_RAW_CHARS ? `${record.raw.slice(0, MAX_RAW_CHARS)}…` : record.raw;
+  return { line: record.startLine, raw, reason, detail };
+}
+
+/**
+ * Count rejected rows per reason code.
+ *
+ * @param {RejectedRow[]} rows
+ * @returns {Object<string, number>} Count per reason (only reasons present).
+ */
+export function countByReason(rows) {
+  const counts = {};
+  for (const row of rows) counts[row.reason] = (counts[row.reason] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Count accepted parts per row type. Parts without a `rowType` are sales.
+ *
+ * @param {Array<{rowType?: string}>} parts
+ * @returns {Object<string, number>} Count per row type (only types present).
+ */
+export function countByRowType(parts) {
+  const counts = {};
+  for (const part of parts) {
+    const type = part.rowType || ROW_TYPES.SALE;
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Quote a value for CSV output when it contains a delimiter, quote or
+ * line break.
+ *
+ * @param {string|number} value
+ * @returns {string}
+ */
+export function toCSVField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Text a spreadsheet would run as a formula when the report is opened
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV report opened in a spreadsheet. Text from the
+ * uploaded file that starts like a formula ("=", "+", "-", "@") gets a
+ * leading "'" so it shows as text instead of running.
+ *
+ * @param {string|number} value
+ * @returns {string}
+ */
+export function toReportCSVField(value) {
+  return toCSVField(typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+}
+
+/**
+ * Serialise rejected rows as a CSV report. Other diagnostic entries of the
+ * same shape (e.g. returns, whose `reason` is a row type) are labelled too.
+ *
+ * @param {RejectedRow[]} rows
+ * @returns {string} CSV text with a header row.
+ */
+export function rejectedRowsToCSV(rows) {
+  const lines = [['Line', 'Reason', 'Detail', 'Raw Text'].join(',')];
+  for (const row of rows) {
+    lines.push(
+      [row.line, DIAGNOSTIC_LABELS[row.reason] || row.reason, row.detail, row.raw]
+        .map(toReportCSVField)
+        .join(','),
+    );
+  }
+  return lines.join('\n');
+}
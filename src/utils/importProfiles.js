@@ -0,0 +1,199 @@
+/**
+ * Import profiles for known POS / shop-management exports.
+ *
+ * A profile encodes what the generic header heuristics would otherwise have
+ * to guess: the exact column names, how many report-title lines precede the
+ * header, how many summary rows follow the data, and the number format.
+ * Profiles are matched automatically by a header "fingerprint" — a set of
+ * column names that must all be present in the header row.
+ *
+ * Users can save their own profiles from the column-mapping step; those are
+ * plain objects of the same shape with `builtIn: false`.
+ */
+
+/**
+ * @typedef {Object} ImportProfile
+ * @property {string}   id               - Stable identifier.
+ * @property {string}   name             - Display name.
+ * @property {boolean}  builtIn          - False for user-saved profiles.
+ * @property {string[]} fingerprint      - Header names that must all be present.
+ * @property {Object<string, string>} columns - Header name per mapped field
+ *   (keys as in `ColumnMapping`).
+ * @property {number}   headerOffset     - Non-empty lines before the header row.
+ * @property {number}   footerRows       - Trailing rows that may be a report
+ *   footer; dropped unless they are complete item lines.
+ * @property {','|';'|'\t'|'|'|'auto'} delimiter
+ * @property {'.'|','|'auto'} decimalSeparator
+ */
+
+/** @type {ImportProfile[]} */
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'tekmetric',
+    name: 'Tekmetric',
+    builtIn: true,
+    fingerprint: ['part number', 'brand', 'cost', 'retail', 'quantity'],
+    columns: {
+      unitCost: 'Cost',
+      unitRetail: 'Retail',
+      qty: 'Quantity',
+      totalCost: 'Total Cost',
+      totalRetail: 'Total Retail',
+      partNumber: 'Part Number',
+      description: 'Description',
+      vendor: 'Brand',
+      category: 'Category',
+      invoiceDate: 'Posted Date',
+      roNumber: 'RO #',
+    },
+    headerOffset: 0,
+    footerRows: 0,
+    delimiter: ',',
+    decimalSeparator: '.',
+  },
+  {
+    id: 'shop-ware',
+    name: 'Shop-Ware',
+    builtIn: true,
+    fingerprint: ['part #', 'unit cost', 'unit price', 'ext. cost', 'ext. price'],
+    columns: {
+      unitCost: 'Unit Cost',
+      unitRetail: 'Unit Price',
+      qty: 'Qty',
+      totalCost: 'Ext. Cost',
+      totalRetail: 'Ext. Price',
+      partNumber: 'Part #',
+      description: 'Description',
+      vendor: 'Vendor',
+      invoiceDate: 'Invoice Date',
+      roNumber: 'RO #',
+    },
+    headerOffset: 0,
+    footerRows: 0,
+    delimiter: ',',
+    decimalSeparator: '.',
+  },
+  {
+    id: 'mitchell',
+    name: 'Mitchell',
+    builtIn: true,
+    fingerprint: ['part no.', 'qty sold', 'cost', 'sale price', 'ext sale'],
+    columns: {
+      unitCost: 'Cost',
+      unitRetail: 'Sale Price',
+      qty: 'Qty Sold',
+      totalCost: 'Ext Cost',
+      totalRetail: 'Ext Sale',
+      partNumber: 'Part No.',
+      description: 'Description',
+      vendor: 'Supplier',
+      invoiceDate: 'Invoice Date',
+      roNumber: 'RO Number',
+    },
+    // Mitchell report exports start with shop name, report title and date range
+    headerOffset: 3,
+    // ...and usually end with a "Report Totals" line (missing from some
+    // filtered exports, so a sale in the last row is still kept)
+    footerRows: 1,
+    delimiter: ',',
+    decimalSeparator: '.',
+  },
+];
+
+/**
+ * Normalise a header cell for comparison (case, surrounding and repeated
+ * whitespace).
+ *
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find the first profile whose fingerprint is fully present in a header row.
+ *
+ * @param {string[]}        headers  - Header row values.
+ * @param {ImportProfile[]} profiles - Candidates, most specific first.
+ * @returns {ImportProfile|null}
+ */
+export function matchProfile(headers, profiles) {
+  const present = new Set(headers.map(normalizeHeader));
+  return (
+    profiles.find(
+      (p) => p.fingerprint.length > 0 && p.fingerprint.every((h) => present.has(normalizeHeader(h))),
+    ) || null
+  );
+}
+
+/**
+ * Resolve a profile's column names against an actual header row.
+ *
+ * @param {ImportProfile} profile
+ * @param {string[]}      headers - Header row values.
+ * @returns {Object<string, number>} Column index per field the profile names
+ *   and the header contains.
+ */
+export function resolveProfileMapping(profile, headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  for (const [field, name] of Object.entries(profile.columns)) {
+    const idx = normalized.indexOf(normalizeHeader(name));
+    if (idx !== -1) mapping[field] = idx;
+  }
+  return mapping;
+}
+
+/**
+ * Build a custom profile from a confirmed column mapping.
+ *
+ * The fingerprint is the set of mapped header names, so the profile is
+ * picked again automatically for the next export with the same layout.
+ *
+ * @param {Object}   params
+ * @param {string}   params.name         - Display name chosen by the user.
+ * @param {string[]} params.headers      - Header row values.
+ * @param {import('./csvParser.js').ColumnMapping} params.mapping
+ * @param {import('./csvDialect.js').CSVDialect}   params.dialect
+ * @param {number}   [params.headerIndex=0] - Non-empty lines before the header.
+ * @returns {ImportProfile}
+ */
+export function createCustomProfile({ name, headers, mapping, dialect, headerIndex = 0 }) {
+  const columns = {};
+  for (const [field, idx] of Object.entries(mapping)) {
+    if (idx !== -1 && headers[idx]) columns[field] = headers[idx];
+  }
+  return {
+    id: `custom-${Date.now().toString(36)}`,
+    name: name.trim(),
+    builtIn: false,
+    fingerprint: Object.values(columns).map(normalizeHeader),
+    columns,
+    headerOffset: headerIndex,
+    footerRows: 0,
+    // Spreadsheet imports have no delimiter; a CSV of the same layout still sniffs one
+    delimiter: dialect.delimiter ?? 'auto',
+    decimalSeparator: dialect.decimalSeparator,
+  };
+}
+
+/**
+ * Check that a value loaded from storage has the shape of a profile.
+ *
+ * @param {unknown} profile
+ * @returns {boolean}
+ */
+export function isValidProfile(profile) {
+  return (
+    !!profile &&
+    typeof profile.id === 'string' &&
+    typeof profile.name === 'string' &&
+    Array.isArray(profile.fingerprint) &&
+    profile.fingerprint.every((h) => typeof h === 'string') &&
+    !!profile.columns &&
+    typeof profile.columns === 'object' &&
+    Number.isInteger(profile.headerOffset) &&
+    Number.isInteger(profile.footerRows)
+  );
+}
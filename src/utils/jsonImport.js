@@ -0,0 +1,314 @@
+/**
+ * JSON and NDJSON sales-data import.
+ *
+ * Scripts that already hold sales lines as objects export them as a JSON
+ * array, an object wrapping such an array ({ "data": { "lines": [...] } }),
+ * or one object per line (NDJSON). Each record is flattened into dotted
+ * field paths ("pricing.cost", "items.0.sku") that act as the header row,
+ * and the rows then go through the CSV parser's validation, so the result
+ * has the same `ParsedPart` shape and diagnostics as CSV and Excel input.
+ *
+ * The field for each path is detected from its key name like a CSV header,
+ * taken from an import profile, or given in `fieldPaths`. Diagnostics number
+ * NDJSON records by their line in the file and array elements by their
+ * position (1-based).
+ */
+
+import { createCSVParser, detectColumnMapping, MAPPABLE_FIELDS } from './csvParser.js';
+import { BUILT_IN_PROFILES, matchProfile } from './importProfiles.js';
+import { REJECT_REASONS, createRejectedRow } from './importDiagnostics.js';
+
+/**
+ * How the file's text is laid out.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const JSON_FORMATS = {
+  AUTO: 'auto',
+  JSON: 'json',
+  NDJSON: 'ndjson',
+};
+
+/**
+ * @typedef {Object} JSONRecord
+ * @property {*}      value - The parsed record.
+ * @property {number} line  - NDJSON line, or 1-based position in the array.
+ * @property {string} raw   - Record text, for diagnostics.
+ */
+
+/**
+ * @typedef {Object} JSONRecords
+ * @property {JSONRecord[]} records - Object records, in file order.
+ * @property {Array<{ line: number, raw: string, detail: string }>} invalid -
+ *   Lines that are not JSON, and records that are not objects.
+ * @property {'json'|'ndjson'} format - Layout the text was read as.
+ * @property {string} recordsPath - Path of the records array ('' = top level).
+ * @property {string|null} error  - Why no records could be read, or null.
+ */
+
+/**
+ * @typedef {Object} JSONImportInfo
+ * @property {'json'|'ndjson'} format
+ * @property {string} recordsPath
+ * @property {number} recordCount - Object records found.
+ */
+
+/**
+ * Split a field path into its keys. Array indexes may be written as
+ * `items[0]` or `items.0`.
+ *
+ * @param {string} path
+ * @returns {string[]}
+ */
+export function splitPath(path) {
+  return String(path ?? '').replace(/\[(\d+)\]/g, '.$1').split('.').map((k) => k.trim()).filter(Boolean);
+}
+
+/**
+ * Canonical dotted form of a field path.
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizePath(path) {
+  return splitPath(path).join('.');
+}
+
+/**
+ * Read the value at a field path.
+ *
+ * @param {*} value
+ * @param {string} path - '' for the value itself.
+ * @returns {*} undefined when the path does not exist.
+ */
+export function getPath(value, path) {
+  return splitPath(path).reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), value);
+}
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten a record into scalar values keyed by dotted path. Numbers keep
+ * their type; other scalars become text and null becomes empty.
+ *
+ * @param {Object} record
+ * @returns {Object<string, string|number>}
+ */
+export function flattenRecord(record) {
+  const out = {};
+  const walk = (value, path) => {
+    if (value !== null && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) walk(child, path ? `${path}.${key}` : key);
+    } else if (path) {
+      out[path] = typeof value === 'number' ? value : String(value ?? '');
+    }
+  };
+  walk(record, '');
+  return out;
+}
+
+/**
+ * Find the first array of objects in a JSON document, searching level by
+ * level.
+ *
+ * @param {*} doc
+ * @returns {string|null} Its path ('' when the document is the array).
+ */
+export function findRecordsPath(doc) {
+  const queue = [{ node: doc, path: '' }];
+  while (queue.length) {
+    const { node, path } = queue.shift();
+    if (Array.isArray(node)) {
+      if (node.some(isRecord)) return path;
+    } else if (isRecord(node)) {
+      for (const [key, child] of Object.entries(node)) queue.push({ node: child, path: path ? `${path}.${key}` : key });
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse one JSON value per non-blank line.
+ *
+ * @param {string} text
+ * @returns {JSONRecords}
+ */
+function readNDJSON(text) {
+  const records = [];
+  const invalid = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) return;
+    const line = i + 1;
+    try {
+      const value = JSON.parse(raw);
+      if (isRecord(value)) records.push({ value, line, raw });
+      else invalid.push({ line, raw, detail: 'Not a JSON object' });
+    } catch (err) {
+      invalid.push({ line, raw, detail: err.message });
+    }
+  });
+  return { records, invalid, format: JSON_FORMATS.NDJSON, recordsPath: '', error: null };
+}
+
+/**
+ * Read the sales records from JSON or NDJSON text.
+ *
+ * With format 'auto', text that is not one JSON document is read as NDJSON.
+ * A document's records are the array at `recordsPath`, or the first array of
+ * objects found in it; a lone object is a single record.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {'auto'|'json'|'ndjson'} [options.format='auto']
+ * @param {string} [options.recordsPath] - Path of the records array in a JSON document.
+ * @returns {JSONRecords}
+ */
+export function readJSONRecords(text, options = {}) {
+  const { format = JSON_FORMATS.AUTO, recordsPath = '' } = options;
+  const source = text.replace(/^\uFEFF/, '');
+  if (format === JSON_FORMATS.NDJSON) return readNDJSON(source);
+
+  const fail = (error) => ({ records: [], invalid: [], format: JSON_FORMATS.JSON, recordsPath, error });
+  let doc;
+  try {
+    doc = JSON.parse(source);
+  } catch (err) {
+    if (format === JSON_FORMATS.AUTO) {
+      const lines = readNDJSON(source);
+      if (lines.records.length > 0) return lines;
+    }
+    return fail(`Could not read the file as JSON: ${err.message}`);
+  }
+
+  const path = recordsPath ? normalizePath(recordsPath) : findRecordsPath(doc);
+  const list = path === null ? (isRecord(doc) ? [doc] : null) : getPath(doc, path);
+  if (!Array.isArray(list)) {
+    return fail(recordsPath ? `No array of records at "${recordsPath}".` : 'Could not find an array of sales records in the JSON file.');
+  }
+
+  const records = [];
+  const invalid = [];
+  list.forEach((value, i) => {
+    const raw = JSON.stringify(value) ?? '';
+    if (isRecord(value)) records.push({ value, line: i + 1, raw });
+    else invalid.push({ line: i + 1, raw, detail: 'Not a JSON object' });
+  });
+  return { records, invalid, format: JSON_FORMATS.JSON, recordsPath: path ?? '', error: null };
+}
+
+/**
+ * Lay flattened records out as a header row of paths and one row per record.
+ *
+ * @param {Object[]} records
+ * @returns {{ headers: string[], rows: Array<Array<string|number>> }} Paths
+ *   in order of first appearance.
+ */
+export function recordsToRows(records) {
+  const flat = records.map(flattenRecord);
+  const headers = [...new Set(flat.flatMap((r) => Object.keys(r)))];
+  return { headers, rows: flat.map((r) => headers.map((h) => r[h] ?? '')) };
+}
+
+/**
+ * Turn a path's last key into header words for column detection
+ * ("pricing.unitCost" → "unit cost", "qty_sold" → "qty sold").
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+function pathToHeader(path) {
+  const key = splitPath(path).pop() || '';
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Parse JSON or NDJSON sales data.
+ *
+ * Uses `jsonFormat`, `recordsPath` and `fieldPaths` from the options; an
+ * import profile, when given or matched by its fingerprint against the
+ * paths, names fields by path the same way. Explicit field paths win over
+ * the profile, which wins over detection.
+ *
+ * @param {string} text
+ * @param {import('./csvParser.js').ParseOptions} [options]
+ * @returns {import('./csvParser.js').ParseResult & { json: JSONImportInfo }}
+ */
+export function parseJSON(text, options = {}) {
+  const {
+    jsonFormat,
+    recordsPath,
+    fieldPaths = {},
+    profile: profileOption = 'auto',
+    profiles = BUILT_IN_PROFILES,
+  } = options;
+  const read = readJSONRecords(text, { format: jsonFormat, recordsPath });
+  const json = { format: read.format, recordsPath: read.recordsPath, recordCount: read.records.length };
+  const fatal = (error) => ({
+    parts: [],
+    skippedCount: 0,
+    rejectedRows: [],
+    summaryRows: [],
+    error,
+    dialect: null,
+    columns: null,
+    profile: null,
+    healingSummary: { rows: 0, costChange: 0, revenueChange: 0 },
+    json,
+  });
+  if (read.error) return fatal(read.error);
+
+  const { headers, rows } = recordsToRows(read.records.map((r) => r.value));
+  const paths = {};
+  for (const [field, path] of Object.entries(fieldPaths)) {
+    if (!path) continue;
+    paths[field] = normalizePath(path);
+    if (!headers.includes(paths[field])) {
+      const label = MAPPABLE_FIELDS.find((f) => f.key === field)?.label || field;
+      return fatal(`No record has the field "${path}" (${label}).`);
+    }
+  }
+
+  const base = typeof profileOption === 'object'
+    ? profileOption
+    : profileOption === 'auto' ? matchProfile(headers, profiles) : null;
+  const columns = {};
+  const detected = detectColumnMapping(headers.map(pathToHeader), options.headerSynonyms);
+  for (const [field, idx] of Object.entries(detected)) {
+    if (idx !== -1) columns[field] = headers[idx];
+  }
+  Object.assign(columns, base?.columns, paths);
+
+  // Paths as the header row, always the first row
+  const parser = createCSVParser({
+    ...options,
+    profile: {
+      id: 'json',
+      name: 'JSON',
+      builtIn: true,
+      fingerprint: [],
+      columns,
+      headerOffset: 0,
+      footerRows: 0,
+      delimiter: 'auto',
+      decimalSeparator: base?.decimalSeparator ?? 'auto',
+    },
+  });
+  // Diagnostics show each record as written, not its flattened cells
+  parser.pushRows([headers, ...rows], {
+    lines: [0, ...read.records.map((r) => r.line)],
+    raws: [headers.join(', '), ...read.records.map((r) => r.raw)],
+  });
+  const result = parser.finish();
+
+  const invalid = read.invalid.map((r) => createRejectedRow({ startLine: r.line, raw: r.raw }, REJECT_REASONS.INVALID_RECORD, r.detail));
+  const rejectedRows = [...result.rejectedRows, ...invalid].sort((a, b) => a.line - b.line);
+
+  return {
+    ...result,
+    skippedCount: result.skippedCount + invalid.length,
+    rejectedRows,
+    profile: base ? { id: base.id, name: base.name } : null,
+    json,
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * Price matrix import from CSV, TSV, JSON or a pasted table.
+ *
+ * A shop's current matrix usually already exists in the POS or a
+ * spreadsheet. Any table with min cost, max cost and multiplier or GP%
+ * columns is accepted, including the CSV `exportCSV` writes: its "#" report
+ * lines are skipped, "Maximum" marks the open-ended top tier, and the new
+ * multiplier is preferred over the current one. The tiers are checked with
+ * `detectRangeIssues` and can be compared with the current matrix via
+ * `diffMatrices` before they replace it.
+ */
+
+import {
+  parseCurrency,
+  clampMultiplier,
+  computeGPFromMultiplier,
+  computeMultiplierFromGP,
+  detectRangeIssues,
+  OPEN_ENDED_MAX_COST,
+} from './pricingUtils.js';
+import { detectDelimiter } from './csvDialect.js';
+import { tokenizeCSV } from './csvTokenizer.js';
+import { foldHeader } from './headerSynonyms.js';
+import { readSlice } from './csvStream.js';
+import { detectEncoding } from './textEncoding.js';
+
+/**
+ * How matrix text is laid out.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const MATRIX_FORMATS = {
+  AUTO: 'auto',
+  CSV: 'csv',
+  TSV: 'tsv',
+  JSON: 'json',
+};
+
+/** Fewest tiers a matrix may have (as for Remove Tier). */
+export const MIN_MATRIX_TIERS = 2;
+
+/** Most tiers a matrix may have (as for Add Tier). */
+export const MAX_MATRIX_TIERS = 10;
+
+/**
+ * @typedef {Object} MatrixImportResult
+ * @property {import('./matrixLibrary.js').MatrixTier[]} tiers - Valid rows,
+ *   sorted by min cost and numbered from 1.
+ * @property {Array<{ line: number, message: string }>} rowErrors - Rows left
+ *   out, by line in the text (record number for JSON).
+ * @property {Array<{type: 'gap'|'overlap', from: number, to: number, range: string}>} rangeIssues -
+ *   From `detectRangeIssues` on the tiers.
+ * @property {string|null} error - Why nothing could be imported, or null.
+ */
+
+/**
+ * @typedef {Object} MatrixDiffRow
+ * @property {number} tier - 1-based position.
+ * @property {import('./matrixLibrary.js').MatrixTier|null} before
+ * @property {import('./matrixLibrary.js').MatrixTier|null} after
+ * @property {'added'|'removed'|'changed'|'unchanged'} status
+ * @property {Array<'range'|'multiplier'>} changes - What differs, for 'changed'.
+ */
+
+// Matchers on folded header text, best first (the exported "New Multiplier"
+// wins over "Current Multiplier")
+const COLUMN_MATCHERS = {
+  minCost: [(h) => h === 'min cost', (h) => h === 'min', (h) => h === 'from', (h) => h.includes('min')],
+  maxCost: [(h) => h === 'max cost', (h) => h === 'max', (h) => h === 'to', (h) => h.includes('max')],
+  multiplier: [
+    (h) => h === 'new multiplier',
+    (h) => h === 'multiplier',
+    (h) => h === 'mult',
+    (h) => h === 'factor',
+    (h) => h.includes('multiplier'),
+  ],
+  grossProfit: [
+    (h) => h === 'new gp%',
+    (h) => h === 'gp%',
+    (h) => h === 'gp',
+    (h) => h === 'gross profit %',
+    (h) => h === 'gross profit',
+    (h) => h.includes('gp'),
+    (h) => h.includes('gross profit'),
+    (h) => h.includes('margin'),
+  ],
+};
+
+const HEADER_SCAN_ROWS = 10;
+const OPEN_ENDED_TEXT = /^(?:max(?:imum)?|no limit|and up|over|\+|∞)$/i;
+const HAS_DIGIT = /\d/;
+
+const NO_HEADER_ERROR =
+  'Could not find a header row with Min Cost, Max Cost and Multiplier or GP% columns.';
+
+/**
+ * Find the column of each matrix field in a header row.
+ *
+ * @param {string[]} headers
+ * @returns {{ minCost: number, maxCost: number, multiplier: number, grossProfit: number }}
+ *   Column indexes, -1 when absent.
+ */
+function findMatrixColumns(headers) {
+  const folded = headers.map(foldHeader);
+  const columns = {};
+  for (const [field, matchers] of Object.entries(COLUMN_MATCHERS)) {
+    columns[field] = -1;
+    for (const matcher of matchers) {
+      const idx = folded.findIndex((h, i) => matcher(h) && !Object.values(columns).includes(i));
+      if (idx !== -1) {
+        columns[field] = idx;
+        break;
+      }
+    }
+  }
+  return columns;
+}
+
+// The max cost column is checked separately so its absence gets its own error
+const isMatrixHeader = (columns) =>
+  columns.minCost !== -1 && (columns.multiplier !== -1 || columns.grossProfit !== -1);
+
+/**
+ * Read a numeric cell; null when it holds no number.
+ *
+ * @param {*} value
+ * @returns {number|null}
+ */
+function readNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value ?? '').trim();
+  return HAS_DIGIT.test(text) ? parseCurrency(text) : null;
+}
+
+/**
+ * Turn one data row into a tier, or explain why it cannot be one.
+ *
+ * A max cost of "Maximum" (or similar) marks the open-ended top tier; a
+ * blank one does only in the last row.
+ *
+ * @param {Array<*>} cells
+ * @param {ReturnType<typeof findMatrixColumns>} columns
+ * @param {boolean} isLastRow
+ * @returns {{ tier?: Object, message?: string }}
+ */
+function rowToTier(cells, columns, isLastRow) {
+  const cell = (idx) => (idx === -1 ? undefined : cells[idx]);
+  const minCost = readNumber(cell(columns.minCost));
+  if (minCost === null || minCost < 0) return { message: `Min cost "${cell(columns.minCost) ?? ''}" is not a cost` };
+
+  const rawMax = cell(columns.maxCost);
+  const maxText = String(rawMax ?? '').trim();
+  if (maxText === '' && !isLastRow) return { message: 'Max cost is missing' };
+  const openEnded = maxText === '' || OPEN_ENDED_TEXT.test(maxText);
+  const maxCost = openEnded ? OPEN_ENDED_MAX_COST : readNumber(rawMax);
+  if (maxCost === null) return { message: `Max cost "${rawMax}" is not a cost` };
+  if (maxCost < minCost) return { message: `Max cost ${maxCost.toFixed(2)} is below min cost ${minCost.toFixed(2)}` };
+
+  const rawMultiplier = readNumber(cell(columns.multiplier));
+  const rawGP = readNumber(cell(columns.grossProfit));
+  let multiplier;
+  let grossProfit;
+  if (rawMultiplier !== null && clampMultiplier(rawMultiplier) !== null) {
+    multiplier = clampMultiplier(rawMultiplier);
+    grossProfit = parseFloat(computeGPFromMultiplier(multiplier).toFixed(1));
+  } else if (rawGP !== null) {
+    multiplier = parseFloat(computeMultiplierFromGP(rawGP).toFixed(4));
+    grossProfit = parseFloat(Math.max(0, Math.min(rawGP, 99.9)).toFixed(1));
+  } else {
+    return { message: 'No multiplier or GP%' };
+  }
+  return { tier: { minCost, maxCost, multiplier, grossProfit } };
+}
+
+/**
+ * Build the tiers from a header row and data rows.
+ *
+ * @param {Array<{ cells: Array<*>, line: number }>} rows - Starting at the header search.
+ * @returns {MatrixImportResult}
+ */
+function rowsToMatrix(rows) {
+  const fail = (error) => ({ tiers: [], rowErrors: [], rangeIssues: [], error });
+  const headerAt = rows.slice(0, HEADER_SCAN_ROWS).findIndex((r) => isMatrixHeader(findMatrixColumns(r.cells.map(String))));
+  if (headerAt === -1) return fail(NO_HEADER_ERROR);
+  const columns = findMatrixColumns(rows[headerAt].cells.map(String));
+  if (columns.maxCost === -1) return fail('No max cost column found in the header row.');
+
+  const parsed = [];
+  const rowErrors = [];
+  const dataRows = rows.slice(headerAt + 1);
+  for (const [i, { cells, line }] of dataRows.entries()) {
+    const { tier, message } = rowToTier(cells, columns, i === dataRows.length - 1);
+    if (tier) parsed.push(tier);
+    else rowErrors.push({ line, message });
+  }
+  if (parsed.length === 0) return { ...fail('No tiers found below the header row.'), rowErrors };
+  if (parsed.length < MIN_MATRIX_TIERS) {
+    return { ...fail(`The matrix has 1 tier; at least ${MIN_MATRIX_TIERS} are needed.`), rowErrors };
+  }
+  if (parsed.length > MAX_MATRIX_TIERS) {
+    return { ...fail(`The matrix has ${parsed.length} tiers; at most ${MAX_MATRIX_TIERS} are supported.`), rowErrors };
+  }
+
+  const tiers = parsed
+    .sort((a, b) => a.minCost - b.minCost)
+    .map((tier, i) => ({ id: i + 1, ...tier }));
+  if (tiers.slice(0, -1).some((t) => t.maxCost === OPEN_ENDED_MAX_COST)) {
+    return { ...fail('Only the last tier can be open-ended (Maximum).'), rowErrors };
+  }
+  return { tiers, rowErrors, rangeIssues: detectRangeIssues(tiers), error: null };
+}
+
+/**
+ * Lay JSON tier objects out as rows: their keys ("minCost", "max_cost")
+ * become the header row.
+ *
+ * @param {string} text
+ * @returns {{ rows: Array<{ cells: Array<*>, line: number }>, error: string|null }}
+ */
+function jsonToRows(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    return { rows: [], error: `Could not read the matrix as JSON: ${err.message}` };
+  }
+  const list = Array.isArray(doc) ? doc : doc?.tiers;
+  if (!Array.isArray(list) || !list.every((t) => t && typeof t === 'object')) {
+    return { rows: [], error: 'Expected a JSON array of tiers, or an object with a "tiers" array.' };
+  }
+  // "minCost" and "min_cost" both become the header "min cost"
+  const toHeader = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  const headers = [...new Set(list.flatMap((t) => Object.keys(t).map(toHeader)))];
+  const toCells = (t) => {
+    const byHeader = Object.fromEntries(Object.entries(t).map(([k, v]) => [toHeader(k), v]));
+    return headers.map((h) => byHeader[h]);
+  };
+  return {
+    rows: [{ cells: headers, line: 0 }, ...list.map((t, i) => ({ cells: toCells(t), line: i + 1 }))],
+    error: null,
+  };
+}
+
+/**
+ * Split delimited text into rows, skipping blank and "#" comment lines.
+ *
+ * @param {string} text
+ * @param {string} [delimiter] - Detected when omitted.
+ * @returns {Array<{ cells: string[], line: number }>}
+ */
+function delimitedToRows(text, delimiter) {
+  // Comment lines become blank so line numbers still match the text
+  const body = text.split(/\r\n|\n|\r/).map((l) => (l.trim().startsWith('#') ? '' : l)).join('\n');
+  return tokenizeCSV(body, { delimiter: delimiter || detectDelimiter(body) })
+    .filter((r) => r.raw.trim())
+    .map((r) => ({ cells: r.fields, line: r.startLine }));
+}
+
+/**
+ * Parse a price matrix from text.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {'auto'|'csv'|'tsv'|'json'} [options.format='auto'] - With 'auto',
+ *   text starting with "[" or "{" is JSON and anything else is delimited.
+ * @returns {MatrixImportResult}
+ */
+export function parseMatrixText(text, options = {}) {
+  const { format = MATRIX_FORMATS.AUTO } = options;
+  const source = text.replace(/^\uFEFF/, '').trim();
+  const isJSON = format === MATRIX_FORMATS.JSON || (format === MATRIX_FORMATS.AUTO && /^[[{]/.test(source));
+  if (isJSON) {
+    const { rows, error } = jsonToRows(source);
+    return error ? { tiers: [], rowErrors: [], rangeIssues: [], error } : rowsToMatrix(rows);
+  }
+  const delimiter = { [MATRIX_FORMATS.CSV]: ',', [MATRIX_FORMATS.TSV]: '\t' }[format];
+  return rowsToMatrix(delimitedToRows(source, delimiter));
+}
+
+/**
+ * Read and parse a matrix file; the format follows the extension (.json,
+ * .tsv, .csv) and the encoding is detected as for sales files.
+ *
+ * @param {Blob & { name?: string }} file
+ * @returns {Promise<MatrixImportResult>}
+ */
+export async function readMatrixFile(file) {
+  const buffer = await readSlice(file);
+  const text = new TextDecoder(detectEncoding(buffer).encoding).decode(buffer);
+  const ext = (file.name || '').toLowerCase().match(/\.(json|tsv|csv)$/)?.[1];
+  return parseMatrixText(text, { format: ext || MATRIX_FORMATS.AUTO });
+}
+
+/**
+ * Compare two matrices tier by tier (by position).
+ *
+ * @param {import('./matrixLibrary.js').MatrixTier[]} current
+ * @param {import('./matrixLibrary.js').MatrixTier[]} next
+ * @returns {MatrixDiffRow[]}
+ */
+export function diffMatrices(current, next) {
+  const same = (a, b) => a === b || Math.abs(a - b) < 0.005;
+  return Array.from({ length: Math.max(current.length, next.length) }, (_, i) => {
+    const before = current[i] || null;
+    const after = next[i] || null;
+    if (!before || !after) return { tier: i + 1, before, after, status: before ? 'removed' : 'added', changes: [] };
+    const changes = [];
+    if (!same(before.minCost, after.minCost) || !same(before.maxCost, after.maxCost)) changes.push('range');
+    if (!same(before.multiplier, after.multiplier)) changes.push('multiplier');
+    return { tier: i + 1, before, after, status: changes.length ? 'changed' : 'unchanged', changes };
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * A library of named price matrices.
+ *
+ * Shops price retail, fleet and warranty work from different matrices, and
+ * want to try a draft without touching the live one. The library keeps every
+ * matrix with its own metadata (author, notes, last modified) and which one
+ * is selected; the analysis and optimizer always run on the selected one.
+ * Every function returns a new library and leaves its input unchanged, so
+ * the library can live in React state; matrixStorage.js saves and loads it.
+ */
+
+/**
+ * @typedef {Object} MatrixTier
+ * @property {number} id
+ * @property {number} minCost
+ * @property {number} maxCost - OPEN_ENDED_MAX_COST (Infinity, see
+ *   pricingUtils.js) for the open-ended top tier (saved as null, see
+ *   matrixStorage.js).
+ * @property {number} multiplier
+ * @property {number} grossProfit
+ */
+
+/**
+ * @typedef {Object} MatrixEntry
+ * @property {string}       id
+ * @property {string}       name
+ * @property {MatrixTier[]} tiers
+ * @property {string}       author
+ * @property {string}       notes
+ * @property {string}       updatedAt - ISO timestamp of the last change.
+ */
+
+/**
+ * @typedef {Object} MatrixLibrary
+ * @property {string}        activeId - Id of the selected matrix.
+ * @property {MatrixEntry[]} matrices - In creation order; never empty.
+ */
+
+/**
+ * Build a matrix entry with a fresh id.
+ *
+ * @param {string}       name
+ * @param {MatrixTier[]} tiers
+ * @param {{ author?: string, notes?: string }} [meta]
+ * @param {Date}         [now]
+ * @returns {MatrixEntry}
+ */
+export function createMatrixEntry(name, tiers, meta = {}, now = new Date()) {
+  return {
+    id: `matrix-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim(),
+    tiers,
+    author: meta.author ?? '',
+    notes: meta.notes ?? '',
+    updatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * A library holding one matrix.
+ *
+ * @param {MatrixTier[]} tiers
+ * @param {string} [name='Default']
+ * @returns {MatrixLibrary}
+ */
+export function createMatrixLibrary(tiers, name = 'Default') {
+  const entry = createMatrixEntry(name, tiers);
+  return { activeId: entry.id, matrices: [entry] };
+}
+
+/**
+ * The selected matrix.
+ *
+ * @param {MatrixLibrary} library
+ * @returns {MatrixEntry}
+ */
+export function getActiveMatrix(library) {
+  return library.matrices.find((m) => m.id === library.activeId) || library.matrices[0];
+}
+
+/**
+ * A name no other matrix uses: `name`, or `name (2)`, `name (3)`, …
+ *
+ * @param {MatrixLibrary} library
+ * @param {string}        name
+ * @param {string}        [exceptId] - Matrix whose own name does not count.
+ * @returns {string}
+ */
+export function uniqueMatrixName(library, name, exceptId) {
+  const base = name.trim();
+  const taken = new Set(library.matrices.filter((m) => m.id !== exceptId).map((m) => m.name.toLowerCase()));
+  if (!taken.has(base.toLowerCase())) return base;
+  let n = 2;
+  while (taken.has(`${base} (${n})`.toLowerCase())) n++;
+  return `${base} (${n})`;
+}
+
+/**
+ * Add a matrix and select it.
+ *
+ * @param {MatrixLibrary} library
+ * @param {string}        name
+ * @param {MatrixTier[]}  tiers
+ * @param {{ author?: string, notes?: string }} [meta]
+ * @returns {MatrixLibrary}
+ */
+export function addMatrix(library, name, tiers, meta) {
+  const entry = createMatrixEntry(uniqueMatrixName(library, name), tiers, meta);
+  return { activeId: entry.id, matrices: [...library.matrices, entry] };
+}
+
+/**
+ * Copy a matrix, tiers and metadata, and select the copy.
+ *
+ * @param {MatrixLibrary} library
+ * @param {string}        id
+ * @param {string}        [name] - Defaults to "<name> copy".
+ * @returns {MatrixLibrary}
+ */
+export function duplicateMatrix(library, id, name) {
+  const source = library.matrices.find((m) => m.id === id);
+  if (!source) return library;
+  return addMatrix(library, name || `${source.name} copy`, source.tiers.map((t) => ({ ...t })), {
+    author: source.author,
+    notes: source.notes,
+  });
+}
+
+/**
+ * Change a matrix's tiers or metadata and stamp it as modified. Unchanged
+ * values leave the library as it is.
+ *
+ * @param {MatrixLibrary} library
+ * @param {string}        id
+ * @param {Partial<Pick<MatrixEntry, 'name'|'tiers'|'author'|'notes'>>} changes -
+ *   A blank name is ignored; a name in use gets a number.
+ * @param {Date}          [now]
+ * @returns {MatrixLibrary}
+ */
+export function updateMatrix(library, id, changes, now = new Date()) {
+  const entry = library.matrices.find((m) => m.id === id);
+  if (!entry) return library;
+  const next = { ...entry, ...changes };
+  next.name = changes.name?.trim() ? uniqueMatrixName(library, changes.name, id) : entry.name;
+  if (['name', 'tiers', 'author', 'notes'].every((key) => next[key] === entry[key])) return library;
+  next.updatedAt = now.toISOString();
+  return { ...library, matrices: library.matrices.map((m) => (m.id === id ? next : m)) };
+}
+
+/**
+ * Delete a matrix. The last one left cannot be deleted; deleting the
+ * selected one selects its neighbour.
+ *
+ * @param {MatrixLibrary} library
+ * @param {string}        id
+ * @returns {MatrixLibrary}
+ */
+export function deleteMatrix(library, id) {
+  const idx = library.matrices.findIndex((m) => m.id === id);
+  if (idx === -1 || library.matrices.length <= 1) return library;
+  const matrices = library.matrices.filter((m) => m.id !== id);
+  const activeId = library.activeId === id ? matrices[Math.min(idx, matrices.length - 1)].id : library.activeId;
+  return { activeId, matrices };
+}
+
+/**
+ * Select a matrix.
+ *
+ * @param {MatrixLibrary} library
+ * @param {string}        id
+ * @returns {MatrixLibrary}
+ */
+export function selectMatrix(library, id) {
+  if (id === library.activeId || !library.matrices.some((m) => m.id === id)) return library;
+  return { ...library, activeId: id };
+}
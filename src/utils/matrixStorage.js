@@ -0,0 +1,297 @@
+/**
+ * Versioned storage format for the matrix library.
+ *
+ * The library is saved to localStorage as a document with a format version,
+ * checked against a schema when it is loaded. Older formats are migrated
+ * first: the single unversioned tier array saved before the library existed,
+ * and the unversioned library. In the stored tiers the open-ended top tier
+ * has `maxCost: null` (Infinity in memory; the unversioned formats used
+ * 999999).
+ *
+ * Saved data that fails the schema is not thrown away: matrices that pass
+ * are kept, the rest are listed in a report with the reasons, and the
+ * original text is handed back so it can be backed up and fixed by hand.
+ */
+
+import { createMatrixLibrary } from './matrixLibrary.js';
+import { OPEN_ENDED_MAX_COST } from './pricingUtils.js';
+
+/** Current storage format version. */
+export const MATRIX_STORAGE_VERSION = 1;
+
+const MAX_TIERS = 10;
+
+// `maxCost` of the open-ended top tier in the unversioned formats
+const LEGACY_OPEN_ENDED_MAX_COST = 999999;
+
+/**
+ * @typedef {Object} StoredTier
+ * @property {number}      minCost
+ * @property {number|null} maxCost - null for no upper limit.
+ * @property {number}      multiplier
+ * @property {number}      grossProfit
+ */
+
+/**
+ * @typedef {Object} StoredMatrix
+ * @property {string}       id
+ * @property {string}       name
+ * @property {string}       author
+ * @property {string}       notes
+ * @property {string}       updatedAt
+ * @property {StoredTier[]} tiers
+ */
+
+/**
+ * @typedef {Object} MatrixDocument
+ * @property {number}         version
+ * @property {string}         activeId
+ * @property {StoredMatrix[]} matrices
+ */
+
+/**
+ * @typedef {Object} StorageIssue
+ * @property {string} path    - Where in the document, e.g. "matrices[1].tiers[0].multiplier".
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} StorageReport
+ * @property {StorageIssue[]} issues
+ * @property {string[]}       droppedMatrices - Names (or ids) of matrices not loaded.
+ * @property {number}         loadedCount     - Matrices recovered from the saved data.
+ * @property {string}         raw             - The saved text, unchanged.
+ */
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * In-memory tiers to stored tiers.
+ *
+ * @param {import('./matrixLibrary.js').MatrixTier[]} tiers
+ * @returns {StoredTier[]}
+ */
+function toStoredTiers(tiers) {
+  return tiers.map((t) => ({
+    minCost: t.minCost,
+    maxCost: t.maxCost === OPEN_ENDED_MAX_COST ? null : t.maxCost,
+    multiplier: t.multiplier,
+    grossProfit: t.grossProfit,
+  }));
+}
+
+/**
+ * Stored tiers to in-memory tiers, numbered from 1.
+ *
+ * @param {StoredTier[]} tiers
+ * @returns {import('./matrixLibrary.js').MatrixTier[]}
+ */
+function fromStoredTiers(tiers) {
+  return tiers.map((t, idx) => ({
+    id: idx + 1,
+    minCost: t.minCost,
+    maxCost: t.maxCost === null ? OPEN_ENDED_MAX_COST : t.maxCost,
+    multiplier: t.multiplier,
+    grossProfit: t.grossProfit,
+  }));
+}
+
+// Unversioned tiers may lack grossProfit; it follows from the multiplier
+const migrateTiers = (tiers) => (Array.isArray(tiers) ? tiers.map((t) => (isObject(t) ? {
+  minCost: t.minCost,
+  maxCost: t.maxCost === LEGACY_OPEN_ENDED_MAX_COST ? null : t.maxCost,
+  multiplier: t.multiplier,
+  grossProfit: isNumber(t.grossProfit) || !isNumber(t.multiplier)
+    ? t.grossProfit
+    : parseFloat((100 - 100 / t.multiplier).toFixed(1)),
+} : t)) : tiers);
+
+/**
+ * Migrations by the version they upgrade from. Version 0 is anything saved
+ * without a version: a bare tier array or the first library object.
+ */
+const MIGRATIONS = {
+  0: (doc) => {
+    if (Array.isArray(doc)) {
+      const { activeId, matrices } = createMatrixLibrary([]);
+      return { version: 1, activeId, matrices: [{ ...matrices[0], tiers: migrateTiers(doc) }] };
+    }
+    return {
+      version: 1,
+      activeId: doc.activeId,
+      matrices: Array.isArray(doc.matrices) ? doc.matrices.map((m) => (isObject(m) ? {
+        id: m.id,
+        name: m.name,
+        author: m.author ?? '',
+        notes: m.notes ?? '',
+        updatedAt: m.updatedAt ?? new Date(0).toISOString(),
+        tiers: migrateTiers(m.tiers),
+      } : m)) : doc.matrices,
+    };
+  },
+};
+
+/**
+ * Upgrade a saved document to the current version.
+ *
+ * @param {*} doc - Parsed JSON.
+ * @returns {{ doc: *, issues: StorageIssue[] }} issues is non-empty when the
+ *   document cannot be migrated at all.
+ */
+export function migrateMatrixDocument(doc) {
+  if (!Array.isArray(doc) && !isObject(doc)) {
+    return { doc, issues: [{ path: '', message: 'Expected a matrix library object or a tier array' }] };
+  }
+  let version = Array.isArray(doc) || doc.version === undefined ? 0 : doc.version;
+  if (!Number.isInteger(version) || version < 0) {
+    return { doc, issues: [{ path: 'version', message: `Unknown format version ${JSON.stringify(doc.version)}` }] };
+  }
+  if (version > MATRIX_STORAGE_VERSION) {
+    return { doc, issues: [{ path: 'version', message: `Saved by a newer version of the app (format ${version})` }] };
+  }
+  let current = doc;
+  while (version < MATRIX_STORAGE_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return { doc: current, issues: [] };
+}
+
+/**
+ * Check one stored matrix against the schema. Tier ranges must ascend without
+ * overlapping, and only the last tier may be open-ended.
+ *
+ * @param {*}      matrix
+ * @param {string} path - e.g. "matrices[0]".
+ * @returns {StorageIssue[]}
+ */
+export function validateStoredMatrix(matrix, path) {
+  if (!isObject(matrix)) return [{ path, message: 'Expected a matrix object' }];
+  const issues = [];
+  const check = (ok, field, message) => {
+    if (!ok) issues.push({ path: `${path}.${field}`, message });
+  };
+  check(typeof matrix.id === 'string' && matrix.id !== '', 'id', 'Must be a non-empty string');
+  check(typeof matrix.name === 'string' && matrix.name.trim() !== '', 'name', 'Must be a non-empty string');
+  check(typeof matrix.author === 'string', 'author', 'Must be a string');
+  check(typeof matrix.notes === 'string', 'notes', 'Must be a string');
+  check(typeof matrix.updatedAt === 'string' && !isNaN(Date.parse(matrix.updatedAt)), 'updatedAt', 'Must be an ISO date');
+
+  const { tiers } = matrix;
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    check(false, 'tiers', `Must be a list of 1 to ${MAX_TIERS} tiers`);
+    return issues;
+  }
+  // Max cost of the tier before, while the ranges so far are readable
+  let previousMax = -Infinity;
+  tiers.forEach((tier, i) => {
+    const at = `tiers[${i}]`;
+    if (!isObject(tier)) {
+      check(false, at, 'Expected a tier object');
+      previousMax = null;
+      return;
+    }
+    const isLast = i === tiers.length - 1;
+    const minOk = isNumber(tier.minCost) && tier.minCost >= 0;
+    const maxOk = isNumber(tier.maxCost) && tier.maxCost >= 0;
+    check(minOk, `${at}.minCost`, 'Must be a cost of 0 or more');
+    if (tier.maxCost === null) {
+      check(isLast, `${at}.maxCost`, 'Only the last tier can have no upper limit');
+    } else {
+      check(maxOk, `${at}.maxCost`, isLast ? 'Must be a cost of 0 or more, or null for no upper limit' : 'Must be a cost of 0 or more');
+    }
+    if (minOk && maxOk) check(tier.minCost <= tier.maxCost, `${at}.maxCost`, 'Must not be below the min cost');
+    if (minOk && previousMax !== null) {
+      check(tier.minCost > previousMax, `${at}.minCost`, `Must be above the previous tier's max cost (${previousMax.toFixed(2)})`);
+    }
+    previousMax = maxOk ? tier.maxCost : null;
+    check(isNumber(tier.multiplier) && tier.multiplier >= 1.01 && tier.multiplier <= 100, `${at}.multiplier`,
+      'Must be a number from 1.01 to 100');
+    check(isNumber(tier.grossProfit) && tier.grossProfit >= 0 && tier.grossProfit < 100, `${at}.grossProfit`,
+      'Must be a percentage from 0 to 99.9');
+  });
+  return issues;
+}
+
+/**
+ * Serialize the library in the current storage format.
+ *
+ * @param {import('./matrixLibrary.js').MatrixLibrary} library
+ * @returns {string}
+ */
+export function serializeMatrixLibrary(library) {
+  /** @type {MatrixDocument} */
+  const doc = {
+    version: MATRIX_STORAGE_VERSION,
+    activeId: library.activeId,
+    matrices: library.matrices.map((m) => ({
+      id: m.id,
+      name: m.name,
+      author: m.author,
+      notes: m.notes,
+      updatedAt: m.updatedAt,
+      tiers: toStoredTiers(m.tiers),
+    })),
+  };
+  return JSON.stringify(doc);
+}
+
+/**
+ * Load the library from saved text. Nothing saved gives a new library with
+ * `fallbackTiers`; saved data that fails the schema keeps the matrices that
+ * pass (or falls back when none do) and comes with a report.
+ *
+ * @param {string|null} savedText   - Saved library (any version), or null.
+ * @param {string|null} legacyText  - Tier array saved before the library, or null.
+ * @param {import('./matrixLibrary.js').MatrixTier[]} fallbackTiers
+ * @returns {{ library: import('./matrixLibrary.js').MatrixLibrary, report: StorageReport|null }}
+ */
+export function loadMatrixLibrary(savedText, legacyText, fallbackTiers) {
+  const raw = savedText ?? legacyText;
+  if (raw === null || raw === undefined) return { library: createMatrixLibrary(fallbackTiers), report: null };
+
+  const fail = (issues, droppedMatrices = []) => ({
+    library: createMatrixLibrary(fallbackTiers),
+    report: { issues, droppedMatrices, loadedCount: 0, raw },
+  });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    return fail([{ path: '', message: `Not valid JSON: ${err.message}` }]);
+  }
+  const { doc, issues: migrationIssues } = migrateMatrixDocument(parsed);
+  if (migrationIssues.length > 0) return fail(migrationIssues);
+  if (!Array.isArray(doc.matrices) || doc.matrices.length === 0) {
+    return fail([{ path: 'matrices', message: 'Must be a non-empty list of matrices' }]);
+  }
+
+  const issues = [];
+  const droppedMatrices = [];
+  const seenIds = new Set();
+  const matrices = [];
+  doc.matrices.forEach((matrix, i) => {
+    const path = `matrices[${i}]`;
+    const matrixIssues = validateStoredMatrix(matrix, path);
+    if (matrixIssues.length === 0 && seenIds.has(matrix.id)) {
+      matrixIssues.push({ path: `${path}.id`, message: `Duplicate id "${matrix.id}"` });
+    }
+    if (matrixIssues.length > 0) {
+      issues.push(...matrixIssues);
+      droppedMatrices.push(typeof matrix?.name === 'string' && matrix.name.trim() ? matrix.name : `Matrix ${i + 1}`);
+      return;
+    }
+    seenIds.add(matrix.id);
+    matrices.push({ ...matrix, tiers: fromStoredTiers(matrix.tiers) });
+  });
+
+  if (matrices.length === 0) return fail(issues, droppedMatrices);
+  const activeId = matrices.some((m) => m.id === doc.activeId) ? doc.activeId : matrices[0].id;
+  return {
+    library: { activeId, matrices },
+    report: issues.length > 0 ? { issues, droppedMatrices, loadedCount: matrices.length, raw } : null,
+  };
+}
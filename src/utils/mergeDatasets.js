@@ -0,0 +1,84 @@
+/**
+ * Merging of several parsed sales files into one dataset.
+ *
+ * Shops often pull one export per month or per location, and consecutive
+ * exports can overlap: a report run for "Jan 1 – Feb 5" followed by one for
+ * "Feb 1 – Feb 28" repeats the first days of February. Rows that repeat in
+ * a later file are dropped so those sales are not counted twice.
+ */
+
+/**
+ * @typedef {Object} Dataset
+ * @property {string} id - Identifies the file the parts came from.
+ * @property {import('./csvParser.js').ParsedPart[]} parts
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {import('./csvParser.js').ParsedPart[]} parts - Merged parts, in
+ *   dataset order, without the repeats.
+ * @property {Object<string, number>} duplicateCounts - Rows dropped per dataset id.
+ */
+
+/**
+ * Key identifying a sale line across files, or null when the row carries
+ * neither an invoice date nor an RO number. Without one of those a repeat
+ * cannot be told apart from a second sale of the same part, so such rows
+ * are never treated as duplicates.
+ *
+ * @param {import('./csvParser.js').ParsedPart} part
+ * @returns {string|null}
+ */
+export function partFingerprint(part) {
+  if (!part.invoiceDate && !part.roNumber) return null;
+  return [
+    part.invoiceDate || '',
+    part.roNumber || '',
+    part.partNumber || '',
+    (part.description || '').toLowerCase(),
+    part.rowType || '',
+    part.unitCost.toFixed(4),
+    part.unitRetail.toFixed(4),
+    part.qty,
+  ].join('\u0000');
+}
+
+/**
+ * Merge datasets, dropping rows of later datasets that repeat a row of an
+ * earlier one. Identical rows within one file are kept (the same part can
+ * appear twice on a repair order); across files a row counts as a repeat
+ * as many times as it appeared before.
+ *
+ * @param {Dataset[]} datasets
+ * @returns {MergeResult}
+ */
+export function mergeDatasets(datasets) {
+  const parts = [];
+  const duplicateCounts = {};
+  const seen = new Map(); // fingerprint → rows merged from earlier datasets
+
+  for (const dataset of datasets) {
+    const matched = new Map(); // fingerprint → earlier rows consumed by this dataset
+    const added = new Map();
+    let duplicates = 0;
+
+    for (const part of dataset.parts) {
+      const key = partFingerprint(part);
+      if (key !== null) {
+        const used = matched.get(key) || 0;
+        if (used < (seen.get(key) || 0)) {
+          matched.set(key, used + 1);
+          duplicates++;
+          continue;
+        }
+        added.set(key, (added.get(key) || 0) + 1);
+      }
+      parts.push(part);
+    }
+
+    for (const [key, count] of added) seen.set(key, (seen.get(key) || 0) + count);
+    duplicateCounts[dataset.id] = duplicates;
+  }
+
+  return { parts, duplicateCounts };
+}
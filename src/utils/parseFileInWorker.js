@@ -0,0 +1,72 @@
+/**
+ * Main-thread client for the CSV parser worker.
+ *
+ * Spawns `src/workers/csvParser.worker.js` for each file so the upload step
+ * stays responsive on large exports. Where Web Workers are unavailable
+ * (tests, very old browsers) the same chunked parse runs on the main thread,
+ * yielding to the event loop between chunks.
+ */
+
+import { parseImportFile, createAbortError } from './csvStream.js';
+
+/**
+ * @typedef {Object} ParseJob
+ * @property {Promise<import('./csvParser.js').ParseResult>} promise
+ *   Resolves with the parse result; rejects with an `AbortError` on cancel.
+ * @property {() => void} cancel - Stop parsing immediately.
+ */
+
+/**
+ * Parse a file in a background worker.
+ *
+ * @param {File} file - Uploaded CSV, Excel (.xlsx), JSON / NDJSON or fixed-width text file.
+ * @param {Object} [options]
+ * @param {(progress: import('./csvStream.js').ParseProgress) => void} [options.onProgress]
+ * @param {import('./csvParser.js').ParseOptions} [options.parseOptions] - Dialect overrides.
+ * @returns {ParseJob}
+ */
+export function parseFileInWorker(file, options = {}) {
+  const { onProgress, parseOptions } = options;
+
+  if (typeof Worker === 'undefined') {
+    const controller = new AbortController();
+    return {
+      promise: parseImportFile(file, { onProgress, parseOptions, signal: controller.signal }),
+      cancel: () => controller.abort(),
+    };
+  }
+
+  const worker = new Worker(new URL('../workers/csvParser.worker.js', import.meta.url), {
+    type: 'module',
+  });
+  let rejectJob;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.({ loaded: data.loaded, total: data.total });
+      } else if (data.type === 'result') {
+        worker.terminate();
+        resolve(data.result);
+      } else if (data.type === 'error') {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'CSV worker failed.'));
+    };
+  });
+
+  worker.postMessage({ file, parseOptions });
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      rejectJob(createAbortError());
+    },
+  };
+}
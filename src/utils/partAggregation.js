@@ -0,0 +1,104 @@
+/**
+ * Roll-up of sales lines per part number.
+ *
+ * The parser returns one entry per invoice line, so a filter sold forty
+ * times shows up as forty "parts". Rolling the lines up per part number
+ * gives one entry per distinct part with its weighted average cost and
+ * retail, total quantity and how often it was sold — the view a parts
+ * manager uses when judging where a part sits in the matrix.
+ */
+
+import { ROW_TYPES } from './importDiagnostics.js';
+
+const isSale = (p) => !p.rowType || p.rowType === ROW_TYPES.SALE;
+
+/**
+ * @typedef {import('./csvParser.js').ParsedPart & {
+ *   timesSold: number,
+ *   returnCount: number,
+ *   lines: number[],
+ * }} AggregatedPart
+ * A part number's lines combined: `unitCost` / `unitRetail` are the
+ * qty-weighted averages of its sales, `qty` and the totals are net of its
+ * returns, `timesSold` counts the sale lines and `lines` lists every line
+ * rolled into it.
+ */
+
+/**
+ * Combine sales and returns that share a part number into one entry each.
+ *
+ * Sale lines without a part number, returns of parts never sold in the data
+ * and core charges/credits are passed through unchanged, so totals over the
+ * result match totals over the input.
+ *
+ * @param {import('./csvParser.js').ParsedPart[]} parts
+ * @returns {Array<import('./csvParser.js').ParsedPart|AggregatedPart>} In order
+ *   of each part number's first sale.
+ */
+export function aggregateByPartNumber(parts) {
+  const groups = new Map(); // part number → { sales, returns }, in order of first sale
+  for (const part of parts) {
+    if (!part.partNumber || !isSale(part)) continue;
+    if (!groups.has(part.partNumber)) groups.set(part.partNumber, { sales: [], returns: [] });
+    groups.get(part.partNumber).sales.push(part);
+  }
+
+  const passThrough = [];
+  for (const part of parts) {
+    if (part.partNumber && isSale(part)) continue;
+    if (part.partNumber && part.rowType === ROW_TYPES.RETURN && groups.has(part.partNumber)) {
+      groups.get(part.partNumber).returns.push(part);
+    } else {
+      passThrough.push(part);
+    }
+  }
+
+  const sum = (rows, field) => rows.reduce((total, p) => total + p[field], 0);
+  const rolledUp = [...groups.values()].map(({ sales, returns }) => {
+    // Per-line healing overrides no longer apply to the combined entry
+    const { healing: _healing, ...first } = sales[0];
+    const saleQty = sum(sales, 'qty');
+    // Weight by quantity; fall back to a plain average if there is none
+    const average = (field, totalField) =>
+      saleQty > 0 ? sum(sales, totalField) / saleQty : sum(sales, field) / sales.length;
+
+    return {
+      ...first,
+      unitCost: average('unitCost', 'totalCost'),
+      unitRetail: average('unitRetail', 'totalRetail'),
+      qty: saleQty + sum(returns, 'qty'),
+      totalCost: sum(sales, 'totalCost') + sum(returns, 'totalCost'),
+      totalRetail: sum(sales, 'totalRetail') + sum(returns, 'totalRetail'),
+      rowType: ROW_TYPES.SALE,
+      timesSold: sales.length,
+      returnCount: returns.length,
+      lines: [...sales, ...returns].map((p) => p.line),
+    };
+  });
+
+  return [...rolledUp, ...passThrough];
+}
+
+/**
+ * Count distinct parts and sale lines. Sales without a part number count as
+ * a distinct part each; rolled-up entries contribute their `timesSold`
+ * lines. Returns and core rows are not counted.
+ *
+ * @param {Array<import('./csvParser.js').ParsedPart|AggregatedPart>} parts
+ * @returns {{ distinctPartCount: number, lineCount: number }}
+ */
+export function countPartsAndLines(parts) {
+  const partNumbers = new Set();
+  let distinctPartCount = 0;
+  let lineCount = 0;
+  for (const part of parts) {
+    if (!isSale(part)) continue;
+    lineCount += part.timesSold ?? 1;
+    if (!part.partNumber) distinctPartCount++;
+    else if (!partNumbers.has(part.partNumber)) {
+      partNumbers.add(part.partNumber);
+      distinctPartCount++;
+    }
+  }
+  return { distinctPartCount, lineCount };
+}
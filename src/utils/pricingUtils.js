@@ -8,17 +8,37 @@
  * All functions are side-effect-free and deterministic.
  */
 
+import { ROW_TYPES } from './importDiagnostics.js';
+import { countPartsAndLines } from './partAggregation.js';
+
+/**
+ * `maxCost` of the open-ended top tier. Infinity rather than a large number,
+ * so any cost falls within it and a real limit of any size stays a limit.
+ */
+export const OPEN_ENDED_MAX_COST = Infinity;
+
 /**
  * Parse a currency string (e.g. "$1,234.56") into a float.
- * Strips non-numeric characters except decimal point and minus sign.
+ * Strips non-numeric characters except the decimal separator and minus sign.
+ * Accounting-style negatives in parentheses ("($12.50)") are read as negative.
+ *
+ * With `decimalSeparator: ','` European-formatted values such as
+ * "1.234,56 €" are read as 1234.56.
  *
  * @param {string|number|null|undefined} str - Input value to parse.
+ * @param {{ decimalSeparator?: '.'|',' }} [options] - Number format override.
  * @returns {number} Parsed float, or 0 if parsing fails.
  */
-export function parseCurrency(str) {
+export function parseCurrency(str, options = {}) {
   if (str === null || str === undefined || str === '') return 0;
-  const cleanStr = str.toString().replace(/[^0-9.-]+/g, '');
-  return parseFloat(cleanStr) || 0;
+  const text = str.toString();
+  let value;
+  if (options.decimalSeparator === ',') {
+    value = parseFloat(text.replace(/[^0-9,-]+/g, '').replace(',', '.')) || 0;
+  } else {
+    value = parseFloat(text.replace(/[^0-9.-]+/g, '')) || 0;
+  }
+  return /^\s*[^\d-]*\(.*\)\s*$/.test(text) ? -Math.abs(value) : value;
 }
 
 /**
@@ -126,7 +146,7 @@ export function detectRangeIssues(matrix) {
   for (let i = 0; i < matrix.length - 1; i++) {
     const current = matrix[i];
     const next = matrix[i + 1];
-    if (current.maxCost === 999999) continue;
+    if (current.maxCost === OPEN_ENDED_MAX_COST) continue;
     const gap = next.minCost - current.maxCost;
     if (gap > 0.02) {
       issues.push({
@@ -152,34 +172,69 @@ export function detectRangeIssues(matrix) {
  *
  * Each part is assigned to the **first** matching tier only (dedup logic).
  * Revenue share percentages are calculated after all tiers are processed.
+ * The tier's parts are returned as-is in `parts`, so identity fields from the
+ * parser (part number, description, vendor, ...) stay available per tier.
+ *
+ * Rows classified by the parser (`rowType`) are handled as follows:
+ *  - returns carry negative qty/totals and net against the tier of the
+ *    matching sale (same part number, else their own unit cost);
+ *  - core charges and credits are pass-through deposits and are left out of
+ *    the tier totals;
+ *  - `partCount` counts sale entries, `returnCount` the netted returns.
+ * Parts without a `rowType` are treated as sales.
+ *
+ * Distinct parts are reported separately from invoice lines:
+ * `distinctPartCount` counts the different part numbers sold in the tier
+ * (sales without a part number count once each) and `lineCount` the sale
+ * lines. For entries rolled up by `aggregateByPartNumber`, `timesSold` and
+ * `returnCount` supply the line counts.
  *
- * @param {Array<{unitCost: number, unitRetail: number, qty: number, totalCost: number, totalRetail: number}>} parts
+ * @param {Array<import('./csvParser.js').ParsedPart>} parts
  * @param {Array<{id: number, minCost: number, maxCost: number, multiplier: number, grossProfit: number}>} matrix
  * @returns {Array<Object>} Tier analysis objects with aggregated statistics.
  */
 export function computeTierAnalysis(parts, matrix) {
-  const assignedIndices = new Set();
+  const findTier = (unitCost) =>
+    matrix.findIndex((tier) => unitCost >= tier.minCost && unitCost <= tier.maxCost);
 
-  const analysis = matrix.map((tier) => {
-    const tierParts = parts.filter((p, idx) => {
-      if (assignedIndices.has(idx)) return false;
-      if (p.unitCost >= tier.minCost && p.unitCost <= tier.maxCost) {
-        assignedIndices.add(idx);
-        return true;
-      }
-      return false;
-    });
+  // Tier of the first sale per part number, for netting returns
+  const saleTierByPart = new Map();
+  const tierParts = matrix.map(() => []);
+
+  const isSale = (p) => !p.rowType || p.rowType === ROW_TYPES.SALE;
+  parts.forEach((p) => {
+    if (!isSale(p)) return;
+    const idx = findTier(p.unitCost);
+    if (idx === -1) return;
+    tierParts[idx].push(p);
+    if (p.partNumber && !saleTierByPart.has(p.partNumber)) saleTierByPart.set(p.partNumber, idx);
+  });
+  parts.forEach((p) => {
+    if (p.rowType !== ROW_TYPES.RETURN) return;
+    const idx = saleTierByPart.has(p.partNumber) ? saleTierByPart.get(p.partNumber) : findTier(p.unitCost);
+    if (idx !== -1) tierParts[idx].push(p);
+  });
 
-    const totalCost = tierParts.reduce((sum, p) => sum + p.totalCost, 0);
-    const totalRetail = tierParts.reduce((sum, p) => sum + p.totalRetail, 0);
-    const totalQty = tierParts.reduce((sum, p) => sum + p.qty, 0);
+  const analysis = matrix.map((tier, idx) => {
+    const assigned = tierParts[idx];
+    const totalCost = assigned.reduce((sum, p) => sum + p.totalCost, 0);
+    const totalRetail = assigned.reduce((sum, p) => sum + p.totalRetail, 0);
+    const totalQty = assigned.reduce((sum, p) => sum + p.qty, 0);
     const currentMargin =
       totalRetail > 0 ? ((totalRetail - totalCost) / totalRetail) * 100 : 0;
     const currentProfit = totalRetail - totalCost;
+    const sales = assigned.filter(isSale);
+    const returnCount = assigned.reduce(
+      (sum, p) => sum + (p.rowType === ROW_TYPES.RETURN ? 1 : p.returnCount || 0),
+      0,
+    );
 
     return {
       ...tier,
-      partCount: tierParts.length,
+      parts: assigned,
+      partCount: sales.length,
+      ...countPartsAndLines(sales),
+      returnCount,
       totalQty,
       totalCost,
       totalRetail,
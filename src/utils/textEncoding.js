@@ -0,0 +1,94 @@
+/**
+ * Character-encoding detection for uploaded text exports.
+ *
+ * Modern POS systems write UTF-8, but older dealer systems still export
+ * Windows-1252 or UTF-16LE text. Decoding those as UTF-8 garbles
+ * descriptions ("Bremsbel�ge") and, for UTF-16, hides the header row
+ * entirely. These helpers sniff the first bytes of a file and pick the
+ * encoding to hand to `TextDecoder`.
+ */
+
+/** Encodings the upload step can decode (WHATWG encoding labels). */
+export const ENCODINGS = ['utf-8', 'windows-1252', 'utf-16le', 'utf-16be'];
+
+// Bytes inspected when sniffing; enough for the header and plenty of rows
+export const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+// Share of 2-byte units with exactly one zero byte that marks UTF-16 text
+const UTF16_NULL_RATIO = 0.3;
+
+/**
+ * @typedef {Object} EncodingGuess
+ * @property {string}  encoding - One of `ENCODINGS`.
+ * @property {boolean} bom      - Whether a byte order mark was found.
+ */
+
+/**
+ * Identify a byte order mark at the start of the data.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string|null} Encoding named by the BOM, or null.
+ */
+function encodingFromBOM(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Guess UTF-16 byte order from where zero bytes fall. ASCII text encoded as
+ * UTF-16LE has a zero in every odd byte, UTF-16BE in every even byte.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string|null} 'utf-16le', 'utf-16be' or null when neither pattern fits.
+ */
+function encodingFromNullPattern(bytes) {
+  const units = Math.floor(bytes.length / 2);
+  if (units === 0) return null;
+
+  let evenNulls = 0;
+  let oddNulls = 0;
+  for (let i = 0; i < units * 2; i += 2) {
+    if (bytes[i] === 0 && bytes[i + 1] !== 0) evenNulls++;
+    if (bytes[i + 1] === 0 && bytes[i] !== 0) oddNulls++;
+  }
+  if (oddNulls / units >= UTF16_NULL_RATIO && oddNulls > evenNulls * 4) return 'utf-16le';
+  if (evenNulls / units >= UTF16_NULL_RATIO && evenNulls > oddNulls * 4) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Whether the data is well-formed UTF-8. A multi-byte sequence cut off at
+ * the end of the sample does not count against it.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isValidUTF8(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect the encoding of a text file from its first bytes: a BOM wins, then
+ * the UTF-16 zero-byte pattern, then UTF-8 if the bytes are valid UTF-8,
+ * and Windows-1252 (which can decode any byte) otherwise.
+ *
+ * @param {Uint8Array|ArrayBuffer} data - The start of the file.
+ * @returns {EncodingGuess}
+ */
+export function detectEncoding(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const fromBOM = encodingFromBOM(bytes);
+  if (fromBOM) return { encoding: fromBOM, bom: true };
+
+  const utf16 = encodingFromNullPattern(bytes);
+  if (utf16) return { encoding: utf16, bom: false };
+
+  return { encoding: isValidUTF8(bytes) ? 'utf-8' : 'windows-1252', bom: false };
+}
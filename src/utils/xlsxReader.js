@@ -0,0 +1,254 @@
+/**
+ * Reader for Excel (.xlsx) workbooks.
+ *
+ * An .xlsx file is a ZIP archive of SpreadsheetML parts. This module reads
+ * just enough of them to turn a worksheet into rows of cell values: the
+ * sheet list (workbook.xml + its relationships), the shared string table,
+ * the cell styles that mark date formats, and the worksheet's cells.
+ *
+ * The XML is scanned with regular expressions rather than `DOMParser`, which
+ * is unavailable inside Web Workers. Cell values keep their type: numeric
+ * cells are returned as numbers (so the parser can skip `parseCurrency`),
+ * date-formatted cells as ISO `YYYY-MM-DD` strings, everything else as text.
+ */
+
+import { readZipDirectory, readZipEntry } from './zipReader.js';
+
+/**
+ * @typedef {string|number} CellValue
+ */
+
+/**
+ * @typedef {Object} Workbook
+ * @property {string[]} sheetNames - Worksheet names in workbook order.
+ * @property {(name: string) => Promise<CellValue[][]>} readSheet - Read a
+ *   worksheet's rows; index 0 is spreadsheet row 1, missing cells are ''.
+ */
+
+// Built-in number formats that display dates (ECMA-376 §18.8.30)
+const BUILT_IN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EPOCH_1900 = Date.UTC(1899, 11, 30); // serial 0, absorbing the 1900 leap-year bug
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode the XML character and entity references in a text node.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeXML(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, ref) => {
+    if (ref[0] !== '#') return XML_ENTITIES[ref.toLowerCase()];
+    const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Read an attribute value from an element's start tag.
+ *
+ * @param {string} tag  - Start tag text, e.g. `<c r="A1" t="s">`.
+ * @param {string} name - Attribute name (may include a namespace prefix).
+ * @returns {string|null}
+ */
+function attr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXML(match[1]) : null;
+}
+
+/**
+ * Concatenate the `<t>` text runs of a string item, skipping phonetic
+ * (`<rPh>`) runs.
+ *
+ * @param {string} xml - Inner XML of an `<si>` or `<is>` element.
+ * @returns {string}
+ */
+function readRichText(xml) {
+  const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  let text = '';
+  for (const match of withoutPhonetic.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXML(match[1]);
+  }
+  return text;
+}
+
+/**
+ * Convert a column reference ("A", "AB") to a 0-based index.
+ *
+ * @param {string} ref - Cell reference such as "AB12"; the row part is ignored.
+ * @returns {number}
+ */
+export function columnIndex(ref) {
+  let index = 0;
+  for (const char of ref.replace(/\d+$/, '').toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Convert an Excel date serial to an ISO date string.
+ *
+ * @param {number}  serial
+ * @param {boolean} [date1904=false] - Workbook uses the 1904 date system.
+ * @returns {string} `YYYY-MM-DD`.
+ */
+export function excelSerialToISODate(serial, date1904 = false) {
+  const epoch = date1904 ? EPOCH_1904 : EPOCH_1900;
+  return new Date(epoch + Math.floor(serial) * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a custom number format code displays a date.
+ *
+ * @param {string} code - e.g. "yyyy-mm-dd" or "#,##0.00".
+ * @returns {boolean}
+ */
+function isDateFormatCode(code) {
+  // Drop quoted literals, escapes and colour/condition sections before looking for d/y tokens
+  const tokens = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+  return /[dy]/i.test(tokens);
+}
+
+/**
+ * Find which cell style indices (`s` attribute) use a date number format.
+ *
+ * @param {string|null} stylesXml
+ * @returns {Set<number>}
+ */
+function readDateStyles(stylesXml) {
+  const dateStyles = new Set();
+  if (!stylesXml) return dateStyles;
+
+  const customDateFormats = new Set();
+  for (const match of stylesXml.matchAll(/<numFmt\b[^>]*>/g)) {
+    const id = Number(attr(match[0], 'numFmtId'));
+    if (isDateFormatCode(attr(match[0], 'formatCode') || '')) customDateFormats.add(id);
+  }
+
+  const cellXfs = stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (!cellXfs) return dateStyles;
+  let index = 0;
+  for (const match of cellXfs[1].matchAll(/<xf\b[^>]*>/g)) {
+    const formatId = Number(attr(match[0], 'numFmtId'));
+    if (BUILT_IN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) dateStyles.add(index);
+    index++;
+  }
+  return dateStyles;
+}
+
+/**
+ * Read a worksheet's cells into rows.
+ *
+ * @param {string}   sheetXml
+ * @param {string[]} sharedStrings
+ * @param {Set<number>} dateStyles
+ * @param {boolean}  date1904
+ * @returns {CellValue[][]}
+ */
+function readSheetRows(sheetXml, sharedStrings, dateStyles, date1904) {
+  const rows = [];
+  const sheetData = sheetXml.match(/<sheetData\b[^>]*>([\s\S]*)<\/sheetData>/);
+  if (!sheetData) return rows;
+
+  for (const rowMatch of sheetData[1].matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attr(rowMatch[0], 'r')) || rows.length + 1;
+    const cells = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${cellMatch[1]}>`;
+      const inner = cellMatch[2] || '';
+      const ref = attr(tag, 'r');
+      const col = ref ? columnIndex(ref) : cells.length;
+      const type = attr(tag, 't') || 'n';
+      const rawValue = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[Number(rawValue)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = readRichText(inner.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+      } else if (type === 'b') {
+        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      } else if (type === 'n' && rawValue !== undefined && rawValue !== '') {
+        const number = Number(rawValue);
+        value = dateStyles.has(Number(attr(tag, 's'))) ? excelSerialToISODate(number, date1904) : number;
+      } else if (rawValue !== undefined) {
+        // 'str' (formula text), 'e' (error such as #N/A), 'd' (ISO date)
+        value = decodeXML(rawValue);
+      }
+
+      while (cells.length < col) cells.push('');
+      cells[col] = value;
+    }
+
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = cells;
+  }
+  return rows;
+}
+
+/**
+ * Resolve a relationship target against the `xl/` folder.
+ *
+ * @param {string} target - e.g. "worksheets/sheet1.xml" or "/xl/worksheets/sheet1.xml".
+ * @returns {string} Archive path.
+ */
+function resolvePartPath(target) {
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Open an .xlsx workbook.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Complete file contents.
+ * @returns {Promise<Workbook>}
+ */
+export async function openWorkbook(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const entries = readZipDirectory(bytes);
+  const decoder = new TextDecoder('utf-8');
+
+  const readText = async (path) => {
+    const entry = entries.get(path);
+    return entry ? decoder.decode(await readZipEntry(bytes, entry)) : null;
+  };
+
+  const workbookXml = await readText('xl/workbook.xml');
+  if (!workbookXml) throw new Error('Not an Excel workbook (xl/workbook.xml is missing).');
+  const relsXml = (await readText('xl/_rels/workbook.xml.rels')) || '';
+
+  const targets = new Map();
+  for (const match of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    targets.set(attr(match[0], 'Id'), attr(match[0], 'Target'));
+  }
+
+  const sheets = [];
+  for (const match of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+    const target = targets.get(attr(match[0], 'r:id'));
+    if (target) sheets.push({ name: attr(match[0], 'name'), path: resolvePartPath(target) });
+  }
+
+  const workbookPr = workbookXml.match(/<workbookPr\b[^>]*>/)?.[0] || '';
+  const date1904 = ['1', 'true'].includes(attr(workbookPr, 'date1904'));
+
+  const sharedStringsXml = (await readText('xl/sharedStrings.xml')) || '';
+  // An empty string may be written as a self-closing <si/>; it still takes an index
+  const sharedStrings = [...sharedStringsXml.matchAll(/<si\b[^>]*\/>|<si\b[^>]*>([\s\S]*?)<\/si>/g)]
+    .map((m) => readRichText(m[1] ?? ''));
+  const dateStyles = readDateStyles(await readText('xl/styles.xml'));
+
+  return {
+    sheetNames: sheets.map((s) => s.name),
+    async readSheet(name) {
+      const sheet = sheets.find((s) => s.name === name);
+      if (!sheet) throw new Error(`Worksheet "${name}" not found.`);
+      const sheetXml = await readText(sheet.path);
+      return sheetXml ? readSheetRows(sheetXml, sharedStrings, dateStyles, date1904) : [];
+    },
+  };
+}
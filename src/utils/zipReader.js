@@ -0,0 +1,141 @@
+/**
+ * Minimal ZIP archive reader for .xlsx workbooks.
+ *
+ * Reads the central directory and extracts individual entries, inflating
+ * deflated data with the platform `DecompressionStream('deflate-raw')`, so
+ * no third-party unzip library is bundled. Works in browsers, Web Workers
+ * and Node.js 20+. ZIP64 archives and encrypted entries are not supported;
+ * an .xlsx sales report never needs either.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// End-of-central-directory record: 22 bytes plus a comment of up to 64 KB
+const EOCD_MIN_SIZE = 22;
+const EOCD_MAX_SEARCH = EOCD_MIN_SIZE + 0xffff;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name              - Path inside the archive.
+ * @property {number} method            - Compression method (0 stored, 8 deflate).
+ * @property {number} compressedSize
+ * @property {number} uncompressedSize
+ * @property {number} localHeaderOffset - Offset of the entry's local header.
+ */
+
+/**
+ * Build the error thrown for archives this reader cannot handle.
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function zipError(message) {
+  const err = new Error(message);
+  err.name = 'ZipError';
+  return err;
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory.
+ *
+ * @param {Uint8Array} bytes - Complete archive contents.
+ * @returns {Map<string, ZipEntry>} Entries keyed by path.
+ */
+export function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let eocd = -1;
+  const stop = Math.max(0, bytes.length - EOCD_MAX_SEARCH);
+  for (let i = bytes.length - EOCD_MIN_SIZE; i >= stop; i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw zipError('Not a ZIP archive (end of central directory not found).');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (offset === 0xffffffff) throw zipError('ZIP64 archives are not supported.');
+
+  const decoder = new TextDecoder('utf-8');
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw zipError('Corrupt ZIP central directory.');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      uncompressedSize: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Inflate raw DEFLATE data.
+ *
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data) {
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(data);
+      controller.close();
+    },
+  }).pipeThrough(new DecompressionStream('deflate-raw'));
+
+  const chunks = [];
+  let length = 0;
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const out = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, position);
+    position += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Extract one entry's uncompressed contents.
+ *
+ * @param {Uint8Array} bytes - Complete archive contents.
+ * @param {ZipEntry}   entry - Entry from `readZipDirectory`.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = entry.localHeaderOffset;
+  if (view.getUint32(header, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw zipError(`Corrupt ZIP entry "${entry.name}".`);
+  }
+  // Sizes come from the central directory; local ones may be zero (data descriptor)
+  const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) return data;
+  if (entry.method === METHOD_DEFLATE) return inflateRaw(data);
+  throw zipError(`Unsupported ZIP compression method ${entry.method} in "${entry.name}".`);
+}
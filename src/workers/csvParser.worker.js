@@ -0,0 +1,26 @@
+/**
+ * Web Worker entry point for parsing uploaded sales files off the main thread.
+ *
+ * Message protocol:
+ *  - in:  `{ file: File, parseOptions?: ParseOptions }`
+ *  - out: `{ type: 'progress', loaded, total }` after every chunk
+ *  - out: `{ type: 'result', result: ParseResult }` when done
+ *  - out: `{ type: 'error', message }` on an unexpected failure
+ *
+ * Cancellation is done by the caller terminating the worker.
+ */
+
+import { parseImportFile } from '../utils/csvStream.js';
+
+self.onmessage = async (event) => {
+  const { file, parseOptions } = event.data;
+  try {
+    const result = await parseImportFile(file, {
+      parseOptions,
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};